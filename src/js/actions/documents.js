@@ -41,6 +41,7 @@ define(function (require, exports) {
         ui = require("./ui"),
         events = require("../events"),
         locks = require("js/locks"),
+        priorities = require("js/priorities"),
         pathUtil = require("js/util/path"),
         log = require("js/util/log"),
         headlights = require("js/util/headlights");
@@ -523,6 +524,32 @@ define(function (require, exports) {
             });
     };
 
+    /**
+     * Re-fetch the document and history models for the given document, e.g.,
+     * after an action that modified the document failed and its model may be
+     * stale. Unlike a global reset, the models of other open documents and the
+     * rest of the UI state are unaffected.
+     *
+     * @param {number} documentID
+     * @return {Promise}
+     */
+    var resyncDocumentCommand = function (documentID) {
+        var currentDocumentID = this.flux.store("application").getCurrentDocumentID();
+
+        log.info("Resyncing document %d", documentID);
+
+        return this.dispatchAsync(events.history.DELETE_DOCUMENT_HISTORY, { documentID: documentID })
+            .bind(this)
+            .then(function () {
+                // History can only be re-fetched for the active document
+                if (documentID === currentDocumentID) {
+                    return this.transfer(updateDocument);
+                } else {
+                    return this.transfer(updateDocument, documentID);
+                }
+            });
+    };
+
     /**
      * Activate the given already-open document
      * 
@@ -878,6 +905,7 @@ define(function (require, exports) {
         reads: [locks.PS_DOC, locks.PS_APP],
         writes: [locks.JS_DOC, locks.JS_APP, locks.JS_UI],
         lockUI: true,
+        hardTimeout: Infinity,
         post: [_verifyActiveDocument, _verifyOpenDocuments]
     };
 
@@ -886,6 +914,7 @@ define(function (require, exports) {
         reads: [locks.PS_DOC, locks.PS_APP],
         writes: [locks.JS_DOC, locks.JS_APP, locks.JS_UI],
         lockUI: true,
+        hardTimeout: Infinity,
         post: [_verifyActiveDocument, _verifyOpenDocuments]
     };
 
@@ -932,6 +961,14 @@ define(function (require, exports) {
         lockUI: true
     };
 
+    var resyncDocument = {
+        command: resyncDocumentCommand,
+        reads: [locks.PS_DOC, locks.JS_APP],
+        writes: [locks.JS_DOC, locks.JS_HISTORY],
+        lockUI: true,
+        priority: priorities.HIGH
+    };
+
     var initInactiveDocuments = {
         command: initInactiveDocumentsCommand,
         reads: [locks.PS_DOC],
@@ -947,7 +984,8 @@ define(function (require, exports) {
     var packageDocument = {
         command: packageDocumentCommand,
         reads: [locks.PS_DOC],
-        writes: []
+        writes: [],
+        hardTimeout: Infinity
     };
 
     var toggleGuidesVisibility = {
@@ -995,6 +1033,7 @@ define(function (require, exports) {
     exports.allocateDocument = allocateDocument;
     exports.disposeDocument = disposeDocument;
     exports.updateDocument = updateDocument;
+    exports.resyncDocument = resyncDocument;
     exports.initActiveDocument = initActiveDocument;
     exports.initInactiveDocuments = initInactiveDocuments;
     exports.packageDocument = packageDocument;
@@ -32,6 +32,7 @@ define(function (require, exports) {
     var events = require("../events"),
         locks = require("../locks"),
         layers = require("js/actions/layers"),
+        menu = require("js/actions/menu"),
         collection = require("js/util/collection"),
         headlights = require("js/util/headlights"),
         history = require("js/actions/history");
@@ -117,6 +118,35 @@ define(function (require, exports) {
         });
     };
 
+    /**
+     * Insert the given text at the text cursor in the modal text editing state
+     * by pasting it. The previous contents of the clipboard are restored once
+     * the paste completes, if they are text or copied layers.
+     *
+     * @private
+     * @param {string} text
+     * @return {Promise}
+     */
+    var insertTextCommand = function (text) {
+        return os.clipboardRead(["string", LAYER_CLIPBOARD_FORMAT])
+            .bind(this)
+            .then(function (previous) {
+                return os.clipboardWrite(text)
+                    .bind(this)
+                    .then(function () {
+                        return this.transfer(menu.nativeModal, {
+                            commandID: PASTE_NATIVE_MENU_COMMMAND_ID,
+                            waitForCompletion: true
+                        });
+                    })
+                    .finally(function () {
+                        if (previous && typeof previous.data === "string") {
+                            return os.clipboardWrite(previous.data, previous.format);
+                        }
+                    });
+            });
+    };
+
     /**
      * Execute a native selectAll command.
      *
@@ -431,6 +461,16 @@ define(function (require, exports) {
         writes: []
     };
 
+    /**
+     * @type {Action}
+     */
+    var insertText = {
+        command: insertTextCommand,
+        modal: true,
+        reads: locks.ALL_PS_LOCKS,
+        writes: locks.ALL_PS_LOCKS
+    };
+
     /**
      * @type {Action}
      */
@@ -456,6 +496,7 @@ define(function (require, exports) {
     exports.nativeCut = nativeCut;
     exports.nativeCopy = nativeCopy;
     exports.nativePaste = nativePaste;
+    exports.insertText = insertText;
     exports.nativeSelectAll = nativeSelectAll;
     exports.cut = cut;
     exports.copy = copy;
@@ -35,6 +35,7 @@ define(function (require, exports) {
 
     var events = require("js/events"),
         locks = require("js/locks"),
+        priorities = require("js/priorities"),
         log = require("js/util/log");
 
     /**
@@ -269,13 +270,15 @@ define(function (require, exports) {
     var incrementHistory = {
         command: incrementHistoryCommand,
         reads: [locks.PS_DOC],
-        writes: [locks.JS_HISTORY, locks.JS_DOC]
+        writes: [locks.JS_HISTORY, locks.JS_DOC],
+        priority: priorities.HIGH
     };
 
     var decrementHistory = {
         command: decrementHistoryCommand,
         reads: [locks.PS_DOC],
-        writes: [locks.JS_HISTORY, locks.JS_DOC]
+        writes: [locks.JS_HISTORY, locks.JS_DOC],
+        priority: priorities.HIGH
     };
 
     var revertCurrentDocument = {
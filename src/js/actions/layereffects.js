@@ -24,18 +24,20 @@
 define(function (require, exports) {
     "use strict";
 
-    var _ = require("lodash"),
+    var Promise = require("bluebird"),
+        _ = require("lodash"),
         Immutable = require("immutable");
 
     var layerEffectLib = require("adapter/lib/layerEffect"),
         documentLib = require("adapter/lib/document");
 
-    var Color = require("js/models/color"),
+    var Layer = require("js/models/layer"),
         events = require("../events"),
         locks = require("js/locks"),
         layerActionsUtil = require("js/util/layeractions"),
         strings = require("i18n!nls/strings"),
-        collection = require("js/util/collection");
+        collection = require("js/util/collection"),
+        schema = require("js/util/schema");
 
     /**
      * Fetch layer effects from the store, and send them to the adapter to update photoshop.
@@ -46,9 +48,10 @@ define(function (require, exports) {
      * @param {Immutable.List.<Layer>} layers
      * @param {boolean=} coalesce Whether to coalesce this operation's history state
      * @param {string} type layer effect type, eg "dropShadow"
+     * @param {string=} historyName Name of the history state; defaults to SET_LAYER_EFFECTS
      * @return {Promise} returns the promised value from the photoshop adapter call
      */
-    var _syncStoreToPs = function (document, layers, coalesce, type) {
+    var _syncStoreToPs = function (document, layers, coalesce, type, historyName) {
         var documentStore = this.flux.store("document"),
             layerStruct = documentStore.getDocument(document.id).layers,
             layerEffectPlayObjects,
@@ -58,7 +61,7 @@ define(function (require, exports) {
                     quality: "draft"
                 },
                 historyStateInfo: {
-                    name: strings.ACTIONS.SET_LAYER_EFFECTS,
+                    name: historyName || strings.ACTIONS.SET_LAYER_EFFECTS,
                     target: documentLib.referenceBy.id(document.id),
                     coalesce: !!coalesce,
                     suppressHistoryStateNotification: !!coalesce
@@ -93,18 +96,20 @@ define(function (require, exports) {
     };
 
     /**
-     * For each given layer insert or update a new Shadow at given index, depending on its existence,
+     * For each given layer insert or update a new layer effect at given index, depending on its existence,
      * using the provided newProps object
      *
      * @private
      * @param {Document} document [description]
      * @param {Immutable.Iterable.<Layer>} layers list of layers to update
-     * @param {number} layerEffectIndex index that the drop shadow should be added to
-     * @param {object} newProps object containing new drop shadow properties
+     * @param {number} layerEffectIndex index that the layer effect should be added to
+     * @param {object|function(object): object} newProps object containing new layer effect properties,
+     *  or a function which computes them from the current layer effect
      * @param {boolean=} coalesce Whether to coalesce this operation's history state
+     * @param {string} type layer effect type, eg "dropShadow"
      * @return {Promise}
      */
-    var _upsertShadowProperties = function (document, layers, layerEffectIndex, newProps, coalesce, type) {
+    var _upsertLayerEffectProperties = function (document, layers, layerEffectIndex, newProps, coalesce, type) {
         var toEmit = events.document.history.optimistic.LAYER_EFFECT_CHANGED,
             layerIDs = collection.pluck(layers, "id"),
             layerEffectPropsList = [],
@@ -148,6 +153,111 @@ define(function (require, exports) {
         return _syncStoreToPs.call(this, document, layers, coalesce, type);
     };
 
+    /**
+     * Update the stores with the given optimistic event, which changes the
+     * list of layer effects of the given type of each given layer, and then
+     * set the layer effects of that type in Photoshop.
+     *
+     * @private
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layer>} layers list of layers to update
+     * @param {string} type layer effect type, eg "dropShadow"
+     * @param {string} eventName
+     * @param {object} payload Additional event payload properties
+     * @param {string} historyName
+     * @return {Promise}
+     */
+    var _updateLayerEffectLists = function (document, layers, type, eventName, payload, historyName) {
+        if (layers.isEmpty()) {
+            return Promise.resolve();
+        }
+
+        this.dispatch(eventName, _.assign({
+            documentID: document.id,
+            layerIDs: collection.pluck(layers, "id"),
+            layerEffectType: type
+        }, payload));
+
+        return _syncStoreToPs.call(this, document, layers, false, type, historyName);
+    };
+
+    /**
+     * Set the alpha value of the layer effects of the given type at the given
+     * index of the given layers. Preserves the opaque color.
+     *
+     * @private
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layer>} layers list of layers to update
+     * @param {number} layerEffectIndex index of the layer effect within the layer(s)
+     * @param {number} alpha
+     * @param {boolean=} coalesce Whether to coalesce this operation's history state
+     * @param {string} type layer effect type, eg "dropShadow"
+     * @return {Promise}
+     */
+    var _setLayerEffectAlpha = function (document, layers, layerEffectIndex, alpha, coalesce, type) {
+        var alphaUpdater = function (layerEffect) {
+            if (layerEffect && layerEffect.color) {
+                return { color: layerEffect.color.setAlpha(alpha) };
+            } else {
+                return { color: Layer.newLayerEffectByType(type).color.set("a", alpha) };
+            }
+        };
+
+        return _upsertLayerEffectProperties.call(
+            this, document, layers, layerEffectIndex, alphaUpdater, coalesce, type);
+    };
+
+    /**
+     * Set the color of the layer effects of the given type at the given index
+     * of the given layers.
+     *
+     * @private
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layer>} layers list of layers to update
+     * @param {number} layerEffectIndex index of the layer effect within the layer(s)
+     * @param {Color} color
+     * @param {boolean=} coalesce Whether to coalesce this operation's history state
+     * @param {boolean=} ignoreAlpha Whether to ignore the alpha value of the
+     *  given color and only update the opaque color value.
+     * @param {string} type layer effect type, eg "dropShadow"
+     * @return {Promise}
+     */
+    var _setLayerEffectColor = function (document, layers, layerEffectIndex, color, coalesce, ignoreAlpha, type) {
+        if (ignoreAlpha) {
+            var colorUpdater = function (layerEffect) {
+                if (layerEffect && layerEffect.color) {
+                    return { color: layerEffect.color.setOpaque(color) };
+                } else {
+                    return { color: Layer.newLayerEffectByType(type).color };
+                }
+            };
+
+            return _upsertLayerEffectProperties.call(
+                this, document, layers, layerEffectIndex, colorUpdater, coalesce, type);
+        } else {
+            var normalizedColor = color ? color.normalizeAlpha() : null;
+            return _upsertLayerEffectProperties.call(
+                this, document, layers, layerEffectIndex, { color: normalizedColor }, coalesce, type);
+        }
+    };
+
+    /**
+     * Get the layers which may have color overlay or stroke layer effects.
+     * The color overlays and stroke effects of vector layers are instead
+     * managed as their fills and strokes by the shapes actions.
+     *
+     * @private
+     * @param {Immutable.Iterable.<Layer>} layers
+     * @return {Immutable.List.<Layer>}
+     */
+    var _nonVectorLayers = function (layers) {
+        return layers
+            .filterNot(function (layer) {
+                return layer.kind === layer.layerKinds.VECTOR;
+            })
+            .toList();
+    };
+
     /**
      * Add a new Drop Shadow to all selected layers of the given document
      * 
@@ -156,7 +266,7 @@ define(function (require, exports) {
      * @return {Promise}
      */
     var addShadowCommand = function (document, layers, type) {
-        return _upsertShadowProperties.call(this, document, layers, null, { enabled: true }, undefined, type);
+        return _upsertLayerEffectProperties.call(this, document, layers, null, { enabled: true }, undefined, type);
     };
 
     /**
@@ -170,7 +280,7 @@ define(function (require, exports) {
      */
 
     var setShadowEnabledCommand = function (document, layers, shadowIndex, enabled, type) {
-        return _upsertShadowProperties.call(
+        return _upsertLayerEffectProperties.call(
             this, document, layers, shadowIndex, { enabled: enabled }, 0, type);
     };
 
@@ -185,15 +295,7 @@ define(function (require, exports) {
      * @return {Promise}
      */
     var setShadowAlphaCommand = function (document, layers, shadowIndex, alpha, coalesce, type) {
-        var alphaUpdater = function (shadow) {
-            if (shadow && shadow.color) {
-                return { color: shadow.color.setAlpha(alpha) };
-            } else {
-                return { color: Color.DEFAULT.set("a", alpha) };
-            }
-        };
-        return _upsertShadowProperties.call(
-            this, document, layers, shadowIndex, alphaUpdater, coalesce, type);
+        return _setLayerEffectAlpha.call(this, document, layers, shadowIndex, alpha, coalesce, type);
     };
 
     /**
@@ -209,22 +311,70 @@ define(function (require, exports) {
      * @return {Promise}
      */
     var setShadowColorCommand = function (document, layers, shadowIndex, color, coalesce, ignoreAlpha, type) {
-        if (ignoreAlpha) {
-            var colorUpdater = function (shadow) {
-                if (shadow && shadow.color) {
-                    return { color: shadow.color.setOpaque(color) };
-                } else {
-                    return { color: Color.DEFAULT };
-                }
-            };
+        return _setLayerEffectColor.call(this, document, layers, shadowIndex, color, coalesce, ignoreAlpha, type);
+    };
 
-            return _upsertShadowProperties.call(
-                this, document, layers, shadowIndex, colorUpdater, coalesce, type);
-        } else {
-            var normalizedColor = color ? color.normalizeAlpha() : null;
-            return _upsertShadowProperties.call(
-                this, document, layers, shadowIndex, { color: normalizedColor }, coalesce, type);
-        }
+    /**
+     * Remove the Shadow at the given index of the given layers. Layers without
+     * a Shadow at that index are left unchanged.
+     * 
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layer>} layers list of layers to update
+     * @param {number} shadowIndex index of the Shadow within the layer(s)
+     * @param {string} type Either "dropShadow" or "innerShadow"
+     * @return {Promise}
+     */
+    var removeShadowCommand = function (document, layers, shadowIndex, type) {
+        layers = layers.filter(function (layer) {
+            return layer.getLayerEffectsByType(type).has(shadowIndex);
+        });
+
+        return _updateLayerEffectLists.call(this, document, layers, type,
+            events.document.history.optimistic.LAYER_EFFECT_REMOVED,
+            { layerEffectIndex: shadowIndex }, strings.ACTIONS.REMOVE_LAYER_EFFECT);
+    };
+
+    /**
+     * Move the Shadow at the given index of the given layers to the target
+     * index. Layers without Shadows at both indices are left unchanged.
+     * 
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layer>} layers list of layers to update
+     * @param {number} shadowIndex index of the Shadow within the layer(s)
+     * @param {number} targetIndex
+     * @param {string} type Either "dropShadow" or "innerShadow"
+     * @return {Promise}
+     */
+    var reorderShadowCommand = function (document, layers, shadowIndex, targetIndex, type) {
+        layers = layers.filter(function (layer) {
+            var shadows = layer.getLayerEffectsByType(type);
+
+            return shadows.has(shadowIndex) && shadows.has(targetIndex);
+        });
+
+        return _updateLayerEffectLists.call(this, document, layers, type,
+            events.document.history.optimistic.LAYER_EFFECT_REORDERED,
+            { layerEffectIndex: shadowIndex, targetIndex: targetIndex }, strings.ACTIONS.REORDER_LAYER_EFFECTS);
+    };
+
+    /**
+     * Insert a copy of the Shadow at the given index of the given layers
+     * directly after it. Layers without a Shadow at that index are left unchanged.
+     * 
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layer>} layers list of layers to update
+     * @param {number} shadowIndex index of the Shadow within the layer(s)
+     * @param {string} type Either "dropShadow" or "innerShadow"
+     * @return {Promise}
+     */
+    var duplicateShadowCommand = function (document, layers, shadowIndex, type) {
+        layers = layers.filter(function (layer) {
+            return layer.getLayerEffectsByType(type).has(shadowIndex);
+        });
+
+        return _updateLayerEffectLists.call(this, document, layers, type,
+            events.document.history.optimistic.LAYER_EFFECT_DUPLICATED,
+            { layerEffectIndex: shadowIndex }, strings.ACTIONS.DUPLICATE_LAYER_EFFECT);
     };
 
     /**
@@ -237,7 +387,7 @@ define(function (require, exports) {
      * @return {Promise}
      */
     var setShadowXCommand = function (document, layers, shadowIndex, x, type) {
-        return _upsertShadowProperties.call(
+        return _upsertLayerEffectProperties.call(
            this, document, layers, shadowIndex, { x: x }, null, type);
     };
 
@@ -252,7 +402,7 @@ define(function (require, exports) {
      * @return {Promise}
      */
     var setShadowYCommand = function (document, layers, shadowIndex, y, type) {
-        return _upsertShadowProperties.call(
+        return _upsertLayerEffectProperties.call(
            this, document, layers, shadowIndex, { y: y }, null, type);
     };
 
@@ -266,7 +416,7 @@ define(function (require, exports) {
      * @return {Promise}
      */
     var setShadowBlurCommand = function (document, layers, shadowIndex, blur, type) {
-        return _upsertShadowProperties.call(
+        return _upsertLayerEffectProperties.call(
             this, document, layers, shadowIndex, { blur: blur }, null, type);
     };
 
@@ -280,10 +430,296 @@ define(function (require, exports) {
      * @return {Promise}
      */
     var setShadowSpreadCommand = function (document, layers, shadowIndex, spread, type) {
-        return _upsertShadowProperties.call(
+        return _upsertLayerEffectProperties.call(
             this, document, layers, shadowIndex, { spread: spread }, null, type);
     };
 
+    /**
+     * Add a new glow of the given type to the given layers. Photoshop supports
+     * a single glow of each type per layer.
+     * 
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layer>} layers list of layers to update
+     * @param {string} type Either "outerGlow" or "innerGlow"
+     * @return {Promise}
+     */
+    var addGlowCommand = function (document, layers, type) {
+        return _upsertLayerEffectProperties.call(this, document, layers, null, { enabled: true }, undefined, type);
+    };
+
+    /**
+     * Set the glow enabled flag for the given layers
+     * 
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layer>} layers list of layers to update
+     * @param {number} glowIndex index of the glow within the layer(s)
+     * @param {boolean} enabled enabled flag
+     * @param {string} type Either "outerGlow" or "innerGlow"
+     * @return {Promise}
+     */
+    var setGlowEnabledCommand = function (document, layers, glowIndex, enabled, type) {
+        return _upsertLayerEffectProperties.call(
+            this, document, layers, glowIndex, { enabled: enabled }, 0, type);
+    };
+
+    /**
+     * Set the glow alpha value for the given layers. Preserves the opaque color.
+     *
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layer>} layers list of layers to update
+     * @param {number} glowIndex index of the glow within the layer(s)
+     * @param {number} alpha alpha value of the glow
+     * @param {boolean=} coalesce Whether to coalesce this operation's history state
+     * @param {string} type Either "outerGlow" or "innerGlow"
+     * @return {Promise}
+     */
+    var setGlowAlphaCommand = function (document, layers, glowIndex, alpha, coalesce, type) {
+        return _setLayerEffectAlpha.call(this, document, layers, glowIndex, alpha, coalesce, type);
+    };
+
+    /**
+     * Set the glow color for the given layers
+     * 
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layer>} layers list of layers to update
+     * @param {number} glowIndex index of the glow within the layer(s)
+     * @param {Color} color color of the glow
+     * @param {boolean=} coalesce Whether to coalesce this operation's history state
+     * @param {boolean=} ignoreAlpha Whether to ignore the alpha value of the
+     *  given color and only update the opaque color value.
+     * @param {string} type Either "outerGlow" or "innerGlow"
+     * @return {Promise}
+     */
+    var setGlowColorCommand = function (document, layers, glowIndex, color, coalesce, ignoreAlpha, type) {
+        return _setLayerEffectColor.call(this, document, layers, glowIndex, color, coalesce, ignoreAlpha, type);
+    };
+
+    /**
+     * Set the glow blur size for the given layers
+     * 
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layer>} layers list of layers to update
+     * @param {number} glowIndex index of the glow within the layer(s)
+     * @param {number} blur blur size in pixels
+     * @param {string} type Either "outerGlow" or "innerGlow"
+     * @return {Promise}
+     */
+    var setGlowBlurCommand = function (document, layers, glowIndex, blur, type) {
+        return _upsertLayerEffectProperties.call(
+            this, document, layers, glowIndex, { blur: blur }, null, type);
+    };
+
+    /**
+     * Set the glow spread (or, for inner glows, choke) for the given layers
+     * 
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layer>} layers list of layers to update
+     * @param {number} glowIndex index of the glow within the layer(s)
+     * @param {number} spread spread as a percentage
+     * @param {string} type Either "outerGlow" or "innerGlow"
+     * @return {Promise}
+     */
+    var setGlowSpreadCommand = function (document, layers, glowIndex, spread, type) {
+        return _upsertLayerEffectProperties.call(
+            this, document, layers, glowIndex, { spread: spread }, null, type);
+    };
+
+    /**
+     * Add a new color overlay to the given non-vector layers. Vector layers
+     * are ignored; their color overlays are added with shapes.addFill.
+     * 
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layer>} layers list of layers to update
+     * @return {Promise}
+     */
+    var addColorOverlayCommand = function (document, layers) {
+        layers = _nonVectorLayers(layers);
+        if (layers.isEmpty()) {
+            return Promise.resolve();
+        }
+
+        return _upsertLayerEffectProperties.call(
+            this, document, layers, null, { enabled: true }, undefined, "solidFill");
+    };
+
+    /**
+     * Set the color overlay enabled flag for the given non-vector layers
+     * 
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layer>} layers list of layers to update
+     * @param {number} overlayIndex index of the color overlay within the layer(s)
+     * @param {boolean} enabled enabled flag
+     * @return {Promise}
+     */
+    var setColorOverlayEnabledCommand = function (document, layers, overlayIndex, enabled) {
+        layers = _nonVectorLayers(layers);
+        if (layers.isEmpty()) {
+            return Promise.resolve();
+        }
+
+        return _upsertLayerEffectProperties.call(
+            this, document, layers, overlayIndex, { enabled: enabled }, 0, "solidFill");
+    };
+
+    /**
+     * Set the color overlay alpha value for the given non-vector layers.
+     * Preserves the opaque color.
+     *
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layer>} layers list of layers to update
+     * @param {number} overlayIndex index of the color overlay within the layer(s)
+     * @param {number} alpha alpha value of the color overlay
+     * @param {boolean=} coalesce Whether to coalesce this operation's history state
+     * @return {Promise}
+     */
+    var setColorOverlayAlphaCommand = function (document, layers, overlayIndex, alpha, coalesce) {
+        layers = _nonVectorLayers(layers);
+        if (layers.isEmpty()) {
+            return Promise.resolve();
+        }
+
+        return _setLayerEffectAlpha.call(this, document, layers, overlayIndex, alpha, coalesce, "solidFill");
+    };
+
+    /**
+     * Set the color overlay color for the given non-vector layers
+     * 
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layer>} layers list of layers to update
+     * @param {number} overlayIndex index of the color overlay within the layer(s)
+     * @param {Color} color color of the overlay
+     * @param {boolean=} coalesce Whether to coalesce this operation's history state
+     * @param {boolean=} ignoreAlpha Whether to ignore the alpha value of the
+     *  given color and only update the opaque color value.
+     * @return {Promise}
+     */
+    var setColorOverlayColorCommand = function (document, layers, overlayIndex, color, coalesce, ignoreAlpha) {
+        layers = _nonVectorLayers(layers);
+        if (layers.isEmpty()) {
+            return Promise.resolve();
+        }
+
+        return _setLayerEffectColor.call(
+            this, document, layers, overlayIndex, color, coalesce, ignoreAlpha, "solidFill");
+    };
+
+    /**
+     * Add a new stroke effect to the given non-vector layers. Vector layers
+     * are ignored; their stroke effects are added with shapes.addStroke.
+     * 
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layer>} layers list of layers to update
+     * @return {Promise}
+     */
+    var addStrokeEffectCommand = function (document, layers) {
+        layers = _nonVectorLayers(layers);
+        if (layers.isEmpty()) {
+            return Promise.resolve();
+        }
+
+        return _upsertLayerEffectProperties.call(
+            this, document, layers, null, { enabled: true }, undefined, "frameFX");
+    };
+
+    /**
+     * Set the stroke effect enabled flag for the given non-vector layers
+     * 
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layer>} layers list of layers to update
+     * @param {number} strokeIndex index of the stroke effect within the layer(s)
+     * @param {boolean} enabled enabled flag
+     * @return {Promise}
+     */
+    var setStrokeEffectEnabledCommand = function (document, layers, strokeIndex, enabled) {
+        layers = _nonVectorLayers(layers);
+        if (layers.isEmpty()) {
+            return Promise.resolve();
+        }
+
+        return _upsertLayerEffectProperties.call(
+            this, document, layers, strokeIndex, { enabled: enabled }, 0, "frameFX");
+    };
+
+    /**
+     * Set the stroke effect alpha value for the given non-vector layers.
+     * Preserves the opaque color.
+     *
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layer>} layers list of layers to update
+     * @param {number} strokeIndex index of the stroke effect within the layer(s)
+     * @param {number} alpha alpha value of the stroke effect
+     * @param {boolean=} coalesce Whether to coalesce this operation's history state
+     * @return {Promise}
+     */
+    var setStrokeEffectAlphaCommand = function (document, layers, strokeIndex, alpha, coalesce) {
+        layers = _nonVectorLayers(layers);
+        if (layers.isEmpty()) {
+            return Promise.resolve();
+        }
+
+        return _setLayerEffectAlpha.call(this, document, layers, strokeIndex, alpha, coalesce, "frameFX");
+    };
+
+    /**
+     * Set the stroke effect color for the given non-vector layers
+     * 
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layer>} layers list of layers to update
+     * @param {number} strokeIndex index of the stroke effect within the layer(s)
+     * @param {Color} color color of the stroke effect
+     * @param {boolean=} coalesce Whether to coalesce this operation's history state
+     * @param {boolean=} ignoreAlpha Whether to ignore the alpha value of the
+     *  given color and only update the opaque color value.
+     * @return {Promise}
+     */
+    var setStrokeEffectColorCommand = function (document, layers, strokeIndex, color, coalesce, ignoreAlpha) {
+        layers = _nonVectorLayers(layers);
+        if (layers.isEmpty()) {
+            return Promise.resolve();
+        }
+
+        return _setLayerEffectColor.call(
+            this, document, layers, strokeIndex, color, coalesce, ignoreAlpha, "frameFX");
+    };
+
+    /**
+     * Set the stroke effect width for the given non-vector layers
+     * 
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layer>} layers list of layers to update
+     * @param {number} strokeIndex index of the stroke effect within the layer(s)
+     * @param {number} width width in pixels
+     * @return {Promise}
+     */
+    var setStrokeEffectWidthCommand = function (document, layers, strokeIndex, width) {
+        layers = _nonVectorLayers(layers);
+        if (layers.isEmpty()) {
+            return Promise.resolve();
+        }
+
+        return _upsertLayerEffectProperties.call(
+            this, document, layers, strokeIndex, { width: width }, null, "frameFX");
+    };
+
+    /**
+     * Set the stroke effect position for the given non-vector layers
+     * 
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layer>} layers list of layers to update
+     * @param {number} strokeIndex index of the stroke effect within the layer(s)
+     * @param {string} position Either "INSIDE", "CENTER" or "OUTSIDE"
+     * @return {Promise}
+     */
+    var setStrokeEffectPositionCommand = function (document, layers, strokeIndex, position) {
+        layers = _nonVectorLayers(layers);
+        if (layers.isEmpty()) {
+            return Promise.resolve();
+        }
+
+        return _upsertLayerEffectProperties.call(
+            this, document, layers, strokeIndex, { position: position }, null, "frameFX");
+    };
+
     var addShadow = {
         command: addShadowCommand,
         reads: [locks.PS_DOC, locks.JS_DOC],
@@ -332,6 +768,244 @@ define(function (require, exports) {
         writes: [locks.PS_DOC, locks.JS_DOC]
     };
 
+    var removeShadow = {
+        command: removeShadowCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "shadowIndex", type: schema.range(0), description: "Index of the shadow within each layer" },
+            { name: "type", type: schema.oneOf(["dropShadow", "innerShadow"]) }
+        ],
+        reads: [locks.PS_DOC, locks.JS_DOC],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    var reorderShadow = {
+        command: reorderShadowCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "shadowIndex", type: schema.range(0), description: "Index of the shadow within each layer" },
+            { name: "targetIndex", type: schema.range(0) },
+            { name: "type", type: schema.oneOf(["dropShadow", "innerShadow"]) }
+        ],
+        reads: [locks.PS_DOC, locks.JS_DOC],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    var duplicateShadow = {
+        command: duplicateShadowCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "shadowIndex", type: schema.range(0), description: "Index of the shadow within each layer" },
+            { name: "type", type: schema.oneOf(["dropShadow", "innerShadow"]) }
+        ],
+        reads: [locks.PS_DOC, locks.JS_DOC],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    var addGlow = {
+        command: addGlowCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "type", type: schema.oneOf(["outerGlow", "innerGlow"]) }
+        ],
+        reads: [locks.PS_DOC, locks.JS_DOC],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    var setGlowEnabled = {
+        command: setGlowEnabledCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "glowIndex", type: schema.range(0), description: "Index of the glow within each layer" },
+            { name: "enabled", type: schema.boolean },
+            { name: "type", type: schema.oneOf(["outerGlow", "innerGlow"]) }
+        ],
+        reads: [locks.PS_DOC, locks.JS_DOC],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    var setGlowAlpha = {
+        command: setGlowAlphaCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "glowIndex", type: schema.range(0), description: "Index of the glow within each layer" },
+            { name: "alpha", type: schema.range(0, 1) },
+            { name: "coalesce", type: schema.optional(schema.boolean) },
+            { name: "type", type: schema.oneOf(["outerGlow", "innerGlow"]) }
+        ],
+        reads: [locks.PS_DOC, locks.JS_DOC],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    var setGlowColor = {
+        command: setGlowColorCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "glowIndex", type: schema.range(0), description: "Index of the glow within each layer" },
+            { name: "color", type: schema.Color },
+            { name: "coalesce", type: schema.optional(schema.boolean) },
+            { name: "ignoreAlpha", type: schema.optional(schema.boolean) },
+            { name: "type", type: schema.oneOf(["outerGlow", "innerGlow"]) }
+        ],
+        reads: [locks.PS_DOC, locks.JS_DOC],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    var setGlowBlur = {
+        command: setGlowBlurCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "glowIndex", type: schema.range(0), description: "Index of the glow within each layer" },
+            { name: "blur", type: schema.range(0), description: "Blur size in pixels" },
+            { name: "type", type: schema.oneOf(["outerGlow", "innerGlow"]) }
+        ],
+        reads: [locks.PS_DOC, locks.JS_DOC],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    var setGlowSpread = {
+        command: setGlowSpreadCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "glowIndex", type: schema.range(0), description: "Index of the glow within each layer" },
+            { name: "spread", type: schema.range(0, 100), description: "Spread as a percentage" },
+            { name: "type", type: schema.oneOf(["outerGlow", "innerGlow"]) }
+        ],
+        reads: [locks.PS_DOC, locks.JS_DOC],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    var addColorOverlay = {
+        command: addColorOverlayCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) }
+        ],
+        reads: [locks.PS_DOC, locks.JS_DOC],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    var setColorOverlayEnabled = {
+        command: setColorOverlayEnabledCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "overlayIndex", type: schema.range(0), description: "Index of the overlay within each layer" },
+            { name: "enabled", type: schema.boolean }
+        ],
+        reads: [locks.PS_DOC, locks.JS_DOC],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    var setColorOverlayAlpha = {
+        command: setColorOverlayAlphaCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "overlayIndex", type: schema.range(0), description: "Index of the overlay within each layer" },
+            { name: "alpha", type: schema.range(0, 1) },
+            { name: "coalesce", type: schema.optional(schema.boolean) }
+        ],
+        reads: [locks.PS_DOC, locks.JS_DOC],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    var setColorOverlayColor = {
+        command: setColorOverlayColorCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "overlayIndex", type: schema.range(0), description: "Index of the overlay within each layer" },
+            { name: "color", type: schema.Color },
+            { name: "coalesce", type: schema.optional(schema.boolean) },
+            { name: "ignoreAlpha", type: schema.optional(schema.boolean) }
+        ],
+        reads: [locks.PS_DOC, locks.JS_DOC],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    var addStrokeEffect = {
+        command: addStrokeEffectCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) }
+        ],
+        reads: [locks.PS_DOC, locks.JS_DOC],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    var setStrokeEffectEnabled = {
+        command: setStrokeEffectEnabledCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "strokeIndex", type: schema.range(0), description: "Index of the stroke effect within each layer" },
+            { name: "enabled", type: schema.boolean }
+        ],
+        reads: [locks.PS_DOC, locks.JS_DOC],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    var setStrokeEffectAlpha = {
+        command: setStrokeEffectAlphaCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "strokeIndex", type: schema.range(0), description: "Index of the stroke effect within each layer" },
+            { name: "alpha", type: schema.range(0, 1) },
+            { name: "coalesce", type: schema.optional(schema.boolean) }
+        ],
+        reads: [locks.PS_DOC, locks.JS_DOC],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    var setStrokeEffectColor = {
+        command: setStrokeEffectColorCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "strokeIndex", type: schema.range(0), description: "Index of the stroke effect within each layer" },
+            { name: "color", type: schema.Color },
+            { name: "coalesce", type: schema.optional(schema.boolean) },
+            { name: "ignoreAlpha", type: schema.optional(schema.boolean) }
+        ],
+        reads: [locks.PS_DOC, locks.JS_DOC],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    var setStrokeEffectWidth = {
+        command: setStrokeEffectWidthCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "strokeIndex", type: schema.range(0), description: "Index of the stroke effect within each layer" },
+            { name: "width", type: schema.range(1, 250), description: "Stroke width in pixels" }
+        ],
+        reads: [locks.PS_DOC, locks.JS_DOC],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    var setStrokeEffectPosition = {
+        command: setStrokeEffectPositionCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "strokeIndex", type: schema.range(0), description: "Index of the stroke effect within each layer" },
+            { name: "position", type: schema.oneOf(["INSIDE", "CENTER", "OUTSIDE"]) }
+        ],
+        reads: [locks.PS_DOC, locks.JS_DOC],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
     exports.addShadow = addShadow;
     exports.setShadowEnabled = setShadowEnabled;
     exports.setShadowAlpha = setShadowAlpha;
@@ -340,4 +1014,23 @@ define(function (require, exports) {
     exports.setShadowY = setShadowY;
     exports.setShadowBlur = setShadowBlur;
     exports.setShadowSpread = setShadowSpread;
+    exports.removeShadow = removeShadow;
+    exports.reorderShadow = reorderShadow;
+    exports.duplicateShadow = duplicateShadow;
+    exports.addGlow = addGlow;
+    exports.setGlowEnabled = setGlowEnabled;
+    exports.setGlowAlpha = setGlowAlpha;
+    exports.setGlowColor = setGlowColor;
+    exports.setGlowBlur = setGlowBlur;
+    exports.setGlowSpread = setGlowSpread;
+    exports.addColorOverlay = addColorOverlay;
+    exports.setColorOverlayEnabled = setColorOverlayEnabled;
+    exports.setColorOverlayAlpha = setColorOverlayAlpha;
+    exports.setColorOverlayColor = setColorOverlayColor;
+    exports.addStrokeEffect = addStrokeEffect;
+    exports.setStrokeEffectEnabled = setStrokeEffectEnabled;
+    exports.setStrokeEffectAlpha = setStrokeEffectAlpha;
+    exports.setStrokeEffectColor = setStrokeEffectColor;
+    exports.setStrokeEffectWidth = setStrokeEffectWidth;
+    exports.setStrokeEffectPosition = setStrokeEffectPosition;
 });
@@ -45,6 +45,7 @@ define(function (require, exports) {
         locks = require("js/locks"),
         locking = require("js/util/locking"),
         headlights = require("js/util/headlights"),
+        schema = require("js/util/schema"),
         strings = require("i18n!nls/strings");
 
     var PS_MAX_NEST_DEPTH = 9;
@@ -352,12 +353,15 @@ define(function (require, exports) {
 
     /**
      * Emit RESET_LAYERS with layer descriptors for all given layers.
+     * Based on withHistory, emit the correct flavor of event
      *
      * @param {Document} document
      * @param {Immutable.Iterable.<Layer>} layers
+     * @param {boolean=} withHistory Optional. If true, emit an event that pushes a history state,
+     *  e.g. after playing commands that create Photoshop history states
      * @return {Promise}
      */
-    var resetLayersCommand = function (document, layers) {
+    var resetLayersCommand = function (document, layers, withHistory) {
         var layerRefs = layers.map(function (layer) {
             return [
                 documentLib.referenceBy.id(document.id),
@@ -379,7 +383,12 @@ define(function (require, exports) {
                         descriptor: descriptors[index++]
                     };
                 });
-                this.dispatch(events.document.RESET_LAYERS, payload);
+
+                if (withHistory) {
+                    this.dispatch(events.document.history.nonOptimistic.RESET_LAYERS, payload);
+                } else {
+                    this.dispatch(events.document.RESET_LAYERS, payload);
+                }
             });
     };
 
@@ -1521,6 +1530,11 @@ define(function (require, exports) {
 
     var selectLayer = {
         command: selectLayerCommand,
+        params: [
+            { name: "document", type: schema.Document, description: "Owner document" },
+            { name: "layerSpec", type: schema.anyOf([schema.Layer, schema.iterableOf(schema.Layer)]) },
+            { name: "modifier", type: schema.optional(schema.oneOf(["select", "deselect", "add", "addUpTo"])) }
+        ],
         reads: [locks.PS_DOC, locks.JS_DOC],
         writes: [locks.PS_DOC, locks.JS_DOC],
         post: [_verifyLayerSelection]
@@ -1528,12 +1542,20 @@ define(function (require, exports) {
 
     var rename = {
         command: renameLayerCommand,
+        params: [
+            { name: "document", type: schema.Document, description: "Owner document" },
+            { name: "layer", type: schema.Layer },
+            { name: "newName", type: schema.string }
+        ],
         reads: [locks.PS_DOC, locks.JS_DOC],
         writes: [locks.PS_DOC, locks.JS_DOC]
     };
 
     var selectAll = {
         command: selectAllLayersCommand,
+        params: [
+            { name: "document", type: schema.Document }
+        ],
         reads: [locks.PS_DOC, locks.JS_DOC],
         writes: [locks.PS_DOC, locks.JS_DOC],
         post: [_verifyLayerSelection]
@@ -1541,6 +1563,9 @@ define(function (require, exports) {
 
     var deselectAll = {
         command: deselectAllLayersCommand,
+        params: [
+            { name: "document", type: schema.Document }
+        ],
         reads: [locks.PS_DOC, locks.JS_DOC],
         writes: [locks.PS_DOC, locks.JS_DOC],
         post: [_verifyLayerSelection]
@@ -1555,6 +1580,9 @@ define(function (require, exports) {
 
     var groupSelected = {
         command: groupSelectedLayersCommand,
+        params: [
+            { name: "document", type: schema.Document }
+        ],
         reads: [locks.PS_DOC, locks.JS_DOC],
         writes: [locks.PS_DOC, locks.JS_DOC],
         post: [_verifyLayerIndex, _verifyLayerSelection]
@@ -1568,6 +1596,9 @@ define(function (require, exports) {
 
     var ungroupSelected = {
         command: ungroupSelectedCommand,
+        params: [
+            { name: "document", type: schema.Document }
+        ],
         reads: [locks.PS_DOC, locks.JS_DOC, locks.JS_APP],
         writes: [locks.PS_DOC, locks.JS_DOC],
         post: [_verifyLayerIndex, _verifyLayerSelection]
@@ -1575,12 +1606,22 @@ define(function (require, exports) {
 
     var setVisibility = {
         command: setVisibilityCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layer", type: schema.Layer },
+            { name: "visible", type: schema.boolean }
+        ],
         reads: [locks.PS_DOC, locks.JS_DOC],
         writes: [locks.PS_DOC, locks.JS_DOC]
     };
 
     var setLocking = {
         command: setLockingCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layer", type: schema.Layer },
+            { name: "locked", type: schema.boolean }
+        ],
         reads: [locks.PS_DOC, locks.JS_DOC],
         writes: [locks.PS_DOC, locks.JS_DOC],
         post: [_verifyLayerIndex, _verifyLayerSelection]
@@ -1588,6 +1629,12 @@ define(function (require, exports) {
 
     var setOpacity = {
         command: setOpacityCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "opacity", type: schema.range(0, 100), description: "Opacity as a percentage" },
+            { name: "coalesce", type: schema.optional(schema.boolean) }
+        ],
         reads: [],
         writes: [locks.PS_DOC, locks.JS_DOC]
     };
@@ -1606,6 +1653,15 @@ define(function (require, exports) {
 
     var reorderLayers = {
         command: reorderLayersCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            {
+                name: "layerSpec",
+                type: schema.anyOf([schema.number, schema.iterableOf(schema.number)]),
+                description: "Layer IDs"
+            },
+            { name: "targetIndex", type: schema.range(0) }
+        ],
         reads: [locks.PS_DOC, locks.JS_DOC],
         writes: [locks.PS_DOC, locks.JS_DOC],
         post: [_verifyLayerIndex, _verifyLayerSelection]
@@ -1621,6 +1677,11 @@ define(function (require, exports) {
 
     var setBlendMode = {
         command: setBlendModeCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "mode", type: schema.string, description: "Blend mode ID" }
+        ],
         reads: [locks.PS_DOC, locks.JS_DOC],
         writes: [locks.PS_DOC, locks.JS_DOC]
     };
@@ -1658,6 +1719,11 @@ define(function (require, exports) {
 
     var setProportional = {
         command: setProportionalCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layerSpec", type: schema.iterableOf(schema.Layer) },
+            { name: "proportional", type: schema.optional(schema.boolean) }
+        ],
         reads: [locks.PS_DOC, locks.JS_DOC],
         writes: [locks.PS_DOC, locks.JS_DOC]
     };
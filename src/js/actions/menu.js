@@ -24,9 +24,11 @@
 define(function (require, exports) {
     "use strict";
 
-    var Promise = require("bluebird");
+    var Promise = require("bluebird"),
+        _ = require("lodash");
 
     var adapter = require("adapter"),
+        os = require("adapter/os"),
         ps = require("adapter/ps"),
         ui = require("adapter/ps/ui");
 
@@ -35,6 +37,7 @@ define(function (require, exports) {
         system = require("js/util/system"),
         log = require("js/util/log"),
         global = require("js/util/global"),
+        performance = require("js/util/performance"),
         headlights = require("js/util/headlights");
 
     var macMenuJSON = require("text!static/menu-mac.json"),
@@ -157,6 +160,93 @@ define(function (require, exports) {
         return Promise.reject(new Error("Test: corrupt model"));
     };
 
+    /**
+     * Begin recording an action journal, for debugging purposes.
+     *
+     * @private
+     * @return {Promise}
+     */
+    var startJournalCommand = function () {
+        this.controller.startJournal();
+        log.info("Recording action journal");
+
+        return Promise.resolve();
+    };
+
+    /**
+     * Stop recording the current action journal, if any, and copy it to the
+     * clipboard as JSON, for debugging purposes.
+     *
+     * @private
+     * @return {Promise}
+     */
+    var stopJournalCommand = function () {
+        var journal = this.controller.stopJournal();
+        if (!journal) {
+            return Promise.resolve();
+        }
+
+        log.info("Copying action journal with %d actions to the clipboard", journal.size());
+        return os.clipboardWrite(JSON.stringify(journal));
+    };
+
+    /**
+     * Replay the action journal on the clipboard, for debugging purposes.
+     *
+     * @private
+     * @return {Promise}
+     */
+    var replayJournalCommand = function () {
+        return os.clipboardRead()
+            .bind(this)
+            .then(function (result) {
+                if (result.format !== "string") {
+                    throw new Error("No action journal on the clipboard");
+                }
+
+                return this.controller.replayJournal(result.data);
+            })
+            .then(function (results) {
+                var diverged = results.filter(function (result) {
+                    return !result.matched;
+                });
+
+                log.info("Replayed %d journaled actions; %d diverged", results.length, diverged.length);
+            });
+    };
+
+    /**
+     * Log a summary of the time actions have spent waiting for locks held by
+     * other actions, and copy the full report to the clipboard as JSON, for
+     * debugging purposes.
+     *
+     * @private
+     * @return {Promise}
+     */
+    var lockContentionReportCommand = function () {
+        var report = performance.getLockContentionReport();
+
+        performance.printLockContention();
+        log.info("Copying lock contention report with %d entries to the clipboard", report.length);
+
+        return os.clipboardWrite(JSON.stringify(report, null, 2));
+    };
+
+    /**
+     * Copy Markdown documentation of the action API, generated from the
+     * parameter schemas declared by the actions, to the clipboard.
+     *
+     * @private
+     * @return {Promise}
+     */
+    var copyAPIDocsCommand = function () {
+        var docs = this.controller.generateAPIDocs();
+
+        log.info("Copying action API documentation to the clipboard");
+
+        return os.clipboardWrite(docs);
+    };
+
     /**
      * Resolve an action path into a callable action function
      *
@@ -185,6 +275,96 @@ define(function (require, exports) {
         return Promise.resolve();
     };
 
+    /**
+     * A menu entry added at runtime, e.g., by a plugin.
+     *
+     * @typedef {object} MenuEntry
+     * @property {string} parent The dot-separated ID of the submenu to which the
+     *  entry is appended, e.g., "HELP"
+     * @property {object} entry The raw menu entry. Because it is not described by
+     *  the string table, it should specify its own label.
+     * @property {object} action The raw menu action descriptor, e.g.,
+     *  { "$action": "module.action", "$enable-rule": "always" }
+     */
+
+    /**
+     * Menu entries added at runtime, in the order in which they were added.
+     *
+     * @private
+     * @type {Array.<MenuEntry>}
+     */
+    var _addedMenuEntries = [];
+
+    /**
+     * Dispatch the menu descriptors, including all added menu entries, to the
+     * menu store. The raw descriptors are copied because the menu store
+     * incorporates templates into the objects it is given.
+     *
+     * @private
+     */
+    var _initMenus = function () {
+        var menus = _.cloneDeep(rawMenuObj),
+            actions = _.cloneDeep(rawMenuActions);
+
+        _addedMenuEntries.forEach(function (menuEntry) {
+            var path = menuEntry.parent.split("."),
+                submenu = path.reduce(function (items, id) {
+                    var item = _.find(items, "id", id);
+                    if (!item || !item.submenu) {
+                        throw new Error("Unknown menu: " + menuEntry.parent);
+                    }
+
+                    return item.submenu;
+                }, menus.menu),
+                submenuActions = path.reduce(function (actions, id) {
+                    if (!actions.hasOwnProperty(id)) {
+                        actions[id] = {};
+                    }
+
+                    return actions[id];
+                }, actions);
+
+            submenu.push(menuEntry.entry);
+            submenuActions[menuEntry.entry.id] = menuEntry.action;
+        });
+
+        this.dispatch(events.menus.INIT_MENUS, {
+            menus: menus,
+            templates: rawTemplates,
+            actions: actions
+        });
+    };
+
+    /**
+     * Add entries, e.g., those contributed by a plugin, to the application menu.
+     *
+     * @param {Array.<MenuEntry>} menuEntries
+     * @return {Promise}
+     */
+    var addMenuEntriesCommand = function (menuEntries) {
+        _addedMenuEntries = _addedMenuEntries.concat(menuEntries);
+        _initMenus.call(this);
+
+        this.dispatch(events.menus.UPDATE_MENUS);
+
+        return Promise.resolve();
+    };
+
+    /**
+     * Remove previously added entries from the application menu.
+     *
+     * @param {Array.<MenuEntry>} menuEntries
+     * @return {Promise}
+     */
+    var removeMenuEntriesCommand = function (menuEntries) {
+        _addedMenuEntries = _.difference(_addedMenuEntries, menuEntries);
+        _initMenus.call(this);
+
+        this.dispatch(events.menus.UPDATE_MENUS);
+
+        return Promise.resolve();
+    };
+
     /**
      * Event handlers initialized in beforeStartup.
      *
@@ -217,11 +397,7 @@ define(function (require, exports) {
         this.flux.store("menu").on("change", _menuChangeHandler);
 
         // Menu store waits for this event to parse descriptors
-        this.dispatch(events.menus.INIT_MENUS, {
-            menus: rawMenuObj,
-            templates: rawTemplates,
-            actions: rawMenuActions
-        });
+        _initMenus.call(this);
 
         // Menu item clicks come to us from Photoshop through this event
         var controller = this.controller;
@@ -270,6 +446,7 @@ define(function (require, exports) {
     var onResetCommand = function () {
         ui.removeListener("menu", _adapterMenuHandler);
         this.flux.store("menu").removeListener("change", _menuChangeHandler);
+        _addedMenuEntries = [];
 
         // For debugging purposes only
         if (_failOnReset) {
@@ -282,14 +459,16 @@ define(function (require, exports) {
     var native = {
         command: nativeCommand,
         reads: locks.ALL_PS_LOCKS,
-        writes: locks.ALL_PS_LOCKS
+        writes: locks.ALL_PS_LOCKS,
+        hardTimeout: Infinity
     };
 
     var nativeModal = {
         command: nativeCommand,
         reads: locks.ALL_PS_LOCKS,
         writes: locks.ALL_PS_LOCKS,
-        modal: true
+        modal: true,
+        hardTimeout: Infinity
     };
 
     var openURL = {
@@ -297,7 +476,8 @@ define(function (require, exports) {
     };
 
     var runTests = {
-        command: runTestsCommand
+        command: runTestsCommand,
+        hardTimeout: Infinity
     };
 
     var actionFailure = {
@@ -316,6 +496,52 @@ define(function (require, exports) {
         command: resetRecessCommand
     };
 
+    var startJournal = {
+        command: startJournalCommand,
+        reads: [],
+        writes: [],
+        journal: false
+    };
+
+    var stopJournal = {
+        command: stopJournalCommand,
+        reads: [],
+        writes: [],
+        journal: false
+    };
+
+    var replayJournal = {
+        command: replayJournalCommand,
+        reads: [],
+        writes: [],
+        journal: false,
+        hardTimeout: Infinity
+    };
+
+    var lockContentionReport = {
+        command: lockContentionReportCommand,
+        reads: [],
+        writes: []
+    };
+
+    var copyAPIDocs = {
+        command: copyAPIDocsCommand,
+        reads: [],
+        writes: []
+    };
+
+    var addMenuEntries = {
+        command: addMenuEntriesCommand,
+        reads: [locks.JS_MENU],
+        writes: [locks.JS_MENU, locks.PS_MENU]
+    };
+
+    var removeMenuEntries = {
+        command: removeMenuEntriesCommand,
+        reads: [locks.JS_MENU],
+        writes: [locks.JS_MENU, locks.PS_MENU]
+    };
+
     var beforeStartup = {
         command: beforeStartupCommand,
         reads: [locks.JS_MENU],
@@ -336,6 +562,13 @@ define(function (require, exports) {
     exports.resetFailure = resetFailure;
     exports.corruptModel = corruptModel;
     exports.resetRecess = resetRecess;
+    exports.startJournal = startJournal;
+    exports.stopJournal = stopJournal;
+    exports.replayJournal = replayJournal;
+    exports.lockContentionReport = lockContentionReport;
+    exports.copyAPIDocs = copyAPIDocs;
+    exports.addMenuEntries = addMenuEntries;
+    exports.removeMenuEntries = removeMenuEntries;
 
     exports.beforeStartup = beforeStartup;
     exports.onReset = onReset;
@@ -25,20 +25,25 @@ define(function (require, exports) {
     "use strict";
 
     var Promise = require("bluebird"),
-        Immutable = require("immutable");
+        Immutable = require("immutable"),
+        _ = require("lodash");
 
     var descriptor = require("adapter/ps/descriptor"),
         layerLib = require("adapter/lib/layer"),
         pathLib = require("adapter/lib/path"),
         documentLib = require("adapter/lib/document"),
-        contentLayerLib = require("adapter/lib/contentLayer");
+        contentLayerLib = require("adapter/lib/contentLayer"),
+        layerEffectLib = require("adapter/lib/layerEffect");
 
-    var events = require("../events"),
+    var Fill = require("js/models/fill"),
+        Stroke = require("js/models/stroke"),
+        events = require("../events"),
         locks = require("js/locks"),
         layerActions = require("./layers"),
         collection = require("js/util/collection"),
         objUtil = require("js/util/object"),
         layerActionsUtil = require("js/util/layeractions"),
+        schema = require("js/util/schema"),
         strings = require("i18n!nls/strings");
 
     /**
@@ -162,6 +167,279 @@ define(function (require, exports) {
     };
 
 
+    /**
+     * Build the play object which replaces the layer effects of the given type
+     * on the given layer, i.e., the color overlays or stroke effects which back
+     * all but the first of its fills or strokes.
+     *
+     * @private
+     * @param {Layer} layer
+     * @param {string} type Either Fill.EFFECT_TYPE or Stroke.EFFECT_TYPE
+     * @param {Immutable.Iterable.<object>} adapterObjects
+     * @return {PlayObject}
+     */
+    var _layerEffectPlayObject = function (layer, type, adapterObjects) {
+        var referenceID = layerEffectLib.referenceBy.id(layer.id);
+
+        if (layer.hasLayerEffect) {
+            return layerEffectLib.setExtendedLayerEffect(type, referenceID, adapterObjects.toArray());
+        } else {
+            return layerEffectLib.setLayerEffect(type, referenceID, adapterObjects.toArray());
+        }
+    };
+
+    /**
+     * Build the play objects which set a shape's own fill from the given solid color fill.
+     *
+     * @private
+     * @param {Fill} fill
+     * @return {Array.<PlayObject>}
+     */
+    var _shapeFillPlayObjects = function (fill) {
+        var contentLayerRef = contentLayerLib.referenceBy.current,
+            layerRef = layerLib.referenceBy.current;
+
+        if (!fill.enabled) {
+            return [contentLayerLib.setShapeFillTypeSolidColor(contentLayerRef, null)];
+        }
+
+        return [
+            contentLayerLib.setShapeFillTypeSolidColor(contentLayerRef, fill.color),
+            layerLib.setFillOpacity(layerRef, fill.color.opacity)
+        ];
+    };
+
+    /**
+     * Build the play object which sets a shape's own fill to the given gradient
+     * or pattern fill contents, e.g., a gradientLayer or patternLayer descriptor.
+     *
+     * @private
+     * @param {object} fillContents
+     * @return {PlayObject}
+     */
+    var _shapeFillContentsPlayObject = function (fillContents) {
+        return {
+            command: "set",
+            descriptor: {
+                "null": contentLayerLib.referenceBy.current,
+                "to": {
+                    _obj: "shapeStyle",
+                    fillContents: fillContents
+                }
+            }
+        };
+    };
+
+    /**
+     * Build the play object which sets the given line style properties, i.e.,
+     * some of dashes, cap, join and miter limit, of a shape's own stroke.
+     *
+     * @private
+     * @param {Stroke|object} lineStyle
+     * @return {PlayObject}
+     */
+    var _strokeLineStylePlayObject = function (lineStyle) {
+        return {
+            command: "set",
+            descriptor: {
+                "null": contentLayerLib.referenceBy.current,
+                "to": {
+                    _obj: "shapeStyle",
+                    strokeStyle: Stroke.toLineStyleDescriptor(lineStyle)
+                }
+            }
+        };
+    };
+
+    /**
+     * Build the play objects which set a shape's own stroke from the given solid color stroke.
+     *
+     * @private
+     * @param {Stroke} stroke
+     * @return {Array.<PlayObject>}
+     */
+    var _shapeStrokePlayObjects = function (stroke) {
+        var layerRef = contentLayerLib.referenceBy.current;
+
+        if (!stroke.enabled) {
+            return [contentLayerLib.setStrokeFillTypeSolidColor(layerRef, null)];
+        }
+
+        var playObjects = [
+            contentLayerLib.setStrokeFillTypeSolidColor(layerRef, stroke.color.toJS()),
+            contentLayerLib.setShapeStrokeWidth(layerRef, stroke.width),
+            contentLayerLib.setStrokeOpacity(layerRef, stroke.color.opacity)
+        ];
+
+        if (stroke.alignment) {
+            playObjects.push(contentLayerLib.setStrokeAlignment(layerRef, stroke.alignment));
+        }
+
+        return playObjects.concat(_strokeLineStylePlayObject(stroke));
+    };
+
+    /**
+     * Optimistically change the fills of the given layers, and then update
+     * Photoshop with each layer's next fills: the shape's own fill, if it
+     * changed, and the color overlays which back the rest.
+     *
+     * @private
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layer>} layers
+     * @param {function(Immutable.List.<Fill>): Immutable.List.<Fill>} getNextFills
+     * @param {string} eventName name of the optimistic event to dispatch
+     * @param {object} payload event-specific payload properties
+     * @param {string} historyName name of the resulting history state
+     * @param {boolean=} coalesce Whether to coalesce this operation's history state
+     * @return {Promise}
+     */
+    var _updateFills = function (document, layers, getNextFills, eventName, payload, historyName, coalesce) {
+        if (layers.isEmpty()) {
+            return Promise.resolve();
+        }
+
+        var layerPlayObjects = layers.map(function (layer) {
+            var nextFills = getNextFills(layer.fills),
+                playObjects = [];
+
+            if (!Immutable.is(nextFills.first(), layer.fills.first())) {
+                playObjects = _shapeFillPlayObjects(nextFills.first());
+            }
+
+            playObjects.push(_layerEffectPlayObject(layer, Fill.EFFECT_TYPE, nextFills.rest().map(function (fill) {
+                return fill.toColorOverlayAdapterObject();
+            })));
+
+            return {
+                layer: layer,
+                playObject: playObjects
+            };
+        }).toList();
+
+        var dispatchPromise = this.dispatchAsync(eventName, _.assign({
+                documentID: document.id,
+                layerIDs: collection.pluck(layers, "id"),
+                coalesce: coalesce
+            }, payload)),
+            documentRef = documentLib.referenceBy.id(document.id),
+            options = this.prepareOptions(_options(documentRef, historyName, coalesce)),
+            playPromise = layerActionsUtil.playLayerActions(document, layerPlayObjects, true, options);
+
+        return Promise.join(dispatchPromise, playPromise);
+    };
+
+    /**
+     * Optimistically change the strokes of the given layers, and then update
+     * Photoshop with each layer's next strokes: the shape's own stroke, if it
+     * changed, and the stroke effects which back the rest. Because the shape's
+     * own stroke affects the layer bounds, those are reset if it changed.
+     *
+     * @private
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layer>} layers
+     * @param {function(Immutable.List.<Stroke>): Immutable.List.<Stroke>} getNextStrokes
+     * @param {string} eventName name of the event to dispatch
+     * @param {object} payload event-specific payload properties
+     * @param {string} historyName name of the resulting history state
+     * @param {boolean=} coalesce Whether to coalesce this operation's history state
+     * @return {Promise}
+     */
+    var _updateStrokes = function (document, layers, getNextStrokes, eventName, payload, historyName, coalesce) {
+        if (layers.isEmpty()) {
+            return Promise.resolve();
+        }
+
+        var boundsChanging = false,
+            layerPlayObjects = layers.map(function (layer) {
+                var nextStrokes = getNextStrokes(layer.strokes),
+                    playObjects = [];
+
+                if (!Immutable.is(nextStrokes.first(), layer.strokes.first())) {
+                    playObjects = _shapeStrokePlayObjects(nextStrokes.first());
+                    boundsChanging = true;
+                }
+
+                playObjects.push(_layerEffectPlayObject(layer, Stroke.EFFECT_TYPE,
+                    nextStrokes.rest().map(function (stroke) {
+                        return stroke.toStrokeEffectAdapterObject();
+                    })));
+
+                return {
+                    layer: layer,
+                    playObject: playObjects
+                };
+            }).toList();
+
+        var dispatchPromise = this.dispatchAsync(eventName, _.assign({
+                documentID: document.id,
+                layerIDs: collection.pluck(layers, "id"),
+                coalesce: coalesce
+            }, payload)),
+            documentRef = documentLib.referenceBy.id(document.id),
+            options = this.prepareOptions(_options(documentRef, historyName, coalesce)),
+            playPromise = layerActionsUtil.playLayerActions(document, layerPlayObjects, true, options);
+
+        return Promise.join(dispatchPromise, playPromise, function () {
+            if (boundsChanging) {
+                return this.transfer(layerActions.resetBounds, document, layers);
+            }
+        }.bind(this));
+    };
+
+    /**
+     * Set properties of the color overlay-backed fill at the given index, which
+     * must be greater than zero, of those given layers which have such a fill.
+     *
+     * @private
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layer>} layers
+     * @param {number} fillIndex
+     * @param {object} fillProperties a pseudo fill object containing only new props
+     * @param {string} eventName name of the optimistic event to dispatch
+     * @param {string} historyName name of the resulting history state
+     * @param {boolean=} coalesce Whether to coalesce this operation's history state
+     * @return {Promise}
+     */
+    var _setFillEffectProperties = function (document, layers, fillIndex, fillProperties, eventName,
+        historyName, coalesce) {
+        var layersWithFill = layers.filter(function (layer) {
+            return layer.fills && layer.fills.has(fillIndex);
+        });
+
+        return _updateFills.call(this, document, layersWithFill, function (fills) {
+            return fills.update(fillIndex, function (fill) {
+                return fill.setFillProperties(fillProperties);
+            });
+        }, eventName, { fillIndex: fillIndex, fillProperties: fillProperties }, historyName, coalesce);
+    };
+
+    /**
+     * Set properties of the stroke effect-backed stroke at the given index, which
+     * must be greater than zero, of those given layers which have such a stroke.
+     *
+     * @private
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layer>} layers
+     * @param {number} strokeIndex
+     * @param {object} strokeProperties a pseudo stroke object containing only new props
+     * @param {string} eventName name of the event to dispatch
+     * @param {string} historyName name of the resulting history state
+     * @param {boolean=} coalesce Whether to coalesce this operation's history state
+     * @return {Promise}
+     */
+    var _setStrokeEffectProperties = function (document, layers, strokeIndex, strokeProperties, eventName,
+        historyName, coalesce) {
+        var layersWithStroke = layers.filter(function (layer) {
+            return layer.strokes && layer.strokes.has(strokeIndex);
+        });
+
+        return _updateStrokes.call(this, document, layersWithStroke, function (strokes) {
+            return strokes.update(strokeIndex, function (stroke) {
+                return stroke.setStrokeProperties(strokeProperties);
+            });
+        }, eventName, { strokeIndex: strokeIndex, strokeProperties: strokeProperties }, historyName, coalesce);
+    };
+
     /**
      * Sets the enabled flag for all selected Layers on a given doc.
      * 
@@ -210,6 +488,12 @@ define(function (require, exports) {
             enabledChanging = true;
         }
 
+        if (strokeIndex > 0) {
+            return _setStrokeEffectProperties.call(this, document, layers, strokeIndex,
+                { enabled: enabled, color: color, ignoreAlpha: ignoreAlpha },
+                eventName, strings.ACTIONS.SET_STROKE_COLOR, coalesce);
+        }
+
         // remove the alpha component based on ignoreAlpha param
         var psColor = color.toJS();
         if (ignoreAlpha) {
@@ -260,6 +544,12 @@ define(function (require, exports) {
      * @return {Promise}
      */
     var setStrokeAlignmentCommand = function (document, layers, strokeIndex, alignmentType) {
+        if (strokeIndex > 0) {
+            return _setStrokeEffectProperties.call(this, document, layers, strokeIndex,
+                { alignment: alignmentType, enabled: true },
+                events.document.STROKE_ALIGNMENT_CHANGED, strings.ACTIONS.SET_STROKE_ALIGNMENT);
+        }
+
         var layerRef = contentLayerLib.referenceBy.current,
             strokeObj = contentLayerLib.setStrokeAlignment(layerRef, alignmentType),
             documentRef = documentLib.referenceBy.id(document.id),
@@ -300,6 +590,13 @@ define(function (require, exports) {
      * @return {Promise}
      */
     var setStrokeOpacityCommand = function (document, layers, strokeIndex, opacity, coalesce) {
+        if (strokeIndex > 0) {
+            return _setStrokeEffectProperties.call(this, document, layers, strokeIndex,
+                { opacity: opacity, enabled: true },
+                events.document.history.optimistic.STROKE_OPACITY_CHANGED, strings.ACTIONS.SET_STROKE_OPACITY,
+                coalesce);
+        }
+
         var layerRef = contentLayerLib.referenceBy.current,
             strokeObj = contentLayerLib.setStrokeOpacity(layerRef, opacity),
             documentRef = documentLib.referenceBy.id(document.id),
@@ -340,6 +637,12 @@ define(function (require, exports) {
      * @return {Promise}
      */
     var setStrokeWidthCommand = function (document, layers, strokeIndex, width) {
+        if (strokeIndex > 0) {
+            return _setStrokeEffectProperties.call(this, document, layers, strokeIndex,
+                { width: width, enabled: true },
+                events.document.STROKE_WIDTH_CHANGED, strings.ACTIONS.SET_STROKE_WIDTH);
+        }
+
         var layerRef = contentLayerLib.referenceBy.current,
             strokeObj = contentLayerLib.setShapeStrokeWidth(layerRef, width),
             documentRef = documentLib.referenceBy.id(document.id),
@@ -372,34 +675,68 @@ define(function (require, exports) {
     };
 
     /**
-     * Add a stroke from scratch
+     * Add a stroke from scratch. Layers which already have a stroke are given an
+     * additional stroke, backed by a stroke layer effect. Mixed selections result
+     * in a single history state.
      * 
      * @param {Document} document
      * @param {Immutable.List.<Layer>} layers list of layers being updating
      * @return {Promise}
      */
     var addStrokeCommand = function (document, layers) {
-        // build the playObject
-        var layerRef = contentLayerLib.referenceBy.current,
-            strokeObj = contentLayerLib.setShapeStrokeWidth(layerRef, 1), // TODO hardcoded default
-            documentRef = documentLib.referenceBy.id(document.id),
-            options = _options(documentRef, strings.ACTIONS.ADD_STROKE);
+        var layersWithStrokes = layers.filter(function (layer) {
+                return layer.strokes && !layer.strokes.isEmpty();
+            }),
+            layersWithoutStrokes = layers.filterNot(function (layer) {
+                return layer.strokes && !layer.strokes.isEmpty();
+            });
 
-        // submit to adapter
-        return layerActionsUtil.playSimpleLayerActions(document, layers, strokeObj, true, options)
-            .bind(this)
-            .then(function (playResponse) {
-                // dispatch information about the newly created stroke
-                var strokeStyleDescriptor = objUtil.getPath(playResponse, "to.strokeStyle"),
-                    payload = {
-                        documentID: document.id,
-                        layerIDs: collection.pluck(layers, "id"),
-                        strokeStyleDescriptor: strokeStyleDescriptor,
-                        strokeIndex: 0
-                    };
+        return this.transaction(function () {
+            var appendPromise = Promise.resolve();
 
-                this.dispatch(events.document.history.nonOptimistic.STROKE_ADDED, payload);
-            });
+            if (!layersWithStrokes.isEmpty()) {
+                var nextStroke = new Stroke({
+                    type: contentLayerLib.contentTypes.SOLID_COLOR,
+                    width: Stroke.DEFAULT_WIDTH,
+                    alignment: "OUTSIDE"
+                });
+
+                appendPromise = _updateStrokes.call(this, document, layersWithStrokes, function (strokes) {
+                    return strokes.push(nextStroke);
+                }, events.document.history.optimistic.STROKE_APPENDED, { stroke: nextStroke },
+                    strings.ACTIONS.ADD_STROKE);
+            }
+
+            if (layersWithoutStrokes.isEmpty()) {
+                return appendPromise;
+            }
+
+            // build the playObject
+            var layerRef = contentLayerLib.referenceBy.current,
+                strokeObj = contentLayerLib.setShapeStrokeWidth(layerRef, Stroke.DEFAULT_WIDTH),
+                documentRef = documentLib.referenceBy.id(document.id),
+                options = _options(documentRef, strings.ACTIONS.ADD_STROKE);
+
+            // submit to adapter
+            return appendPromise
+                .bind(this)
+                .then(function () {
+                    return layerActionsUtil.playSimpleLayerActions(document, layersWithoutStrokes, strokeObj, true,
+                        this.prepareOptions(options));
+                })
+                .then(function (playResponse) {
+                    // dispatch information about the newly created stroke
+                    var strokeStyleDescriptor = objUtil.getPath(playResponse, "to.strokeStyle"),
+                        payload = {
+                            documentID: document.id,
+                            layerIDs: collection.pluck(layersWithoutStrokes, "id"),
+                            strokeStyleDescriptor: strokeStyleDescriptor,
+                            strokeIndex: 0
+                        };
+
+                    this.dispatch(events.document.history.nonOptimistic.STROKE_ADDED, payload);
+                });
+        });
     };
 
     /**
@@ -435,6 +772,12 @@ define(function (require, exports) {
         // if enabled is not provided, assume it is true
         enabled = (enabled === undefined) ? true : enabled;
 
+        if (fillIndex > 0) {
+            return _setFillEffectProperties.call(this, document, layers, fillIndex,
+                { color: color, enabled: enabled, ignoreAlpha: ignoreAlpha },
+                events.document.history.optimistic.FILL_COLOR_CHANGED, strings.ACTIONS.SET_FILL_COLOR, coalesce);
+        }
+
         // dispatch the change event    
         var dispatchPromise = _fillChangeDispatch.call(this,
             document,
@@ -476,6 +819,13 @@ define(function (require, exports) {
      * @return {Promise}
      */
     var setFillOpacityCommand = function (document, layers, fillIndex, opacity, coalesce) {
+        if (fillIndex > 0) {
+            return _setFillEffectProperties.call(this, document, layers, fillIndex,
+                { opacity: opacity, enabled: true },
+                events.document.history.optimistic.FILL_OPACITY_CHANGED, strings.ACTIONS.SET_FILL_OPACITY,
+                coalesce);
+        }
+
         // dispatch the change event
         var dispatchPromise = _fillChangeDispatch.call(this,
             document,
@@ -496,7 +846,118 @@ define(function (require, exports) {
     };
 
     /**
-     * Add a new fill to the specified layers of the specified document.
+     * Optimistically update the fill at the given index of the given layers with
+     * the given fill properties, and play one Photoshop action per layer, built
+     * from each layer's updated fill, to apply the change. Only the shape's own
+     * fill, i.e., the first, can be a gradient or pattern fill.
+     *
+     * @private
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layer>} layers
+     * @param {number} fillIndex index of the fill within the layer(s)
+     * @param {object} fillProperties a pseudo fill object containing only new props
+     * @param {string} eventName name of the optimistic event to dispatch
+     * @param {string} historyName name of the resulting history state
+     * @param {function(Fill): PlayObject} getPlayObject builds the play object from an updated fill
+     * @param {boolean=} coalesce Whether to coalesce this operation's history state
+     * @return {Promise}
+     */
+    var _setFillPropertiesPerLayer = function (document, layers, fillIndex, fillProperties, eventName,
+        historyName, getPlayObject, coalesce) {
+        if (fillIndex > 0) {
+            throw new Error("Unable to set fill properties: only the first fill may be a gradient or pattern");
+        }
+
+        var layerPlayObjects = layers.map(function (layer) {
+            var fill = layer.fills && layer.fills.get(fillIndex);
+
+            if (!fill) {
+                throw new Error("Unable to set fill properties: no fill at index " + fillIndex);
+            }
+
+            return {
+                layer: layer,
+                playObject: getPlayObject(fill.setFillProperties(fillProperties))
+            };
+        }).toList();
+
+        var dispatchPromise = _fillChangeDispatch.call(this,
+                document,
+                layers,
+                fillIndex,
+                fillProperties,
+                eventName,
+                coalesce),
+            documentRef = documentLib.referenceBy.id(document.id),
+            options = this.prepareOptions(_options(documentRef, historyName, coalesce)),
+            playPromise = layerActionsUtil.playLayerActions(document, layerPlayObjects, true, options);
+
+        return Promise.join(dispatchPromise, playPromise);
+    };
+
+    /**
+     * Set the gradient of the fill for the given layers of the given document,
+     * converting solid color and pattern fills to gradient fills. The given
+     * gradient properties are merged into each layer's existing gradient, so
+     * that, e.g., the angle of several different gradients can be set at once.
+     *
+     * @param {Document} document
+     * @param {Immutable.List.<Layer>} layers
+     * @param {number} fillIndex index of the fill within the layer(s)
+     * @param {Gradient|object} gradient A gradient, or a subset of its properties
+     * @param {boolean=} coalesce Whether to coalesce this operation's history state
+     * @return {Promise}
+     */
+    var setFillGradientCommand = function (document, layers, fillIndex, gradient, coalesce) {
+        return _setFillPropertiesPerLayer.call(this,
+            document,
+            layers,
+            fillIndex,
+            { gradient: gradient, enabled: true },
+            events.document.history.optimistic.FILL_GRADIENT_CHANGED,
+            strings.ACTIONS.SET_FILL_GRADIENT,
+            function (fill) {
+                return _shapeFillContentsPlayObject(fill.gradient.toGradientLayerDescriptor());
+            },
+            coalesce);
+    };
+
+    /**
+     * Set the pattern of the fill for the given layers of the given document,
+     * converting solid color and gradient fills to pattern fills. The given
+     * pattern properties are merged into each layer's existing pattern. Fills
+     * that do not already have a pattern must be given a complete pattern
+     * reference, i.e., its preset name and ID.
+     *
+     * @param {Document} document
+     * @param {Immutable.List.<Layer>} layers
+     * @param {number} fillIndex index of the fill within the layer(s)
+     * @param {Pattern|object} pattern A pattern, or a subset of its properties
+     * @param {boolean=} coalesce Whether to coalesce this operation's history state
+     * @return {Promise}
+     */
+    var setFillPatternCommand = function (document, layers, fillIndex, pattern, coalesce) {
+        return _setFillPropertiesPerLayer.call(this,
+            document,
+            layers,
+            fillIndex,
+            { pattern: pattern, enabled: true },
+            events.document.history.optimistic.FILL_PATTERN_CHANGED,
+            strings.ACTIONS.SET_FILL_PATTERN,
+            function (fill) {
+                if (!fill.pattern.id) {
+                    throw new Error("Unable to set fill pattern: no pattern preset specified");
+                }
+
+                return _shapeFillContentsPlayObject(fill.pattern.toPatternLayerDescriptor());
+            },
+            coalesce);
+    };
+
+    /**
+     * Add a new fill to the specified layers of the specified document. Layers
+     * which already have a fill are given an additional fill, backed by a color
+     * overlay layer effect. Mixed selections result in a single history state.
      *
      * @param {Document} document
      * @param {Immutable.List.<Layer>} layers
@@ -504,23 +965,159 @@ define(function (require, exports) {
      * @return {Promise}
      */
     var addFillCommand = function (document, layers, color) {
-        // build the playObject
-        var contentLayerRef = contentLayerLib.referenceBy.current,
-            fillObj = contentLayerLib.setShapeFillTypeSolidColor(contentLayerRef, color),
-            documentRef = documentLib.referenceBy.id(document.id),
-            options = _options(documentRef, strings.ACTIONS.ADD_FILL);
-
-        return layerActionsUtil.playSimpleLayerActions(document, layers, fillObj, true, options)
-            .bind(this)
-            .then(function (setDescriptor) {
-                // dispatch information about the newly created stroke
-                var payload = {
-                        documentID: document.id,
-                        layerIDs: collection.pluck(layers, "id"),
-                        setDescriptor: setDescriptor
-                    };
-                this.dispatch(events.document.history.optimistic.FILL_ADDED, payload);
+        var layersWithFills = layers.filter(function (layer) {
+                return layer.fills && !layer.fills.isEmpty();
+            }),
+            layersWithoutFills = layers.filterNot(function (layer) {
+                return layer.fills && !layer.fills.isEmpty();
             });
+
+        return this.transaction(function () {
+            var appendPromise = Promise.resolve();
+
+            if (!layersWithFills.isEmpty()) {
+                var nextFill = new Fill({
+                    type: contentLayerLib.contentTypes.SOLID_COLOR,
+                    color: color.normalizeAlpha()
+                });
+
+                appendPromise = _updateFills.call(this, document, layersWithFills, function (fills) {
+                    return fills.push(nextFill);
+                }, events.document.history.optimistic.FILL_APPENDED, { fill: nextFill }, strings.ACTIONS.ADD_FILL);
+            }
+
+            if (layersWithoutFills.isEmpty()) {
+                return appendPromise;
+            }
+
+            // build the playObject
+            var contentLayerRef = contentLayerLib.referenceBy.current,
+                fillObj = contentLayerLib.setShapeFillTypeSolidColor(contentLayerRef, color),
+                documentRef = documentLib.referenceBy.id(document.id),
+                options = _options(documentRef, strings.ACTIONS.ADD_FILL);
+
+            return appendPromise
+                .bind(this)
+                .then(function () {
+                    return layerActionsUtil.playSimpleLayerActions(document, layersWithoutFills, fillObj, true,
+                        this.prepareOptions(options));
+                })
+                .then(function (setDescriptor) {
+                    // dispatch information about the newly created fill
+                    var payload = {
+                            documentID: document.id,
+                            layerIDs: collection.pluck(layersWithoutFills, "id"),
+                            setDescriptor: setDescriptor
+                        };
+                    this.dispatch(events.document.history.optimistic.FILL_ADDED, payload);
+                });
+        });
+    };
+
+    /**
+     * Remove the fill at the given index of those given layers which have one.
+     * If the shape's own fill is removed, the next fill takes its place. The
+     * only fill of a layer is not removed, but may be disabled instead.
+     *
+     * @param {Document} document
+     * @param {Immutable.List.<Layer>} layers
+     * @param {number} fillIndex index of the fill within the layer(s)
+     * @return {Promise}
+     */
+    var removeFillCommand = function (document, layers, fillIndex) {
+        var layersWithFill = layers.filter(function (layer) {
+            return layer.fills && layer.fills.has(fillIndex) && layer.fills.size > 1;
+        });
+
+        return _updateFills.call(this, document, layersWithFill, function (fills) {
+            return fills.delete(fillIndex);
+        }, events.document.history.optimistic.FILL_REMOVED, { fillIndex: fillIndex }, strings.ACTIONS.REMOVE_FILL);
+    };
+
+    /**
+     * Move the fill at the given index of those given layers which have fills
+     * at both indices to the target index. Fills that move in place of, or out
+     * of the place of the shape's own fill must be solid color fills.
+     *
+     * @param {Document} document
+     * @param {Immutable.List.<Layer>} layers
+     * @param {number} fillIndex index of the fill within the layer(s)
+     * @param {number} targetIndex
+     * @return {Promise}
+     */
+    var reorderFillCommand = function (document, layers, fillIndex, targetIndex) {
+        var layersWithFills = layers.filter(function (layer) {
+            return layer.fills && layer.fills.has(fillIndex) && layer.fills.has(targetIndex);
+        });
+
+        return _updateFills.call(this, document, layersWithFills, function (fills) {
+            var fill = fills.get(fillIndex),
+                nextFills = fills.delete(fillIndex).insert(targetIndex, fill);
+
+            if (nextFills.first().type !== contentLayerLib.contentTypes.SOLID_COLOR &&
+                !Immutable.is(nextFills.first(), fills.first())) {
+                throw new Error("Unable to reorder fills: only solid color fills can be moved");
+            }
+
+            return nextFills;
+        }, events.document.history.optimistic.FILL_REORDERED, {
+            fillIndex: fillIndex,
+            targetIndex: targetIndex
+        }, strings.ACTIONS.REORDER_FILLS);
+    };
+
+    /**
+     * Remove the stroke at the given index of those given layers which have one.
+     * If the shape's own stroke is removed, the next stroke takes its place. The
+     * only stroke of a layer is not removed, but may be disabled instead.
+     *
+     * @param {Document} document
+     * @param {Immutable.List.<Layer>} layers
+     * @param {number} strokeIndex index of the stroke within the layer(s)
+     * @return {Promise}
+     */
+    var removeStrokeCommand = function (document, layers, strokeIndex) {
+        var layersWithStroke = layers.filter(function (layer) {
+            return layer.strokes && layer.strokes.has(strokeIndex) && layer.strokes.size > 1;
+        });
+
+        return _updateStrokes.call(this, document, layersWithStroke, function (strokes) {
+            return strokes.delete(strokeIndex);
+        }, events.document.history.optimistic.STROKE_REMOVED, {
+            strokeIndex: strokeIndex
+        }, strings.ACTIONS.REMOVE_STROKE);
+    };
+
+    /**
+     * Move the stroke at the given index of those given layers which have strokes
+     * at both indices to the target index. Strokes that move in place of, or out
+     * of the place of the shape's own stroke must be solid color strokes.
+     *
+     * @param {Document} document
+     * @param {Immutable.List.<Layer>} layers
+     * @param {number} strokeIndex index of the stroke within the layer(s)
+     * @param {number} targetIndex
+     * @return {Promise}
+     */
+    var reorderStrokeCommand = function (document, layers, strokeIndex, targetIndex) {
+        var layersWithStrokes = layers.filter(function (layer) {
+            return layer.strokes && layer.strokes.has(strokeIndex) && layer.strokes.has(targetIndex);
+        });
+
+        return _updateStrokes.call(this, document, layersWithStrokes, function (strokes) {
+            var stroke = strokes.get(strokeIndex),
+                nextStrokes = strokes.delete(strokeIndex).insert(targetIndex, stroke);
+
+            if (nextStrokes.first().type !== contentLayerLib.contentTypes.SOLID_COLOR &&
+                !Immutable.is(nextStrokes.first(), strokes.first())) {
+                throw new Error("Unable to reorder strokes: only solid color strokes can be moved");
+            }
+
+            return nextStrokes;
+        }, events.document.history.optimistic.STROKE_REORDERED, {
+            strokeIndex: strokeIndex,
+            targetIndex: targetIndex
+        }, strings.ACTIONS.REORDER_STROKES);
     };
 
     /**
@@ -538,49 +1135,54 @@ define(function (require, exports) {
      * @return {Promise}
      */
     var _playCombine = function (document, layers, playObject) {
-        var deleteLayersPromise;
-
         if (layers.isEmpty()) {
             return Promise.resolve();
-        } else if (layers.size > 1) {
-            var payload = {
-                documentID: document.id,
-                layerIDs: collection.pluck(layers.butLast(), "id")
-            };
-
-            deleteLayersPromise = this.dispatchAsync(events.document.DELETE_LAYERS_NO_HISTORY, payload);
-        } else {
-            deleteLayersPromise = Promise.resolve();
         }
 
-        var options = {
-                historyStateInfo: {
-                    name: strings.ACTIONS.COMBINE_SHAPES,
-                    target: documentLib.referenceBy.id(document.id)
-                }
-            },
-            playPromise = descriptor.playObject(playObject, options);
+        // Delete the subsumed layers, combine and reset the result atomically as a single history state
+        return this.transaction(function () {
+            var deleteLayersPromise;
 
-        return Promise.join(deleteLayersPromise, playPromise)
-            .bind(this)
-            .then(function () {
-                if (layers.size > 1) {
-                    // The "highest" layer wins but the resultant layer is shifted down 
-                    // by the number of "losing" layers
-                    // Important note: the resultant layer has a NEW LAYER ID
-                    var winningLayerIndex = document.layers.indexOf(layers.last()),
-                        adjustedLayerIndex = winningLayerIndex - layers.size + 1;
-
-                    return this.transfer(layerActions.resetLayersByIndex, document, adjustedLayerIndex);
-                } else {
-                    return this.transfer(layerActions.resetLayers, document, layers);
-                }
-            })
-            .then(function () {
-                // wrap up this operation with a history changing event
-                return this.dispatchAsync(events.document.history.nonOptimistic.COMBINE_SHAPES,
-                    { documentID: document.id });
-            });
+            if (layers.size > 1) {
+                var payload = {
+                    documentID: document.id,
+                    layerIDs: collection.pluck(layers.butLast(), "id")
+                };
+
+                deleteLayersPromise = this.dispatchAsync(events.document.DELETE_LAYERS_NO_HISTORY, payload);
+            } else {
+                deleteLayersPromise = Promise.resolve();
+            }
+
+            var options = {
+                    historyStateInfo: {
+                        name: strings.ACTIONS.COMBINE_SHAPES,
+                        target: documentLib.referenceBy.id(document.id)
+                    }
+                },
+                playPromise = descriptor.playObject(playObject, this.prepareOptions(options));
+
+            return Promise.join(deleteLayersPromise, playPromise)
+                .bind(this)
+                .then(function () {
+                    if (layers.size > 1) {
+                        // The "highest" layer wins but the resultant layer is shifted down 
+                        // by the number of "losing" layers
+                        // Important note: the resultant layer has a NEW LAYER ID
+                        var winningLayerIndex = document.layers.indexOf(layers.last()),
+                            adjustedLayerIndex = winningLayerIndex - layers.size + 1;
+
+                        return this.transfer(layerActions.resetLayersByIndex, document, adjustedLayerIndex);
+                    } else {
+                        return this.transfer(layerActions.resetLayers, document, layers);
+                    }
+                })
+                .then(function () {
+                    // wrap up this operation with a history changing event
+                    return this.dispatchAsync(events.document.history.nonOptimistic.COMBINE_SHAPES,
+                        { documentID: document.id });
+                });
+        });
     };
 
     /**
@@ -722,36 +1324,241 @@ define(function (require, exports) {
     // STROKE
     var setStrokeEnabled = {
         command: setStrokeEnabledCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "strokeIndex", type: schema.range(0), description: "Index of the stroke within each layer" },
+            { name: "color", type: schema.Color },
+            { name: "enabled", type: schema.optional(schema.boolean) }
+        ],
         reads: [locks.PS_DOC, locks.JS_DOC],
         writes: [locks.PS_DOC, locks.JS_DOC]
     };
 
     var setStrokeWidth = {
         command: setStrokeWidthCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "strokeIndex", type: schema.range(0), description: "Index of the stroke within each layer" },
+            { name: "width", type: schema.range(0), description: "Stroke width in pixels" }
+        ],
         reads: [locks.PS_DOC, locks.JS_DOC],
         writes: [locks.PS_DOC, locks.JS_DOC]
     };
 
     var setStrokeColor = {
         command: setStrokeColorCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "strokeIndex", type: schema.range(0), description: "Index of the stroke within each layer" },
+            { name: "color", type: schema.Color },
+            { name: "coalesce", type: schema.optional(schema.boolean) },
+            { name: "enabled", type: schema.optional(schema.boolean) },
+            { name: "ignoreAlpha", type: schema.optional(schema.boolean) }
+        ],
         reads: [locks.PS_DOC, locks.JS_DOC],
         writes: [locks.PS_DOC, locks.JS_DOC]
     };
 
+    /**
+     * Set line style properties of the first stroke of the given layers. Line
+     * styles are not supported by stroke layer effects, which back the rest.
+     *
+     * @private
+     * @param {Document} document
+     * @param {Immutable.List.<Layer>} layers list of layers being updating
+     * @param {number} strokeIndex index of the stroke within the layer(s), which must be 0
+     * @param {object} strokeProperties the new line style properties
+     * @param {Array.<PlayObject>} playObjects
+     * @param {string} eventName
+     * @param {string} historyName
+     * @return {Promise}
+     */
+    var _setStrokeLineStyle = function (document, layers, strokeIndex, strokeProperties,
+        playObjects, eventName, historyName) {
+        if (strokeIndex > 0) {
+            throw new Error("Stroke line styles are only supported by the first stroke: " + strokeIndex);
+        }
+
+        var documentRef = documentLib.referenceBy.id(document.id),
+            options = _options(documentRef, historyName);
+
+        if (_allStrokesExist(layers, strokeIndex)) {
+            var dispatchPromise = _strokeChangeDispatch.call(this,
+                    document, layers, strokeIndex, strokeProperties, eventName),
+                stylePromise = layerActionsUtil.playSimpleLayerActions(document, layers, playObjects, true, options);
+
+            return Promise.join(dispatchPromise, stylePromise);
+        } else {
+            return layerActionsUtil.playSimpleLayerActions(document, layers, playObjects, true, options)
+                .bind(this)
+                .then(function () {
+                    // upon completion, fetch the stroke info for all layers
+                    _refreshStrokes.call(this, document, layers, strokeIndex);
+                });
+        }
+    };
+
+    /**
+     * Set the dash pattern of the stroke for all selected layers of the given document.
+     *
+     * @param {Document} document
+     * @param {Immutable.List.<Layer>} layers list of layers being updating
+     * @param {number} strokeIndex index of the stroke within the layer(s)
+     * @param {Array.<number>|Immutable.List.<number>} dashes Alternating dash and gap lengths,
+     *  in multiples of the stroke width; empty for solid strokes
+     * @param {string=} cap Optionally also set the line cap type, e.g., ROUND for dotted strokes
+     * @return {Promise}
+     */
+    var setStrokeDashCommand = function (document, layers, strokeIndex, dashes, cap) {
+        var strokeProperties = { dashes: Immutable.List(dashes) };
+
+        if (cap) {
+            strokeProperties.cap = cap;
+        }
+
+        var playObjects = [_strokeLineStylePlayObject(strokeProperties)];
+
+        return _setStrokeLineStyle.call(this, document, layers, strokeIndex, strokeProperties, playObjects,
+            events.document.history.optimistic.STROKE_DASH_CHANGED, strings.ACTIONS.SET_STROKE_DASH);
+    };
+
+    /**
+     * Set the line cap type of the stroke for all selected layers of the given document.
+     *
+     * @param {Document} document
+     * @param {Immutable.List.<Layer>} layers list of layers being updating
+     * @param {number} strokeIndex index of the stroke within the layer(s)
+     * @param {string} cap BUTT, ROUND or SQUARE
+     * @return {Promise}
+     */
+    var setStrokeCapCommand = function (document, layers, strokeIndex, cap) {
+        var strokeProperties = { cap: cap },
+            playObjects = [_strokeLineStylePlayObject(strokeProperties)];
+
+        return _setStrokeLineStyle.call(this, document, layers, strokeIndex, strokeProperties, playObjects,
+            events.document.history.optimistic.STROKE_CAP_CHANGED, strings.ACTIONS.SET_STROKE_CAP);
+    };
+
+    /**
+     * Set the line join type, and optionally the miter limit, of the stroke for
+     * all selected layers of the given document.
+     *
+     * @param {Document} document
+     * @param {Immutable.List.<Layer>} layers list of layers being updating
+     * @param {number} strokeIndex index of the stroke within the layer(s)
+     * @param {string} join MITER, ROUND or BEVEL
+     * @param {number=} miterLimit
+     * @return {Promise}
+     */
+    var setStrokeJoinCommand = function (document, layers, strokeIndex, join, miterLimit) {
+        var strokeProperties = { join: join };
+
+        if (_.isNumber(miterLimit)) {
+            strokeProperties.miterLimit = miterLimit;
+        }
+
+        var playObjects = [_strokeLineStylePlayObject(strokeProperties)];
+
+        return _setStrokeLineStyle.call(this, document, layers, strokeIndex, strokeProperties, playObjects,
+            events.document.history.optimistic.STROKE_JOIN_CHANGED, strings.ACTIONS.SET_STROKE_JOIN);
+    };
+
     var setStrokeOpacity = {
         command: setStrokeOpacityCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "strokeIndex", type: schema.range(0), description: "Index of the stroke within each layer" },
+            { name: "opacity", type: schema.range(0, 100), description: "Opacity as a percentage" },
+            { name: "coalesce", type: schema.optional(schema.boolean) }
+        ],
         reads: [locks.PS_DOC, locks.JS_DOC],
         writes: [locks.PS_DOC, locks.JS_DOC]
     };
 
     var setStrokeAlignment = {
         command: setStrokeAlignmentCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "strokeIndex", type: schema.range(0), description: "Index of the stroke within each layer" },
+            { name: "alignmentType", type: schema.oneOf(["INSIDE", "CENTER", "OUTSIDE"]) }
+        ],
+        reads: [locks.PS_DOC, locks.JS_DOC],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    var setStrokeDash = {
+        command: setStrokeDashCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "strokeIndex", type: schema.range(0, 0), description: "Index of the stroke within each layer" },
+            { name: "dashes", type: schema.anyOf([schema.arrayOf(schema.range(0)), schema.listOf(schema.range(0))]),
+                description: "Alternating dash and gap lengths, in multiples of the stroke width" },
+            { name: "cap", type: schema.optional(schema.oneOf(["BUTT", "ROUND", "SQUARE"])) }
+        ],
+        reads: [locks.PS_DOC, locks.JS_DOC],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    var setStrokeCap = {
+        command: setStrokeCapCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "strokeIndex", type: schema.range(0, 0), description: "Index of the stroke within each layer" },
+            { name: "cap", type: schema.oneOf(["BUTT", "ROUND", "SQUARE"]) }
+        ],
+        reads: [locks.PS_DOC, locks.JS_DOC],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    var setStrokeJoin = {
+        command: setStrokeJoinCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "strokeIndex", type: schema.range(0, 0), description: "Index of the stroke within each layer" },
+            { name: "join", type: schema.oneOf(["MITER", "ROUND", "BEVEL"]) },
+            { name: "miterLimit", type: schema.optional(schema.range(1, 100)) }
+        ],
         reads: [locks.PS_DOC, locks.JS_DOC],
         writes: [locks.PS_DOC, locks.JS_DOC]
     };
 
     var addStroke = {
         command: addStrokeCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) }
+        ],
+        reads: [locks.PS_DOC, locks.JS_DOC],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    var removeStroke = {
+        command: removeStrokeCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "strokeIndex", type: schema.range(0), description: "Index of the stroke within each layer" }
+        ],
+        reads: [locks.PS_DOC, locks.JS_DOC],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    var reorderStroke = {
+        command: reorderStrokeCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "strokeIndex", type: schema.range(0), description: "Index of the stroke within each layer" },
+            { name: "targetIndex", type: schema.range(0), description: "Index to which the stroke is moved" }
+        ],
         reads: [locks.PS_DOC, locks.JS_DOC],
         writes: [locks.PS_DOC, locks.JS_DOC]
     };
@@ -759,24 +1566,109 @@ define(function (require, exports) {
     // FILL
     var setFillEnabled = {
         command: setFillEnabledCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "fillIndex", type: schema.range(0), description: "Index of the fill within each layer" },
+            { name: "color", type: schema.Color },
+            { name: "enabled", type: schema.optional(schema.boolean) }
+        ],
         reads: [locks.PS_DOC, locks.JS_DOC],
         writes: [locks.PS_DOC, locks.JS_DOC]
     };
 
     var setFillColor = {
         command: setFillColorCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "fillIndex", type: schema.range(0), description: "Index of the fill within each layer" },
+            { name: "color", type: schema.Color },
+            { name: "coalesce", type: schema.optional(schema.boolean) },
+            { name: "enabled", type: schema.optional(schema.boolean) },
+            { name: "ignoreAlpha", type: schema.optional(schema.boolean) }
+        ],
         reads: [locks.PS_DOC, locks.JS_DOC],
         writes: [locks.PS_DOC, locks.JS_DOC]
     };
 
     var setFillOpacity = {
         command: setFillOpacityCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "fillIndex", type: schema.range(0), description: "Index of the fill within each layer" },
+            { name: "opacity", type: schema.range(0, 100), description: "Opacity as a percentage" },
+            { name: "coalesce", type: schema.optional(schema.boolean) }
+        ],
+        reads: [locks.PS_DOC, locks.JS_DOC],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    var setFillGradient = {
+        command: setFillGradientCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "fillIndex", type: schema.range(0), description: "Index of the fill within each layer" },
+            {
+                name: "gradient",
+                type: schema.anyOf([schema.Gradient, schema.object]),
+                description: "A gradient, or a subset of its properties"
+            },
+            { name: "coalesce", type: schema.optional(schema.boolean) }
+        ],
+        reads: [locks.PS_DOC, locks.JS_DOC],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    var setFillPattern = {
+        command: setFillPatternCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "fillIndex", type: schema.range(0), description: "Index of the fill within each layer" },
+            {
+                name: "pattern",
+                type: schema.anyOf([schema.Pattern, schema.object]),
+                description: "A pattern, or a subset of its properties"
+            },
+            { name: "coalesce", type: schema.optional(schema.boolean) }
+        ],
         reads: [locks.PS_DOC, locks.JS_DOC],
         writes: [locks.PS_DOC, locks.JS_DOC]
     };
 
     var addFill = {
         command: addFillCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "color", type: schema.Color }
+        ],
+        reads: [locks.PS_DOC, locks.JS_DOC],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    var removeFill = {
+        command: removeFillCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "fillIndex", type: schema.range(0), description: "Index of the fill within each layer" }
+        ],
+        reads: [locks.PS_DOC, locks.JS_DOC],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    var reorderFill = {
+        command: reorderFillCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "fillIndex", type: schema.range(0), description: "Index of the fill within each layer" },
+            { name: "targetIndex", type: schema.range(0), description: "Index to which the fill is moved" }
+        ],
         reads: [locks.PS_DOC, locks.JS_DOC],
         writes: [locks.PS_DOC, locks.JS_DOC]
     };
@@ -784,24 +1676,40 @@ define(function (require, exports) {
     // COMBINE
     var combineUnion = {
         command: combineUnionCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) }
+        ],
         reads: [],
         writes: [locks.PS_DOC, locks.JS_DOC]
     };
 
     var combineSubtract = {
         command: combineSubtractCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) }
+        ],
         reads: [],
         writes: [locks.PS_DOC, locks.JS_DOC]
     };
 
     var combineIntersect = {
         command: combineIntersectCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) }
+        ],
         reads: [],
         writes: [locks.PS_DOC, locks.JS_DOC]
     };
 
     var combineDifference = {
         command: combineDifferenceCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) }
+        ],
         reads: [],
         writes: [locks.PS_DOC, locks.JS_DOC]
     };
@@ -835,12 +1743,21 @@ define(function (require, exports) {
     exports.setStrokeColor = setStrokeColor;
     exports.setStrokeOpacity = setStrokeOpacity;
     exports.setStrokeAlignment = setStrokeAlignment;
+    exports.setStrokeDash = setStrokeDash;
+    exports.setStrokeCap = setStrokeCap;
+    exports.setStrokeJoin = setStrokeJoin;
     exports.addStroke = addStroke;
+    exports.removeStroke = removeStroke;
+    exports.reorderStroke = reorderStroke;
 
     exports.setFillEnabled = setFillEnabled;
     exports.setFillColor = setFillColor;
     exports.setFillOpacity = setFillOpacity;
+    exports.setFillGradient = setFillGradient;
+    exports.setFillPattern = setFillPattern;
     exports.addFill = addFill;
+    exports.removeFill = removeFill;
+    exports.reorderFill = reorderFill;
 
     exports.combineUnion = combineUnion;
     exports.combineSubtract = combineSubtract;
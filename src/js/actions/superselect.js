@@ -715,7 +715,8 @@ define(function (require, exports) {
     var doubleClickAction = {
         command: doubleClickCommand,
         reads: locks.ALL_LOCKS,
-        writes: locks.ALL_LOCKS
+        writes: locks.ALL_LOCKS,
+        hardTimeout: Infinity
     };
 
     /**
@@ -765,7 +766,8 @@ define(function (require, exports) {
     var editLayer = {
         command: editLayerCommand,
         reads: locks.ALL_LOCKS,
-        writes: locks.ALL_LOCKS
+        writes: locks.ALL_LOCKS,
+        hardTimeout: Infinity
     };
 
     var marqueeSelect = {
@@ -24,7 +24,8 @@
 define(function (require, exports) {
     "use strict";
 
-    var Promise = require("bluebird");
+    var Promise = require("bluebird"),
+        _ = require("lodash");
 
     var descriptor = require("adapter/ps/descriptor"),
         toolLib = require("adapter/lib/tool"),
@@ -33,6 +34,7 @@ define(function (require, exports) {
 
     var events = require("../events"),
         locks = require("js/locks"),
+        priorities = require("js/priorities"),
         policy = require("./policy"),
         shortcuts = require("./shortcuts");
         
@@ -220,6 +222,118 @@ define(function (require, exports) {
         return Promise.join(toolPromise, overlayPromise);
     };
 
+    /**
+     * Get a keyboard shortcut handler that activates the given tool.
+     *
+     * @private
+     * @param {Fluxxor.Flux} flux
+     * @param {Tool} tool
+     * @return {function()}
+     */
+    var _getToolActivator = function (flux, tool) {
+        return function () {
+            var applicationStore = flux.store("application"),
+                currentDocument = applicationStore.getCurrentDocument();
+
+            // Only select if it's not the case that the current document is unsupported
+            if (!currentDocument || !currentDocument.unsupported) {
+                flux.actions.tools.select(tool);
+            }
+        };
+    };
+
+    /**
+     * Get the ID of the activation shortcut of a tool added at runtime.
+     *
+     * @private
+     * @param {Tool} tool
+     * @return {string}
+     */
+    var _getToolShortcutID = function (tool) {
+        return "tool." + tool.id;
+    };
+
+    /**
+     * Add logical tools, e.g., those contributed by a plugin, to the tool set
+     * and register their activation keyboard shortcuts.
+     *
+     * @param {Array.<Tool>} tools Main tools to add
+     * @return {Promise}
+     */
+    var addToolsCommand = function (tools) {
+        var flux = this.flux,
+            toolStore = this.flux.store("tool"),
+            conflict = _.find(tools, function (tool) {
+                return toolStore.getToolByID(tool.id);
+            });
+
+        if (conflict) {
+            return Promise.reject(new Error("Tool ID " + conflict.id + " already in use."));
+        }
+
+        this.dispatch(events.tool.ADD_TOOLS, {
+            tools: tools
+        });
+
+        var shortcutPromises = tools
+            .filter(function (tool) {
+                return tool.activationKey;
+            })
+            .map(function (tool) {
+                return this.transfer(shortcuts.addShortcut, tool.activationKey, {},
+                    _getToolActivator(flux, tool), _getToolShortcutID(tool));
+            }, this);
+
+        return Promise.all(shortcutPromises);
+    };
+
+    /**
+     * Remove logical tools that were added at runtime, along with their activation
+     * keyboard shortcuts. If one of the removed tools, or one of their sub-tools,
+     * is currently active then the default tool is selected first.
+     *
+     * @param {Array.<Tool>} tools Main tools to remove
+     * @return {Promise}
+     */
+    var removeToolsCommand = function (tools) {
+        var toolStore = this.flux.store("tool"),
+            shortcutStore = this.flux.store("shortcut"),
+            currentTool = toolStore.getCurrentTool(),
+            removedToolIDs = _.chain(tools)
+                .map(function (tool) {
+                    return [tool].concat(tool.subToolList);
+                })
+                .flatten()
+                .pluck("id")
+                .value(),
+            selectPromise;
+
+        if (currentTool && _.contains(removedToolIDs, currentTool.id)) {
+            selectPromise = this.transfer(selectTool, toolStore.getDefaultTool());
+        } else {
+            selectPromise = Promise.resolve();
+        }
+
+        return selectPromise
+            .bind(this)
+            .then(function () {
+                var shortcutPromises = tools
+                    .filter(function (tool) {
+                        return shortcutStore.getByID(_getToolShortcutID(tool));
+                    })
+                    .map(function (tool) {
+                        return this.transfer(shortcuts.removeShortcut, _getToolShortcutID(tool));
+                    }, this);
+
+                return Promise.all(shortcutPromises);
+            })
+            .then(function () {
+                this.dispatch(events.tool.REMOVE_TOOLS, {
+                    toolIDs: _.pluck(tools, "id")
+                });
+            });
+    };
+
     /**
      * Event handler initialized in beforeStartup.
      *
@@ -268,17 +382,8 @@ define(function (require, exports) {
                 return promises;
             }
 
-            var activateTool = function () {
-                var applicationStore = flux.store("application"),
-                    currentDocument = applicationStore.getCurrentDocument();
-
-                // Only select if it's not the case that the current document is unsupported
-                if (!currentDocument || !currentDocument.unsupported) {
-                    flux.actions.tools.select(tool);
-                }
-            };
-
-            var promise = this.transfer(shortcuts.addShortcut, activationKey, {}, activateTool);
+            var activateTool = _getToolActivator(flux, tool),
+                promise = this.transfer(shortcuts.addShortcut, activationKey, {}, activateTool);
 
             promises.push(promise);
 
@@ -320,7 +425,8 @@ define(function (require, exports) {
     var selectTool = {
         command: selectToolCommand,
         reads: [locks.JS_APP, locks.JS_TOOL, locks.JS_SHORTCUT],
-        writes: [locks.PS_APP, locks.JS_POLICY, locks.PS_TOOL, locks.JS_TOOL, locks.JS_SHORTCUT]
+        writes: [locks.PS_APP, locks.JS_POLICY, locks.PS_TOOL, locks.JS_TOOL, locks.JS_SHORTCUT],
+        priority: priorities.HIGH
     };
 
     var initTool = {
@@ -342,6 +448,18 @@ define(function (require, exports) {
         writes: [locks.PS_APP, locks.JS_POLICY, locks.PS_TOOL, locks.JS_TOOL, locks.JS_SHORTCUT]
     };
 
+    var addTools = {
+        command: addToolsCommand,
+        reads: [locks.JS_TOOL],
+        writes: [locks.PS_APP, locks.JS_POLICY, locks.JS_TOOL, locks.JS_SHORTCUT]
+    };
+
+    var removeTools = {
+        command: removeToolsCommand,
+        reads: [locks.JS_APP, locks.JS_TOOL, locks.JS_SHORTCUT],
+        writes: [locks.PS_APP, locks.JS_POLICY, locks.PS_TOOL, locks.JS_TOOL, locks.JS_SHORTCUT]
+    };
+
     var beforeStartup = {
         command: beforeStartupCommand,
         modal: true,
@@ -360,6 +478,8 @@ define(function (require, exports) {
     exports.select = selectTool;
     exports.initTool = initTool;
     exports.changeModalState = changeModalState;
+    exports.addTools = addTools;
+    exports.removeTools = removeTools;
 
     exports.beforeStartup = beforeStartup;
     exports.onReset = onReset;
@@ -25,7 +25,8 @@ define(function (require, exports) {
     "use strict";
 
     var Promise = require("bluebird"),
-        Immutable = require("immutable");
+        Immutable = require("immutable"),
+        _ = require("lodash");
         
     var descriptor = require("adapter/ps/descriptor"),
         documentLib = require("adapter/lib/document"),
@@ -36,12 +37,15 @@ define(function (require, exports) {
 
     var events = require("../events"),
         locks = require("js/locks"),
+        priorities = require("js/priorities"),
         log = require("js/util/log"),
         layerActions = require("./layers"),
+        Radii = require("js/models/radii"),
         collection = require("js/util/collection"),
         locking = require("js/util/locking"),
         layerActionsUtil = require("js/util/layeractions"),
         headlights = require("js/util/headlights"),
+        schema = require("js/util/schema"),
         strings = require("i18n!nls/strings");
 
     /**
@@ -55,6 +59,46 @@ define(function (require, exports) {
         quality: "draft"
     };
 
+    /**
+     * Schema type of a position or size component: either a number that
+     * applies to every layer, or a map from layer ID to the number for that layer.
+     *
+     * @private
+     * @param {Type} numberType
+     * @return {Type}
+     */
+    var _perLayerNumber = function (numberType) {
+        return schema.optional(schema.anyOf([
+            numberType,
+            schema.instanceOf(Immutable.Map, "Immutable.Map")
+        ]));
+    };
+
+    /**
+     * Resolve a position or size object for the given layer. Components given
+     * as maps from layer ID are replaced by the number for that layer, or
+     * omitted if the map has no entry for it.
+     *
+     * @private
+     * @param {object} spec
+     * @param {Layer} layer
+     * @return {object}
+     */
+    var _resolveForLayer = function (spec, layer) {
+        return Object.keys(spec).reduce(function (resolved, key) {
+            var value = spec[key];
+            if (Immutable.Map.isMap(value)) {
+                value = value.get(layer.id);
+            }
+
+            if (value !== undefined) {
+                resolved[key] = value;
+            }
+
+            return resolved;
+        }, {});
+    };
+
 
     /**
      * Helper function that will break down a given layer to all it's children
@@ -328,7 +372,8 @@ define(function (require, exports) {
      * @private
      * @param {Document} document Owner document
      * @param {Layer|Immutable.Iterable.<Layer>} layerSpec Either a Layer reference or array of Layers
-     * @param {{x: number, y: number}} position New top and left values for each layer
+     * @param {{x: (number|Immutable.Map.<number, number>), y: (number|Immutable.Map.<number, number>)}} position
+     *  New top and left values for each layer, or maps from layer ID to the value for that layer
      *
      * @return {Promise}
      */
@@ -350,7 +395,8 @@ define(function (require, exports) {
 
         var dispatchPromise = this.dispatchAsync(events.document.history.optimistic.REPOSITION_LAYERS, payload),
             translateLayerActions = layerSpec.reduce(function (actions, layer) {
-                var layerActions = _getMoveLayerActions.call(this, document, layer, position, payload.positions);
+                var layerPosition = _resolveForLayer(position, layer),
+                    layerActions = _getMoveLayerActions.call(this, document, layer, layerPosition, payload.positions);
                 return actions.concat(layerActions);
             }, Immutable.List(), this);
 
@@ -379,34 +425,37 @@ define(function (require, exports) {
             return Promise.resolve();
         }
 
-        var newPositions = _calculateSwapLocations(document, layers),
-            documentRef = documentLib.referenceBy.id(document.id),
-            payload = {
-                documentID: document.id,
-                positions: []
-            },
-            layerOneActions = _getMoveLayerActions
-                .call(this, document, layers.get(0), newPositions.get(0), payload.positions),
-            layerTwoActions = _getMoveLayerActions
-                .call(this, document, layers.get(1), newPositions.get(1), payload.positions),
-            translateActions = layerOneActions.concat(layerTwoActions);
-                
-        var dispatchPromise = Promise.bind(this).then(function () {
-            this.dispatch(events.document.history.optimistic.REPOSITION_LAYERS, payload);
-        });
+        // Make sure to show this action as one history state, and to apply it atomically
+        return this.transaction(function () {
+            var newPositions = _calculateSwapLocations(document, layers),
+                documentRef = documentLib.referenceBy.id(document.id),
+                payload = {
+                    documentID: document.id,
+                    positions: []
+                },
+                layerOneActions = _getMoveLayerActions
+                    .call(this, document, layers.get(0), newPositions.get(0), payload.positions),
+                layerTwoActions = _getMoveLayerActions
+                    .call(this, document, layers.get(1), newPositions.get(1), payload.positions),
+                translateActions = layerOneActions.concat(layerTwoActions);
+
+            var dispatchPromise = Promise.bind(this).then(function () {
+                this.dispatch(events.document.history.optimistic.REPOSITION_LAYERS, payload);
+            });
 
-        // Make sure to show this action as one history state
-        var options = {
-            historyStateInfo: {
-                name: strings.ACTIONS.SWAP_LAYERS,
-                target: documentRef
-            }
-        };
+            var options = {
+                historyStateInfo: {
+                    name: strings.ACTIONS.SWAP_LAYERS,
+                    target: documentRef
+                }
+            };
 
-        headlights.logEvent("edit", "layers", "swap_layers");
-        var swapPromise = layerActionsUtil.playLayerActions(document, translateActions, true, options);
+            headlights.logEvent("edit", "layers", "swap_layers");
+            var swapPromise = layerActionsUtil.playLayerActions(document, translateActions, true,
+                this.prepareOptions(options));
 
-        return Promise.join(dispatchPromise, swapPromise);
+            return Promise.join(dispatchPromise, swapPromise);
+        });
     };
 
     /**
@@ -492,7 +541,8 @@ define(function (require, exports) {
      * @private
      * @param {Document} document Owner document
      * @param {Layer|Immutable.Iterable.<Layer>} layerSpec Either a Layer reference or array of Layers
-     * @param {w: {number}, h: {number}} size New width and height of the layers
+     * @param {{w: (number|Immutable.Map.<number, number>), h: (number|Immutable.Map.<number, number>)}} size
+     *  New width and height of the layers, or maps from layer ID to the value for that layer
      *
      * @returns {Promise}
      */
@@ -533,7 +583,8 @@ define(function (require, exports) {
             sizePromise = descriptor.playObject(resizeObj);
         } else {
             var resizeLayerActions = layerSpec.reduce(function (actions, layer) {
-                var layerActions = _getResizeLayerActions.call(this, document, layer, size, payload.sizes);
+                var layerSize = _resolveForLayer(size, layer),
+                    layerActions = _getResizeLayerActions.call(this, document, layer, layerSize, payload.sizes);
                 return actions.concat(layerActions);
             }, Immutable.List(), this);
 
@@ -858,30 +909,35 @@ define(function (require, exports) {
 
     /**
      * Set the radius of the rectangle shapes in the given layers of the given
-     * document to the given number of pixels. Currently, the command ignores
-     * document and layers paramters and acts on the selected layers of the
-     * active document.
+     * document to the given number of pixels, or set some of their corner radii
+     * individually. Corners that are omitted from per-corner radii, or whose
+     * radii are null or undefined, keep their current radius in each layer.
      * 
      * @param {Document} document
      * @param {Immutable.Iterable.<Layer>} layers
-     * @param {number} radius New uniform border radius in pixels
+     * @param {number|object} radius New uniform border radius in pixels, or an
+     *  object with some of the properties topLeft, topRight, bottomRight and bottomLeft
      * @param {boolean} coalesce Whether this history state should be coalesce with the previous one
      */
     var setRadiusCommand = function (document, layers, radius, coalesce) {
-        var dispatchPromise = this.dispatchAsync(events.document.history.optimistic.RADII_CHANGED, {
-            documentID: document.id,
-            layerIDs: collection.pluck(layers, "id"),
-            coalesce: coalesce,
-            radii: {
+        var uniform = typeof radius === "number",
+            radii = uniform ? {
                 topLeft: radius,
                 topRight: radius,
                 bottomRight: radius,
                 bottomLeft: radius
-            }
+            } : _.omit(radius, function (cornerRadius) {
+                return cornerRadius === undefined || cornerRadius === null;
+            });
+
+        var dispatchPromise = this.dispatchAsync(events.document.history.optimistic.RADII_CHANGED, {
+            documentID: document.id,
+            layerIDs: collection.pluck(layers, "id"),
+            coalesce: coalesce,
+            radii: radii
         });
 
-        var radiusDescriptor = contentLib.setRadius(radius),
-            options = {
+        var options = {
                 paintOptions: _paintOptions,
                 historyStateInfo: {
                     name: strings.ACTIONS.SET_RADIUS,
@@ -890,7 +946,25 @@ define(function (require, exports) {
                     suppressHistoryStateNotification: !!coalesce
                 }
             },
+            radiusPromise;
+
+        if (uniform) {
+            var radiusDescriptor = contentLib.setRadius(radius);
+
             radiusPromise = locking.playWithLockOverride(document, layers, radiusDescriptor, options);
+        } else {
+            // The unchanged corners differ among layers, so each layer is set separately
+            var radiusActions = layers.map(function (layer) {
+                var nextRadii = (layer.radii || new Radii()).merge(radii);
+
+                return {
+                    layer: layer,
+                    playObject: contentLib.setRadius(nextRadii.toObject())
+                };
+            }).toList();
+
+            radiusPromise = layerActionsUtil.playLayerActions(document, radiusActions, true, options);
+        }
 
         return Promise.join(dispatchPromise, radiusPromise);
     };
@@ -1051,6 +1125,14 @@ define(function (require, exports) {
      */
     var setPosition = {
         command: setPositionCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layerSpec", type: schema.anyOf([schema.Layer, schema.iterableOf(schema.Layer)]) },
+            {
+                name: "position",
+                type: schema.shape({ x: _perLayerNumber(schema.number), y: _perLayerNumber(schema.number) })
+            }
+        ],
         reads: [locks.PS_DOC, locks.JS_DOC],
         writes: [locks.PS_DOC, locks.JS_DOC]
     };
@@ -1061,6 +1143,14 @@ define(function (require, exports) {
      */
     var setSize = {
         command: setSizeCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layerSpec", type: schema.anyOf([schema.Layer, schema.iterableOf(schema.Layer)]) },
+            {
+                name: "size",
+                type: schema.shape({ w: _perLayerNumber(schema.range(0)), h: _perLayerNumber(schema.range(0)) })
+            }
+        ],
         reads: [locks.PS_DOC, locks.JS_DOC],
         writes: [locks.PS_DOC, locks.JS_DOC]
     };
@@ -1071,8 +1161,15 @@ define(function (require, exports) {
      */
     var setBounds = {
         command: setBoundsCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "oldBounds", type: schema.Bounds },
+            { name: "newBounds", type: schema.Bounds }
+        ],
         reads: [locks.PS_DOC, locks.JS_DOC],
-        writes: [locks.PS_DOC, locks.JS_DOC]
+        writes: [locks.PS_DOC, locks.JS_DOC],
+        // Pending low-priority drag previews would otherwise overwrite the committed bounds
+        cancels: ["transform.setDragBounds"]
     };
     
     /**
@@ -1081,8 +1178,14 @@ define(function (require, exports) {
     */
     var setDragBounds = {
         command: setDragBoundsCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "newBounds", type: schema.Bounds }
+        ],
         reads: [locks.PS_DOC, locks.JS_DOC],
-        writes: [locks.PS_DOC, locks.JS_DOC]
+        writes: [locks.PS_DOC, locks.JS_DOC],
+        priority: priorities.LOW,
+        supersede: true
     };
 
     /**
@@ -1091,6 +1194,10 @@ define(function (require, exports) {
      */
     var flipX = {
         command: flipXCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) }
+        ],
         reads: [locks.PS_DOC, locks.JS_DOC],
         writes: [locks.PS_DOC, locks.JS_DOC]
     };
@@ -1101,6 +1208,10 @@ define(function (require, exports) {
      */
     var flipY = {
         command: flipYCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) }
+        ],
         reads: [locks.PS_DOC, locks.JS_DOC],
         writes: [locks.PS_DOC, locks.JS_DOC]
     };
@@ -1111,6 +1222,10 @@ define(function (require, exports) {
      */
     var alignLeft = {
         command: alignLeftCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) }
+        ],
         reads: [locks.PS_DOC, locks.JS_DOC],
         writes: [locks.PS_DOC, locks.JS_DOC]
     };
@@ -1121,6 +1236,10 @@ define(function (require, exports) {
      */
     var alignRight = {
         command: alignRightCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) }
+        ],
         reads: [locks.PS_DOC, locks.JS_DOC],
         writes: [locks.PS_DOC, locks.JS_DOC]
     };
@@ -1130,6 +1249,10 @@ define(function (require, exports) {
      */
     var alignTop = {
         command: alignTopCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) }
+        ],
         reads: [locks.PS_DOC, locks.JS_DOC],
         writes: [locks.PS_DOC, locks.JS_DOC]
     };
@@ -1139,6 +1262,10 @@ define(function (require, exports) {
      */
     var alignBottom = {
         command: alignBottomCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) }
+        ],
         reads: [locks.PS_DOC, locks.JS_DOC],
         writes: [locks.PS_DOC, locks.JS_DOC]
     };
@@ -1149,6 +1276,10 @@ define(function (require, exports) {
      */
     var alignHCenter = {
         command: alignHCenterCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) }
+        ],
         reads: [locks.PS_DOC, locks.JS_DOC],
         writes: [locks.PS_DOC, locks.JS_DOC]
     };
@@ -1159,6 +1290,10 @@ define(function (require, exports) {
      */
     var alignVCenter = {
         command: alignVCenterCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) }
+        ],
         reads: [locks.PS_DOC, locks.JS_DOC],
         writes: [locks.PS_DOC, locks.JS_DOC]
     };
@@ -1169,6 +1304,10 @@ define(function (require, exports) {
      */
     var distributeX = {
         command: distributeXCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) }
+        ],
         reads: [locks.PS_DOC, locks.JS_DOC],
         writes: [locks.PS_DOC, locks.JS_DOC]
     };
@@ -1179,6 +1318,10 @@ define(function (require, exports) {
      */
     var distributeY = {
         command: distributeYCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) }
+        ],
         reads: [locks.PS_DOC, locks.JS_DOC],
         writes: [locks.PS_DOC, locks.JS_DOC]
     };
@@ -1210,6 +1353,10 @@ define(function (require, exports) {
      */
     var swapLayers = {
         command: swapLayersCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) }
+        ],
         reads: [locks.PS_DOC, locks.JS_DOC],
         writes: [locks.PS_DOC, locks.JS_DOC]
     };
@@ -1224,12 +1371,32 @@ define(function (require, exports) {
         writes: [locks.PS_DOC, locks.JS_DOC]
     };
 
+    /**
+     * Type of the per-corner radii accepted by setRadius.
+     *
+     * @private
+     * @type {Type}
+     */
+    var _cornerRadii = schema.shape({
+        topLeft: schema.optional(schema.range(0)),
+        topRight: schema.optional(schema.range(0)),
+        bottomRight: schema.optional(schema.range(0)),
+        bottomLeft: schema.optional(schema.range(0))
+    });
+
     /**
      * Action to the set the border radius of a rectangle shape layer
      * @type {Action}
      */
     var setRadius = {
         command: setRadiusCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "radius", type: schema.anyOf([schema.range(0), _cornerRadii]),
+                description: "Uniform border radius, or some individual corner radii, in pixels" },
+            { name: "coalesce", type: schema.optional(schema.boolean) }
+        ],
         reads: [locks.PS_DOC, locks.JS_DOC],
         writes: [locks.PS_DOC, locks.JS_DOC]
     };
@@ -1240,6 +1407,10 @@ define(function (require, exports) {
      */
     var rotate = {
         command: rotateCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "angle", type: schema.number, description: "Angle in degrees" }
+        ],
         reads: [locks.PS_DOC, locks.JS_DOC],
         writes: [locks.PS_DOC, locks.JS_DOC]
     };
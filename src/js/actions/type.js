@@ -24,19 +24,30 @@
 define(function (require, exports) {
     "use strict";
 
-    var Promise = require("bluebird");
+    var Promise = require("bluebird"),
+        Immutable = require("immutable"),
+        _ = require("lodash");
 
     var textLayerLib = require("adapter/lib/textLayer"),
         descriptor = require("adapter/ps/descriptor"),
         documentLib = require("adapter/lib/document"),
         layerLib = require("adapter/lib/layer");
 
-    var layerActions = require("./layers"),
+    var ParagraphStyle = require("js/models/paragraphstyle"),
+        layerActions = require("./layers"),
+        dialogActions = require("./dialog"),
+        editActions = require("./edit"),
+        preferencesActions = require("./preferences"),
         events = require("../events"),
         locks = require("js/locks"),
         collection = require("js/util/collection"),
+        glyphUtil = require("js/util/glyphs"),
         locking = require("js/util/locking"),
+        loremIpsum = require("js/util/loremipsum"),
+        layerActionsUtil = require("js/util/layeractions"),
         math = require("js/util/math"),
+        schema = require("js/util/schema"),
+        unitUtil = require("js/util/unit"),
         strings = require("i18n!nls/strings");
 
     /**
@@ -46,6 +57,78 @@ define(function (require, exports) {
     var PS_MIN_FONT_SIZE = 0.04,
         PS_MAX_FONT_SIZE = 5400;
 
+    /**
+     * Preference keys under which the increments used to step the type size,
+     * tracking and leading are stored.
+     *
+     * @const
+     * @type {string}
+     */
+    var SIZE_INCREMENT_PREFERENCE = "typeSizeIncrement",
+        TRACKING_INCREMENT_PREFERENCE = "typeTrackingIncrement",
+        LEADING_INCREMENT_PREFERENCE = "typeLeadingIncrement";
+
+    /**
+     * Default increments used to step the type size and leading, in pixels,
+     * and tracking, in thousandths of an em.
+     *
+     * @const
+     * @type {number}
+     */
+    var DEFAULT_SIZE_INCREMENT = 2,
+        DEFAULT_TRACKING_INCREMENT = 20,
+        DEFAULT_LEADING_INCREMENT = 2;
+
+    /**
+     * @const
+     * @type {number} Approximate ratio of auto-leading to type size
+     */
+    var AUTO_LEADING_RATIO = 1.2;
+
+    /**
+     * @const
+     * @type {number} Type size in pixels of new placeholder text layers
+     */
+    var LOREM_IPSUM_SIZE = 16;
+
+    /**
+     * Preference key under which the most recently inserted glyphs are
+     * stored, most recent first.
+     *
+     * @const
+     * @type {string}
+     */
+    var RECENT_GLYPHS_PREFERENCE = "recentGlyphs";
+
+    /**
+     * @const
+     * @type {number} Maximum number of recently inserted glyphs to remember
+     */
+    var MAX_RECENT_GLYPHS = 8;
+
+    /**
+     * Preference key under which the most recently used font families are
+     * stored, most recent first.
+     *
+     * @const
+     * @type {string}
+     */
+    var RECENT_FONT_FAMILIES_PREFERENCE = "recentFontFamilies";
+
+    /**
+     * @const
+     * @type {number} Maximum number of recently used font families to remember
+     */
+    var MAX_RECENT_FONT_FAMILIES = 10;
+
+    /**
+     * Preference key under which the user's favorite font families are stored.
+     *
+     * @const
+     * @type {string}
+     */
+    var FAVORITE_FONT_FAMILIES_PREFERENCE = "favoriteFontFamilies";
+
     /**
      * play/batchPlay options that allow the canvas to be continually updated, 
      * and history state to be consolidated 
@@ -71,9 +154,30 @@ define(function (require, exports) {
         };
     };
 
+    /**
+     * Move the given value to the front of the list stored under the given
+     * preference key, dropping the oldest values beyond the given maximum.
+     *
+     * @private
+     * @param {string} key
+     * @param {*} value
+     * @param {number} max
+     * @return {Promise}
+     */
+    var _addRecentPreference = function (key, value, max) {
+        var preferences = this.flux.store("preferences").getState(),
+            recentValues = preferences.get(key, []).filter(function (recentValue) {
+                return recentValue !== value;
+            }),
+            nextRecentValues = [value].concat(recentValues).slice(0, max);
+
+        return this.transfer(preferencesActions.setPreference, key, nextRecentValues);
+    };
+
     /**
      * Set the post script (in terms of a type family and type style) of the given
-     * layers in the given document. This triggers a layer bounds update.
+     * layers in the given document. This triggers a layer bounds update. The
+     * family becomes the most recently used one.
      *
      * @param {Document} document
      * @param {Immutable.Iterable.<Layers>} layers
@@ -102,15 +206,100 @@ define(function (require, exports) {
             style: style
         };
 
-        var dispatchPromise = this.dispatchAsync(events.document.TYPE_FACE_CHANGED, payload);
+        var dispatchPromise = this.dispatchAsync(events.document.TYPE_FACE_CHANGED, payload),
+            recentPromise = _addRecentPreference.call(this, RECENT_FONT_FAMILIES_PREFERENCE, family,
+                MAX_RECENT_FONT_FAMILIES);
 
         return Promise.join(dispatchPromise,
                 setFacePromise,
+                recentPromise,
                 function () {
                     return this.transfer(layerActions.resetBounds, document, layers);
                 }.bind(this));
     };
 
+    /**
+     * Add the given font family to, or remove it from, the user's favorites.
+     *
+     * @param {string} family The type face family name, e.g., "Helvetica Neue"
+     * @param {boolean} favorite Whether the family should be a favorite
+     * @return {Promise}
+     */
+    var setFontFamilyFavoriteCommand = function (family, favorite) {
+        var preferences = this.flux.store("preferences").getState(),
+            favorites = preferences.get(FAVORITE_FONT_FAMILIES_PREFERENCE, []).filter(function (favoriteFamily) {
+                return favoriteFamily !== family;
+            });
+
+        if (favorite) {
+            favorites = favorites.concat(family).sort();
+        }
+
+        return this.transfer(preferencesActions.setPreference, FAVORITE_FONT_FAMILIES_PREFERENCE, favorites);
+    };
+
+    /**
+     * Open the dialog in which missing fonts are replaced.
+     *
+     * @return {Promise}
+     */
+    var openMissingFontsCommand = function () {
+        return this.transfer(dialogActions.openDialog, "missing-fonts-dialog");
+    };
+
+    /**
+     * Replace fonts that are not installed throughout the given document, in a
+     * single history state. Photoshop sets the font of a whole text layer at
+     * once, so a layer that uses several missing fonts gets the replacement of
+     * the first of them, by name.
+     *
+     * @param {Document} document
+     * @param {Object.<string, string>} replacements Map of missing postScriptNames
+     *  to the postScriptNames of the installed fonts that replace them
+     * @return {Promise}
+     */
+    var replaceMissingFontsCommand = function (document, replacements) {
+        var missingFonts = this.flux.store("font").getMissingFonts(document),
+            layerPlayObjects = missingFonts
+                .reduce(function (playObjectsByLayer, layers, postScriptName) {
+                    if (!replacements.hasOwnProperty(postScriptName)) {
+                        return playObjectsByLayer;
+                    }
+
+                    var replacement = replacements[postScriptName];
+
+                    return layers.reduce(function (nextPlayObjectsByLayer, layer) {
+                        if (nextPlayObjectsByLayer.has(layer.id)) {
+                            return nextPlayObjectsByLayer;
+                        }
+
+                        var layerRef = textLayerLib.referenceBy.id(layer.id);
+
+                        return nextPlayObjectsByLayer.set(layer.id, {
+                            layer: layer,
+                            playObject: textLayerLib.setPostScript([layerRef], replacement)
+                        });
+                    }, playObjectsByLayer);
+                }, Immutable.OrderedMap())
+                .toList();
+
+        if (layerPlayObjects.isEmpty()) {
+            return Promise.resolve();
+        }
+
+        var layers = collection.pluck(layerPlayObjects, "layer"),
+            typeOptions = _getTypeOptions(document.id, strings.ACTIONS.REPLACE_MISSING_FONTS);
+
+        return this.dispatchAsync(events.ui.TOGGLE_OVERLAYS, { enabled: false })
+            .bind(this)
+            .then(function () {
+                return layerActionsUtil.playLayerActions(document, layerPlayObjects, true, typeOptions);
+            })
+            .then(function () {
+                return this.transfer(layerActions.resetLayers, document, layers, true);
+            });
+    };
+
     /**
      * Set the type face (in terms of a type family and type style) of the given
      * layers in the given document. This triggers a layer bounds update.
@@ -345,96 +534,1535 @@ define(function (require, exports) {
     };
 
     /**
-     * Initialize the list of installed fonts from Photoshop.
+     * Build the play object which sets the given properties of the text or
+     * paragraph style of the selected text layers. Like the adapter's type
+     * setters, it targets the selected layers because text style references
+     * by layer ID crash Photoshop.
+     *
+     * @private
+     * @param {string} styleType Either "textStyle" or "paragraphStyle"
+     * @param {object} properties The Photoshop style properties to set
+     * @return {PlayObject}
+     */
+    var _stylePlayObject = function (styleType, properties) {
+        return {
+            command: "set",
+            descriptor: {
+                "null": {
+                    _ref: [
+                        {
+                            _ref: "property",
+                            _property: styleType
+                        },
+                        textLayerLib.referenceBy.current
+                    ]
+                },
+                "to": _.assign({ _obj: styleType }, properties)
+            }
+        };
+    };
+
+    /**
+     * Set properties of the character or paragraph styles of the given layers
+     * in the given document. This triggers a layer bounds update.
      *
      * @private
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layers>} layers
+     * @param {PlayObject} playObject Sets the style properties of the selected layers
+     * @param {string} name localized name to put into the history state
+     * @param {string} eventName Either TYPE_CHARACTER_STYLE_CHANGED or TYPE_PARAGRAPH_STYLE_CHANGED
+     * @param {object} properties The new style properties
      * @return {Promise}
      */
-    var afterStartupCommand = function () {
-        return descriptor.getProperty("application", "fontList")
-            .bind(this)
-            .then(this.dispatch.bind(this, events.font.INIT_FONTS));
+    var _setTextStyleProperties = function (document, layers, playObject, name, eventName, properties) {
+        var layerIDs = collection.pluck(layers, "id"),
+            typeOptions = _getTypeOptions(document.id, name),
+            playPromise = this.dispatchAsync(events.ui.TOGGLE_OVERLAYS, { enabled: false })
+                .bind(this)
+                .then(function () {
+                    return locking.playWithLockOverride(document, layers, playObject, typeOptions);
+                });
+
+        var payload = {
+            documentID: document.id,
+            layerIDs: layerIDs,
+            properties: properties
+        };
+
+        var dispatchPromise = this.dispatchAsync(eventName, payload);
+
+        return Promise.join(dispatchPromise,
+            playPromise,
+                function () {
+                    return this.transfer(layerActions.resetBounds, document, layers);
+                }.bind(this));
     };
 
     /**
-     * @type {Action}
+     * Underline, or remove the underline from, the given layers in the given document.
+     *
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layers>} layers
+     * @param {boolean} underline
+     * @return {Promise}
      */
-    var setPostScript = {
-        command: setPostScriptCommand,
-        reads: [],
-        writes: [locks.PS_DOC, locks.JS_DOC]
+    var setUnderlineCommand = function (document, layers, underline) {
+        var playObject = _stylePlayObject("textStyle", {
+            underline: {
+                _enum: "underline",
+                _value: underline ? "underlineOnLeftInVertical" : "underlineOff"
+            }
+        });
+
+        return _setTextStyleProperties.call(this, document, layers, playObject, strings.ACTIONS.SET_TYPE_UNDERLINE,
+            events.document.TYPE_CHARACTER_STYLE_CHANGED, { underline: underline });
     };
 
     /**
-     * @type {Action}
+     * Strike through, or remove the strikethrough from, the given layers in the given document.
+     *
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layers>} layers
+     * @param {boolean} strikethrough
+     * @return {Promise}
      */
-    var setFace = {
-        command: setFaceCommand,
-        reads: [],
-        writes: [locks.PS_DOC, locks.JS_DOC]
+    var setStrikethroughCommand = function (document, layers, strikethrough) {
+        var playObject = _stylePlayObject("textStyle", {
+            strikethrough: {
+                _enum: "strikethrough",
+                _value: strikethrough ? "xHeightStrikethroughOn" : "strikethroughOff"
+            }
+        });
+
+        return _setTextStyleProperties.call(this, document, layers, playObject, strings.ACTIONS.SET_TYPE_STRIKETHROUGH,
+            events.document.TYPE_CHARACTER_STYLE_CHANGED, { strikethrough: strikethrough });
     };
 
     /**
-     * @type {Action}
+     * Set the capitalization of the given layers in the given document.
+     *
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layers>} layers
+     * @param {string} caps Either "normal", "allCaps" or "smallCaps"
+     * @return {Promise}
      */
-    var setColor = {
-        command: setColorCommand,
-        reads: [],
-        writes: [locks.PS_DOC, locks.JS_DOC]
+    var setCapsCommand = function (document, layers, caps) {
+        var playObject = _stylePlayObject("textStyle", {
+            fontCaps: {
+                _enum: "fontCaps",
+                _value: caps
+            }
+        });
+
+        return _setTextStyleProperties.call(this, document, layers, playObject, strings.ACTIONS.SET_TYPE_CAPS,
+            events.document.TYPE_CHARACTER_STYLE_CHANGED, { caps: caps });
     };
 
     /**
-     * @type {Action}
+     * Set the baseline position, i.e., superscript or subscript, of the given
+     * layers in the given document.
+     *
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layers>} layers
+     * @param {string} baseline Either "normal", "superScript" or "subScript"
+     * @return {Promise}
      */
-    var setSize = {
-        command: setSizeCommand,
-        reads: [],
-        writes: [locks.PS_DOC, locks.JS_DOC]
+    var setBaselineCommand = function (document, layers, baseline) {
+        var playObject = _stylePlayObject("textStyle", {
+            baseline: {
+                _enum: "baseline",
+                _value: baseline
+            }
+        });
+
+        return _setTextStyleProperties.call(this, document, layers, playObject, strings.ACTIONS.SET_TYPE_BASELINE,
+            events.document.TYPE_CHARACTER_STYLE_CHANGED, { baseline: baseline });
     };
 
     /**
-     * @type {Action}
+     * Set the baseline shift of the given layers in the given document.
+     *
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layers>} layers
+     * @param {number} baselineShift The baseline shift in pixels
+     * @return {Promise}
      */
-    var setTracking = {
-        command: setTrackingCommand,
-        reads: [],
-        writes: [locks.PS_DOC, locks.JS_DOC]
+    var setBaselineShiftCommand = function (document, layers, baselineShift) {
+        var playObject = _stylePlayObject("textStyle", {
+            baselineShift: unitUtil.pixels(baselineShift)
+        });
+
+        return _setTextStyleProperties.call(this, document, layers, playObject, strings.ACTIONS.SET_TYPE_BASELINE_SHIFT,
+            events.document.TYPE_CHARACTER_STYLE_CHANGED, { baselineShift: baselineShift });
     };
 
     /**
-     * @type {Action}
+     * Set the kerning mode of the given layers in the given document.
+     *
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layers>} layers
+     * @param {string} kerning Either "metricsKern", "opticalKern" or "manual"
+     * @return {Promise}
      */
-    var setLeading = {
-        command: setLeadingCommand,
-        reads: [],
-        writes: [locks.PS_DOC, locks.JS_DOC]
+    var setKerningCommand = function (document, layers, kerning) {
+        var playObject = _stylePlayObject("textStyle", {
+            autoKern: {
+                _enum: "autoKern",
+                _value: kerning
+            }
+        });
+
+        return _setTextStyleProperties.call(this, document, layers, playObject, strings.ACTIONS.SET_TYPE_KERNING,
+            events.document.TYPE_CHARACTER_STYLE_CHANGED, { kerning: kerning });
     };
 
     /**
-     * @type {Action}
+     * Enable or disable standard OpenType ligatures in the given layers in the given document.
+     *
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layers>} layers
+     * @param {boolean} ligatures
+     * @return {Promise}
      */
-    var setAlignment = {
-        command: setAlignmentCommand,
-        reads: [],
-        writes: [locks.PS_DOC, locks.JS_DOC]
+    var setLigaturesCommand = function (document, layers, ligatures) {
+        var playObject = _stylePlayObject("textStyle", {
+            ligature: ligatures
+        });
+
+        return _setTextStyleProperties.call(this, document, layers, playObject, strings.ACTIONS.SET_TYPE_LIGATURES,
+            events.document.TYPE_CHARACTER_STYLE_CHANGED, { ligatures: ligatures });
     };
 
     /**
-     * @type {Action}
+     * Enable or disable OpenType old-style figures in the given layers in the given document.
+     *
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layers>} layers
+     * @param {boolean} oldStyleFigures
+     * @return {Promise}
      */
-    var afterStartup = {
-        command: afterStartupCommand,
-        reads: [locks.PS_APP],
-        writes: [locks.JS_TYPE]
+    var setOldStyleFiguresCommand = function (document, layers, oldStyleFigures) {
+        var playObject = _stylePlayObject("textStyle", {
+            oldStyle: oldStyleFigures
+        });
+
+        return _setTextStyleProperties.call(this, document, layers, playObject,
+            strings.ACTIONS.SET_TYPE_OLD_STYLE_FIGURES, events.document.TYPE_CHARACTER_STYLE_CHANGED,
+            { oldStyleFigures: oldStyleFigures });
     };
 
-    exports.setPostScript = setPostScript;
-    exports.setFace = setFace;
-    exports.setColor = setColor;
-    exports.setSize = setSize;
-    exports.setTracking = setTracking;
-    exports.setLeading = setLeading;
-    exports.setAlignment = setAlignment;
+    /**
+     * Set the space before of the paragraphs of the given layers in the given document.
+     *
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layers>} layers
+     * @param {number} spaceBefore The space before in pixels
+     * @return {Promise}
+     */
+    var setSpaceBeforeCommand = function (document, layers, spaceBefore) {
+        var properties = { spaceBefore: spaceBefore },
+            playObject = _stylePlayObject("paragraphStyle", ParagraphStyle.toParagraphStyleProperties(properties));
+
+        return _setTextStyleProperties.call(this, document, layers, playObject, strings.ACTIONS.SET_TYPE_SPACE_BEFORE,
+            events.document.TYPE_PARAGRAPH_STYLE_CHANGED, properties);
+    };
+
+    /**
+     * Set the space after of the paragraphs of the given layers in the given document.
+     *
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layers>} layers
+     * @param {number} spaceAfter The space after in pixels
+     * @return {Promise}
+     */
+    var setSpaceAfterCommand = function (document, layers, spaceAfter) {
+        var properties = { spaceAfter: spaceAfter },
+            playObject = _stylePlayObject("paragraphStyle", ParagraphStyle.toParagraphStyleProperties(properties));
+
+        return _setTextStyleProperties.call(this, document, layers, playObject, strings.ACTIONS.SET_TYPE_SPACE_AFTER,
+            events.document.TYPE_PARAGRAPH_STYLE_CHANGED, properties);
+    };
+
+    /**
+     * Set the first line indent, relative to the left indent, of the paragraphs
+     * of the given layers in the given document.
+     *
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layers>} layers
+     * @param {number} firstLineIndent The first line indent in pixels
+     * @return {Promise}
+     */
+    var setFirstLineIndentCommand = function (document, layers, firstLineIndent) {
+        var properties = { firstLineIndent: firstLineIndent },
+            playObject = _stylePlayObject("paragraphStyle", ParagraphStyle.toParagraphStyleProperties(properties));
+
+        return _setTextStyleProperties.call(this, document, layers, playObject,
+            strings.ACTIONS.SET_TYPE_FIRST_LINE_INDENT, events.document.TYPE_PARAGRAPH_STYLE_CHANGED, properties);
+    };
+
+    /**
+     * Set the left indent of the paragraphs of the given layers in the given document.
+     *
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layers>} layers
+     * @param {number} leftIndent The left indent in pixels
+     * @return {Promise}
+     */
+    var setLeftIndentCommand = function (document, layers, leftIndent) {
+        var properties = { leftIndent: leftIndent },
+            playObject = _stylePlayObject("paragraphStyle", ParagraphStyle.toParagraphStyleProperties(properties));
+
+        return _setTextStyleProperties.call(this, document, layers, playObject, strings.ACTIONS.SET_TYPE_LEFT_INDENT,
+            events.document.TYPE_PARAGRAPH_STYLE_CHANGED, properties);
+    };
+
+    /**
+     * Set the right indent of the paragraphs of the given layers in the given document.
+     *
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layers>} layers
+     * @param {number} rightIndent The right indent in pixels
+     * @return {Promise}
+     */
+    var setRightIndentCommand = function (document, layers, rightIndent) {
+        var properties = { rightIndent: rightIndent },
+            playObject = _stylePlayObject("paragraphStyle", ParagraphStyle.toParagraphStyleProperties(properties));
+
+        return _setTextStyleProperties.call(this, document, layers, playObject, strings.ACTIONS.SET_TYPE_RIGHT_INDENT,
+            events.document.TYPE_PARAGRAPH_STYLE_CHANGED, properties);
+    };
+
+    /**
+     * Enable or disable hyphenation of the paragraphs of the given layers in the given document.
+     *
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layers>} layers
+     * @param {boolean} hyphenate
+     * @return {Promise}
+     */
+    var setHyphenationCommand = function (document, layers, hyphenate) {
+        var properties = { hyphenate: hyphenate },
+            playObject = _stylePlayObject("paragraphStyle", ParagraphStyle.toParagraphStyleProperties(properties));
+
+        return _setTextStyleProperties.call(this, document, layers, playObject, strings.ACTIONS.SET_TYPE_HYPHENATION,
+            events.document.TYPE_PARAGRAPH_STYLE_CHANGED, properties);
+    };
+
+    /**
+     * Set some of the word and letter spacing limits used to justify the paragraphs
+     * of the given layers in the given document.
+     *
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layers>} layers
+     * @param {object} justification With some of the properties wordSpacingMin, wordSpacingDesired,
+     *  wordSpacingMax, letterSpacingMin, letterSpacingDesired and letterSpacingMax, as percentages
+     * @return {Promise}
+     */
+    var setJustificationCommand = function (document, layers, justification) {
+        var playObject = _stylePlayObject("paragraphStyle", ParagraphStyle.toParagraphStyleProperties(justification));
+
+        return _setTextStyleProperties.call(this, document, layers, playObject, strings.ACTIONS.SET_TYPE_JUSTIFICATION,
+            events.document.TYPE_PARAGRAPH_STYLE_CHANGED, justification);
+    };
+
+    /**
+     * Convert a character to upper case, unless that would change its length,
+     * e.g., for "\u00df", so that the style ranges of the text remain valid.
+     *
+     * @private
+     * @param {string} character
+     * @return {string}
+     */
+    var _toUpperCase = function (character) {
+        var upper = character.toUpperCase();
+
+        return upper.length === character.length ? upper : character;
+    };
+
+    /**
+     * Convert a character to lower case, unless that would change its length.
+     *
+     * @private
+     * @param {string} character
+     * @return {string}
+     */
+    var _toLowerCase = function (character) {
+        var lower = character.toLowerCase();
+
+        return lower.length === character.length ? lower : character;
+    };
+
+    /**
+     * Functions that change the case of a string, keyed by case type. They
+     * preserve the length of the string.
+     *
+     * @private
+     * @type {Object.<string, function(string): string>}
+     */
+    var _caseTransforms = {
+        lowercase: function (text) {
+            return text.replace(/[\s\S]/g, _toLowerCase);
+        },
+        uppercase: function (text) {
+            return text.replace(/[\s\S]/g, _toUpperCase);
+        },
+        titlecase: function (text) {
+            return _caseTransforms.lowercase(text).replace(/(^|\s)(\S)/g, function (match, prefix, first) {
+                return prefix + _toUpperCase(first);
+            });
+        },
+        sentencecase: function (text) {
+            return _caseTransforms.lowercase(text).replace(/(^|[.!?]\s|[\r\n])(\s*)(\S)/g,
+                function (match, end, space, first) {
+                    return end + space + _toUpperCase(first);
+                });
+        }
+    };
+
+    /**
+     * Replace the text content of each of the given layers in the given
+     * document, after which the layer models are reset.
+     *
+     * @private
+     * @param {Document} document
+     * @param {Immutable.List.<Layer>} layers
+     * @param {Immutable.List.<string>} texts The new text of each layer
+     * @param {string} name localized name to put into the history state
+     * @return {Promise}
+     */
+    var _setLayerTexts = function (document, layers, texts, name) {
+        var layerPlayObjects = layers.zipWith(function (layer, text) {
+            return {
+                layer: layer,
+                playObject: _setTextDescriptorPlayObject(layer.id, {
+                    _obj: "textLayer",
+                    textKey: text
+                })
+            };
+        }, texts);
+
+        return _playTextLayerActions.call(this, document, layers, layerPlayObjects, name);
+    };
+
+    /**
+     * Play the given per-layer text commands on the given layers in the given
+     * document as a single history state, after which the layer models are reset.
+     *
+     * @private
+     * @param {Document} document
+     * @param {Immutable.List.<Layer>} layers
+     * @param {Immutable.List.<{layer: Layer, playObject: PlayObject}>} layerPlayObjects
+     * @param {string} name localized name to put into the history state
+     * @return {Promise}
+     */
+    var _playTextLayerActions = function (document, layers, layerPlayObjects, name) {
+        var typeOptions = _getTypeOptions(document.id, name);
+
+        return this.transaction(function () {
+            return this.dispatchAsync(events.ui.TOGGLE_OVERLAYS, { enabled: false })
+                .bind(this)
+                .then(function () {
+                    return layerActionsUtil.playLayerActions(document, layerPlayObjects, true,
+                        this.prepareOptions(typeOptions));
+                })
+                .then(function () {
+                    return this.transfer(layerActions.resetLayers, document, layers, true);
+                });
+        });
+    };
+
+    /**
+     * Fetch the text descriptors of the given text layers from Photoshop, which
+     * include the text content along with its character and paragraph style ranges.
+     *
+     * @private
+     * @param {Immutable.List.<Layer>} layers
+     * @return {Promise.<Immutable.List.<object>>}
+     */
+    var _getTextDescriptors = function (layers) {
+        var layerIDs = collection.pluck(layers, "id"),
+            refs = layerLib.referenceBy.id(layerIDs.toArray());
+
+        return descriptor.batchGetProperty(refs._ref, "textKey")
+            .then(function (textKeys) {
+                if (!textKeys || textKeys.length !== layers.size) {
+                    throw new Error("Bad response from photoshop for textKey batchGet");
+                }
+
+                return Immutable.List(textKeys);
+            });
+    };
+
+    /**
+     * Build the play object which replaces the text descriptor of the given
+     * text layer. Because the descriptor includes all of the style ranges of
+     * the text, their styling is preserved.
+     *
+     * @private
+     * @param {number} layerID
+     * @param {object} textDescriptor
+     * @return {PlayObject}
+     */
+    var _setTextDescriptorPlayObject = function (layerID, textDescriptor) {
+        return {
+            command: "set",
+            descriptor: {
+                "null": textLayerLib.referenceBy.id(layerID),
+                "to": textDescriptor
+            }
+        };
+    };
+
+    /**
+     * Update the text descriptors of the given text layers in the given
+     * document. The current descriptors are fetched from Photoshop, updated
+     * and set back on each layer as a single history state.
+     *
+     * @private
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layers>} layers
+     * @param {function(object, Layer): object} getNextTextDescriptor Returns an
+     *  updated copy of the given text descriptor of the given layer
+     * @param {string} name localized name to put into the history state
+     * @return {Promise}
+     */
+    var _updateTextDescriptors = function (document, layers, getNextTextDescriptor, name) {
+        var textLayers = layers.toList();
+
+        return _getTextDescriptors(textLayers)
+            .bind(this)
+            .then(function (textDescriptors) {
+                var layerPlayObjects = textLayers.zipWith(function (layer, textDescriptor) {
+                    var nextTextDescriptor = getNextTextDescriptor(textDescriptor, layer);
+
+                    return {
+                        layer: layer,
+                        playObject: _setTextDescriptorPlayObject(layer.id, nextTextDescriptor)
+                    };
+                }, textDescriptors);
+
+                return _playTextLayerActions.call(this, document, textLayers, layerPlayObjects, name);
+            });
+    };
+
+    /**
+     * Append the given text to the given text descriptor, extending its last
+     * character and paragraph style ranges to cover it.
+     *
+     * @private
+     * @param {object} textDescriptor
+     * @param {string} text
+     * @return {object} An updated copy of the text descriptor
+     */
+    var _appendText = function (textDescriptor, text) {
+        var extendLast = function (ranges) {
+            if (!ranges || ranges.length === 0) {
+                return ranges;
+            }
+
+            var last = _.last(ranges);
+
+            return _.initial(ranges).concat(_.assign({}, last, {
+                to: last.to + text.length
+            }));
+        };
+
+        return _.assign({}, textDescriptor, {
+            textKey: textDescriptor.textKey + text,
+            textStyleRange: extendLast(textDescriptor.textStyleRange),
+            paragraphStyleRange: extendLast(textDescriptor.paragraphStyleRange)
+        });
+    };
+
+    /**
+     * Change the case of the text content of the given layers in the given
+     * document, preserving the styling of the text.
+     *
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layers>} layers
+     * @param {string} caseType One of "lowercase", "uppercase", "titlecase" or "sentencecase"
+     * @return {Promise}
+     */
+    var changeCaseCommand = function (document, layers, caseType) {
+        var transform = _caseTransforms[caseType];
+
+        return _updateTextDescriptors.call(this, document, layers, function (textDescriptor) {
+            return _.assign({}, textDescriptor, {
+                textKey: transform(textDescriptor.textKey)
+            });
+        }, strings.ACTIONS.CHANGE_TYPE_CASE);
+    };
+
+    /**
+     * Fill the given text layers in the given document with placeholder text.
+     * The text of box layers is sized to fit the box; point text layers get a
+     * default amount of text.
+     *
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layers>} layers
+     * @param {string} mode One of loremIpsum.MODES
+     * @return {Promise}
+     */
+    var fillLoremIpsumCommand = function (document, layers, mode) {
+        var textLayers = layers
+                .filter(function (layer) {
+                    return layer.text && layer.text.characterStyles && !layer.text.characterStyles.isEmpty();
+                })
+                .toList(),
+            texts = textLayers.map(function (layer) {
+                var fit;
+
+                if (layer.text.box && layer.bounds) {
+                    var characterStyle = layer.text.characterStyles.first(),
+                        size = characterStyle.textSize,
+                        leading = characterStyle.leading === null ? size * AUTO_LEADING_RATIO : characterStyle.leading;
+
+                    fit = loremIpsum.estimateFit(layer.bounds.width, layer.bounds.height, size, leading);
+                }
+
+                return loremIpsum.generate(mode, fit);
+            });
+
+        if (textLayers.isEmpty()) {
+            return Promise.resolve();
+        }
+
+        return _setLayerTexts.call(this, document, textLayers, texts, strings.ACTIONS.FILL_LOREM_IPSUM);
+    };
+
+    /**
+     * Build the play object which makes a new box text layer in the current
+     * document with the given text, bounds and type size.
+     *
+     * @private
+     * @param {string} text
+     * @param {{top: number, left: number, bottom: number, right: number}} box In pixels
+     * @param {number} size Type size in pixels
+     * @return {PlayObject}
+     */
+    var _makeBoxTextPlayObject = function (text, box, size) {
+        return {
+            command: "make",
+            descriptor: {
+                "null": {
+                    _ref: "textLayer"
+                },
+                "using": {
+                    _obj: "textLayer",
+                    textKey: text,
+                    textClickPoint: {
+                        _obj: "paint",
+                        horizontal: unitUtil.pixels(box.left),
+                        vertical: unitUtil.pixels(box.top)
+                    },
+                    textShape: [
+                        {
+                            _obj: "textShape",
+                            char: {
+                                _enum: "char",
+                                _value: "box"
+                            },
+                            orientation: {
+                                _enum: "orientation",
+                                _value: "horizontal"
+                            },
+                            bounds: {
+                                _obj: "rectangle",
+                                top: unitUtil.pixels(0),
+                                left: unitUtil.pixels(0),
+                                bottom: unitUtil.pixels(box.bottom - box.top),
+                                right: unitUtil.pixels(box.right - box.left)
+                            }
+                        }
+                    ],
+                    textStyleRange: [
+                        {
+                            _obj: "textStyleRange",
+                            from: 0,
+                            to: text.length,
+                            textStyle: {
+                                _obj: "textStyle",
+                                size: unitUtil.pixels(size)
+                            }
+                        }
+                    ]
+                }
+            }
+        };
+    };
+
+    /**
+     * Add a new box text layer filled with placeholder text to the center of
+     * the given document, sized to half of the document dimensions. Photoshop
+     * makes the layer in the current document.
+     *
+     * @param {Document} document The current document
+     * @param {string} mode One of loremIpsum.MODES
+     * @return {Promise}
+     */
+    var addLoremIpsumCommand = function (document, mode) {
+        var bounds = document.bounds,
+            box = {
+                top: bounds.height / 4,
+                left: bounds.width / 4,
+                bottom: bounds.height * 3 / 4,
+                right: bounds.width * 3 / 4
+            },
+            fit = loremIpsum.estimateFit(bounds.width / 2, bounds.height / 2,
+                LOREM_IPSUM_SIZE, LOREM_IPSUM_SIZE * AUTO_LEADING_RATIO),
+            text = loremIpsum.generate(mode, fit),
+            createPlayObject = _makeBoxTextPlayObject(text, box, LOREM_IPSUM_SIZE),
+            typeOptions = _getTypeOptions(document.id, strings.ACTIONS.ADD_LOREM_IPSUM);
+
+        return descriptor.playObject(createPlayObject, typeOptions)
+            .bind(this)
+            .then(function (event) {
+                return this.transfer(layerActions.addLayers, document, event.layerID);
+            });
+    };
+
+    /**
+     * Step a character style property of each style run of the given text
+     * layers by the given number of increments. Each run is stepped from its
+     * own value, so runs with different values keep their differences. All
+     * of the layers are updated as a single history state.
+     *
+     * @private
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layers>} layers
+     * @param {function(CharacterStyle): number} getNextValue Returns the stepped
+     *  value of the given style run
+     * @param {function(number): object} getTextStyleProperties Returns the
+     *  Photoshop text style properties which set the given stepped value
+     * @param {string} name localized name to put into the history state
+     * @return {Promise}
+     */
+    var _stepCharacterStyle = function (document, layers, getNextValue, getTextStyleProperties, name) {
+        var textLayers = layers.filter(function (layer) {
+            return layer.text && layer.text.characterStyles && !layer.text.characterStyles.isEmpty();
+        });
+
+        if (textLayers.isEmpty()) {
+            return Promise.resolve();
+        }
+
+        return _updateTextDescriptors.call(this, document, textLayers, function (textDescriptor, layer) {
+            var characterStyles = layer.text.characterStyles,
+                textStyleRanges = textDescriptor.textStyleRange || [];
+
+            if (textStyleRanges.length !== characterStyles.size) {
+                throw new Error("Style runs of layer " + layer.id + " are out of date");
+            }
+
+            return _.assign({}, textDescriptor, {
+                textStyleRange: textStyleRanges.map(function (textStyleRange, index) {
+                    var nextValue = getNextValue(characterStyles.get(index)),
+                        textStyle = _.assign({}, textStyleRange.textStyle, getTextStyleProperties(nextValue));
+
+                    return _.assign({}, textStyleRange, {
+                        textStyle: textStyle
+                    });
+                })
+            });
+        }, name);
+    };
+
+    /**
+     * Increase or decrease the type size of the given layers by the size
+     * increment preference.
+     *
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layers>} layers
+     * @param {number} direction 1 to increase the size, -1 to decrease it
+     * @return {Promise}
+     */
+    var stepSizeCommand = function (document, layers, direction) {
+        var preferences = this.flux.store("preferences").getState(),
+            increment = preferences.get(SIZE_INCREMENT_PREFERENCE, DEFAULT_SIZE_INCREMENT);
+
+        return _stepCharacterStyle.call(this, document, layers, function (characterStyle) {
+            return math.clamp(characterStyle.textSize + direction * increment, PS_MIN_FONT_SIZE, PS_MAX_FONT_SIZE);
+        }, function (size) {
+            return {
+                size: { _unit: "pixelsUnit", _value: size }
+            };
+        }, strings.ACTIONS.SET_TYPE_SIZE);
+    };
+
+    /**
+     * Loosen or tighten the tracking of the given layers by the tracking
+     * increment preference.
+     *
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layers>} layers
+     * @param {number} direction 1 to loosen the tracking, -1 to tighten it
+     * @return {Promise}
+     */
+    var stepTrackingCommand = function (document, layers, direction) {
+        var preferences = this.flux.store("preferences").getState(),
+            increment = preferences.get(TRACKING_INCREMENT_PREFERENCE, DEFAULT_TRACKING_INCREMENT);
+
+        return _stepCharacterStyle.call(this, document, layers, function (characterStyle) {
+            return characterStyle.tracking + direction * increment;
+        }, function (tracking) {
+            return {
+                tracking: tracking
+            };
+        }, strings.ACTIONS.SET_TYPE_TRACKING);
+    };
+
+    /**
+     * Raise or lower the leading of the given layers by the leading increment
+     * preference. Auto-leading is stepped from its approximate value.
+     *
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layers>} layers
+     * @param {number} direction 1 to raise the leading, -1 to lower it
+     * @return {Promise}
+     */
+    var stepLeadingCommand = function (document, layers, direction) {
+        var preferences = this.flux.store("preferences").getState(),
+            increment = preferences.get(LEADING_INCREMENT_PREFERENCE, DEFAULT_LEADING_INCREMENT);
+
+        return _stepCharacterStyle.call(this, document, layers, function (characterStyle) {
+            var leading = characterStyle.leading === null ?
+                characterStyle.textSize * AUTO_LEADING_RATIO :
+                characterStyle.leading;
+
+            return Math.max(leading + direction * increment, 0);
+        }, function (leading) {
+            return {
+                autoLeading: false,
+                leading: { _unit: "pixelsUnit", _value: leading }
+            };
+        }, strings.ACTIONS.SET_TYPE_LEADING);
+    };
+
+    /**
+     * Apply the given action to the selected layers of the current document,
+     * if any, with the given value.
+     *
+     * @private
+     * @param {Action} action
+     * @param {*} value
+     * @return {Promise}
+     */
+    var _applyToSelectedInCurrentDocument = function (action, value) {
+        var applicationStore = this.flux.store("application"),
+            currentDocument = applicationStore.getCurrentDocument();
+
+        if (!currentDocument) {
+            return Promise.resolve();
+        }
+
+        return this.transfer(action, currentDocument, currentDocument.layers.selected, value);
+    };
+
+    /**
+     * Change the case of the selected text layers in the current document.
+     *
+     * @param {{caseType: string}} payload
+     * @return {Promise}
+     */
+    var changeCaseSelectedInCurrentDocumentCommand = function (payload) {
+        return _applyToSelectedInCurrentDocument.call(this, changeCase, payload.caseType);
+    };
+
+    /**
+     * Fill the selected text layers of the current document with placeholder
+     * text or, if no text layers are selected, add a new one.
+     *
+     * @param {{mode: string}} payload
+     * @return {Promise}
+     */
+    var placeLoremIpsumInCurrentDocumentCommand = function (payload) {
+        var applicationStore = this.flux.store("application"),
+            currentDocument = applicationStore.getCurrentDocument();
+
+        if (!currentDocument) {
+            return Promise.resolve();
+        }
+
+        var selected = currentDocument.layers.selected,
+            allText = !selected.isEmpty() && selected.every(function (layer) {
+                return layer.kind === layer.layerKinds.TEXT;
+            });
+
+        if (allText) {
+            return this.transfer(fillLoremIpsum, currentDocument, selected, payload.mode);
+        } else {
+            return this.transfer(addLoremIpsum, currentDocument, payload.mode);
+        }
+    };
+
+    /**
+     * Step the type size of the selected text layers in the current document.
+     *
+     * @param {{direction: number}} payload
+     * @return {Promise}
+     */
+    var stepSizeSelectedInCurrentDocumentCommand = function (payload) {
+        return _applyToSelectedInCurrentDocument.call(this, stepSize, payload.direction);
+    };
+
+    /**
+     * Step the tracking of the selected text layers in the current document.
+     *
+     * @param {{direction: number}} payload
+     * @return {Promise}
+     */
+    var stepTrackingSelectedInCurrentDocumentCommand = function (payload) {
+        return _applyToSelectedInCurrentDocument.call(this, stepTracking, payload.direction);
+    };
+
+    /**
+     * Step the leading of the selected text layers in the current document.
+     *
+     * @param {{direction: number}} payload
+     * @return {Promise}
+     */
+    var stepLeadingSelectedInCurrentDocumentCommand = function (payload) {
+        return _applyToSelectedInCurrentDocument.call(this, stepLeading, payload.direction);
+    };
+
+    /**
+     * Determine which glyphs of the glyph browser the given font family
+     * supports, unless they are already known.
+     *
+     * @param {string} family
+     * @return {Promise}
+     */
+    var loadGlyphsCommand = function (family) {
+        var fontStore = this.flux.store("font");
+
+        if (fontStore.getGlyphs(family)) {
+            return Promise.resolve();
+        }
+
+        var payload = {
+            family: family,
+            glyphs: glyphUtil.getSupportedGlyphs(family)
+        };
+
+        return this.dispatchAsync(events.font.GLYPHS_LOADED, payload);
+    };
+
+    /**
+     * Insert the given glyph at the text cursor if text is being edited, and
+     * otherwise append it to the text of the given layers. The glyph becomes
+     * the most recently used one. The clipboard through which a glyph is
+     * inserted at the cursor is restored afterwards.
+     *
+     * @param {Document} document
+     * @param {Immutable.Iterable.<Layers>} layers
+     * @param {string} character The glyph to insert
+     * @return {Promise}
+     */
+    var insertGlyphCommand = function (document, layers, character) {
+        var recentPromise = _addRecentPreference.call(this, RECENT_GLYPHS_PREFERENCE, character,
+                MAX_RECENT_GLYPHS),
+            insertPromise;
+
+        // In the modal text editing state, paste the glyph at the cursor
+        if (this.flux.store("tool").getModalToolState()) {
+            insertPromise = this.transfer(editActions.insertText, character);
+        } else {
+            insertPromise = _updateTextDescriptors.call(this, document, layers, function (textDescriptor) {
+                return _appendText(textDescriptor, character);
+            }, strings.ACTIONS.INSERT_GLYPH);
+        }
+
+        return Promise.join(recentPromise, insertPromise);
+    };
+
+    /**
+     * Initialize the list of installed fonts from Photoshop.
+     *
+     * @private
+     * @return {Promise}
+     */
+    var afterStartupCommand = function () {
+        return descriptor.getProperty("application", "fontList")
+            .bind(this)
+            .then(this.dispatch.bind(this, events.font.INIT_FONTS));
+    };
+
+    /**
+     * @type {Action}
+     */
+    var setPostScript = {
+        command: setPostScriptCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "postscript", type: schema.string, description: "PostScript name of the font" },
+            { name: "family", type: schema.string },
+            { name: "style", type: schema.string }
+        ],
+        reads: [locks.JS_PREF],
+        writes: [locks.PS_DOC, locks.JS_DOC, locks.JS_PREF, locks.JS_MENU]
+    };
+
+    /**
+     * @type {Action}
+     */
+    var setFontFamilyFavorite = {
+        command: setFontFamilyFavoriteCommand,
+        params: [
+            { name: "family", type: schema.string },
+            { name: "favorite", type: schema.boolean }
+        ],
+        reads: [locks.JS_PREF],
+        writes: [locks.JS_PREF, locks.JS_MENU]
+    };
+
+    /**
+     * @type {Action}
+     */
+    var openMissingFonts = {
+        command: openMissingFontsCommand,
+        reads: [],
+        writes: [locks.JS_DIALOG]
+    };
+
+    /**
+     * @type {Action}
+     */
+    var replaceMissingFonts = {
+        command: replaceMissingFontsCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "replacements", type: schema.object, description: "Missing to installed PostScript names" }
+        ],
+        reads: [locks.JS_TYPE],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    /**
+     * @type {Action}
+     */
+    var setFace = {
+        command: setFaceCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "family", type: schema.string },
+            { name: "style", type: schema.string }
+        ],
+        reads: [],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    /**
+     * @type {Action}
+     */
+    var setColor = {
+        command: setColorCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "color", type: schema.Color },
+            { name: "coalesce", type: schema.optional(schema.boolean) },
+            { name: "ignoreAlpha", type: schema.optional(schema.boolean) }
+        ],
+        reads: [],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    /**
+     * @type {Action}
+     */
+    var setSize = {
+        command: setSizeCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "size", type: schema.range(0), description: "Type size in pixels" }
+        ],
+        reads: [],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    /**
+     * @type {Action}
+     */
+    var setTracking = {
+        command: setTrackingCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "tracking", type: schema.number }
+        ],
+        reads: [],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    /**
+     * @type {Action}
+     */
+    var setLeading = {
+        command: setLeadingCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            {
+                name: "leading",
+                type: schema.optional(schema.range(0)),
+                description: "Leading in pixels, or null for auto"
+            }
+        ],
+        reads: [],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    /**
+     * @type {Action}
+     */
+    var setAlignment = {
+        command: setAlignmentCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "alignment", type: schema.oneOf(["left", "center", "right", "justifyAll"]) }
+        ],
+        reads: [],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    /**
+     * @type {Action}
+     */
+    var setUnderline = {
+        command: setUnderlineCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "underline", type: schema.boolean }
+        ],
+        reads: [],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    /**
+     * @type {Action}
+     */
+    var setStrikethrough = {
+        command: setStrikethroughCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "strikethrough", type: schema.boolean }
+        ],
+        reads: [],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    /**
+     * @type {Action}
+     */
+    var setCaps = {
+        command: setCapsCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "caps", type: schema.oneOf(["normal", "allCaps", "smallCaps"]) }
+        ],
+        reads: [],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    /**
+     * @type {Action}
+     */
+    var setBaseline = {
+        command: setBaselineCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "baseline", type: schema.oneOf(["normal", "superScript", "subScript"]) }
+        ],
+        reads: [],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    /**
+     * @type {Action}
+     */
+    var setBaselineShift = {
+        command: setBaselineShiftCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "baselineShift", type: schema.number, description: "Baseline shift in pixels" }
+        ],
+        reads: [],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    /**
+     * @type {Action}
+     */
+    var setKerning = {
+        command: setKerningCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "kerning", type: schema.oneOf(["metricsKern", "opticalKern", "manual"]) }
+        ],
+        reads: [],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    /**
+     * @type {Action}
+     */
+    var setLigatures = {
+        command: setLigaturesCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "ligatures", type: schema.boolean }
+        ],
+        reads: [],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    /**
+     * @type {Action}
+     */
+    var setOldStyleFigures = {
+        command: setOldStyleFiguresCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "oldStyleFigures", type: schema.boolean }
+        ],
+        reads: [],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    /**
+     * Type of the justification settings accepted by setJustification.
+     *
+     * @private
+     * @type {Type}
+     */
+    var _justification = schema.shape({
+        wordSpacingMin: schema.optional(schema.range(0, 1000)),
+        wordSpacingDesired: schema.optional(schema.range(0, 1000)),
+        wordSpacingMax: schema.optional(schema.range(0, 1000)),
+        letterSpacingMin: schema.optional(schema.range(-100, 500)),
+        letterSpacingDesired: schema.optional(schema.range(-100, 500)),
+        letterSpacingMax: schema.optional(schema.range(-100, 500))
+    });
+
+    /**
+     * @type {Action}
+     */
+    var setSpaceBefore = {
+        command: setSpaceBeforeCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "spaceBefore", type: schema.range(0), description: "Space in pixels" }
+        ],
+        reads: [],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    /**
+     * @type {Action}
+     */
+    var setSpaceAfter = {
+        command: setSpaceAfterCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "spaceAfter", type: schema.range(0), description: "Space in pixels" }
+        ],
+        reads: [],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    /**
+     * @type {Action}
+     */
+    var setFirstLineIndent = {
+        command: setFirstLineIndentCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "firstLineIndent", type: schema.number, description: "Indent in pixels" }
+        ],
+        reads: [],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    /**
+     * @type {Action}
+     */
+    var setLeftIndent = {
+        command: setLeftIndentCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "leftIndent", type: schema.number, description: "Indent in pixels" }
+        ],
+        reads: [],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    /**
+     * @type {Action}
+     */
+    var setRightIndent = {
+        command: setRightIndentCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "rightIndent", type: schema.number, description: "Indent in pixels" }
+        ],
+        reads: [],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    /**
+     * @type {Action}
+     */
+    var setHyphenation = {
+        command: setHyphenationCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "hyphenate", type: schema.boolean }
+        ],
+        reads: [],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    /**
+     * @type {Action}
+     */
+    var setJustification = {
+        command: setJustificationCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            {
+                name: "justification",
+                type: _justification,
+                description: "Word and letter spacing limits, as percentages"
+            }
+        ],
+        reads: [],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    /**
+     * @type {Action}
+     */
+    var changeCase = {
+        command: changeCaseCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "caseType", type: schema.oneOf(Object.keys(_caseTransforms)) }
+        ],
+        reads: [locks.PS_DOC],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    /**
+     * Type of the placeholder text modes.
+     *
+     * @private
+     * @type {Type}
+     */
+    var _loremIpsumMode = schema.oneOf(_.values(loremIpsum.MODES));
+
+    /**
+     * @type {Action}
+     */
+    var fillLoremIpsum = {
+        command: fillLoremIpsumCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "mode", type: _loremIpsumMode }
+        ],
+        reads: [],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    /**
+     * @type {Action}
+     */
+    var addLoremIpsum = {
+        command: addLoremIpsumCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "mode", type: _loremIpsumMode }
+        ],
+        reads: [],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    /**
+     * Type of the direction in which the step actions change a value.
+     *
+     * @private
+     * @type {Type}
+     */
+    var _direction = schema.oneOf([1, -1]);
+
+    /**
+     * @type {Action}
+     */
+    var stepSize = {
+        command: stepSizeCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "direction", type: _direction }
+        ],
+        reads: [locks.JS_PREF],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    /**
+     * @type {Action}
+     */
+    var stepTracking = {
+        command: stepTrackingCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "direction", type: _direction }
+        ],
+        reads: [locks.JS_PREF],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    /**
+     * @type {Action}
+     */
+    var stepLeading = {
+        command: stepLeadingCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "direction", type: _direction }
+        ],
+        reads: [locks.JS_PREF],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    var changeCaseSelectedInCurrentDocument = {
+        command: changeCaseSelectedInCurrentDocumentCommand,
+        reads: [locks.PS_DOC, locks.JS_DOC, locks.JS_APP],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    var placeLoremIpsumInCurrentDocument = {
+        command: placeLoremIpsumInCurrentDocumentCommand,
+        reads: [locks.PS_DOC, locks.JS_DOC, locks.JS_APP],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    var stepSizeSelectedInCurrentDocument = {
+        command: stepSizeSelectedInCurrentDocumentCommand,
+        reads: [locks.PS_DOC, locks.JS_DOC, locks.JS_APP, locks.JS_PREF],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    var stepTrackingSelectedInCurrentDocument = {
+        command: stepTrackingSelectedInCurrentDocumentCommand,
+        reads: [locks.PS_DOC, locks.JS_DOC, locks.JS_APP, locks.JS_PREF],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    var stepLeadingSelectedInCurrentDocument = {
+        command: stepLeadingSelectedInCurrentDocumentCommand,
+        reads: [locks.PS_DOC, locks.JS_DOC, locks.JS_APP, locks.JS_PREF],
+        writes: [locks.PS_DOC, locks.JS_DOC]
+    };
+
+    /**
+     * @type {Action}
+     */
+    var loadGlyphs = {
+        command: loadGlyphsCommand,
+        params: [
+            { name: "family", type: schema.string, description: "Font family name" }
+        ],
+        reads: [locks.JS_TYPE],
+        writes: [locks.JS_TYPE]
+    };
+
+    /**
+     * @type {Action}
+     */
+    var insertGlyph = {
+        command: insertGlyphCommand,
+        params: [
+            { name: "document", type: schema.Document },
+            { name: "layers", type: schema.iterableOf(schema.Layer) },
+            { name: "character", type: schema.string }
+        ],
+        modal: true,
+        reads: locks.ALL_PS_LOCKS.concat([locks.JS_PREF, locks.JS_TOOL]),
+        writes: locks.ALL_PS_LOCKS.concat([locks.JS_DOC, locks.JS_PREF, locks.JS_MENU])
+    };
+
+    /**
+     * @type {Action}
+     */
+    var afterStartup = {
+        command: afterStartupCommand,
+        reads: [locks.PS_APP],
+        writes: [locks.JS_TYPE]
+    };
+
+    exports.setPostScript = setPostScript;
+    exports.setFontFamilyFavorite = setFontFamilyFavorite;
+    exports.openMissingFonts = openMissingFonts;
+    exports.replaceMissingFonts = replaceMissingFonts;
+    exports.setFace = setFace;
+    exports.setColor = setColor;
+    exports.setSize = setSize;
+    exports.setTracking = setTracking;
+    exports.setLeading = setLeading;
+    exports.setAlignment = setAlignment;
+    exports.setUnderline = setUnderline;
+    exports.setStrikethrough = setStrikethrough;
+    exports.setCaps = setCaps;
+    exports.setBaseline = setBaseline;
+    exports.setBaselineShift = setBaselineShift;
+    exports.setKerning = setKerning;
+    exports.setLigatures = setLigatures;
+    exports.setOldStyleFigures = setOldStyleFigures;
+    exports.setSpaceBefore = setSpaceBefore;
+    exports.setSpaceAfter = setSpaceAfter;
+    exports.setFirstLineIndent = setFirstLineIndent;
+    exports.setLeftIndent = setLeftIndent;
+    exports.setRightIndent = setRightIndent;
+    exports.setHyphenation = setHyphenation;
+    exports.setJustification = setJustification;
+    exports.changeCase = changeCase;
+    exports.fillLoremIpsum = fillLoremIpsum;
+    exports.addLoremIpsum = addLoremIpsum;
+    exports.stepSize = stepSize;
+    exports.stepTracking = stepTracking;
+    exports.stepLeading = stepLeading;
+    exports.changeCaseSelectedInCurrentDocument = changeCaseSelectedInCurrentDocument;
+    exports.placeLoremIpsumInCurrentDocument = placeLoremIpsumInCurrentDocument;
+    exports.stepSizeSelectedInCurrentDocument = stepSizeSelectedInCurrentDocument;
+    exports.stepTrackingSelectedInCurrentDocument = stepTrackingSelectedInCurrentDocument;
+    exports.stepLeadingSelectedInCurrentDocument = stepLeadingSelectedInCurrentDocument;
+
+    exports.loadGlyphs = loadGlyphs;
+    exports.insertGlyph = insertGlyph;
 
     exports.afterStartup = afterStartup;
 });
@@ -24,15 +24,19 @@
 define(function (require, exports) {
     "use strict";
 
-    var Promise = require("bluebird");
+    var Promise = require("bluebird"),
+        _ = require("lodash");
 
     var descriptor = require("adapter/ps/descriptor"),
         documentLib = require("adapter/lib/document"),
         adapterUI = require("adapter/ps/ui");
 
-    var events = require("js/events"),
+    var preferencesActions = require("./preferences"),
+        events = require("js/events"),
         locks = require("js/locks"),
-        synchronization = require("js/util/synchronization");
+        schema = require("js/util/schema"),
+        synchronization = require("js/util/synchronization"),
+        unitUtil = require("js/util/unit");
 
 
     /**
@@ -48,6 +52,16 @@ define(function (require, exports) {
 
         return this.flux.actions.preferences.setPreference("toolbarPinned", newToolbarPinned);
     };
+
+    /**
+     * Set the unit in which lengths are displayed and entered.
+     *
+     * @param {string} unit One of unitUtil.DISPLAY_UNITS
+     * @return {Promise}
+     */
+    var setDisplayUnitCommand = function (unit) {
+        return this.transfer(preferencesActions.setPreference, "displayUnit", unit);
+    };
     
     /**
      * Query Photoshop for the curent window transform and emit a
@@ -403,7 +417,8 @@ define(function (require, exports) {
     var updateTransform = {
         command: updateTransformCommand,
         reads: [locks.PS_APP],
-        writes: [locks.JS_UI]
+        writes: [locks.JS_UI],
+        supersede: true
     };
 
     /**
@@ -447,7 +462,8 @@ define(function (require, exports) {
     var updatePanelSizes = {
         command: updatePanelSizesCommand,
         reads: [locks.JS_APP],
-        writes: [locks.JS_UI]
+        writes: [locks.JS_UI],
+        supersede: true
     };
 
     /**
@@ -489,6 +505,18 @@ define(function (require, exports) {
         writes: []
     };
 
+    /**
+     * @type {Action}
+     */
+    var setDisplayUnit = {
+        command: setDisplayUnitCommand,
+        params: [
+            { name: "unit", type: schema.oneOf(_.values(unitUtil.DISPLAY_UNITS)) }
+        ],
+        reads: [],
+        writes: [locks.JS_PREF, locks.JS_MENU]
+    };
+
     var beforeStartup = {
         command: beforeStartupCommand,
         reads: [],
@@ -509,6 +537,7 @@ define(function (require, exports) {
 
     
     exports.togglePinnedToolbar = togglePinnedToolbar;
+    exports.setDisplayUnit = setDisplayUnit;
     exports.updateTransform = updateTransform;
     exports.setTransform = setTransform;
     exports.updatePanelSizes = updatePanelSizes;
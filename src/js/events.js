@@ -56,14 +56,29 @@ define(function (require, exports, module) {
                     STROKE_OPACITY_CHANGED: "strokeOpacityChanged",
                     FILL_COLOR_CHANGED: "fillColorChanged",
                     FILL_OPACITY_CHANGED: "fillOpacityChanged",
+                    FILL_GRADIENT_CHANGED: "fillGradientChanged",
+                    FILL_PATTERN_CHANGED: "fillPatternChanged",
                     FILL_ADDED: "fillAdded",
+                    FILL_APPENDED: "fillAppended",
+                    FILL_REMOVED: "fillRemoved",
+                    FILL_REORDERED: "fillReordered",
+                    STROKE_APPENDED: "strokeAppended",
+                    STROKE_REMOVED: "strokeRemoved",
+                    STROKE_REORDERED: "strokeReordered",
+                    STROKE_DASH_CHANGED: "strokeDashChanged",
+                    STROKE_CAP_CHANGED: "strokeCapChanged",
+                    STROKE_JOIN_CHANGED: "strokeJoinChanged",
                     LAYER_EFFECT_CHANGED: "layerEffectChanged",
+                    LAYER_EFFECT_REMOVED: "layerEffectRemoved",
+                    LAYER_EFFECT_REORDERED: "layerEffectReordered",
+                    LAYER_EFFECT_DUPLICATED: "layerEffectDuplicated",
                     RADII_CHANGED: "radiiChanged",
                     TYPE_COLOR_CHANGED: "typeColorChanged"
                 },
                 nonOptimistic: {
                     STROKE_ADDED: "strokeAdded",
                     RESET_BOUNDS: "resetBoundsWithHistory",
+                    RESET_LAYERS: "resetLayersWithHistory",
                     UNGROUP_SELECTED: "ungroupSelectedLayers",
                     ADD_LAYERS: "addLayers",
                     COMBINE_SHAPES: "combineShapes",
@@ -71,6 +86,8 @@ define(function (require, exports, module) {
                 }
             },
             DELETE_LAYERS_NO_HISTORY: "deleteLayersNoHistory",
+            ROLLBACK_DOCUMENTS: "rollbackDocuments",
+            MARK_DOCUMENTS_DIRTY: "markDocumentsDirty",
             SELECT_LAYERS_BY_ID: "selectLayersByID",
             SELECT_LAYERS_BY_INDEX: "selectLayersByIndex",
             VISIBILITY_CHANGED: "layerVisibilityChanged",
@@ -93,11 +110,15 @@ define(function (require, exports, module) {
             TYPE_SIZE_CHANGED: "typeSizeChanged",
             TYPE_TRACKING_CHANGED: "typeTrackingChanged",
             TYPE_LEADING_CHANGED: "typeLeadingChanged",
-            TYPE_ALIGNMENT_CHANGED: "typeAlignmentChanged"
+            TYPE_ALIGNMENT_CHANGED: "typeAlignmentChanged",
+            TYPE_CHARACTER_STYLE_CHANGED: "typeCharacterStyleChanged",
+            TYPE_PARAGRAPH_STYLE_CHANGED: "typeParagraphStyleChanged"
         },
         tool: {
             SELECT_TOOL: "selectTool",
-            MODAL_STATE_CHANGE: "modalStateChange"
+            MODAL_STATE_CHANGE: "modalStateChange",
+            ADD_TOOLS: "addTools",
+            REMOVE_TOOLS: "removeTools"
         },
         ui: {
             TRANSFORM_UPDATED: "transformUpdated",
@@ -118,7 +139,8 @@ define(function (require, exports, module) {
             CLOSE_ALL_DIALOGS: "closeAllDialogs"
         },
         font: {
-            INIT_FONTS: "initFonts"
+            INIT_FONTS: "initFonts",
+            GLYPHS_LOADED: "glyphsLoaded"
         },
         menus: {
             INIT_MENUS: "initMenus",
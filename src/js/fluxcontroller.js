@@ -30,17 +30,25 @@ define(function (require, exports, module) {
         _ = require("lodash");
 
     var ps = require("adapter/ps"),
+        descriptor = require("adapter/ps/descriptor"),
         util = require("adapter/util");
 
     var locks = require("./locks"),
+        priorities = require("./priorities"),
         events = require("./events"),
         storeIndex = require("./stores/index"),
         actionIndex = require("./actions/index"),
         AsyncDependencyQueue = require("./util/async-dependency-queue"),
+        Journal = require("./util/journal"),
+        Transaction = require("./util/transaction"),
+        LockVerifier = require("./util/lock-verifier"),
+        schema = require("./util/schema"),
         synchronization = require("./util/synchronization"),
         performance = require("./util/performance"),
         log = require("./util/log"),
-        global = require("./util/global");
+        global = require("./util/global"),
+        Document = require("./models/document"),
+        Layer = require("./models/layer");
 
     /**
      * @const
@@ -56,17 +64,138 @@ define(function (require, exports, module) {
      */
     var MAX_RETRY_WINDOW = 6400;
 
+    /**
+     * @const
+     * @type {number} Default time, in ms, after which a still-running action is
+     *  reported as slow. Actions may override this with a softTimeout property.
+     */
+    var DEFAULT_SOFT_TIMEOUT = 5000;
+
+    /**
+     * @const
+     * @type {number} Default time, in ms, after which a still-running action is
+     *  considered hung and its locks are released. Actions may override this with
+     *  a hardTimeout property, e.g., Infinity for actions that wait on the user.
+     */
+    var DEFAULT_HARD_TIMEOUT = 60000;
+
+    /**
+     * The set of events which optimistically update a document model before
+     * Photoshop has confirmed the corresponding change.
+     *
+     * @const
+     * @private
+     * @type {Set.<string>}
+     */
+    var OPTIMISTIC_EVENTS = new Set(_.values(events.document.history.optimistic));
+
+    /**
+     * The names of Photoshop commands which only read Photoshop state.
+     *
+     * @const
+     * @private
+     * @type {Set.<string>}
+     */
+    var READ_COMMANDS = new Set(["get", "multiGet"]);
+
+    /**
+     * The number of Photoshop commands which may have modified Photoshop state
+     * that have completed since the adapter was first instrumented.
+     *
+     * @private
+     * @type {number}
+     */
+    var _completedCommandCount = 0;
+
+    /**
+     * The instrumented command methods of the adapter.
+     *
+     * @private
+     * @type {Set.<function>}
+     */
+    var _instrumentedMethods = new Set();
+
+    /**
+     * Replace the given adapter method with one that counts the completed
+     * Photoshop commands which may have modified Photoshop state. A failed
+     * batch of several such commands may have partially completed, and so is
+     * counted as well.
+     *
+     * @private
+     * @param {object} target The adapter module
+     * @param {string} methodName
+     * @param {function(...*): Array.<string>} getCommandNames Maps the
+     *  arguments of the method to the names of the commands it plays
+     */
+    var _instrumentCommandMethod = function (target, methodName, getCommandNames) {
+        var method = target[methodName];
+        if (typeof method !== "function" || _instrumentedMethods.has(method)) {
+            return;
+        }
+
+        var instrumentedMethod = function () {
+            var writeCount = getCommandNames.apply(null, arguments).filter(function (commandName) {
+                    return !READ_COMMANDS.has(commandName);
+                }).length,
+                commandPromise = method.apply(this, arguments);
+
+            if (writeCount === 0) {
+                return commandPromise;
+            }
+
+            return Promise.resolve(commandPromise)
+                .tap(function () {
+                    _completedCommandCount++;
+                })
+                .catch(function (err) {
+                    if (writeCount > 1) {
+                        _completedCommandCount++;
+                    }
+
+                    throw err;
+                });
+        };
+
+        _instrumentedMethods.add(instrumentedMethod);
+        target[methodName] = instrumentedMethod;
+    };
+
+    /**
+     * Instrument those adapter methods through which actions play Photoshop
+     * commands that have not already been instrumented.
+     *
+     * @private
+     */
+    var _instrumentCommands = function () {
+        _instrumentCommandMethod(descriptor, "play", function (commandName) {
+            return [commandName];
+        });
+        _instrumentCommandMethod(descriptor, "playObject", function (playObject) {
+            return [playObject.command];
+        });
+        _instrumentCommandMethod(descriptor, "batchPlay", function (commands) {
+            return _.pluck(commands, "name");
+        });
+        _instrumentCommandMethod(descriptor, "batchPlayObjects", function (playObjects) {
+            return _.pluck(playObjects, "command");
+        });
+        _instrumentCommandMethod(ps, "performMenuCommand", function () {
+            return ["performMenuCommand"];
+        });
+    };
+
     /**
      * Priority order comparator for action modules.
      *
      * @private
+     * @param {Object.<string, object>} modules Raw action modules, indexed by namespace
      * @param {string} moduleName1
      * @param {string} moduleName2
      * @return number
      */
-    var _actionModuleComparator = function (moduleName1, moduleName2) {
-        var module1 = actionIndex[moduleName1],
-            module2 = actionIndex[moduleName2],
+    var _actionModuleComparator = function (modules, moduleName1, moduleName2) {
+        var module1 = modules[moduleName1],
+            module2 = modules[moduleName2],
             priority1 = module1._priority || 0,
             priority2 = module2._priority || 0;
 
@@ -94,14 +223,30 @@ define(function (require, exports, module) {
     var FluxController = function (testStores) {
         EventEmitter.call(this);
 
+        _instrumentCommands();
+
         var cores = window.navigator.hardwareConcurrency || 8;
         this._actionQueue = new AsyncDependencyQueue(cores);
+        this._actionQueue.on("superseded", this._handleSuperseded.bind(this));
+        this._actionQueue.on("contention", this._handleContention.bind(this));
+        this._actionQueue.setContentionTracking(!!global.debug);
+        this._implicitLockActions = new Set();
+        this._runningActions = new Set();
 
-        var actions = this._synchronizeAllModules(actionIndex),
+        this._actionModules = _.clone(actionIndex);
+        this._plugins = new Map();
+
+        var actions = this._synchronizeAllModules(this._actionModules),
             stores = storeIndex.create(),
             allStores = _.merge(stores, testStores || {});
 
         this._flux = new Fluxxor.Flux(allStores, actions);
+        this._flux.on("dispatch", this._handleDispatch.bind(this));
+
+        if (global.debug) {
+            this._lockVerifier = new LockVerifier(allStores);
+        }
+
         this._resetHelper = synchronization.throttle(this._resetWithDelay, this);
         this._actionReceivers = new Map();
     };
@@ -132,6 +277,58 @@ define(function (require, exports, module) {
      */
     FluxController.prototype._actionReceivers = null;
 
+    /**
+     * @private
+     * @type {Set.<string>} Names of actions which acquire all locks because
+     *  they do not declare their read or write locks
+     */
+    FluxController.prototype._implicitLockActions = null;
+
+    /**
+     * @private
+     * @type {Set.<RunningAction>} Currently executing synchronized actions
+     */
+    FluxController.prototype._runningActions = null;
+
+    /**
+     * @private
+     * @type {?LockVerifier} Verifies that actions respect their declared locks; debug only
+     */
+    FluxController.prototype._lockVerifier = null;
+
+    /**
+     * @private
+     * @type {Object.<string, object>} Raw action modules, both built-in and
+     *  registered by plugins, indexed by namespace
+     */
+    FluxController.prototype._actionModules = null;
+
+    /**
+     * @private
+     * @type {Map.<string, Plugin>} Registered plugins, indexed by ID
+     */
+    FluxController.prototype._plugins = null;
+
+    /**
+     * @private
+     * @type {?Journal} The journal in which synchronized actions are currently recorded
+     */
+    FluxController.prototype._journal = null;
+
+    /**
+     * @private
+     * @type {?JournalEntry} The journal entry of the action whose command is
+     *  currently invoking another synchronized action, if any
+     */
+    FluxController.prototype._journalParent = null;
+
+    /**
+     * @private
+     * @type {?ModelSnapshot} Pre-action models for the currently executing
+     *  action that holds the document write lock
+     */
+    FluxController.prototype._snapshot = null;
+
     Object.defineProperties(FluxController.prototype, {
         "flux": {
             enumerable: true,
@@ -207,16 +404,81 @@ define(function (require, exports, module) {
                         throw new Error("Next action requires additional write locks");
                     }
 
+                    var params = Array.prototype.slice.call(arguments, 1);
+                    self._validateParams(nextAction, params);
+
                     var lockUI = nextAction.lockUI;
                     if (lockUI) {
                         self.emit("lock");
                     }
     
-                    var params = Array.prototype.slice.call(arguments, 1);
                     return self._applyActionCommand(nextAction, this, params);
                 }
             },
 
+            /**
+             * Execute the given function as a single atomic operation: all
+             * Photoshop history states created by its commands are merged into
+             * one per document, as are the HistoryStore entries pushed by its
+             * events, and if it fails then all of its model updates are rolled
+             * back. The function is called with a transaction receiver that
+             * behaves like this one, and so may transfer to other actions; its
+             * commands must pass the options with which they play Photoshop
+             * commands through the receiver's prepareOptions method. Transactions
+             * require the document write lock; transactions begun on the
+             * transaction receiver are merged into the outermost transaction.
+             *
+             * @param {function(): Promise} fn
+             * @return {Promise} The result of the function
+             */
+            transaction: {
+                value: function (fn) {
+                    if (!_.contains(currentWrites, locks.JS_DOC)) {
+                        return Promise.reject(new Error("Transactions require the " + locks.JS_DOC + " write lock"));
+                    }
+
+                    var transaction = new Transaction(self._takeSnapshot()),
+                        transactionReceiver = self._makeTransactionReceiver(this, transaction);
+
+                    return Promise.try(fn, undefined, transactionReceiver)
+                        .catch(function (err) {
+                            var outerSnapshot = self._snapshot;
+
+                            if (self._hasCompletedCommands(transaction.snapshot)) {
+                                // Photoshop has applied part of the transaction, so its models can't be
+                                // rolled back; its documents are resynced once the action completes
+                                log.warn("Transaction of action %s failed after Photoshop commands completed",
+                                    actionName);
+
+                                if (outerSnapshot) {
+                                    transaction.getDocumentIDs().forEach(function (documentID) {
+                                        outerSnapshot.staleDocumentIDs.add(documentID);
+                                    });
+                                    outerSnapshot.staleCause = err;
+                                }
+                            } else if (self._rollback(transaction.snapshot) && outerSnapshot) {
+                                // Allow the failed action to be rolled back instead of reset
+                                transaction.snapshot.documentIDs.forEach(function (documentID) {
+                                    outerSnapshot.documentIDs.add(documentID);
+                                });
+                            }
+
+                            throw err;
+                        });
+                }
+            },
+
+            /**
+             * Prepare the options of a Photoshop command played by this action.
+             * Outside of a transaction, the options are returned unchanged.
+             *
+             * @param {object=} options
+             * @return {object=}
+             */
+            prepareOptions: {
+                value: _.identity
+            },
+
             /**
              * Dispatch an event using the Flux dispatcher on the next tick of the event loop.
              *
@@ -234,9 +496,148 @@ define(function (require, exports, module) {
         });
 
         resolvedPromise = Promise.bind(receiver);
+
+        if (this._lockVerifier) {
+            this._verifyReceiverLocks(receiver, actionName, currentReads, currentWrites);
+        }
+
         return receiver;
     };
 
+    /**
+     * Augment the given action receiver so that its event dispatches and store
+     * accesses are verified against the action's declared locks.
+     *
+     * @private
+     * @param {ActionReceiver} receiver
+     * @param {string} actionName
+     * @param {Array.<string>} reads
+     * @param {Array.<string>} writes
+     */
+    FluxController.prototype._verifyReceiverLocks = function (receiver, actionName, reads, writes) {
+        var verifier = this._lockVerifier,
+            proto = Object.getPrototypeOf(receiver),
+            flux = proto.flux;
+
+        Object.defineProperties(receiver, {
+            dispatch: {
+                value: function (event, payload) {
+                    verifier.verifyDispatch(actionName, event, writes);
+                    return proto.dispatch(event, payload);
+                }
+            },
+
+            flux: {
+                value: Object.create(flux, {
+                    store: {
+                        value: function (storeName) {
+                            verifier.verifyStoreAccess(actionName, storeName, reads);
+                            return flux.store(storeName);
+                        }
+                    }
+                })
+            }
+        });
+    };
+
+    /**
+     * Construct a receiver for the body of a transaction that augments the
+     * given action receiver by preparing all dispatched events and played
+     * Photoshop commands with the transaction. Transactions begun on the
+     * transaction receiver, or on the receivers of actions to which it
+     * transfers, are merged into the given transaction.
+     *
+     * @private
+     * @param {ActionReceiver} receiver
+     * @param {Transaction} transaction
+     * @return {ActionReceiver}
+     */
+    FluxController.prototype._makeTransactionReceiver = function (receiver, transaction) {
+        var resolvedPromise;
+
+        var transactionReceiver = Object.create(receiver, {
+            transaction: {
+                value: function (fn) {
+                    return Promise.try(fn, undefined, this);
+                }
+            },
+
+            prepareOptions: {
+                value: function (options) {
+                    return transaction.prepareOptions(options);
+                }
+            },
+
+            dispatch: {
+                value: function (event, payload) {
+                    return receiver.dispatch(event, transaction.preparePayload(event, payload));
+                }
+            },
+
+            dispatchAsync: {
+                value: function (event, payload) {
+                    return resolvedPromise.then(function () {
+                        this.dispatch(event, payload);
+                    });
+                }
+            }
+        });
+
+        resolvedPromise = Promise.bind(transactionReceiver);
+        return transactionReceiver;
+    };
+
+    /**
+     * Construct a receiver for a journaled action invocation that augments the
+     * given action receiver so that synchronized actions invoked through its
+     * flux instance are journaled as children of the invocation.
+     *
+     * @private
+     * @param {ActionReceiver} receiver
+     * @param {JournalEntry} journalEntry
+     * @return {ActionReceiver}
+     */
+    FluxController.prototype._makeJournalingReceiver = function (receiver, journalEntry) {
+        var self = this,
+            flux = receiver.flux,
+            journalingActions = null;
+
+        var journalingFlux = Object.create(flux, {
+            actions: {
+                get: function () {
+                    if (!journalingActions) {
+                        journalingActions = _.mapValues(flux.actions, function (actionModule) {
+                            return _.mapValues(actionModule, function (actionFn) {
+                                if (typeof actionFn !== "function") {
+                                    return actionFn;
+                                }
+
+                                return function () {
+                                    var previousParent = self._journalParent;
+
+                                    self._journalParent = journalEntry;
+                                    try {
+                                        return actionFn.apply(this, arguments);
+                                    } finally {
+                                        self._journalParent = previousParent;
+                                    }
+                                };
+                            });
+                        });
+                    }
+
+                    return journalingActions;
+                }
+            }
+        });
+
+        return Object.create(receiver, {
+            flux: {
+                value: journalingFlux
+            }
+        });
+    };
+
     /**
      * Get an action receiver for the given action, creating it if necessary.
      *
@@ -255,6 +656,26 @@ define(function (require, exports, module) {
         return receiver;
     };
 
+    /**
+     * In debug builds, validate the given parameters against the parameter
+     * schema declared by the action, if any.
+     *
+     * @private
+     * @param {Action} action
+     * @param {Array.<*>} params
+     * @throws {TypeError} If the parameters are invalid
+     */
+    FluxController.prototype._validateParams = function (action, params) {
+        if (!global.debug || !action.params) {
+            return;
+        }
+
+        var reason = schema.validate(action.params, params);
+        if (reason) {
+            throw new TypeError("Invalid parameters for action " + action.name + ": " + reason);
+        }
+    };
+
     /**
      * Apply the given action's command, bound to the given action receiver, to
      * the given actual parameters. Verifies any postconditions defined as part
@@ -319,6 +740,84 @@ define(function (require, exports, module) {
             });
     };
 
+    /**
+     * A currently executing synchronized action.
+     *
+     * @typedef {object} RunningAction
+     * @property {string} actionName
+     * @property {Array.<string>} reads The read locks held by the action
+     * @property {Array.<string>} writes The write locks held by the action
+     * @property {number} start Time at which the action began executing
+     */
+
+    /**
+     * Watch the execution of an action. If it is still running after the soft
+     * timeout, a warning is logged; after the hard timeout, the returned promise
+     * rejects with a Promise.TimeoutError so that the action's locks are released.
+     * Note that the hung action itself can not be canceled.
+     *
+     * @private
+     * @param {string} actionName
+     * @param {Array.<string>} reads
+     * @param {Array.<string>} writes
+     * @param {number} softTimeout In ms; Infinity to never warn
+     * @param {number} hardTimeout In ms; Infinity to never time out
+     * @param {Promise} actionPromise
+     * @return {Promise}
+     */
+    FluxController.prototype._watchAction = function (actionName, reads, writes, softTimeout, hardTimeout,
+        actionPromise) {
+        var runningAction = {
+                actionName: actionName,
+                reads: reads,
+                writes: writes,
+                start: Date.now()
+            },
+            softTimer = null;
+
+        this._runningActions.add(runningAction);
+
+        if (isFinite(softTimeout)) {
+            softTimer = window.setTimeout(function () {
+                log.warn("Action %s has been running for more than %dms while holding locks: %s",
+                    actionName, softTimeout, _.union(reads, writes).join(", "));
+            }, softTimeout);
+        }
+
+        if (isFinite(hardTimeout)) {
+            actionPromise = actionPromise.timeout(hardTimeout,
+                "Action " + actionName + " timed out after " + hardTimeout + "ms");
+        }
+
+        return actionPromise
+            .bind(this)
+            .finally(function () {
+                window.clearTimeout(softTimer);
+                this._runningActions.delete(runningAction);
+            });
+    };
+
+    /**
+     * Get the currently executing synchronized actions along with their ages.
+     *
+     * @return {Array.<{actionName: string, reads: Array.<string>, writes: Array.<string>, age: number}>}
+     */
+    FluxController.prototype.getRunningActions = function () {
+        var now = Date.now(),
+            runningActions = [];
+
+        this._runningActions.forEach(function (runningAction) {
+            runningActions.push({
+                actionName: runningAction.actionName,
+                reads: runningAction.reads,
+                writes: runningAction.writes,
+                age: now - runningAction.start
+            });
+        });
+
+        return runningActions;
+    };
+
     /**
      * Given a promise-returning method, returns a synchronized function that
      * enqueues an application of that method.
@@ -336,13 +835,41 @@ define(function (require, exports, module) {
             actionName = namespace + "." + name,
             reads = action.reads || locks.ALL_LOCKS,
             writes = action.writes || locks.ALL_LOCKS,
-            modal = action.modal || false;
+            modal = action.modal || false,
+            softTimeout = action.softTimeout || DEFAULT_SOFT_TIMEOUT,
+            hardTimeout = action.hardTimeout || DEFAULT_HARD_TIMEOUT,
+            journaled = action.journal !== false,
+            jobOptions = {
+                priority: action.priority || priorities.NORMAL,
+                supersede: action.supersede ? actionName : undefined,
+                cancels: action.cancels,
+                name: actionName
+            };
+
+        if (!action.reads || !action.writes) {
+            this._implicitLockActions.add(actionName);
+        }
 
         action.name = actionName;
 
         return function () {
-            var args = Array.prototype.slice.call(arguments, 0),
-                enqueued = Date.now();
+            var args = Array.prototype.slice.call(arguments, 0);
+
+            // Reject invalid parameters before enqueuing the action, so that it
+            // neither executes nor triggers a recovery from its failure
+            try {
+                self._validateParams(action, args);
+            } catch (err) {
+                log.error(err.message);
+                return Promise.reject(err);
+            }
+
+            // Actions that control journaling, which must not be replayed, opt out
+            // of being journaled with a false journal property
+            var enqueued = Date.now(),
+                journal = journaled && self._journal,
+                journalEntry = journal &&
+                    journal.record(namespace, name, args, reads, writes, enqueued, self._journalParent);
 
             // The receiver of the action command, augmented to include a transfer
             // function that allows it to safely transfer control to another action
@@ -354,8 +881,17 @@ define(function (require, exports, module) {
             var jobPromise = actionQueue.push(function () {
                 var start = Date.now(),
                     toolStore = this.flux.store("tool"),
+                    snapshot = null,
                     modalPromise;
 
+                if (journalEntry) {
+                    journal.start(journalEntry, start);
+                }
+
+                var receiver = journalEntry ?
+                    this._makeJournalingReceiver(actionReceiver, journalEntry) :
+                    actionReceiver;
+
                 if (toolStore.getModalToolState() && !modal) {
                     log.debug("Killing modal state for action %s", actionName);
                     modalPromise = ps.endModalToolState(true);
@@ -369,7 +905,15 @@ define(function (require, exports, module) {
                         log.debug("Executing action %s after waiting %dms; %d/%d",
                             actionName, start - enqueued, actionQueue.active(), actionQueue.pending());
 
-                        return this._applyActionCommand(action, actionReceiver, args);
+                        // Document writes are exclusive, so at most one snapshot is active at a time
+                        if (_.contains(writes, locks.JS_DOC)) {
+                            snapshot = this._takeSnapshot();
+                            this._snapshot = snapshot;
+                        }
+
+                        var actionPromise = this._applyActionCommand(action, receiver, args);
+
+                        return this._watchAction(actionName, reads, writes, softTimeout, hardTimeout, actionPromise);
                     })
                     .tap(function () {
                         var finished = Date.now(),
@@ -382,22 +926,323 @@ define(function (require, exports, module) {
                         if (global.debug) {
                             performance.recordAction(namespace, name, enqueued, start, finished);
                         }
+
+                        if (journalEntry) {
+                            journal.finish(journalEntry, finished);
+                        }
+
+                        // The action may have recovered from a transaction that failed after
+                        // Photoshop applied some of its commands, whose documents are stale
+                        if (snapshot && snapshot.staleCause) {
+                            this._recover(action, actionName, snapshot, args, writes, snapshot.staleCause, false);
+                        }
                     })
                     .catch(function (err) {
                         var message = err instanceof Error ? (err.stack || err.message) : err;
 
+                        if (journalEntry) {
+                            journal.finish(journalEntry, Date.now(), err);
+                        }
+
                         log.error("Action " + actionName + " failed:", message);
 
-                        // Reset all action modules on failure
-                        this._reset(err);
+                        // Restore optimistically updated models if Photoshop is unchanged;
+                        // otherwise resync the affected documents, or reset all action
+                        // modules. A hung action may have partially applied its changes,
+                        // so the documents it affected are always marked dirty and resynced.
+                        var timedOut = err instanceof Promise.TimeoutError;
+
+                        if (!timedOut && !this._hasCompletedCommands(snapshot) && this._rollback(snapshot)) {
+                            this.emit("actionFailed", {
+                                actionName: actionName,
+                                cause: err
+                            });
+                        } else {
+                            this._recover(action, actionName, snapshot, args, writes, err, timedOut);
+                        }
+
                         throw err;
+                    })
+                    .finally(function () {
+                        if (snapshot && this._snapshot === snapshot) {
+                            this._snapshot = null;
+                        }
                     });
-            }.bind(self), reads, writes);
+            }.bind(self), reads, writes, jobOptions);
 
             return jobPromise;
         };
     };
 
+    /**
+     * Resync the documents that may have been left out of sync with Photoshop
+     * by an action, or reset all action modules if there are none or the
+     * controller is inactive.
+     *
+     * @private
+     * @param {Action} action
+     * @param {string} actionName
+     * @param {?ModelSnapshot} snapshot
+     * @param {Array.<*>} params
+     * @param {Array.<string>} writes
+     * @param {*} err The failure that necessitated the recovery
+     * @param {boolean} timedOut Whether the action hung, in which case its
+     *  documents are also marked dirty
+     */
+    FluxController.prototype._recover = function (action, actionName, snapshot, params, writes, err, timedOut) {
+        var documentIDs = action === actionIndex.documents.resyncDocument ? [] :
+            this._getAffectedDocumentIDs(snapshot, params, writes);
+
+        if (documentIDs.length > 0 && this.active) {
+            if (timedOut) {
+                this._markDirty(documentIDs);
+            }
+
+            this._resync(documentIDs, actionName, err);
+        } else {
+            this._reset(err);
+        }
+    };
+
+    /**
+     * Record pending invocations of an action that were dropped because they
+     * were superseded by a newer invocation.
+     *
+     * @private
+     * @param {string} actionName
+     * @param {number} count The number of dropped invocations
+     */
+    FluxController.prototype._handleSuperseded = function (actionName, count) {
+        log.debug("Dropped %d superseded invocation(s) of action %s", count, actionName);
+
+        if (global.debug) {
+            performance.recordSuperseded(actionName, count);
+        }
+    };
+
+    /**
+     * Record the intervals during which an action waited for locks held by
+     * other actions before it could execute.
+     *
+     * @private
+     * @param {string} actionName
+     * @param {Array.<LockWait>} waits
+     */
+    FluxController.prototype._handleContention = function (actionName, waits) {
+        waits.forEach(function (wait) {
+            performance.recordLockWait(actionName, wait.lock, wait.holder, wait.duration,
+                this._implicitLockActions.has(wait.holder));
+        }, this);
+    };
+
+    /**
+     * Models captured before the execution of an action, along with the IDs
+     * of the documents that the action has since optimistically updated.
+     *
+     * @typedef {object} ModelSnapshot
+     * @property {Object.<number, Document>} documents
+     * @property {{history: Immutable.Map, current: Immutable.Map, saved: Immutable.Map}} history
+     * @property {Set.<number>} documentIDs
+     * @property {number} commandCount The number of completed Photoshop
+     *  commands when the snapshot was taken
+     * @property {Set.<number>} staleDocumentIDs Documents of failed transactions
+     *  that Photoshop partially applied, which must be resynced
+     * @property {*} staleCause The failure of the last such transaction, if any
+     */
+
+    /**
+     * Capture the current document and history models.
+     *
+     * @private
+     * @return {ModelSnapshot}
+     */
+    FluxController.prototype._takeSnapshot = function () {
+        var documentStore = this._flux.store("document"),
+            historyStore = this._flux.store("history");
+
+        return {
+            documents: _.clone(documentStore.getAllDocuments()),
+            history: historyStore.getSnapshot(),
+            documentIDs: new Set(),
+            commandCount: _completedCommandCount,
+            staleDocumentIDs: new Set(),
+            staleCause: null
+        };
+    };
+
+    /**
+     * Record the documents affected by optimistic events dispatched while a
+     * snapshot is active.
+     *
+     * @private
+     * @param {string} type
+     * @param {object=} payload
+     */
+    FluxController.prototype._handleDispatch = function (type, payload) {
+        if (this._snapshot && OPTIMISTIC_EVENTS.has(type) && payload && payload.hasOwnProperty("documentID")) {
+            this._snapshot.documentIDs.add(payload.documentID);
+        }
+    };
+
+    /**
+     * Determine whether any Photoshop command which may have modified Photoshop
+     * state has completed since the given snapshot was taken, in which case
+     * rolling back the models would leave them out of sync with Photoshop.
+     * Commands played by concurrent actions are also counted, so this errs
+     * toward resyncing.
+     *
+     * @private
+     * @param {?ModelSnapshot} snapshot
+     * @return {boolean}
+     */
+    FluxController.prototype._hasCompletedCommands = function (snapshot) {
+        return !!snapshot && snapshot.commandCount !== _completedCommandCount;
+    };
+
+    /**
+     * Restore the document and history models of the documents that were
+     * optimistically updated since the given snapshot was taken.
+     *
+     * @private
+     * @param {?ModelSnapshot} snapshot
+     * @return {boolean} Whether the models were successfully restored. If
+     *  false, the models must instead be reset.
+     */
+    FluxController.prototype._rollback = function (snapshot) {
+        if (!snapshot || snapshot.documentIDs.size === 0) {
+            return false;
+        }
+
+        var flux = this._flux.dispatchBinder,
+            documentIDs = [];
+
+        snapshot.documentIDs.forEach(function (documentID) {
+            documentIDs.push(documentID);
+        });
+
+        try {
+            flux.dispatch.call(flux, events.document.ROLLBACK_DOCUMENTS, {
+                documentIDs: documentIDs,
+                documents: snapshot.documents,
+                history: snapshot.history
+            });
+        } catch (err) {
+            var message = err instanceof Error ? (err.stack || err.message) : err;
+
+            log.warn("Rollback failed:", message);
+            return false;
+        }
+
+        log.info("Rolled back optimistic updates to documents: %s", documentIDs.join(", "));
+        return true;
+    };
+
+    /**
+     * Determine which open documents may have been left in an inconsistent
+     * state by a failed action: those whose models changed since the given
+     * snapshot was taken, those of its partially applied transactions, and
+     * those referenced by the action's parameters. If
+     * none are found but the action writes the Photoshop document lock, the
+     * current document is assumed.
+     *
+     * @private
+     * @param {?ModelSnapshot} snapshot
+     * @param {Array.<*>} params
+     * @param {Array.<string>} writes
+     * @return {Array.<number>}
+     */
+    FluxController.prototype._getAffectedDocumentIDs = function (snapshot, params, writes) {
+        if (!_.contains(writes, locks.JS_DOC) && !_.contains(writes, locks.PS_DOC)) {
+            return [];
+        }
+
+        var documentStore = this._flux.store("document"),
+            openDocuments = documentStore.getAllDocuments(),
+            documentIDs = [];
+
+        if (snapshot) {
+            _.forEach(openDocuments, function (document, documentID) {
+                if (snapshot.documents[documentID] !== document) {
+                    documentIDs.push(document.id);
+                }
+            });
+
+            snapshot.staleDocumentIDs.forEach(function (documentID) {
+                documentIDs.push(documentID);
+            });
+        }
+
+        params.forEach(function (param) {
+            if (param instanceof Document) {
+                documentIDs.push(param.id);
+            } else if (param instanceof Layer) {
+                documentIDs.push(Number(param.key.split(".")[0]));
+            }
+        });
+
+        if (documentIDs.length === 0 && _.contains(writes, locks.PS_DOC)) {
+            var currentDocument = this._flux.store("application").getCurrentDocument();
+            if (currentDocument) {
+                documentIDs.push(currentDocument.id);
+            }
+        }
+
+        return _.uniq(documentIDs).filter(function (documentID) {
+            return openDocuments.hasOwnProperty(documentID);
+        });
+    };
+
+    /**
+     * Mark the given documents dirty because a hung action may have modified
+     * them in Photoshop.
+     *
+     * @private
+     * @param {Array.<number>} documentIDs
+     */
+    FluxController.prototype._markDirty = function (documentIDs) {
+        var flux = this._flux.dispatchBinder;
+
+        try {
+            flux.dispatch.call(flux, events.document.MARK_DOCUMENTS_DIRTY, {
+                documentIDs: documentIDs
+            });
+        } catch (err) {
+            var message = err instanceof Error ? (err.stack || err.message) : err;
+
+            log.warn("Failed to mark documents dirty:", message);
+        }
+    };
+
+    /**
+     * Resync the models of the given documents with Photoshop after a failed
+     * action. Other documents and UI state are unaffected. If the resync
+     * fails, the resync action escalates to a global reset.
+     *
+     * @private
+     * @param {Array.<number>} documentIDs
+     * @param {string} actionName The name of the failed action
+     * @param {*} err The failure that necessitated the resync
+     */
+    FluxController.prototype._resync = function (documentIDs, actionName, err) {
+        var documentActions = this._flux.actions.documents;
+
+        log.warn("Resyncing documents %s after action %s failed", documentIDs.join(", "), actionName);
+
+        this.emit("actionFailed", {
+            actionName: actionName,
+            cause: err
+        });
+
+        Promise.all(documentIDs.map(function (documentID) {
+                return documentActions.resyncDocument(documentID);
+            }))
+            .catch(function (resyncErr) {
+                var message = resyncErr instanceof Error ? (resyncErr.stack || resyncErr.message) : resyncErr;
+
+                log.warn("Resync failed:", message);
+            });
+    };
+
     /**
      * Given a module, returns a copy in which the methods have been synchronized.
      *
@@ -451,9 +1296,11 @@ define(function (require, exports, module) {
      * @param {string} methodName The method to invoke on each action module
      * @param {Object.<string,*>|*} params Either a mapping from module name
      *  to parameter value, or a constant value applied to all methods.
+     * @param {Array.<string>=} moduleNames The modules on which to invoke the
+     *  method; defaults to all action modules
      * @return {Promise} Resolves once all the applied methods have resolved
      */
-    FluxController.prototype._invokeActionMethods = function (methodName, params) {
+    FluxController.prototype._invokeActionMethods = function (methodName, params, moduleNames) {
         var getParam = function (name) {
             if (typeof params === "object") {
                 return params[name];
@@ -462,13 +1309,13 @@ define(function (require, exports, module) {
             }
         };
 
-        var allMethodPromises = Object.keys(actionIndex)
+        var allMethodPromises = (moduleNames || Object.keys(this._actionModules))
                 .filter(function (moduleName) {
                     if (this._flux.actions[moduleName].hasOwnProperty(methodName)) {
                         return true;
                     }
                 }, this)
-                .sort(_actionModuleComparator)
+                .sort(_actionModuleComparator.bind(null, this._actionModules))
                 .map(function (moduleName) {
                     var module = this._flux.actions[moduleName],
                         methodPromise = module[methodName].call(module, getParam(moduleName));
@@ -504,6 +1351,8 @@ define(function (require, exports, module) {
             })
             .then(function () {
                 this._running = true;
+
+                return this._installAllPlugins();
             });
 
         return beforeStartupPromise;
@@ -526,6 +1375,369 @@ define(function (require, exports, module) {
         return this._invokeActionMethods("onShutdown");
     };
 
+    /**
+     * Determines whether lock violations, which are only verified in debug
+     * builds, throw errors instead of being logged as warnings; e.g., to
+     * fail tests.
+     *
+     * @param {boolean} strict
+     */
+    FluxController.prototype.setStrictLockVerification = function (strict) {
+        if (this._lockVerifier) {
+            this._lockVerifier.strict = strict;
+        }
+    };
+
+    /**
+     * Begin recording all subsequently enqueued synchronized actions in a new
+     * action journal, replacing any journal currently being recorded.
+     *
+     * @return {Journal} The journal being recorded
+     */
+    FluxController.prototype.startJournal = function () {
+        this._journal = new Journal();
+
+        return this._journal;
+    };
+
+    /**
+     * Stop recording synchronized actions.
+     *
+     * @return {?Journal} The journal that was being recorded, if any
+     */
+    FluxController.prototype.stopJournal = function () {
+        var journal = this._journal;
+
+        this._journal = null;
+
+        return journal;
+    };
+
+    /**
+     * Whether synchronized actions are currently being recorded.
+     *
+     * @return {boolean}
+     */
+    FluxController.prototype.isJournaling = function () {
+        return !!this._journal;
+    };
+
+    /**
+     * Replay a previously recorded action journal against this controller.
+     *
+     * @see Journal.prototype.replay
+     * @param {Journal|string|object} journal A journal, or its JSON representation
+     * @return {Promise}
+     */
+    FluxController.prototype.replayJournal = function (journal) {
+        if (!(journal instanceof Journal)) {
+            journal = Journal.fromJSON(journal);
+        }
+
+        return journal.replay(this);
+    };
+
+    /**
+     * Generate Markdown API documentation for all action modules, including
+     * those registered by plugins, from their declared parameter schemas.
+     *
+     * @return {string}
+     */
+    FluxController.prototype.generateAPIDocs = function () {
+        return schema.generateDocs(this._actionModules);
+    };
+
+    /**
+     * A plugin contributes action modules, stores, tools, menu entries and
+     * keyboard shortcuts to the application at runtime.
+     *
+     * @typedef {object} Plugin
+     * @property {string} id Unique identifier of the plugin
+     * @property {Object.<string, object>=} actions Raw action modules, indexed by
+     *  namespace. They are synchronized like the built-in action modules, and their
+     *  beforeStartup, afterStartup, onReset and onShutdown methods are invoked
+     *  along with those of the built-in modules.
+     * @property {Object.<string, Fluxxor.Store>=} stores Instantiated stores, indexed by name
+     * @property {Object.<string, string>=} storeLocks The locks that guard the stores,
+     *  indexed by store name, which are verified in debug builds
+     * @property {Array.<Tool>=} tools Main tools to add to the toolbar
+     * @property {Array.<MenuEntry>=} menus Entries to add to the application menu
+     * @property {Array.<{key: string|number, modifiers: object=, fn: function(), capture: boolean=}>=} shortcuts
+     *  Keyboard shortcuts; see shortcuts.addShortcut
+     */
+
+    /**
+     * Get the ID of a keyboard shortcut contributed by a plugin.
+     *
+     * @private
+     * @param {Plugin} plugin
+     * @param {number} index The index of the shortcut in the plugin's list of shortcuts
+     * @return {string}
+     */
+    var _getPluginShortcutID = function (plugin, index) {
+        return "plugin." + plugin.id + "." + index;
+    };
+
+    /**
+     * Synchronize the given raw action module and add it to the flux instance.
+     *
+     * @private
+     * @param {string} namespace
+     * @param {object} module
+     */
+    FluxController.prototype._addActionModule = function (namespace, module) {
+        var actions = {};
+
+        actions[namespace] = this._synchronizeModule(namespace, module);
+
+        this._flux.addActions(actions);
+        this._actionModules[namespace] = module;
+    };
+
+    /**
+     * Remove the given action module from the flux instance.
+     *
+     * @private
+     * @param {string} namespace
+     */
+    FluxController.prototype._removeActionModule = function (namespace) {
+        var module = this._actionModules[namespace];
+
+        _.forEach(module, function (action, name) {
+            this._actionReceivers.delete(action);
+            this._implicitLockActions.delete(namespace + "." + name);
+        }, this);
+
+        delete this._flux.actions[namespace];
+        delete this._actionModules[namespace];
+    };
+
+    /**
+     * Add the given store to the flux instance.
+     *
+     * @private
+     * @param {string} name
+     * @param {Fluxxor.Store} store
+     * @param {string=} lock The lock that guards the store
+     */
+    FluxController.prototype._addStore = function (name, store, lock) {
+        this._flux.addStore(name, store);
+
+        if (this._lockVerifier) {
+            this._lockVerifier.addStore(name, store, lock);
+        }
+    };
+
+    /**
+     * Remove the given store from the flux instance. Fluxxor does not support
+     * this directly, so the store is removed from both the flux instance and
+     * its dispatcher.
+     *
+     * @private
+     * @param {string} name
+     */
+    FluxController.prototype._removeStore = function (name) {
+        delete this._flux.stores[name];
+        delete this._flux.dispatcher.stores[name];
+
+        if (this._lockVerifier) {
+            this._lockVerifier.removeStore(name);
+        }
+    };
+
+    /**
+     * Install the tools, menu entries and keyboard shortcuts contributed by
+     * the given plugin. These are cleared by a reset, after which they are
+     * installed again.
+     *
+     * @private
+     * @param {Plugin} plugin
+     * @return {Promise}
+     */
+    FluxController.prototype._installPlugin = function (plugin) {
+        var actions = this._flux.actions,
+            tools = plugin.tools || [],
+            menus = plugin.menus || [],
+            shortcuts = plugin.shortcuts || [];
+
+        var toolsPromise = tools.length > 0 ? actions.tools.addTools(tools) : Promise.resolve(),
+            menusPromise = menus.length > 0 ? actions.menu.addMenuEntries(menus) : Promise.resolve(),
+            shortcutPromises = shortcuts.map(function (shortcut, index) {
+                return actions.shortcuts.addShortcut(shortcut.key, shortcut.modifiers || {},
+                    shortcut.fn, _getPluginShortcutID(plugin, index), shortcut.capture);
+            });
+
+        return Promise.join(toolsPromise, menusPromise, Promise.all(shortcutPromises));
+    };
+
+    /**
+     * Install the contributions of all registered plugins. Failures are logged
+     * and do not affect the installation of other plugins.
+     *
+     * @private
+     * @return {Promise}
+     */
+    FluxController.prototype._installAllPlugins = function () {
+        var installPromises = [];
+
+        this._plugins.forEach(function (plugin) {
+            var installPromise = this._installPlugin(plugin)
+                .catch(function (err) {
+                    var message = err instanceof Error ? (err.stack || err.message) : err;
+
+                    log.error("Failed to install plugin " + plugin.id + ":", message);
+                });
+
+            installPromises.push(installPromise);
+        }, this);
+
+        return Promise.all(installPromises);
+    };
+
+    /**
+     * Remove the tools, menu entries and keyboard shortcuts contributed by
+     * the given plugin.
+     *
+     * @private
+     * @param {Plugin} plugin
+     * @return {Promise}
+     */
+    FluxController.prototype._uninstallPlugin = function (plugin) {
+        var actions = this._flux.actions,
+            toolStore = this._flux.store("tool"),
+            shortcutStore = this._flux.store("shortcut"),
+            tools = (plugin.tools || []).filter(function (tool) {
+                return toolStore.getToolByID(tool.id) === tool;
+            }),
+            menus = plugin.menus || [],
+            shortcutIDs = (plugin.shortcuts || [])
+                .map(function (shortcut, index) {
+                    return _getPluginShortcutID(plugin, index);
+                })
+                .filter(function (shortcutID) {
+                    return shortcutStore.getByID(shortcutID);
+                });
+
+        var toolsPromise = tools.length > 0 ? actions.tools.removeTools(tools) : Promise.resolve(),
+            menusPromise = menus.length > 0 ? actions.menu.removeMenuEntries(menus) : Promise.resolve(),
+            shortcutPromises = shortcutIDs.map(function (shortcutID) {
+                return actions.shortcuts.removeShortcut(shortcutID);
+            });
+
+        return Promise.join(toolsPromise, menusPromise, Promise.all(shortcutPromises));
+    };
+
+    /**
+     * Register a plugin. Its stores and action modules are added to the flux
+     * instance immediately. If the controller is running, the startup methods
+     * of its action modules are then invoked and its tools, menu entries and
+     * shortcuts installed; otherwise, this happens when the controller starts.
+     *
+     * @param {Plugin} plugin
+     * @return {Promise} Resolves once the plugin has been started and installed
+     */
+    FluxController.prototype.registerPlugin = function (plugin) {
+        if (this._plugins.has(plugin.id)) {
+            return Promise.reject(new Error("Plugin already registered: " + plugin.id));
+        }
+
+        var actionModules = plugin.actions || {},
+            stores = plugin.stores || {},
+            storeLocks = plugin.storeLocks || {},
+            namespaces = Object.keys(actionModules),
+            storeNames = Object.keys(stores),
+            conflict = _.find(namespaces, _.has.bind(_, this._actionModules)) ||
+                _.find(storeNames, _.has.bind(_, this._flux.stores));
+
+        if (conflict) {
+            return Promise.reject(new Error("Plugin " + plugin.id + " conflicts with existing " + conflict));
+        }
+
+        this._plugins.set(plugin.id, plugin);
+
+        storeNames.forEach(function (name) {
+            this._addStore(name, stores[name], storeLocks[name]);
+        }, this);
+
+        namespaces.forEach(function (namespace) {
+            this._addActionModule(namespace, actionModules[namespace]);
+        }, this);
+
+        if (!this._running) {
+            return Promise.resolve();
+        }
+
+        return this._invokeActionMethods("beforeStartup", undefined, namespaces)
+            .bind(this)
+            .then(function (results) {
+                return this._invokeActionMethods("afterStartup", results, namespaces);
+            })
+            .then(function () {
+                return this._installPlugin(plugin);
+            });
+    };
+
+    /**
+     * Unregister a previously registered plugin. Its tools, menu entries and
+     * shortcuts are removed, the onReset and onShutdown methods of its action
+     * modules are invoked, and, once all previously enqueued actions have
+     * finished, its action modules and stores are removed from the flux instance.
+     *
+     * @param {string} id The ID of the plugin
+     * @return {Promise} Resolves once the plugin has been removed
+     */
+    FluxController.prototype.unregisterPlugin = function (id) {
+        var plugin = this._plugins.get(id);
+        if (!plugin) {
+            return Promise.reject(new Error("Plugin not registered: " + id));
+        }
+
+        this._plugins.delete(id);
+
+        var namespaces = Object.keys(plugin.actions || {}),
+            storeNames = Object.keys(plugin.stores || {}),
+            shutdownPromise;
+
+        if (this._running) {
+            shutdownPromise = this._uninstallPlugin(plugin)
+                .bind(this)
+                .then(function () {
+                    return this._invokeActionMethods("onReset", undefined, namespaces);
+                })
+                .then(function () {
+                    return this._invokeActionMethods("onShutdown", undefined, namespaces);
+                });
+        } else {
+            shutdownPromise = Promise.resolve();
+        }
+
+        return shutdownPromise
+            .bind(this)
+            .then(function () {
+                // Exclusively acquire all locks at low priority so that the modules are
+                // only removed once all previously enqueued actions have finished
+                return this._actionQueue.push(function () {
+                    namespaces.forEach(this._removeActionModule, this);
+                    storeNames.forEach(this._removeStore, this);
+
+                    return Promise.resolve();
+                }.bind(this), locks.ALL_LOCKS, locks.ALL_LOCKS, {
+                    priority: priorities.LOW,
+                    name: "plugin." + id + ".unregister"
+                });
+            });
+    };
+
+    /**
+     * Whether a plugin with the given ID is registered.
+     *
+     * @param {string} id
+     * @return {boolean}
+     */
+    FluxController.prototype.hasPlugin = function (id) {
+        return this._plugins.has(id);
+    };
+
     /**
      * @private
      * @type {boolean} Whether there is a reset pending
@@ -572,6 +1784,8 @@ define(function (require, exports, module) {
             })
             .then(function () {
                 this._resetPending = false;
+
+                return this._installAllPlugins();
             })
             .catch(function (err) {
                 var message = err instanceof Error ? (err.stack || err.message) : err;
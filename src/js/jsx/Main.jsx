@@ -30,13 +30,17 @@ define(function (require, exports, module) {
         FluxMixin = Fluxxor.FluxMixin(React),
         classnames = require("classnames");
 
+    var strings = require("i18n!nls/strings");
+
     var Toolbar = require("jsx!js/jsx/Toolbar"),
         Scrim = require("jsx!js/jsx/Scrim"),
         Properties = require("jsx!js/jsx/Properties"),
         DocumentHeader = require("jsx!js/jsx/DocumentHeader"),
         Help = require("jsx!js/jsx/Help"),
         Search = require("jsx!js/jsx/Search"),
-        Guard = require("jsx!js/jsx/Guard");
+        MissingFonts = require("jsx!js/jsx/MissingFonts"),
+        Guard = require("jsx!js/jsx/Guard"),
+        Notice = require("jsx!js/jsx/Notice");
 
     var Main = React.createClass({
         mixins: [FluxMixin],
@@ -44,13 +48,15 @@ define(function (require, exports, module) {
         getInitialState: function () {
             return {
                 ready: false,
-                active: false
+                active: false,
+                notice: null
             };
         },
 
         shouldComponentUpdate: function (nextProps, nextState) {
             return this.state.ready !== nextState.ready ||
-                this.state.active !== nextState.active;
+                this.state.active !== nextState.active ||
+                this.state.notice !== nextState.notice;
         },
 
         /**
@@ -95,6 +101,29 @@ define(function (require, exports, module) {
             });
         },
 
+        /**
+         * When an action fails and its optimistic changes have been rolled back,
+         * inform the user.
+         *
+         * @private
+         */
+        _handleControllerActionFailed: function () {
+            this.setState({
+                notice: strings.ERR.ACTION_FAILED
+            });
+        },
+
+        /**
+         * Hide the current notice.
+         *
+         * @private
+         */
+        _handleNoticeDismiss: function () {
+            this.setState({
+                notice: null
+            });
+        },
+
         componentWillMount: function () {
             window.document.body.addEventListener("keydown", this._suppressBodyKeydown, true);
 
@@ -102,6 +131,7 @@ define(function (require, exports, module) {
             this.props.controller.on("ready", this._handleControllerReady);
             this.props.controller.on("lock", this._handleControllerLock);
             this.props.controller.on("unlock", this._handleControllerUnlock);
+            this.props.controller.on("actionFailed", this._handleControllerActionFailed);
         },
 
         componentWillUnmount: function () {
@@ -109,6 +139,7 @@ define(function (require, exports, module) {
             this.props.controller.off("ready", this._handleControllerReady);
             this.props.controller.off("lock", this._handleControllerLock);
             this.props.controller.off("unlock", this._handleControllerUnlock);
+            this.props.controller.off("actionFailed", this._handleControllerActionFailed);
         },
 
         componentDidUpdate: function () {
@@ -144,6 +175,10 @@ define(function (require, exports, module) {
                         active={this.state.active} />
                     <Help />
                     <Search />
+                    <MissingFonts />
+                    <Notice
+                        message={this.state.notice}
+                        onDismiss={this._handleNoticeDismiss} />
                 </div>
             );
         }
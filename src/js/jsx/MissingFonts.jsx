@@ -0,0 +1,74 @@
+/*
+ * Copyright (c) 2014 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var React = require("react"),
+        Fluxxor = require("fluxxor"),
+        FluxMixin = Fluxxor.FluxMixin(React);
+
+    var os = require("adapter/os"),
+        Dialog = require("jsx!./shared/Dialog"),
+        ReplaceMissingFonts = require("jsx!./fonts/ReplaceMissingFonts");
+
+    /**
+     * Unique identifier for the Missing Fonts Dialog
+     *
+     * @const {String}
+     */
+    var MISSING_FONTS_DIALOG_ID = "missing-fonts-dialog";
+
+    var MissingFonts = React.createClass({
+        mixins: [FluxMixin],
+
+        /**
+         * Dismiss the Missing Fonts Dialog.
+         */
+        _closeMissingFonts: function () {
+            this.getFlux().actions.dialog.closeDialog(MISSING_FONTS_DIALOG_ID);
+        },
+
+        render: function () {
+            return (
+                <div>
+                    <Dialog
+                        id={MISSING_FONTS_DIALOG_ID}
+                        modal
+                        position={Dialog.POSITION_METHODS.CENTER}
+                        dismissOnCanvasClick={true}
+                        dismissOnWindowClick={false}
+                        dismissOnWindowResize={false}
+                        dismissOnDocumentChange
+                        dismissOnKeys={[{ key: os.eventKeyCode.ESCAPE, modifiers: null }]}
+                        className={"missing-fonts__dialog"} >
+                        <ReplaceMissingFonts
+                            dismissDialog={this._closeMissingFonts} />
+                    </Dialog>
+                </div>
+            );
+        }
+    });
+
+    module.exports = MissingFonts;
+});
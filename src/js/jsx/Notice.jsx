@@ -0,0 +1,97 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var React = require("react"),
+        classnames = require("classnames");
+
+    /**
+     * @const
+     * @type {number} Time in ms after which a notice is automatically dismissed.
+     */
+    var DISMISS_DELAY = 5000;
+
+    /**
+     * Transient, non-modal message shown to the user, e.g., after an action
+     * has failed and its optimistic model updates have been rolled back.
+     */
+    var Notice = React.createClass({
+        propTypes: {
+            message: React.PropTypes.string,
+            onDismiss: React.PropTypes.func.isRequired
+        },
+
+        /**
+         * @private
+         * @type {?number} Timer ID for automatic dismissal
+         */
+        _dismissTimer: null,
+
+        shouldComponentUpdate: function (nextProps) {
+            return this.props.message !== nextProps.message;
+        },
+
+        /**
+         * Restart the automatic dismissal timer if a message is shown.
+         *
+         * @private
+         */
+        _scheduleDismiss: function () {
+            window.clearTimeout(this._dismissTimer);
+            this._dismissTimer = null;
+
+            if (this.props.message) {
+                this._dismissTimer = window.setTimeout(this.props.onDismiss, DISMISS_DELAY);
+            }
+        },
+
+        componentDidMount: function () {
+            this._scheduleDismiss();
+        },
+
+        componentDidUpdate: function () {
+            this._scheduleDismiss();
+        },
+
+        componentWillUnmount: function () {
+            window.clearTimeout(this._dismissTimer);
+        },
+
+        render: function () {
+            var className = classnames({
+                "notice": true,
+                "notice__visible": !!this.props.message
+            });
+
+            return (
+                <div className={className} onClick={this.props.onDismiss}>
+                    {this.props.message}
+                </div>
+            );
+        }
+    });
+
+    module.exports = Notice;
+});
@@ -28,7 +28,8 @@ define(function (require, exports, module) {
         Fluxxor = require("fluxxor"),
         FluxMixin = Fluxxor.FluxMixin(React),
         StoreWatchMixin = Fluxxor.StoreWatchMixin,
-        classnames = require("classnames");
+        classnames = require("classnames"),
+        _ = require("lodash");
 
     var ToolbarIcon = require("jsx!js/jsx/ToolbarIcon"),
         Button = require("jsx!js/jsx/shared/Button"),
@@ -139,7 +140,8 @@ define(function (require, exports, module) {
             var toolStore = this.getFlux().store("tool"),
                 selectedTool = toolStore.getCurrentTool(),
                 selectedToolID = selectedTool ? selectedTool.id : "",
-                tools = this._layout.map(function (toolID) {
+                layout = this._layout.concat(_.pluck(toolStore.getAddedTools(), "id")),
+                tools = layout.map(function (toolID) {
                     var tool = toolStore.getToolByID(toolID),
                         selected = toolID === selectedToolID;
 
@@ -73,7 +73,7 @@ define(function (require, exports, module) {
                     style={this.props.style}
                     className={buttonClassName}>
                     <Button
-                        title={strings.TOOLS[toolID]}
+                        title={strings.TOOLS[toolID] || tool.name}
                         className="toolbar-button"
                         onClick={!this.props.disabled && this.props.onClick}
                         disabled={this.props.disabled}>
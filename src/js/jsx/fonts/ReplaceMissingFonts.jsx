@@ -0,0 +1,323 @@
+/*
+ * Copyright (c) 2014 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var React = require("react"),
+        Fluxxor = require("fluxxor"),
+        FluxMixin = Fluxxor.FluxMixin(React),
+        StoreWatchMixin = Fluxxor.StoreWatchMixin,
+        Immutable = require("immutable"),
+        _ = require("lodash");
+
+    var Button = require("jsx!js/jsx/shared/Button"),
+        Datalist = require("jsx!js/jsx/shared/Datalist"),
+        Gutter = require("jsx!js/jsx/shared/Gutter"),
+        collection = require("js/util/collection"),
+        fontUtil = require("js/util/font"),
+        strings = require("i18n!nls/strings");
+
+    var ReplaceMissingFonts = React.createClass({
+        mixins: [FluxMixin, StoreWatchMixin("application", "document", "font")],
+
+        propTypes: {
+            dismissDialog: React.PropTypes.func
+        },
+
+        getDefaultProps: function () {
+            return {
+                dismissDialog: _.identity
+            };
+        },
+
+        getInitialState: function () {
+            return {
+                replacements: Immutable.Map()
+            };
+        },
+
+        getStateFromFlux: function () {
+            var flux = this.getFlux(),
+                document = flux.store("application").getCurrentDocument(),
+                fontStore = flux.store("font"),
+                familyMap = fontStore.getState().familyMap;
+
+            return {
+                document: document,
+                familyMap: familyMap,
+                missingFonts: fontStore.getMissingFonts(document),
+                families: familyMap
+                    .keySeq()
+                    .sort()
+                    .map(function (family) {
+                        return {
+                            id: family,
+                            title: family
+                        };
+                    })
+                    .toList()
+            };
+        },
+
+        /**
+         * Dismiss the parent dialog
+         *
+         * @private
+         * @param {SyntheticEvent} event
+         */
+        _dismissDialog: function (event) {
+            if (_.isFunction(this.props.dismissDialog)) {
+                this.props.dismissDialog(event);
+            }
+        },
+
+        /**
+         * Get the regular face of the given family, or its first face if it
+         * has no regular face.
+         *
+         * @private
+         * @param {string} family
+         * @return {{style: string, postScriptName: string}}
+         */
+        _getRegularFont: function (family) {
+            var fonts = this.state.familyMap.get(family).valueSeq().sortBy(function (font) {
+                return font.postScriptName;
+            });
+
+            return fonts.find(function (font) {
+                return fontUtil.getWeight(font.style) === fontUtil.WEIGHTS.REGULAR &&
+                    fontUtil.getWidth(font.style) === fontUtil.WIDTHS.NORMAL &&
+                    !/italic|oblique/i.test(font.style);
+            }) || fonts.first();
+        },
+
+        /**
+         * Get the chosen replacement for the given missing font. Until one is
+         * chosen, an installed family whose name matches the family part of
+         * the PostScript name is suggested, e.g., "Helvetica Neue" for
+         * "HelveticaNeue-Thin".
+         *
+         * @private
+         * @param {string} postScriptName
+         * @return {?{family: string, postScriptName: string}}
+         */
+        _getReplacement: function (postScriptName) {
+            if (this.state.replacements.has(postScriptName)) {
+                return this.state.replacements.get(postScriptName);
+            }
+
+            var familyPart = postScriptName.split("-")[0].toLowerCase(),
+                family = this.state.familyMap.keySeq().find(function (familyName) {
+                    return familyName.replace(/\s+/g, "").toLowerCase() === familyPart;
+                });
+
+            if (!family) {
+                return null;
+            }
+
+            return {
+                family: family,
+                postScriptName: this._getRegularFont(family).postScriptName
+            };
+        },
+
+        /**
+         * Replace the given missing font with the regular face of a family.
+         *
+         * @private
+         * @param {string} missingPostScriptName
+         * @param {string} family
+         */
+        _handleFamilyChange: function (missingPostScriptName, family) {
+            if (!family || !this.state.familyMap.has(family)) {
+                return;
+            }
+
+            this.setState({
+                replacements: this.state.replacements.set(missingPostScriptName, {
+                    family: family,
+                    postScriptName: this._getRegularFont(family).postScriptName
+                })
+            });
+        },
+
+        /**
+         * Replace the given missing font with another face of the chosen family.
+         *
+         * @private
+         * @param {string} missingPostScriptName
+         * @param {string} family
+         * @param {string} postScriptName
+         */
+        _handleStyleChange: function (missingPostScriptName, family, postScriptName) {
+            if (!postScriptName) {
+                return;
+            }
+
+            this.setState({
+                replacements: this.state.replacements.set(missingPostScriptName, {
+                    family: family,
+                    postScriptName: postScriptName
+                })
+            });
+        },
+
+        /**
+         * Apply the chosen replacements and dismiss the dialog.
+         *
+         * @private
+         * @param {SyntheticEvent} event
+         */
+        _handleReplace: function (event) {
+            var replacements = this.state.missingFonts
+                .keySeq()
+                .reduce(function (postScriptNames, postScriptName) {
+                    var replacement = this._getReplacement(postScriptName);
+
+                    if (replacement) {
+                        postScriptNames[postScriptName] = replacement.postScriptName;
+                    }
+
+                    return postScriptNames;
+                }, {}, this);
+
+            this.getFlux().actions.type.replaceMissingFonts(this.state.document, replacements);
+            this.setState({
+                replacements: Immutable.Map()
+            });
+            this._dismissDialog(event);
+        },
+
+        /**
+         * Render the replacement controls for a single missing font.
+         *
+         * @private
+         * @param {Immutable.List.<Layer>} layers The layers that use the font
+         * @param {string} postScriptName The missing font
+         * @return {ReactComponent}
+         */
+        _renderMissingFont: function (layers, postScriptName) {
+            var replacement = this._getReplacement(postScriptName),
+                family = replacement && replacement.family,
+                familyFonts = family && this.state.familyMap.get(family),
+                styleOptions = familyFonts ? familyFonts
+                    .valueSeq()
+                    .sortBy(function (font) {
+                        return font.postScriptName;
+                    })
+                    .map(function (font) {
+                        return {
+                            id: font.postScriptName,
+                            title: font.style
+                        };
+                    })
+                    .toList() : Immutable.List(),
+                style = styleOptions.find(function (option) {
+                    return option.id === replacement.postScriptName;
+                }),
+                layerNames = collection.pluck(layers, "name").join(", ");
+
+            return (
+                <li key={postScriptName} className="missing-fonts__item">
+                    <div className="missing-fonts__name">
+                        {postScriptName}
+                    </div>
+                    <div
+                        className="missing-fonts__layers"
+                        title={layerNames}>
+                        {strings.MISSING_FONTS.USED_BY + ": " + layerNames}
+                    </div>
+                    <div className="formline">
+                        <Datalist
+                            list={"missing-font-families-" + postScriptName}
+                            value={family || strings.MISSING_FONTS.CHOOSE_FAMILY}
+                            defaultSelected={family}
+                            options={this.state.families}
+                            onChange={this._handleFamilyChange.bind(this, postScriptName)}
+                            size="column-14" />
+                        <Gutter />
+                        <Datalist
+                            list={"missing-font-styles-" + postScriptName}
+                            disabled={!family}
+                            value={style ? style.title : null}
+                            defaultSelected={replacement && replacement.postScriptName}
+                            options={styleOptions}
+                            onChange={this._handleStyleChange.bind(this, postScriptName, family)}
+                            size="column-10" />
+                    </div>
+                </li>
+            );
+        },
+
+        render: function () {
+            var missingFonts = this.state.missingFonts;
+
+            if (missingFonts.isEmpty()) {
+                return (
+                    <div className="missing-fonts__content">
+                        <h2 className="missing-fonts__title">{strings.MISSING_FONTS.TITLE}</h2>
+                        <p className="missing-fonts__description">{strings.MISSING_FONTS.NONE}</p>
+                        <div className="missing-fonts__buttons">
+                            <Button
+                                className="missing-fonts__button"
+                                onClick={this._dismissDialog}>
+                                {strings.MISSING_FONTS.CANCEL}
+                            </Button>
+                        </div>
+                    </div>
+                );
+            }
+
+            var items = missingFonts.map(this._renderMissingFont, this).toArray(),
+                hasReplacement = missingFonts.keySeq().some(function (postScriptName) {
+                    return !!this._getReplacement(postScriptName);
+                }, this);
+
+            return (
+                <div className="missing-fonts__content">
+                    <h2 className="missing-fonts__title">{strings.MISSING_FONTS.TITLE}</h2>
+                    <p className="missing-fonts__description">{strings.MISSING_FONTS.DESCRIPTION}</p>
+                    <ul className="missing-fonts__list">
+                        {items}
+                    </ul>
+                    <div className="missing-fonts__buttons">
+                        <Button
+                            className="missing-fonts__button"
+                            onClick={this._dismissDialog}>
+                            {strings.MISSING_FONTS.CANCEL}
+                        </Button>
+                        <Button
+                            className="missing-fonts__button missing-fonts__button-primary"
+                            disabled={!hasReplacement}
+                            onClick={this._handleReplace}>
+                            {strings.MISSING_FONTS.REPLACE}
+                        </Button>
+                    </div>
+                </div>
+            );
+        }
+    });
+
+    module.exports = ReplaceMissingFonts;
+});
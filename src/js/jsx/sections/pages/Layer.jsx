@@ -42,6 +42,7 @@ define(function (require, exports, module) {
             return this.props.dragTarget !== nextProps.dragTarget ||
                 this.props.dropTarget !== nextProps.dropTarget ||
                 this.props.dragPosition !== nextProps.dragPosition ||
+                !Immutable.is(this.props.missingFontLayerIDs, nextProps.missingFontLayerIDs) ||
                 !Immutable.is(getDescendants(this.props), getDescendants(nextProps));
         },
         render: function () {
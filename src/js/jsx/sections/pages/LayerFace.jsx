@@ -45,6 +45,7 @@ define(function (require, exports, module) {
 
         shouldComponentUpdate: function (nextProps) {
             return !Immutable.is(this.props.layer.face, nextProps.layer.face) ||
+                this._hasMissingFont(this.props) !== this._hasMissingFont(nextProps) ||
                 this.props.dragTarget !== nextProps.dragTarget ||
                 this.props.dropAbove !== nextProps.dropAbove ||
                 this.props.dragPosition !== nextProps.dragPosition ||
@@ -52,6 +53,28 @@ define(function (require, exports, module) {
                 this.props.dropTarget !== nextProps.dropTarget;
         },
 
+        /**
+         * Whether the layer of the given props uses fonts that are not installed.
+         *
+         * @private
+         * @param {object} props
+         * @return {boolean}
+         */
+        _hasMissingFont: function (props) {
+            return !!props.missingFontLayerIDs && props.missingFontLayerIDs.has(props.layer.id);
+        },
+
+        /**
+         * Opens the dialog in which missing fonts are replaced.
+         *
+         * @private
+         * @param {SyntheticEvent} event
+         */
+        _handleMissingFontClick: function (event) {
+            this.getFlux().actions.type.openMissingFonts();
+            event.stopPropagation();
+        },
+
         /**
          * Renames the layer
          * 
@@ -242,6 +265,18 @@ define(function (require, exports, module) {
                 iconID += layer.kind;
             }
 
+            var missingFontBadge = this._hasMissingFont(this.props) && (
+                <Button
+                    title={strings.TOOLTIPS.MISSING_FONT + tooltipPadding}
+                    disabled={this.props.disabled}
+                    className="face__missing-font"
+                    onClick={this._handleMissingFontClick}>
+                    <SVGIcon
+                        CSSID="missing-font"
+                        viewBox="0 0 14 14" />
+                </Button>
+            );
+
             var showHideButton = layer.isBackground ? null : (
                 <ToggleButton
                     disabled={this.props.disabled}
@@ -284,6 +319,7 @@ define(function (require, exports, module) {
                             onWheel={this._handleWheel}
                             onChange={this._handleLayerNameChange}>
                         </TextInput>
+                        {missingFontBadge}
                         {showHideButton}
                     </span>
                     <ToggleButton
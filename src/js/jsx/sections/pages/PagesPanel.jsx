@@ -27,6 +27,7 @@ define(function (require, exports, module) {
     var React = require("react"),
         Fluxxor = require("fluxxor"),
         FluxMixin = Fluxxor.FluxMixin(React),
+        StoreWatchMixin = Fluxxor.StoreWatchMixin,
         Immutable = require("immutable"),
         classnames = require("classnames");
 
@@ -60,7 +61,7 @@ define(function (require, exports, module) {
     };
 
     var PagesPanel = React.createClass({
-        mixins: [FluxMixin],
+        mixins: [FluxMixin, StoreWatchMixin("font")],
 
         /**
          * A throttled version of os.setTooltip
@@ -83,6 +84,13 @@ define(function (require, exports, module) {
          */
         _bottomNodeBounds: null,
 
+        getStateFromFlux: function () {
+            // Missing fonts are only known once the installed fonts are loaded
+            return {
+                postScriptMap: this.getFlux().store("font").getState().postScriptMap
+            };
+        },
+
         componentWillMount: function () {
             this._setTooltipThrottled = synchronization.throttle(os.setTooltip, os, 500);
         },
@@ -379,6 +387,14 @@ define(function (require, exports, module) {
                 layerCount = null;
                 childComponents = null;
             } else {
+                var missingFontLayerIDs = this.getFlux().store("font").getMissingFonts(doc)
+                    .valueSeq()
+                    .flatten(true)
+                    .map(function (layer) {
+                        return layer.id;
+                    })
+                    .toSet();
+
                 layerComponents = doc.layers.top
                     .map(function (layer) {
                         // If the layer or its descendants is not the dropTarget, pass false here
@@ -412,6 +428,7 @@ define(function (require, exports, module) {
                                     layer={layer}
                                     axis="y"
                                     layerIndex={doc.layers.indexOf(layer)}
+                                    missingFontLayerIDs={missingFontLayerIDs}
                                     dragPlaceholderClass="face__placeholder"
                                     validateDrop={this._validDropTarget}
                                     onDragStop={this._handleStop}
@@ -0,0 +1,263 @@
+/*
+ * Copyright (c) 2014 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+define(function (require, exports) {
+    "use strict";
+
+    var React = require("react"),
+        Fluxxor = require("fluxxor"),
+        FluxMixin = Fluxxor.FluxMixin(React),
+        Immutable = require("immutable"),
+        classnames = require("classnames"),
+        _ = require("lodash");
+
+    var Gutter = require("jsx!js/jsx/shared/Gutter"),
+        Label = require("jsx!js/jsx/shared/Label"),
+        Button = require("jsx!js/jsx/shared/Button"),
+        SVGIcon = require("jsx!js/jsx/shared/SVGIcon"),
+        NumberInput = require("jsx!js/jsx/shared/NumberInput"),
+        ColorInput = require("jsx!js/jsx/shared/ColorInput"),
+        ToggleButton = require("jsx!js/jsx/shared/ToggleButton"),
+        strings = require("i18n!nls/strings"),
+        collection = require("js/util/collection");
+
+    /**
+     * ColorOverlay Component displays information of a single color overlay
+     * for a given set of non-vector layers.
+     */
+    var ColorOverlay = React.createClass({
+        mixins: [FluxMixin],
+
+        shouldComponentUpdate: function (nextProps) {
+            var sameLayerIDs = collection.pluck(this.props.layers, "id")
+                .equals(collection.pluck(nextProps.layers, "id"));
+
+            return !sameLayerIDs ||
+                !Immutable.is(this.props.overlays, nextProps.overlays) ||
+                this.props.index !== nextProps.index ||
+                this.props.readOnly !== nextProps.readOnly;
+        },
+
+        /**
+         * Handle the change of the overlay color, including the alpha value
+         *
+         * @private
+         * @param {Color} color new overlay color
+         * @param {boolean} coalesce
+         */
+        _colorChanged: function (color, coalesce) {
+            this.getFlux().actions.layerEffects
+                .setColorOverlayColorThrottled(this.props.document, this.props.layers,
+                    this.props.index, color, coalesce, false);
+        },
+
+        /**
+         * Handle the change of the opaque overlay color
+         *
+         * @private
+         * @param {Color} color new overlay opaque color
+         * @param {boolean} coalesce
+         */
+        _opaqueColorChanged: function (color, coalesce) {
+            this.getFlux().actions.layerEffects
+                .setColorOverlayColorThrottled(this.props.document, this.props.layers,
+                    this.props.index, color, coalesce, true);
+        },
+
+        /**
+         * Handle the change of the overlay alpha
+         *
+         * @private
+         * @param {Color} color new overlay color
+         * @param {boolean} coalesce
+         */
+        _alphaChanged: function (color, coalesce) {
+            this.getFlux().actions.layerEffects
+                .setColorOverlayAlphaThrottled(this.props.document, this.props.layers,
+                    this.props.index, color.a, coalesce);
+        },
+
+        /**
+         * Handle the change of the overlay opacity
+         *
+         * @private
+         * @param {SyntheticEvent} event
+         * @param {number} opacity new overlay opacity, in [0, 100]
+         */
+        _opacityChanged: function (event, opacity) {
+            this.getFlux().actions.layerEffects
+                .setColorOverlayAlphaThrottled(this.props.document, this.props.layers,
+                    this.props.index, opacity / 100);
+        },
+
+        /**
+         * Handle the change of the overlay enabled state
+         *
+         * @private
+         * @param {SyntheticEvent} event
+         * @param {boolean} enabled new enabled state
+         */
+        _enabledChanged: function (event, enabled) {
+            this.getFlux().actions.layerEffects.setColorOverlayEnabled(
+                this.props.document, this.props.layers, this.props.index, enabled);
+        },
+
+        render: function () {
+            var colors = collection.pluck(this.props.overlays, "color"),
+                enabledFlags = collection.pluck(this.props.overlays, "enabled"),
+                opacityPercentages = colors.map(function (color) {
+                    return color && color.opacity;
+                });
+
+            var overlayClasses = classnames({
+                "color-overlay-list__overlay": true,
+                "color-overlay-list__overlay__disabled": this.props.readOnly
+            });
+
+            return (
+                <div className={overlayClasses}>
+                    <div className="formline">
+                        <Gutter />
+                        <ColorInput
+                            id={"color-overlay-" + this.props.index}
+                            className="color-overlay"
+                            context={collection.pluck(this.props.layers, "id")}
+                            title={strings.TOOLTIPS.SET_COLOR_OVERLAY_COLOR}
+                            editable={!this.props.readOnly}
+                            defaultValue={colors}
+                            onChange={this._colorChanged}
+                            onFocus={this.props.onFocus}
+                            onColorChange={this._opaqueColorChanged}
+                            onAlphaChange={this._alphaChanged}>
+
+                            <div className="compact-stats__body">
+                                <div className="compact-stats__body__column">
+                                    <Label
+                                        title={strings.TOOLTIPS.SET_COLOR_OVERLAY_OPACITY}
+                                        size="column-4">
+                                        {strings.STYLE.COLOR_OVERLAY.ALPHA}
+                                    </Label>
+                                    <NumberInput
+                                        value={opacityPercentages}
+                                        onChange={this._opacityChanged}
+                                        onFocus={this.props.onFocus}
+                                        min={0}
+                                        max={100}
+                                        step={1}
+                                        bigstep={10}
+                                        disabled={this.props.readOnly}
+                                        size="column-3" />
+                                </div>
+                            </div>
+                        </ColorInput>
+                        <Gutter />
+                        <ToggleButton
+                            title={strings.TOOLTIPS.TOGGLE_COLOR_OVERLAY}
+                            name="toggleColorOverlayEnabled"
+                            buttonType="layer-visibility"
+                            selected={enabledFlags}
+                            onFocus={this.props.onFocus}
+                            onClick={!this.props.readOnly ? this._enabledChanged : _.noop}
+                            size="column-2"
+                        />
+                        <Gutter />
+                    </div>
+                </div>
+            );
+        }
+    });
+
+    /**
+     * ColorOverlayList Component maintains a set of color overlay components
+     * for the selected non-vector layers. The color overlays of vector layers
+     * are shown as their additional fills instead.
+     */
+    var ColorOverlayList = React.createClass({
+        mixins: [FluxMixin],
+
+        propTypes: {
+            max: React.PropTypes.number
+        },
+
+        /**
+         * Handle a NEW color overlay
+         *
+         * @private
+         * @param {Immutable.List.<Layer>} layers
+         */
+        _addColorOverlay: function (layers) {
+            this.getFlux().actions.layerEffects.addColorOverlay(this.props.document, layers);
+        },
+
+        render: function () {
+            var document = this.props.document,
+                layers = document.layers.selected.filter(function (layer) {
+                    return !layer.isBackground && layer.kind !== layer.layerKinds.VECTOR;
+                });
+
+            if (layers.isEmpty()) {
+                return null;
+            }
+
+            // Group into arrays of color overlays, by position in each layer
+            var overlayGroups = collection.zip(collection.pluck(layers, "colorOverlays")),
+                overlayList = overlayGroups.map(function (overlays, index) {
+                    return (
+                        <ColorOverlay {...this.props}
+                            layers={layers}
+                            key={index}
+                            index={index}
+                            readOnly={this.props.disabled}
+                            overlays={overlays} />
+                    );
+                }, this).toList();
+
+            return (
+                <div className="color-overlay-list__container">
+                    <header className="color-overlay-list__header sub-header">
+                        <h3>
+                            {strings.STYLE.COLOR_OVERLAY.TITLE}
+                        </h3>
+                        <Gutter />
+                        <hr className="sub-header-rule"/>
+                        <Button
+                            title={strings.STYLE.COLOR_OVERLAY.ADD}
+                            className="button-plus"
+                            disabled={overlayList.size >= this.props.max}
+                            onClick={this._addColorOverlay.bind(this, layers)}>
+                            <SVGIcon
+                                viewbox="0 0 12 12"
+                                CSSID="plus" />
+                        </Button>
+                    </header>
+                    <div className="color-overlay-list__list-container">
+                        {overlayList}
+                    </div>
+                </div>
+            );
+        }
+    });
+
+    exports.ColorOverlayList = ColorOverlayList;
+});
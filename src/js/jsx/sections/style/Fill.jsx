@@ -42,9 +42,32 @@ define(function (require, exports) {
         NumberInput = require("jsx!js/jsx/shared/NumberInput"),
         ColorInput = require("jsx!js/jsx/shared/ColorInput"),
         ToggleButton = require("jsx!js/jsx/shared/ToggleButton"),
+        Datalist = require("jsx!js/jsx/shared/Datalist"),
+        FillGradient = require("jsx!./FillGradient"),
         strings = require("i18n!nls/strings"),
         collection = require("js/util/collection");
 
+    /**
+     * The set of possible fill types
+     *
+     * @private
+     * @type {Immutable.OrderedMap.<Select.OptionRec>}
+     */
+    var _fillTypes = Immutable.OrderedMap([
+        [contentLayerLib.contentTypes.SOLID_COLOR, {
+            id: contentLayerLib.contentTypes.SOLID_COLOR,
+            title: strings.COLOR_PICKER.MODE.SOLID
+        }],
+        [contentLayerLib.contentTypes.GRADIENT, {
+            id: contentLayerLib.contentTypes.GRADIENT,
+            title: strings.COLOR_PICKER.MODE.GRADIENT
+        }],
+        [contentLayerLib.contentTypes.PATTERN, {
+            id: contentLayerLib.contentTypes.PATTERN,
+            title: strings.COLOR_PICKER.MODE.PATTERN
+        }]
+    ]);
+
     /**
      * Fill Component displays information of a single fill for a given layer or 
      * set of layers.
@@ -59,6 +82,7 @@ define(function (require, exports) {
             return !sameLayerIDs ||
                 !Immutable.is(this.props.fills, nextProps.fills) ||
                 this.props.index !== nextProps.index ||
+                this.props.count !== nextProps.count ||
                 this.props.readOnly !== nextProps.readOnly;
         },
 
@@ -134,6 +158,227 @@ define(function (require, exports) {
                     this.props.index, color.opacity, coalesce);
         },
 
+        /**
+         * Find a pattern among the given fills, which can be used to convert
+         * the other fills to pattern fills.
+         *
+         * @private
+         * @param {Immutable.List.<Fill>} fills
+         * @return {?Pattern}
+         */
+        _findPattern: function (fills) {
+            var patternFill = fills.find(function (fill) {
+                return fill && fill.pattern && fill.pattern.id;
+            });
+
+            return patternFill ? patternFill.pattern : null;
+        },
+
+        /**
+         * Handle the change of the fill type, converting the fills to solid
+         * color, gradient or pattern fills.
+         *
+         * @private
+         * @param {string} type
+         */
+        _typeChanged: function (type) {
+            var flux = this.getFlux(),
+                fills = this.props.fills;
+
+            switch (type) {
+            case contentLayerLib.contentTypes.SOLID_COLOR:
+                var solidFill = fills.find(function (fill) {
+                        return fill && fill.type === contentLayerLib.contentTypes.SOLID_COLOR;
+                    }),
+                    gradientFill = fills.find(function (fill) {
+                        return fill && fill.gradient && !fill.gradient.colorStops.isEmpty();
+                    }),
+                    color = solidFill ? solidFill.color :
+                        (gradientFill ? gradientFill.gradient.colorStops.first().color : Color.DEFAULT);
+
+                flux.actions.shapes.setFillColor(this.props.document, this.props.layers, this.props.index, color);
+                break;
+            case contentLayerLib.contentTypes.GRADIENT:
+                flux.actions.shapes.setFillGradient(this.props.document, this.props.layers, this.props.index, {});
+                break;
+            case contentLayerLib.contentTypes.PATTERN:
+                var pattern = this._findPattern(fills);
+                if (pattern) {
+                    flux.actions.shapes.setFillPattern(this.props.document, this.props.layers,
+                        this.props.index, pattern);
+                }
+                break;
+            }
+        },
+
+        /**
+         * Handle the change of the pattern scale
+         *
+         * @private
+         * @param {SyntheticEvent} event
+         * @param {number} scale As a percentage
+         */
+        _patternScaleChanged: function (event, scale) {
+            this.getFlux().actions.shapes.setFillPatternThrottled(this.props.document, this.props.layers,
+                this.props.index, { scale: scale });
+        },
+
+        /**
+         * Handle the change of the pattern angle
+         *
+         * @private
+         * @param {SyntheticEvent} event
+         * @param {number} angle In degrees
+         */
+        _patternAngleChanged: function (event, angle) {
+            this.getFlux().actions.shapes.setFillPatternThrottled(this.props.document, this.props.layers,
+                this.props.index, { angle: angle });
+        },
+
+        /**
+         * Render the type-specific editor for gradient or pattern fills, if
+         * all the fills have the given type.
+         *
+         * @private
+         * @param {?string} type The uniform fill type, if any
+         * @return {?ReactComponent}
+         */
+        _renderTypeEditor: function (type) {
+            var fills = this.props.fills;
+            if (!fills.every(_.identity)) {
+                return null;
+            }
+
+            switch (type) {
+            case contentLayerLib.contentTypes.GRADIENT:
+                return (
+                    <FillGradient {...this.props} />
+                );
+            case contentLayerLib.contentTypes.PATTERN:
+                var patterns = collection.pluck(fills, "pattern"),
+                    patternName = collection.uniformValue(collection.pluck(patterns, "name"));
+
+                return (
+                    <div className="formline">
+                        <Gutter />
+                        <Label
+                            className="fill__pattern-name"
+                            title={patternName || strings.TRANSFORM.MIXED}
+                            size="column-9">
+                            {patternName || strings.TRANSFORM.MIXED}
+                        </Label>
+                        <Gutter />
+                        <Label
+                            title={strings.TOOLTIPS.SET_PATTERN_SCALE}
+                            size="column-4">
+                            {strings.STYLE.FILL.SCALE}
+                        </Label>
+                        <NumberInput
+                            value={collection.pluck(patterns, "scale")}
+                            onChange={this._patternScaleChanged}
+                            min={1}
+                            max={1000}
+                            step={1}
+                            bigstep={10}
+                            disabled={this.props.readOnly}
+                            size="column-3" />
+                        <Gutter />
+                        <Label
+                            title={strings.TOOLTIPS.SET_PATTERN_ANGLE}
+                            size="column-4">
+                            {strings.STYLE.FILL.ANGLE}
+                        </Label>
+                        <NumberInput
+                            value={collection.pluck(patterns, "angle")}
+                            onChange={this._patternAngleChanged}
+                            min={-180}
+                            max={180}
+                            step={1}
+                            bigstep={15}
+                            disabled={this.props.readOnly}
+                            size="column-3" />
+                        <Gutter />
+                    </div>
+                );
+            default:
+                return null;
+            }
+        },
+
+        /**
+         * Remove this fill from the layers
+         *
+         * @private
+         */
+        _removeFill: function () {
+            this.getFlux().actions.shapes.removeFill(this.props.document, this.props.layers, this.props.index);
+        },
+
+        /**
+         * Move this fill to the given index of the layers
+         *
+         * @private
+         * @param {number} targetIndex
+         */
+        _moveFill: function (targetIndex) {
+            this.getFlux().actions.shapes.reorderFill(this.props.document, this.props.layers,
+                this.props.index, targetIndex);
+        },
+
+        /**
+         * Render the buttons which move and remove this fill. Because the
+         * fills after the first are color overlays, only solid color fills
+         * can be moved in place of, or out of the place of, the first fill.
+         *
+         * @private
+         * @param {?string} type The uniform fill type, if any
+         * @return {Array.<ReactComponent>}
+         */
+        _renderListControls: function (type) {
+            var index = this.props.index,
+                readOnly = this.props.readOnly,
+                firstFillsSolid = this.props.layers.every(function (layer) {
+                    var fill = layer.fills.first();
+                    return !fill || fill.type === contentLayerLib.contentTypes.SOLID_COLOR;
+                }),
+                canMoveUp = index > 1 || (index === 1 && firstFillsSolid),
+                canMoveDown = index < this.props.count - 1 &&
+                    (index > 0 || type === contentLayerLib.contentTypes.SOLID_COLOR);
+
+            return [
+                <Button
+                    key="up"
+                    className="button-move-up"
+                    title={strings.TOOLTIPS.MOVE_FILL_UP}
+                    disabled={readOnly || !canMoveUp}
+                    onClick={this._moveFill.bind(this, index - 1)}>
+                    <SVGIcon
+                        viewbox="0 0 6 10"
+                        CSSID="carousel-left" />
+                </Button>,
+                <Button
+                    key="down"
+                    className="button-move-down"
+                    title={strings.TOOLTIPS.MOVE_FILL_DOWN}
+                    disabled={readOnly || !canMoveDown}
+                    onClick={this._moveFill.bind(this, index + 1)}>
+                    <SVGIcon
+                        viewbox="0 0 6 10"
+                        CSSID="carousel-right" />
+                </Button>,
+                <Button
+                    key="remove"
+                    className="button-remove"
+                    title={strings.TOOLTIPS.REMOVE_FILL}
+                    disabled={readOnly || this.props.count < 2}
+                    onClick={this._removeFill}>
+                    <SVGIcon
+                        viewbox="0 0 12 12"
+                        CSSID="plus" />
+                </Button>
+            ];
+        },
+
         /**
          * Produce a set of arrays of separate fill display properties, transformed and ready for the sub-components
          *
@@ -148,10 +393,13 @@ define(function (require, exports) {
                     }
                     if (fill.type === contentLayerLib.contentTypes.SOLID_COLOR) {
                         return fill.color;
+                    } else if (_fillTypes.has(fill.type)) {
+                        return _fillTypes.get(fill.type).title;
                     } else {
                         return fill.type;
                     }
                 }),
+                types = collection.pluck(fills, "type"),
                 opacityPercentages = collection.pluck(fills, "color")
                     .map(function (color) {
                         return color && color.opacity;
@@ -160,13 +408,46 @@ define(function (require, exports) {
 
             return {
                 colors: colors,
+                types: types,
                 opacityPercentages: opacityPercentages,
                 enabledFlags: enabledFlags
             };
         },
 
         render: function () {
-            var downsample = this._downsampleFills(this.props.fills);
+            var downsample = this._downsampleFills(this.props.fills),
+                type = collection.uniformValue(downsample.types),
+                typeTitle = _fillTypes.has(type) ? _fillTypes.get(type).title : strings.TRANSFORM.MIXED,
+                gradientFill = type === contentLayerLib.contentTypes.GRADIENT && this.props.fills.first(),
+                // Only offer pattern fills if a pattern is known from one of the fills
+                hidePattern = !this._findPattern(this.props.fills),
+                typesToShow = _fillTypes.update(contentLayerLib.contentTypes.PATTERN, function (item) {
+                    return _.assign({}, item, { hidden: hidePattern });
+                }).toList();
+
+            // Only the first fill may be a gradient or pattern; the rest are color overlays
+            var typeControl;
+            if (this.props.index === 0) {
+                typeControl = (
+                    <Datalist
+                        list={"fill-type-" + this.props.index}
+                        disabled={this.props.readOnly}
+                        className="dialog-fill-type"
+                        options={typesToShow}
+                        value={typeTitle}
+                        defaultSelected={type}
+                        size="column-9"
+                        onChange={this._typeChanged} />
+                );
+            } else {
+                typeControl = (
+                    <Label
+                        title={strings.STYLE.FILL.OVERLAY}
+                        size="column-9">
+                        {strings.STYLE.FILL.OVERLAY}
+                    </Label>
+                );
+            }
 
             var fillClasses = classnames({
                 "fill-list__fill": true,
@@ -179,7 +460,9 @@ define(function (require, exports) {
                     width: "100%"
                 };
 
-                if (colorTiny) {
+                if (gradientFill) {
+                    fillStyle.backgroundImage = gradientFill.gradient.toCSS();
+                } else if (colorTiny) {
                     fillStyle.backgroundColor = colorTiny.toRgbString();
                 }
 
@@ -237,6 +520,13 @@ define(function (require, exports) {
                         />
                         <Gutter />
                     </div>
+                    <div className="formline">
+                        <Gutter />
+                        {typeControl}
+                        <Gutter />
+                        {this._renderListControls(type)}
+                    </div>
+                    {this._renderTypeEditor(type)}
                 </div>
             );
         }
@@ -276,25 +566,25 @@ define(function (require, exports) {
                         <Fill {...this.props}
                             key={index}
                             index={index}
+                            count={fillGroups.size}
                             readOnly={this.props.disabled}
                             layers={layers}
                             fills={fills} />
                     );
                 }, this).toList();
 
-            // Add a "new fill" button if not read only
-            var newButton = null;
-            if (fillGroups.isEmpty()) {
-                newButton = (
-                    <Button
-                        className="button-plus"
-                        onClick = {this._addFill.bind(this, layers)}>
-                        <SVGIcon
-                            viewbox="0 0 12 12"
-                            CSSID="plus" />
-                    </Button>
-                );
-            }
+            // Add a "new fill" button, which adds color overlays to layers that already have a fill
+            var newButton = (
+                <Button
+                    className="button-plus"
+                    title={strings.TOOLTIPS.ADD_FILL}
+                    disabled={this.props.disabled}
+                    onClick = {this._addFill.bind(this, layers)}>
+                    <SVGIcon
+                        viewbox="0 0 12 12"
+                        CSSID="plus" />
+                </Button>
+            );
             
             return (
                 <div className="fill-list__container">
@@ -0,0 +1,445 @@
+/*
+ * Copyright (c) 2014 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var React = require("react"),
+        Fluxxor = require("fluxxor"),
+        FluxMixin = Fluxxor.FluxMixin(React),
+        Immutable = require("immutable");
+
+    var Gradient = require("js/models/gradient"),
+        Gutter = require("jsx!js/jsx/shared/Gutter"),
+        Label = require("jsx!js/jsx/shared/Label"),
+        Button = require("jsx!js/jsx/shared/Button"),
+        SVGIcon = require("jsx!js/jsx/shared/SVGIcon"),
+        NumberInput = require("jsx!js/jsx/shared/NumberInput"),
+        ColorInput = require("jsx!js/jsx/shared/ColorInput"),
+        Datalist = require("jsx!js/jsx/shared/Datalist"),
+        SplitButton = require("jsx!js/jsx/shared/SplitButton"),
+        SplitButtonList = SplitButton.SplitButtonList,
+        SplitButtonItem = SplitButton.SplitButtonItem,
+        strings = require("i18n!nls/strings"),
+        mathUtil = require("js/util/math"),
+        collection = require("js/util/collection");
+
+    /**
+     * The set of possible gradient types
+     *
+     * @private
+     * @type {Immutable.OrderedMap.<Select.OptionRec>}
+     */
+    var _gradientTypes = Immutable.OrderedMap(Gradient.TYPES.map(function (type) {
+        return [type, {
+            id: type,
+            title: strings.STYLE.FILL.GRADIENT_TYPES[type.toUpperCase()]
+        }];
+    }));
+    var _gradientTypesList = _gradientTypes.toList();
+
+    /**
+     * FillGradient Component edits the gradients of a set of gradient fills at
+     * the same index in the given layers. The type, angle, scale and direction
+     * are edited independently for each gradient; the color stops are edited
+     * based on those of the first gradient and then applied to all of them.
+     */
+    var FillGradient = React.createClass({
+        mixins: [FluxMixin],
+
+        propTypes: {
+            fills: React.PropTypes.instanceOf(Immutable.Iterable).isRequired
+        },
+
+        shouldComponentUpdate: function (nextProps) {
+            var sameLayerIDs = collection.pluck(this.props.layers, "id")
+                .equals(collection.pluck(nextProps.layers, "id"));
+
+            return !sameLayerIDs ||
+                !Immutable.is(this.props.fills, nextProps.fills) ||
+                this.props.index !== nextProps.index ||
+                this.props.readOnly !== nextProps.readOnly;
+        },
+
+        /**
+         * Merge the given properties into the gradient of each of the fills.
+         *
+         * @private
+         * @param {object} gradientProperties
+         * @param {boolean=} coalesce
+         */
+        _setGradientProperties: function (gradientProperties, coalesce) {
+            this.getFlux().actions.shapes.setFillGradientThrottled(this.props.document, this.props.layers,
+                this.props.index, gradientProperties, coalesce);
+        },
+
+        /**
+         * The gradient whose color stops are edited.
+         *
+         * @private
+         * @return {Gradient}
+         */
+        _getGradient: function () {
+            return this.props.fills.first().gradient;
+        },
+
+        /**
+         * Replace the color stops of each of the gradients with those of the
+         * given gradient.
+         *
+         * @private
+         * @param {Gradient} gradient
+         * @param {boolean=} coalesce
+         */
+        _setColorStops: function (gradient, coalesce) {
+            this._setGradientProperties({ colorStops: gradient.colorStops }, coalesce);
+        },
+
+        /**
+         * Handle the change of the gradient type
+         *
+         * @private
+         * @param {string} type
+         */
+        _typeChanged: function (type) {
+            this._setGradientProperties({ type: type });
+        },
+
+        /**
+         * Handle the change of the gradient angle
+         *
+         * @private
+         * @param {SyntheticEvent} event
+         * @param {number} angle In degrees
+         */
+        _angleChanged: function (event, angle) {
+            this._setGradientProperties({ angle: angle });
+        },
+
+        /**
+         * Handle the change of the gradient scale
+         *
+         * @private
+         * @param {SyntheticEvent} event
+         * @param {number} scale As a percentage
+         */
+        _scaleChanged: function (event, scale) {
+            this._setGradientProperties({ scale: scale });
+        },
+
+        /**
+         * Reverse the order of the stops of the gradients
+         *
+         * @private
+         * @param {boolean} reverse
+         */
+        _reverseChanged: function (reverse) {
+            this._setGradientProperties({ reverse: reverse });
+        },
+
+        /**
+         * Add a color stop at the clicked location of the gradient preview
+         *
+         * @private
+         * @param {SyntheticEvent} event
+         */
+        _handlePreviewClick: function (event) {
+            if (this.props.readOnly) {
+                return;
+            }
+
+            var bounds = event.currentTarget.getBoundingClientRect(),
+                location = Math.round(((event.clientX - bounds.left) / bounds.width) * 100);
+
+            this._setColorStops(this._getGradient().addStop(mathUtil.clamp(location, 0, 100)));
+        },
+
+        /**
+         * Remove the color stop at the given index
+         *
+         * @private
+         * @param {number} stopIndex
+         */
+        _removeStop: function (stopIndex) {
+            this._setColorStops(this._getGradient().removeStop(stopIndex));
+        },
+
+        /**
+         * Update properties of the color stop at the given index
+         *
+         * @private
+         * @param {number} stopIndex
+         * @param {object} stopProperties
+         * @param {boolean=} coalesce
+         */
+        _setStopProperties: function (stopIndex, stopProperties, coalesce) {
+            this._setColorStops(this._getGradient().setStopProperties(stopIndex, stopProperties), coalesce);
+        },
+
+        /**
+         * Handle the change of a color stop's color
+         *
+         * @private
+         * @param {number} stopIndex
+         * @param {Color} color
+         * @param {boolean} coalesce
+         */
+        _stopColorChanged: function (stopIndex, color, coalesce) {
+            this._setStopProperties(stopIndex, { color: color }, coalesce);
+        },
+
+        /**
+         * Handle the change of a color stop's opaque color
+         *
+         * @private
+         * @param {number} stopIndex
+         * @param {Color} color
+         * @param {boolean} coalesce
+         */
+        _stopOpaqueColorChanged: function (stopIndex, color, coalesce) {
+            var stop = this._getGradient().colorStops.get(stopIndex);
+
+            this._setStopProperties(stopIndex, { color: stop.color.setOpaque(color) }, coalesce);
+        },
+
+        /**
+         * Handle the change of a color stop's alpha value
+         *
+         * @private
+         * @param {number} stopIndex
+         * @param {Color} color from which only the alpha is extracted
+         * @param {boolean} coalesce
+         */
+        _stopAlphaChanged: function (stopIndex, color, coalesce) {
+            var stop = this._getGradient().colorStops.get(stopIndex);
+
+            this._setStopProperties(stopIndex, { color: stop.color.setOpacity(color.opacity) }, coalesce);
+        },
+
+        /**
+         * Handle the change of a color stop's location
+         *
+         * @private
+         * @param {number} stopIndex
+         * @param {SyntheticEvent} event
+         * @param {number} location In [0, 100]
+         */
+        _stopLocationChanged: function (stopIndex, event, location) {
+            this._setStopProperties(stopIndex, { location: location });
+        },
+
+        /**
+         * Handle the change of a color stop's midpoint
+         *
+         * @private
+         * @param {number} stopIndex
+         * @param {SyntheticEvent} event
+         * @param {number} midpoint As a percentage
+         */
+        _stopMidpointChanged: function (stopIndex, event, midpoint) {
+            this._setStopProperties(stopIndex, { midpoint: midpoint });
+        },
+
+        /**
+         * Render the editor for a single color stop
+         *
+         * @private
+         * @param {GradientStop} stop
+         * @param {number} stopIndex
+         * @param {number} stopCount
+         * @return {ReactComponent}
+         */
+        _renderStop: function (stop, stopIndex, stopCount) {
+            var readOnly = this.props.readOnly,
+                stopOverlay = function (colorTiny) {
+                    var stopStyle = {
+                        height: "100%",
+                        width: "100%"
+                    };
+
+                    if (colorTiny) {
+                        stopStyle.backgroundColor = colorTiny.toRgbString();
+                    }
+
+                    return (
+                        <div
+                            className="fill__preview"
+                            style={stopStyle}/>
+                    );
+                };
+
+            return (
+                <div className="formline gradient-stop" key={stopIndex}>
+                    <Gutter />
+                    <ColorInput
+                        id={"fill-" + this.props.index + "-stop-" + stopIndex}
+                        className="fill"
+                        context={collection.pluck(this.props.layers, "id")}
+                        title={strings.TOOLTIPS.SET_GRADIENT_STOP_COLOR}
+                        editable={!readOnly}
+                        defaultValue={stop.color}
+                        onChange={this._stopColorChanged.bind(this, stopIndex)}
+                        onFocus={this.props.onFocus}
+                        onColorChange={this._stopOpaqueColorChanged.bind(this, stopIndex)}
+                        onAlphaChange={this._stopAlphaChanged.bind(this, stopIndex)}
+                        swatchOverlay={stopOverlay}>
+
+                        <div className="compact-stats__body">
+                            <div className="compact-stats__body__column">
+                                <Label
+                                    title={strings.TOOLTIPS.SET_GRADIENT_STOP_LOCATION}
+                                    size="column-4">
+                                    {strings.STYLE.FILL.LOCATION}
+                                </Label>
+                                <NumberInput
+                                    value={stop.location}
+                                    onChange={this._stopLocationChanged.bind(this, stopIndex)}
+                                    onFocus={this.props.onFocus}
+                                    min={0}
+                                    max={100}
+                                    step={1}
+                                    bigstep={10}
+                                    disabled={readOnly}
+                                    size="column-3" />
+                            </div>
+                            <Gutter />
+                            <div className="compact-stats__body__column">
+                                <Label
+                                    title={strings.TOOLTIPS.SET_GRADIENT_STOP_MIDPOINT}
+                                    size="column-4">
+                                    {strings.STYLE.FILL.MIDPOINT}
+                                </Label>
+                                <NumberInput
+                                    value={stop.midpoint}
+                                    onChange={this._stopMidpointChanged.bind(this, stopIndex)}
+                                    onFocus={this.props.onFocus}
+                                    min={5}
+                                    max={95}
+                                    step={1}
+                                    bigstep={10}
+                                    disabled={readOnly}
+                                    size="column-3" />
+                            </div>
+                        </div>
+                    </ColorInput>
+                    <Gutter />
+                    <Button
+                        className="button-remove"
+                        title={strings.TOOLTIPS.REMOVE_GRADIENT_STOP}
+                        disabled={readOnly || stopCount <= 2}
+                        onClick={this._removeStop.bind(this, stopIndex)}>
+                        <SVGIcon
+                            viewbox="0 0 12 12"
+                            CSSID="plus" />
+                    </Button>
+                    <Gutter />
+                </div>
+            );
+        },
+
+        render: function () {
+            var gradients = collection.pluck(this.props.fills, "gradient"),
+                types = collection.pluck(gradients, "type"),
+                type = collection.uniformValue(types),
+                typeTitle = _gradientTypes.has(type) ? _gradientTypes.get(type).title : strings.TRANSFORM.MIXED,
+                reverse = collection.uniformValue(collection.pluck(gradients, "reverse")),
+                gradient = this._getGradient(),
+                stopCount = gradient.colorStops.size,
+                stops = gradient.colorStops.map(function (stop, stopIndex) {
+                    return this._renderStop(stop, stopIndex, stopCount);
+                }, this);
+
+            return (
+                <div className="gradient-editor">
+                    <div className="formline">
+                        <Gutter />
+                        <Datalist
+                            list={"gradient-type-" + this.props.index}
+                            disabled={this.props.readOnly}
+                            className="dialog-gradient-type"
+                            options={_gradientTypesList}
+                            value={typeTitle}
+                            defaultSelected={type}
+                            size="column-9"
+                            onChange={this._typeChanged}
+                            onFocus={this.props.onFocus} />
+                        <Gutter />
+                        <Label
+                            title={strings.TOOLTIPS.SET_GRADIENT_ANGLE}
+                            size="column-4">
+                            {strings.STYLE.FILL.ANGLE}
+                        </Label>
+                        <NumberInput
+                            value={collection.pluck(gradients, "angle")}
+                            onChange={this._angleChanged}
+                            onFocus={this.props.onFocus}
+                            min={-180}
+                            max={180}
+                            step={1}
+                            bigstep={15}
+                            disabled={this.props.readOnly}
+                            size="column-3" />
+                        <Gutter />
+                        <Label
+                            title={strings.TOOLTIPS.SET_GRADIENT_SCALE}
+                            size="column-4">
+                            {strings.STYLE.FILL.SCALE}
+                        </Label>
+                        <NumberInput
+                            value={collection.pluck(gradients, "scale")}
+                            onChange={this._scaleChanged}
+                            onFocus={this.props.onFocus}
+                            min={10}
+                            max={150}
+                            step={1}
+                            bigstep={10}
+                            disabled={this.props.readOnly}
+                            size="column-3" />
+                        <Gutter />
+                        <SplitButtonList>
+                            <SplitButtonItem
+                                title={strings.TOOLTIPS.REVERSE_GRADIENT}
+                                iconId="swap"
+                                selected={!!reverse}
+                                disabled={this.props.readOnly}
+                                onClick={this._reverseChanged.bind(this, !reverse)} />
+                        </SplitButtonList>
+                        <Gutter />
+                    </div>
+                    <div className="formline">
+                        <Gutter />
+                        <div
+                            className="gradient-editor__preview"
+                            title={strings.TOOLTIPS.ADD_GRADIENT_STOP}
+                            style={{ backgroundImage: gradient.toCSS() }}
+                            onClick={this._handlePreviewClick} />
+                        <Gutter />
+                    </div>
+                    {stops}
+                </div>
+            );
+        }
+    });
+
+    module.exports = FillGradient;
+});
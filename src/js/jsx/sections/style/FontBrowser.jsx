@@ -0,0 +1,584 @@
+/*
+ * Copyright (c) 2014 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var React = require("react"),
+        Fluxxor = require("fluxxor"),
+        FluxMixin = Fluxxor.FluxMixin(React),
+        StoreWatchMixin = Fluxxor.StoreWatchMixin,
+        Immutable = require("immutable"),
+        classnames = require("classnames"),
+        _ = require("lodash");
+
+    var os = require("adapter/os");
+
+    var Button = require("jsx!js/jsx/shared/Button"),
+        Datalist = require("jsx!js/jsx/shared/Datalist"),
+        Dialog = require("jsx!js/jsx/shared/Dialog"),
+        Gutter = require("jsx!js/jsx/shared/Gutter"),
+        SVGIcon = require("jsx!js/jsx/shared/SVGIcon"),
+        TextInput = require("jsx!js/jsx/shared/TextInput"),
+        strings = require("i18n!nls/strings"),
+        fontUtil = require("js/util/font");
+
+    /**
+     * Filter value under which no fonts are filtered out.
+     *
+     * @private
+     * @const
+     * @type {string}
+     */
+    var ALL = "all";
+
+    /**
+     * The lists of font families that can be browsed.
+     *
+     * @private
+     * @const
+     * @type {Object.<string, string>}
+     */
+    var SOURCES = {
+        ALL: ALL,
+        FAVORITES: "favorites",
+        RECENT: "recent"
+    };
+
+    /**
+     * Number of font families visible in the list at once.
+     *
+     * @private
+     * @const
+     * @type {number}
+     */
+    var VISIBLE_ROWS = 10;
+
+    /**
+     * Maximum number of characters of the preview text shown in the list.
+     *
+     * @private
+     * @const
+     * @type {number}
+     */
+    var MAX_PREVIEW_LENGTH = 40;
+
+    /**
+     * Build filter options from a map of constant names to IDs, titled by the
+     * strings of the same constant names.
+     *
+     * @private
+     * @param {Object.<string, string>} ids
+     * @param {Object.<string, string>} titles
+     * @return {Immutable.OrderedMap.<string, Select.OptionRec>}
+     */
+    var _makeOptions = function (ids, titles) {
+        return Immutable.Seq(ids)
+            .mapEntries(function (entry) {
+                var id = entry[1];
+
+                return [id, {
+                    id: id,
+                    title: titles[entry[0]]
+                }];
+            })
+            .toOrderedMap();
+    };
+
+    var _sources = _makeOptions(SOURCES, strings.STYLE.TYPE.FONT_SOURCES),
+        _classifications = _makeOptions(_.assign({ ALL: ALL }, fontUtil.CLASSIFICATIONS),
+            strings.STYLE.TYPE.FONT_CLASSIFICATIONS),
+        _weights = _makeOptions(_.assign({ ALL: ALL }, fontUtil.WEIGHTS), strings.STYLE.TYPE.FONT_WEIGHTS),
+        _widths = _makeOptions(_.assign({ ALL: ALL }, fontUtil.WIDTHS), strings.STYLE.TYPE.FONT_WIDTHS);
+
+    /**
+     * Keys on which to dismiss the font browser dialog
+     *
+     * @const {Array.<key: {string}, modifiers: {object}>}
+     */
+    var DISMISS_ON_KEYS = [
+        { key: os.eventKeyCode.ESCAPE, modifiers: null }
+    ];
+
+    var FontBrowser = React.createClass({
+        mixins: [FluxMixin, StoreWatchMixin("font", "preferences")],
+
+        propTypes: {
+            document: React.PropTypes.object.isRequired,
+            layers: React.PropTypes.object.isRequired,
+            family: React.PropTypes.string,
+            style: React.PropTypes.string,
+            previewText: React.PropTypes.string,
+            disabled: React.PropTypes.bool
+        },
+
+        getInitialState: function () {
+            return {
+                query: "",
+                source: ALL,
+                classification: ALL,
+                weight: ALL,
+                width: ALL,
+                highlighted: null,
+                offset: 0
+            };
+        },
+
+        getStateFromFlux: function () {
+            var flux = this.getFlux(),
+                fontState = flux.store("font").getState(),
+                preferences = flux.store("preferences").getState();
+
+            return {
+                familyMap: fontState.familyMap,
+                favoriteFamilies: Immutable.List(preferences.get("favoriteFontFamilies", [])),
+                recentFamilies: Immutable.List(preferences.get("recentFontFamilies", []))
+            };
+        },
+
+        /**
+         * Get the installed font families that match the current source and
+         * filters, in display order.
+         *
+         * @private
+         * @param {object=} state Defaults to the current state
+         * @return {Immutable.List.<string>}
+         */
+        _getFamilies: function (state) {
+            state = state || this.state;
+
+            var familyMap = state.familyMap,
+                query = state.query.trim().toLowerCase(),
+                families;
+
+            switch (state.source) {
+                case SOURCES.FAVORITES:
+                    families = state.favoriteFamilies;
+                    break;
+                case SOURCES.RECENT:
+                    families = state.recentFamilies;
+                    break;
+                default:
+                    families = familyMap.keySeq().sort();
+            }
+
+            return families
+                .filter(function (family) {
+                    var fonts = familyMap.get(family);
+
+                    if (!fonts) {
+                        return false;
+                    }
+
+                    if (query.length > 0 && family.toLowerCase().indexOf(query) === -1) {
+                        return false;
+                    }
+
+                    if (state.classification !== ALL &&
+                        fontUtil.getClassification(family) !== state.classification) {
+                        return false;
+                    }
+
+                    if (state.weight !== ALL && !fonts.some(function (font) {
+                        return fontUtil.getWeight(font.style) === state.weight;
+                    })) {
+                        return false;
+                    }
+
+                    if (state.width !== ALL && !fonts.some(function (font) {
+                        return fontUtil.getWidth(font.style) === state.width;
+                    })) {
+                        return false;
+                    }
+
+                    return true;
+                })
+                .toList();
+        },
+
+        /**
+         * Get the list offset that keeps the given row visible.
+         *
+         * @private
+         * @param {number} index
+         * @param {number} offset The current offset
+         * @param {number} count The number of rows
+         * @return {number}
+         */
+        _getVisibleOffset: function (index, offset, count) {
+            if (index >= offset + VISIBLE_ROWS) {
+                offset = index - VISIBLE_ROWS + 1;
+            } else if (index < offset) {
+                offset = index;
+            }
+
+            return Math.max(0, Math.min(offset, count - VISIBLE_ROWS));
+        },
+
+        /**
+         * Update the filters, keeping the highlighted family visible if it
+         * still matches.
+         *
+         * @private
+         * @param {object} filters
+         */
+        _setFilters: function (filters) {
+            var nextState = _.assign({}, this.state, filters),
+                families = this._getFamilies(nextState),
+                index = families.indexOf(nextState.highlighted);
+
+            nextState.offset = this._getVisibleOffset(Math.max(index, 0), 0, families.size);
+            this.setState(nextState);
+        },
+
+        /**
+         * Open or close the font browser dialog.
+         *
+         * @private
+         * @param {SyntheticEvent} event
+         */
+        _toggleDialog: function (event) {
+            this.refs.dialog.toggle(event);
+        },
+
+        /**
+         * Highlight and scroll to the current family once the dialog opens.
+         *
+         * @private
+         */
+        _handleDialogOpen: function () {
+            this._setFilters({
+                highlighted: this.props.family
+            });
+        },
+
+        /**
+         * Filter the listed families as the search query is typed.
+         *
+         * @private
+         * @param {SyntheticEvent} event
+         */
+        _handleQueryChange: function (event) {
+            this._setFilters({
+                query: event.target.value
+            });
+        },
+
+        /**
+         * Set one of the filters from a Datalist selection.
+         *
+         * @private
+         * @param {string} filter Name of the filter
+         * @param {string} value
+         */
+        _handleFilterChange: function (filter, value) {
+            if (!value) {
+                return;
+            }
+
+            var filters = {};
+            filters[filter] = value;
+            this._setFilters(filters);
+        },
+
+        /**
+         * Preview the family on arrow keys, and apply it on Enter.
+         *
+         * @private
+         * @param {SyntheticEvent} event
+         */
+        _handleKeyDown: function (event) {
+            var families = this._getFamilies(),
+                index = families.indexOf(this.state.highlighted),
+                nextIndex;
+
+            switch (event.key) {
+                case "ArrowDown":
+                    nextIndex = Math.min(index + 1, families.size - 1);
+                    break;
+                case "ArrowUp":
+                    nextIndex = Math.max(index - 1, 0);
+                    break;
+                case "Enter":
+                case "Return":
+                    if (index > -1) {
+                        this._commit(families.get(index), event);
+                    }
+                    return;
+                default:
+                    return;
+            }
+
+            event.preventDefault();
+
+            if (families.isEmpty()) {
+                return;
+            }
+
+            this.setState({
+                highlighted: families.get(nextIndex),
+                offset: this._getVisibleOffset(nextIndex, this.state.offset, families.size)
+            });
+        },
+
+        /**
+         * Scroll the list of families.
+         *
+         * @private
+         * @param {SyntheticEvent} event
+         */
+        _handleWheel: function (event) {
+            var count = this._getFamilies().size,
+                delta = event.deltaY > 0 ? 1 : -1,
+                offset = Math.max(0, Math.min(this.state.offset + delta, count - VISIBLE_ROWS));
+
+            this.setState({
+                offset: offset
+            });
+
+            event.preventDefault();
+        },
+
+        /**
+         * Add the given family to, or remove it from, the favorites.
+         *
+         * @private
+         * @param {string} family
+         * @param {SyntheticEvent} event
+         */
+        _handleFavoriteClick: function (family, event) {
+            var favorite = !this.state.favoriteFamilies.contains(family);
+
+            this.getFlux().actions.type.setFontFamilyFavorite(family, favorite);
+            event.stopPropagation();
+        },
+
+        /**
+         * Apply the given family to the text layers, preferring the face with
+         * the current style, then a regular face, and closing the dialog.
+         *
+         * @private
+         * @param {string} family
+         * @param {SyntheticEvent} event
+         */
+        _commit: function (family, event) {
+            var fonts = this.state.familyMap.get(family).valueSeq().sortBy(function (font) {
+                    return font.postScriptName;
+                }),
+                currentStyle = this.props.style,
+                font = fonts.find(function (familyFont) {
+                    return familyFont.style === currentStyle;
+                }) || fonts.find(function (familyFont) {
+                    return fontUtil.getWeight(familyFont.style) === fontUtil.WEIGHTS.REGULAR &&
+                        fontUtil.getWidth(familyFont.style) === fontUtil.WIDTHS.NORMAL &&
+                        !/italic|oblique/i.test(familyFont.style);
+                }) || fonts.first();
+
+            this.getFlux().actions.type.setPostScript(this.props.document, this.props.layers,
+                font.postScriptName, family, font.style);
+
+            this.refs.dialog.toggle(event);
+        },
+
+        /**
+         * Get the text with which fonts are previewed.
+         *
+         * @private
+         * @return {string}
+         */
+        _getPreviewText: function () {
+            var text = (this.props.previewText || "").split(/[\r\n]/)[0].trim();
+
+            if (text.length === 0) {
+                text = strings.STYLE.TYPE.FONT_PREVIEW_SAMPLE;
+            }
+
+            return text.length > MAX_PREVIEW_LENGTH ? text.substr(0, MAX_PREVIEW_LENGTH) + "…" : text;
+        },
+
+        /**
+         * Render the visible window of font families.
+         *
+         * @private
+         * @param {Immutable.List.<string>} families
+         * @return {ReactComponent}
+         */
+        _renderFamilyList: function (families) {
+            if (families.isEmpty()) {
+                return (
+                    <div className="font-browser__empty">
+                        {strings.STYLE.TYPE.NO_FONTS}
+                    </div>
+                );
+            }
+
+            var previewText = this._getPreviewText(),
+                offset = this.state.offset;
+
+            var items = families.slice(offset, offset + VISIBLE_ROWS).map(function (family) {
+                var favorite = this.state.favoriteFamilies.contains(family),
+                    itemClasses = classnames({
+                        "font-browser__item": true,
+                        "font-browser__item-highlighted": family === this.state.highlighted,
+                        "font-browser__item-current": family === this.props.family
+                    }),
+                    favoriteClasses = classnames({
+                        "font-browser__favorite": true,
+                        "font-browser__favorite-selected": favorite
+                    });
+
+                return (
+                    <li
+                        key={family}
+                        className={itemClasses}
+                        onClick={this._commit.bind(this, family)}>
+                        <div className="font-browser__name">
+                            {family}
+                        </div>
+                        <div
+                            className="font-browser__sample"
+                            style={{ fontFamily: family }}>
+                            {previewText}
+                        </div>
+                        <Button
+                            className={favoriteClasses}
+                            title={strings.TOOLTIPS.TOGGLE_FAVORITE_FONT}
+                            onClick={this._handleFavoriteClick.bind(this, family)}>
+                            <SVGIcon
+                                viewBox="0 0 14 14"
+                                CSSID="favorite" />
+                        </Button>
+                    </li>
+                );
+            }, this).toArray();
+
+            return (
+                <ul
+                    className="font-browser__list"
+                    onWheel={this._handleWheel}>
+                    {items}
+                </ul>
+            );
+        },
+
+        /**
+         * Render the contents of the dialog.
+         *
+         * @private
+         * @return {ReactComponent}
+         */
+        _renderContents: function () {
+            var families = this._getFamilies(),
+                highlighted = this.state.highlighted || this.props.family;
+
+            var preview = highlighted && (
+                <div
+                    className="font-browser__preview"
+                    style={{ fontFamily: highlighted }}>
+                    {this._getPreviewText()}
+                </div>
+            );
+
+            return (
+                <div className="font-browser-container">
+                    <div className="formline">
+                        <TextInput
+                            live={true}
+                            editable={true}
+                            value={this.state.query}
+                            placeholderText={strings.STYLE.TYPE.SEARCH_FONTS}
+                            title={strings.TOOLTIPS.SEARCH_FONTS}
+                            onDOMChange={this._handleQueryChange}
+                            onKeyDown={this._handleKeyDown}
+                            size="column-12" />
+                        <Gutter />
+                        <Datalist
+                            list="font-sources"
+                            value={_sources.get(this.state.source).title}
+                            defaultSelected={this.state.source}
+                            options={_sources.toList()}
+                            onChange={this._handleFilterChange.bind(this, "source")}
+                            size="column-10" />
+                    </div>
+                    <div className="formline">
+                        <Datalist
+                            list="font-classifications"
+                            value={_classifications.get(this.state.classification).title}
+                            defaultSelected={this.state.classification}
+                            options={_classifications.toList()}
+                            onChange={this._handleFilterChange.bind(this, "classification")}
+                            size="column-8" />
+                        <Gutter />
+                        <Datalist
+                            list="font-weights"
+                            value={_weights.get(this.state.weight).title}
+                            defaultSelected={this.state.weight}
+                            options={_weights.toList()}
+                            onChange={this._handleFilterChange.bind(this, "weight")}
+                            size="column-6" />
+                        <Gutter />
+                        <Datalist
+                            list="font-widths"
+                            value={_widths.get(this.state.width).title}
+                            defaultSelected={this.state.width}
+                            options={_widths.toList()}
+                            onChange={this._handleFilterChange.bind(this, "width")}
+                            size="column-6" />
+                    </div>
+                    {preview}
+                    {this._renderFamilyList(families)}
+                </div>
+            );
+        },
+
+        render: function () {
+            return (
+                <div className="font-browser-controls">
+                    <Button
+                        className="button-font-browser"
+                        title={strings.TOOLTIPS.SHOW_FONT_BROWSER}
+                        disabled={this.props.disabled}
+                        onClick={this._toggleDialog}>
+                        <SVGIcon
+                            viewBox="0 0 14 14"
+                            CSSID="font-browser" />
+                    </Button>
+                    <Dialog
+                        ref="dialog"
+                        id={"font-browser-" + this.props.document.id}
+                        className="pop-over font-browser"
+                        disabled={this.props.disabled}
+                        onOpen={this._handleDialogOpen}
+                        dismissOnKeys={DISMISS_ON_KEYS}
+                        dismissOnDocumentChange
+                        dismissOnSelectionTypeChange
+                        dismissOnWindowClick>
+                        {this._renderContents()}
+                    </Dialog>
+                </div>
+            );
+        }
+    });
+
+    module.exports = FontBrowser;
+});
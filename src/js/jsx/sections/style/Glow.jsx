@@ -0,0 +1,347 @@
+/*
+ * Copyright (c) 2014 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+define(function (require, exports) {
+    "use strict";
+
+    var React = require("react"),
+        Fluxxor = require("fluxxor"),
+        FluxMixin = Fluxxor.FluxMixin(React),
+        Immutable = require("immutable"),
+        classnames = require("classnames"),
+        _ = require("lodash");
+
+    var Gutter = require("jsx!js/jsx/shared/Gutter"),
+        Label = require("jsx!js/jsx/shared/Label"),
+        Button = require("jsx!js/jsx/shared/Button"),
+        SVGIcon = require("jsx!js/jsx/shared/SVGIcon"),
+        NumberInput = require("jsx!js/jsx/shared/NumberInput"),
+        ColorInput = require("jsx!js/jsx/shared/ColorInput"),
+        ToggleButton = require("jsx!js/jsx/shared/ToggleButton"),
+        strings = require("i18n!nls/strings"),
+        collection = require("js/util/collection");
+
+    var MIN_SPREAD = 0,
+        MAX_SPREAD = 100,
+        MIN_BLUR = 0,
+        MAX_BLUR = 250;
+
+    /**
+     * Strings for each type of glow
+     *
+     * @private
+     * @type {Object.<string, object>}
+     */
+    var _glowStrings = {
+        outerGlow: {
+            style: strings.STYLE.OUTER_GLOW,
+            toggle: strings.TOOLTIPS.TOGGLE_OUTER_GLOW,
+            color: strings.TOOLTIPS.SET_OUTER_GLOW_COLOR,
+            blur: strings.TOOLTIPS.SET_OUTER_GLOW_BLUR,
+            spread: strings.TOOLTIPS.SET_OUTER_GLOW_SPREAD
+        },
+        innerGlow: {
+            style: strings.STYLE.INNER_GLOW,
+            toggle: strings.TOOLTIPS.TOGGLE_INNER_GLOW,
+            color: strings.TOOLTIPS.SET_INNER_GLOW_COLOR,
+            blur: strings.TOOLTIPS.SET_INNER_GLOW_BLUR,
+            spread: strings.TOOLTIPS.SET_INNER_GLOW_SPREAD
+        }
+    };
+
+    /**
+     * Glow Component displays information of a single outer or inner glow for
+     * a given layer or set of layers.
+     */
+    var Glow = React.createClass({
+        mixins: [FluxMixin],
+
+        propTypes: {
+            type: React.PropTypes.oneOf(["outerGlow", "innerGlow"]).isRequired
+        },
+
+        shouldComponentUpdate: function (nextProps) {
+            var sameLayerIDs = collection.pluck(this.props.layers, "id")
+                .equals(collection.pluck(nextProps.layers, "id"));
+
+            return !sameLayerIDs ||
+                !Immutable.is(this.props.glows, nextProps.glows) ||
+                this.props.index !== nextProps.index ||
+                this.props.readOnly !== nextProps.readOnly;
+        },
+
+        /**
+         * Handle the change of the glow color, including the alpha value
+         *
+         * @private
+         * @param {Color} color new glow color
+         * @param {boolean} coalesce
+         */
+        _colorChanged: function (color, coalesce) {
+            this.getFlux().actions.layerEffects
+                .setGlowColorThrottled(this.props.document, this.props.layers,
+                    this.props.index, color, coalesce, false, this.props.type);
+        },
+
+        /**
+         * Handle the change of the opaque glow color
+         *
+         * @private
+         * @param {Color} color new glow opaque color
+         * @param {boolean} coalesce
+         */
+        _opaqueColorChanged: function (color, coalesce) {
+            this.getFlux().actions.layerEffects
+                .setGlowColorThrottled(this.props.document, this.props.layers,
+                    this.props.index, color, coalesce, true, this.props.type);
+        },
+
+        /**
+         * Handle the change of the glow alpha
+         *
+         * @private
+         * @param {Color} color new glow color
+         * @param {boolean} coalesce
+         */
+        _alphaChanged: function (color, coalesce) {
+            this.getFlux().actions.layerEffects
+                .setGlowAlphaThrottled(this.props.document, this.props.layers,
+                    this.props.index, color.a, coalesce, this.props.type);
+        },
+
+        /**
+         * Handle the change of the glow blur size in pixels
+         *
+         * @private
+         * @param {SyntheticEvent} event
+         * @param {number} blur new glow blur size in pixels
+         */
+        _blurChanged: function (event, blur) {
+            this.getFlux().actions.layerEffects
+                .setGlowBlurThrottled(this.props.document, this.props.layers,
+                    this.props.index, blur, this.props.type);
+        },
+
+        /**
+         * Handle the change of the glow spread percentage
+         *
+         * @private
+         * @param {SyntheticEvent} event
+         * @param {number} spread new glow spread percentage
+         */
+        _spreadChanged: function (event, spread) {
+            this.getFlux().actions.layerEffects
+                .setGlowSpreadThrottled(this.props.document, this.props.layers,
+                    this.props.index, spread, this.props.type);
+        },
+
+        /**
+         * Handle the change of the glow enabled state
+         *
+         * @private
+         * @param {SyntheticEvent} event
+         * @param {boolean} enabled new enabled state
+         */
+        _enabledChanged: function (event, enabled) {
+            this.getFlux().actions.layerEffects.setGlowEnabled(
+                this.props.document, this.props.layers, this.props.index, enabled, this.props.type);
+        },
+
+        render: function () {
+            var glowStrings = _glowStrings[this.props.type],
+                colors = collection.pluck(this.props.glows, "color"),
+                enabledFlags = collection.pluck(this.props.glows, "enabled"),
+                blurs = collection.pluck(this.props.glows, "blur"),
+                spreads = collection.pluck(this.props.glows, "spread");
+
+            var glowClasses = classnames({
+                "glow-list__glow": true,
+                "glow-list__glow__disabled": this.props.readOnly
+            });
+
+            var inset = this.props.type === "innerGlow" ? "inset " : "";
+            var glowOverlay = function (colorTiny) {
+                var glowStyle = {};
+                if (colorTiny) {
+                    glowStyle.WebkitBoxShadow = inset + "0 0 " +
+                        collection.uniformValue(blurs, 0) + "px " +
+                        collection.uniformValue(spreads, 0) / 10 + "px " +
+                        colorTiny.toRgbString();
+                }
+
+                return (
+                    <div
+                        className="glow__preview">
+                        <div
+                            className="glow__square"
+                            style={glowStyle}/>
+                    </div>
+                );
+            };
+
+            return (
+                <div className={glowClasses}>
+                    <div className="formline">
+                        <Gutter />
+                        <ColorInput
+                            id={"glow-" + this.props.type + "-" + this.props.index}
+                            className="glow"
+                            context={collection.pluck(this.props.layers, "id")}
+                            title={glowStrings.color}
+                            editable={!this.props.readOnly}
+                            defaultValue={colors}
+                            onChange={this._colorChanged}
+                            onFocus={this.props.onFocus}
+                            onColorChange={this._opaqueColorChanged}
+                            onAlphaChange={this._alphaChanged}
+                            swatchOverlay={glowOverlay}>
+
+                            <div className="compact-stats__body">
+                                <div className="compact-stats__body__column">
+                                    <Label
+                                        title={glowStrings.blur}
+                                        size="column-2">
+                                        {glowStrings.style.BLUR}
+                                    </Label>
+                                    <NumberInput
+                                        value={blurs}
+                                        onChange={this._blurChanged}
+                                        onFocus={this.props.onFocus}
+                                        disabled={this.props.readOnly}
+                                        min={MIN_BLUR}
+                                        max={MAX_BLUR}
+                                        size="column-3" />
+                                </div>
+                                <div className="compact-stats__body__column">
+                                    <Label
+                                        title={glowStrings.spread}
+                                        size="column-4">
+                                        {glowStrings.style.SPREAD}
+                                    </Label>
+                                    <NumberInput
+                                        value={spreads}
+                                        onChange={this._spreadChanged}
+                                        onFocus={this.props.onFocus}
+                                        disabled={this.props.readOnly}
+                                        min={MIN_SPREAD}
+                                        max={MAX_SPREAD}
+                                        size="column-3" />
+                                </div>
+                            </div>
+                        </ColorInput>
+                        <Gutter />
+                        <ToggleButton
+                            title={glowStrings.toggle}
+                            name="toggleGlowEnabled"
+                            buttonType="layer-visibility"
+                            selected={enabledFlags}
+                            onFocus={this.props.onFocus}
+                            onClick={!this.props.readOnly ? this._enabledChanged : _.noop}
+                            size="column-2"
+                        />
+                        <Gutter />
+                    </div>
+                </div>
+            );
+        }
+    });
+
+    /**
+     * GlowList Component maintains the outer or inner glow components for the
+     * selected layers.
+     */
+    var GlowList = React.createClass({
+        mixins: [FluxMixin],
+
+        propTypes: {
+            type: React.PropTypes.oneOf(["outerGlow", "innerGlow"]).isRequired,
+            max: React.PropTypes.number
+        },
+
+        /**
+         * Handle a NEW glow
+         *
+         * @private
+         * @param {Immutable.List.<Layer>} layers
+         */
+        _addGlow: function (layers) {
+            this.getFlux().actions.layerEffects.addGlow(this.props.document, layers, this.props.type);
+        },
+
+        render: function () {
+            var document = this.props.document,
+                layers = document.layers.selected.filter(function (layer) {
+                    return !layer.isBackground;
+                });
+
+            if (layers.isEmpty()) {
+                return null;
+            }
+
+            // Group into arrays of glows, by position in each layer
+            var type = this.props.type,
+                glowGroups = collection.zip(layers.map(function (layer) {
+                    return layer.getLayerEffectsByType(type);
+                })),
+                glowList = glowGroups.map(function (glows, index) {
+                    return (
+                        <Glow {...this.props}
+                            layers={layers}
+                            key={index}
+                            index={index}
+                            readOnly={this.props.disabled}
+                            glows={glows} />
+                    );
+                }, this).toList();
+
+            var glowStrings = _glowStrings[type].style;
+
+            return (
+                <div className="glow-list__container">
+                    <header className="glow-list__header sub-header">
+                        <h3>
+                            {glowStrings.TITLE}
+                        </h3>
+                        <Gutter />
+                        <hr className="sub-header-rule"/>
+                        <Button
+                            title={glowStrings.ADD}
+                            className="button-plus"
+                            disabled={glowList.size >= this.props.max}
+                            onClick={this._addGlow.bind(this, layers)}>
+                            <SVGIcon
+                                viewbox="0 0 12 12"
+                                CSSID="plus" />
+                        </Button>
+                    </header>
+                    <div className="glow-list__list-container">
+                        {glowList}
+                    </div>
+                </div>
+            );
+        }
+    });
+
+    exports.GlowList = GlowList;
+});
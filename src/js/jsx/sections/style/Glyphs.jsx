@@ -0,0 +1,295 @@
+/*
+ * Copyright (c) 2014 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var React = require("react"),
+        Fluxxor = require("fluxxor"),
+        FluxMixin = Fluxxor.FluxMixin(React),
+        StoreWatchMixin = Fluxxor.StoreWatchMixin,
+        Immutable = require("immutable");
+
+    var os = require("adapter/os");
+
+    var Button = require("jsx!js/jsx/shared/Button"),
+        Datalist = require("jsx!js/jsx/shared/Datalist"),
+        Dialog = require("jsx!js/jsx/shared/Dialog"),
+        Gutter = require("jsx!js/jsx/shared/Gutter"),
+        SVGIcon = require("jsx!js/jsx/shared/SVGIcon"),
+        TextInput = require("jsx!js/jsx/shared/TextInput"),
+        strings = require("i18n!nls/strings"),
+        glyphUtil = require("js/util/glyphs");
+
+    /**
+     * Pseudo-category ID under which all glyphs are listed.
+     *
+     * @private
+     * @const
+     * @type {string}
+     */
+    var ALL_CATEGORIES = "all";
+
+    /**
+     * The set of glyph categories, led by the pseudo-category of all glyphs.
+     *
+     * @private
+     * @type {Immutable.OrderedMap.<Select.OptionRec>}
+     */
+    var _categories = glyphUtil.categories
+        .unshift(ALL_CATEGORIES)
+        .toOrderedMap()
+        .mapKeys(function (index, category) {
+            return category;
+        })
+        .map(function (category) {
+            return {
+                id: category,
+                title: strings.STYLE.TYPE.GLYPH_CATEGORIES[category.toUpperCase()]
+            };
+        });
+    var _categoriesList = _categories.toList();
+
+    /**
+     * Keys on which to dismiss the glyphs dialog
+     *
+     * @const {Array.<key: {string}, modifiers: {object}>}
+     */
+    var DISMISS_ON_KEYS = [
+        { key: os.eventKeyCode.ESCAPE, modifiers: null }
+    ];
+
+    var Glyphs = React.createClass({
+        mixins: [FluxMixin, StoreWatchMixin("font", "preferences")],
+
+        propTypes: {
+            document: React.PropTypes.object.isRequired,
+            layers: React.PropTypes.object.isRequired,
+            family: React.PropTypes.string,
+            disabled: React.PropTypes.bool
+        },
+
+        getInitialState: function () {
+            return {
+                query: "",
+                category: ALL_CATEGORIES
+            };
+        },
+
+        getStateFromFlux: function () {
+            var flux = this.getFlux(),
+                fontState = flux.store("font").getState(),
+                preferences = flux.store("preferences").getState();
+
+            return {
+                glyphMap: fontState.glyphMap,
+                recentGlyphs: preferences.get("recentGlyphs", [])
+            };
+        },
+
+        /**
+         * Open or close the glyphs dialog.
+         *
+         * @private
+         * @param {SyntheticEvent} event
+         */
+        _toggleDialog: function (event) {
+            this.refs.dialog.toggle(event);
+        },
+
+        /**
+         * Load the glyphs supported by the current font family once the dialog
+         * opens.
+         *
+         * @private
+         */
+        _handleDialogOpen: function () {
+            if (this.props.family) {
+                this.getFlux().actions.type.loadGlyphs(this.props.family);
+            }
+        },
+
+        /**
+         * Filter the listed glyphs as the search query is typed.
+         *
+         * @private
+         * @param {SyntheticEvent} event
+         */
+        _handleQueryChange: function (event) {
+            this.setState({
+                query: event.target.value
+            });
+        },
+
+        /**
+         * Filter the listed glyphs by category.
+         *
+         * @private
+         * @param {string} category
+         */
+        _handleCategoryChange: function (category) {
+            if (!category) {
+                return;
+            }
+
+            this.setState({
+                category: category
+            });
+        },
+
+        /**
+         * Insert the given glyph into the text layers.
+         *
+         * @private
+         * @param {Glyph} glyph
+         * @param {SyntheticEvent} event
+         */
+        _handleGlyphClick: function (glyph, event) {
+            this.getFlux().actions.type.insertGlyph(this.props.document, this.props.layers, glyph.character);
+
+            event.stopPropagation();
+        },
+
+        /**
+         * Render a list of glyphs.
+         *
+         * @private
+         * @param {Immutable.Iterable.<Glyph>} glyphs
+         * @param {string} className
+         * @return {ReactComponent}
+         */
+        _renderGlyphList: function (glyphs, className) {
+            var fontStyle = {
+                fontFamily: this.props.family || "inherit"
+            };
+
+            var items = glyphs.map(function (glyph) {
+                var title = glyphUtil.formatCodePoint(glyph.codePoint) + " " + glyph.name;
+
+                return (
+                    <li key={glyph.codePoint}>
+                        <div
+                            className="glyph-container"
+                            title={title}
+                            style={fontStyle}
+                            onClick={this._handleGlyphClick.bind(this, glyph)}>
+                            <span className="glyph">
+                                {glyph.character}
+                            </span>
+                        </div>
+                    </li>
+                );
+            }, this).toArray();
+
+            return (
+                <ul className={className}>
+                    {items}
+                </ul>
+            );
+        },
+
+        render: function () {
+            var family = this.props.family,
+                supportedGlyphs = (family && this.state.glyphMap.get(family)) || glyphUtil.glyphs,
+                category = this.state.category,
+                categoryGlyphs = category === ALL_CATEGORIES ? supportedGlyphs : supportedGlyphs
+                    .filter(function (glyph) {
+                        return glyph.category === category;
+                    }),
+                glyphs = glyphUtil.search(categoryGlyphs, this.state.query);
+
+            var recentGlyphs = Immutable.List(this.state.recentGlyphs)
+                .map(glyphUtil.fromCharacter)
+                .filter(function (glyph) {
+                    return glyph !== null;
+                });
+
+            var recentContents = !recentGlyphs.isEmpty() && (
+                <div className="glyphs__recent">
+                    <h3>
+                        {strings.STYLE.TYPE.RECENT_GLYPHS}
+                    </h3>
+                    {this._renderGlyphList(recentGlyphs, "glyph-list glyph-list__recent")}
+                </div>
+            );
+
+            var glyphContents = glyphs.isEmpty() ? (
+                <div className="glyphs__empty">
+                    {strings.STYLE.TYPE.NO_GLYPHS}
+                </div>
+            ) : this._renderGlyphList(glyphs, "glyph-list");
+
+            return (
+                <div className="glyphs-controls">
+                    <Button
+                        className="button-glyphs"
+                        title={strings.TOOLTIPS.SHOW_GLYPHS}
+                        disabled={this.props.disabled}
+                        onClick={this._toggleDialog}>
+                        <SVGIcon
+                            viewBox="0 0 14 14"
+                            CSSID="glyph" />
+                    </Button>
+                    <Dialog
+                        ref="dialog"
+                        id={"glyphs-" + this.props.document.id}
+                        className="pop-over glyphs"
+                        disabled={this.props.disabled}
+                        onOpen={this._handleDialogOpen}
+                        dismissOnKeys={DISMISS_ON_KEYS}
+                        dismissOnDocumentChange
+                        dismissOnSelectionTypeChange
+                        dismissOnWindowClick>
+                        <div className="glyphs-container">
+                            <div className="formline">
+                                <TextInput
+                                    live={true}
+                                    editable={true}
+                                    value={this.state.query}
+                                    placeholderText={strings.STYLE.TYPE.SEARCH_GLYPHS}
+                                    title={strings.TOOLTIPS.SEARCH_GLYPHS}
+                                    onDOMChange={this._handleQueryChange}
+                                    size="column-12" />
+                                <Gutter />
+                                <Datalist
+                                    list="glyph-categories"
+                                    value={_categories.get(category).title}
+                                    defaultSelected={category}
+                                    options={_categoriesList}
+                                    onChange={this._handleCategoryChange}
+                                    size="column-10" />
+                            </div>
+                            {recentContents}
+                            {glyphContents}
+                            <div className="glyphs__note">
+                                {strings.STYLE.TYPE.GLYPHS_NOTE}
+                            </div>
+                        </div>
+                    </Dialog>
+                </div>
+            );
+        }
+    });
+
+    module.exports = Glyphs;
+});
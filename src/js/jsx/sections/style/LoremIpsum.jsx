@@ -0,0 +1,178 @@
+/*
+ * Copyright (c) 2014 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var React = require("react"),
+        Fluxxor = require("fluxxor"),
+        FluxMixin = Fluxxor.FluxMixin(React),
+        classnames = require("classnames");
+
+    var os = require("adapter/os");
+
+    var Button = require("jsx!js/jsx/shared/Button"),
+        Dialog = require("jsx!js/jsx/shared/Dialog"),
+        Gutter = require("jsx!js/jsx/shared/Gutter"),
+        strings = require("i18n!nls/strings"),
+        loremIpsum = require("js/util/loremipsum");
+
+    /**
+     * The placeholder text modes in display order, with the name of the icon
+     * that represents each mode.
+     *
+     * @private
+     * @type {Array.<{mode: string, icon: string, title: string}>}
+     */
+    var _modes = [
+        {
+            mode: loremIpsum.MODES.WORDS,
+            icon: "center",
+            title: strings.STYLE.TYPE.LOREM_IPSUM_MODES.WORDS
+        },
+        {
+            mode: loremIpsum.MODES.SENTENCES,
+            icon: "text",
+            title: strings.STYLE.TYPE.LOREM_IPSUM_MODES.SENTENCES
+        },
+        {
+            mode: loremIpsum.MODES.PARAGRAPHS,
+            icon: "paragraph",
+            title: strings.STYLE.TYPE.LOREM_IPSUM_MODES.PARAGRAPHS
+        },
+        {
+            mode: loremIpsum.MODES.LIST,
+            icon: "list",
+            title: strings.STYLE.TYPE.LOREM_IPSUM_MODES.LIST
+        }
+    ];
+
+    /**
+     * Keys on which to dismiss the placeholder text dialog
+     *
+     * @const {Array.<key: {string}, modifiers: {object}>}
+     */
+    var DISMISS_ON_KEYS = [
+        { key: os.eventKeyCode.ESCAPE, modifiers: null }
+    ];
+
+    var LoremIpsum = React.createClass({
+        mixins: [FluxMixin],
+
+        propTypes: {
+            document: React.PropTypes.object.isRequired,
+            layers: React.PropTypes.object.isRequired,
+            disabled: React.PropTypes.bool
+        },
+
+        getInitialState: function () {
+            return {
+                mode: loremIpsum.MODES.PARAGRAPHS
+            };
+        },
+
+        /**
+         * Open or close the placeholder text dialog.
+         *
+         * @private
+         * @param {SyntheticEvent} event
+         */
+        _toggleDialog: function (event) {
+            this.refs.dialog.toggle(event);
+        },
+
+        /**
+         * Fill the text layers with placeholder text of the given mode, which
+         * becomes the mode previewed by the dialog.
+         *
+         * @private
+         * @param {string} mode
+         */
+        _handleModeClick: function (mode) {
+            this.setState({
+                mode: mode
+            });
+
+            this.getFlux().actions.type.fillLoremIpsum(this.props.document, this.props.layers, mode);
+        },
+
+        render: function () {
+            var modeButtons = _modes.reduce(function (buttons, modeSpec) {
+                var className = classnames({
+                    "lorem-ipsum__mode": true,
+                    "lorem-ipsum__mode-selected": modeSpec.mode === this.state.mode
+                }, "lorem-ipsum__mode-" + modeSpec.icon);
+
+                if (buttons.length > 0) {
+                    buttons.push(<Gutter key={"gutter-" + modeSpec.mode} />);
+                }
+
+                buttons.push(
+                    <Button
+                        key={modeSpec.mode}
+                        className={className}
+                        title={modeSpec.title}
+                        disabled={this.props.disabled}
+                        onClick={this._handleModeClick.bind(this, modeSpec.mode)} />
+                );
+
+                return buttons;
+            }.bind(this), []);
+
+            // Paragraphs are separated by carriage returns in Photoshop
+            var preview = loremIpsum.generate(this.state.mode).replace(/\r/g, "\n");
+
+            return (
+                <div className="lorem-ipsum-controls">
+                    <Button
+                        className="button-lorem-ipsum"
+                        title={strings.TOOLTIPS.SHOW_LOREM_IPSUM}
+                        disabled={this.props.disabled}
+                        onClick={this._toggleDialog} />
+                    <Dialog
+                        ref="dialog"
+                        id={"lorem-ipsum-" + this.props.document.id}
+                        className="pop-over lorem-ipsum"
+                        disabled={this.props.disabled}
+                        dismissOnKeys={DISMISS_ON_KEYS}
+                        dismissOnDocumentChange
+                        dismissOnSelectionTypeChange
+                        dismissOnWindowClick>
+                        <div
+                            className="lorem-ipsum-container"
+                            title={strings.TOOLTIPS.FILL_LOREM_IPSUM}>
+                            <div className="formline">
+                                {modeButtons}
+                            </div>
+                            <textarea
+                                readOnly={true}
+                                value={preview} />
+                        </div>
+                    </Dialog>
+                </div>
+            );
+        }
+    });
+
+    module.exports = LoremIpsum;
+});
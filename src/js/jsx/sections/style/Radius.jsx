@@ -31,13 +31,40 @@ define(function (require, exports, module) {
         
     var Label = require("jsx!js/jsx/shared/Label"),
         Gutter = require("jsx!js/jsx/shared/Gutter"),
-        NumberInput = require("jsx!js/jsx/shared/NumberInput"),
+        LengthInput = require("jsx!js/jsx/shared/LengthInput"),
         Range = require("jsx!js/jsx/shared/Range"),
+        ToggleButton = require("jsx!js/jsx/shared/ToggleButton"),
         Coalesce = require("js/jsx/mixin/Coalesce"),
         math = require("js/util/math"),
         strings = require("i18n!nls/strings"),
         collection = require("js/util/collection");
 
+    /**
+     * The corners of a rectangle, in the order in which their radii are displayed
+     *
+     * @private
+     * @type {Array.<{property: string, title: string}>}
+     */
+    var _corners = [
+        { property: "topLeft", title: strings.TOOLTIPS.SET_RADIUS_TOP_LEFT },
+        { property: "topRight", title: strings.TOOLTIPS.SET_RADIUS_TOP_RIGHT },
+        { property: "bottomRight", title: strings.TOOLTIPS.SET_RADIUS_BOTTOM_RIGHT },
+        { property: "bottomLeft", title: strings.TOOLTIPS.SET_RADIUS_BOTTOM_LEFT }
+    ];
+
+    /**
+     * Whether every one of the given layers has a uniform border radius.
+     *
+     * @private
+     * @param {Immutable.Iterable.<Layer>} layers
+     * @return {boolean}
+     */
+    var _uniformRadii = function (layers) {
+        return layers.every(function (layer) {
+            return !layer.radii || layer.radii.scalar !== null;
+        });
+    };
+
     var Radius = React.createClass({
         mixins: [FluxMixin, Coalesce],
 
@@ -46,14 +73,101 @@ define(function (require, exports, module) {
             layers: React.PropTypes.instanceOf(Immutable.Iterable).isRequired
         },
 
-        shouldComponentUpdate: function (nextProps) {
+        getInitialState: function () {
+            // Corners are unlinked initially if any of them are already independent
+            return {
+                linked: _uniformRadii(this.props.layers)
+            };
+        },
+
+        componentWillReceiveProps: function (nextProps) {
+            var sameLayerIDs = collection.pluck(this.props.layers, "id")
+                .equals(collection.pluck(nextProps.layers, "id"));
+
+            if (!sameLayerIDs) {
+                this.setState({
+                    linked: _uniformRadii(nextProps.layers)
+                });
+            }
+        },
+
+        shouldComponentUpdate: function (nextProps, nextState) {
             var getRelevantProps = function (props) {
                 var layers = props.layers;
 
                 return collection.pluckAll(layers, ["id", "bounds", "radii"]);
             };
 
-            return !Immutable.is(getRelevantProps(this.props), getRelevantProps(nextProps));
+            return !Immutable.is(getRelevantProps(this.props), getRelevantProps(nextProps)) ||
+                this.state.linked !== nextState.linked;
+        },
+
+        /**
+         * Link or unlink the corner radii.
+         *
+         * @private
+         * @param {SyntheticEvent} event
+         * @param {boolean} linked
+         */
+        _handleLinkedChange: function (event, linked) {
+            this.setState({
+                linked: linked
+            });
+        },
+
+        /**
+         * Update a single corner radius of the selected layers in response to
+         * user input, leaving their other corners unchanged.
+         *
+         * @private
+         * @param {Immutable.Iterable.<Layer>} layers
+         * @param {string} corner
+         * @param {SyntheticEvent} event
+         * @param {number} value
+         */
+        _handleCornerRadiusChange: function (layers, corner, event, value) {
+            var radii = {};
+            radii[corner] = value;
+
+            this.getFlux().actions.transform
+                .setRadiusThrottled(this.props.document, layers, radii);
+        },
+
+        /**
+         * Render an input for each corner radius.
+         *
+         * @private
+         * @param {Immutable.Iterable.<Layer>} layers
+         * @param {number} maxRadius
+         * @return {Array.<ReactComponent>}
+         */
+        _renderCornerInputs: function (layers, maxRadius) {
+            var radii = collection.pluck(layers, "radii");
+
+            return _corners.reduce(function (inputs, corner, index) {
+                if (index > 0) {
+                    inputs.push(
+                        <Gutter
+                            key={"gutter-" + index} />
+                    );
+                }
+
+                inputs.push(
+                    <LengthInput
+                        key={corner.property}
+                        size="column-3"
+                        title={corner.title}
+                        disabled={this.props.disabled}
+                        value={collection.pluck(radii, corner.property)}
+                        resolution={this.props.document.resolution}
+                        percentBase={maxRadius}
+                        min={0}
+                        max={maxRadius}
+                        onChange={this._handleCornerRadiusChange.bind(this, layers, corner.property)} />
+                );
+
+                return inputs;
+            }.bind(this), []);
         },
 
         /**
@@ -84,9 +198,10 @@ define(function (require, exports, module) {
                 return null;
             }
 
+            // Layers with independent corner radii have a mixed scalar radius
             var scalars = collection.pluck(layers, "radii")
                 .map(function (radii) {
-                    return radii.scalar || 0;
+                    return radii.scalar;
                 });
 
             // The maximum border radius is one-half of the shortest side of
@@ -101,20 +216,32 @@ define(function (require, exports, module) {
                 }, Immutable.List())
                 .min();
 
-            return (
-                <div className="formline">
-                    <Label
-                        title={strings.TOOLTIPS.SET_RADIUS}>
-                        {strings.TRANSFORM.RADIUS}
-                    </Label>
-                    <Gutter />
-                    <NumberInput
+            var linkToggle = (
+                <ToggleButton
+                    size="column-2"
+                    buttonType="toggle-disconnected"
+                    selectedButtonType="toggle-connected"
+                    title={strings.TOOLTIPS.LINK_RADII}
+                    disabled={this.props.disabled}
+                    selected={this.state.linked}
+                    onClick={this._handleLinkedChange} />
+            );
+
+            var radiusInputs;
+            if (this.state.linked) {
+                radiusInputs = [
+                    <LengthInput
+                        key="scalar"
                         size="column-4"
                         disabled={this.props.disabled}
                         value={scalars}
-                        onChange={this._handleRadiusChange.bind(this, layers)} />
-                    <Gutter />
+                        resolution={this.props.document.resolution}
+                        percentBase={maxRadius}
+                        onChange={this._handleRadiusChange.bind(this, layers)} />,
+                    <Gutter
+                        key="gutter" />,
                     <Range
+                        key="range"
                         disabled={this.props.disabled}
                         min={0}
                         max={maxRadius}
@@ -122,6 +249,21 @@ define(function (require, exports, module) {
                         onMouseDown={this.startCoalescing}
                         onMouseUp={this.stopCoalescing}
                         onChange={this._handleRadiusChange.bind(this, layers)} />
+                ];
+            } else {
+                radiusInputs = this._renderCornerInputs(layers, maxRadius);
+            }
+
+            return (
+                <div className="formline">
+                    <Label
+                        title={strings.TOOLTIPS.SET_RADIUS}>
+                        {strings.TRANSFORM.RADIUS}
+                    </Label>
+                    <Gutter />
+                    {radiusInputs}
+                    <Gutter />
+                    {linkToggle}
                     <Gutter />
                 </div>
             );
@@ -61,6 +61,7 @@ define(function (require, exports) {
             return !sameLayerIDs ||
                 !Immutable.is(this.props.shadows, nextProps.shadows) ||
                 this.props.index !== nextProps.index ||
+                this.props.count !== nextProps.count ||
                 this.props.readOnly !== nextProps.readOnly;
         },
 
@@ -216,6 +217,101 @@ define(function (require, exports) {
                 this.props.document, this.props.layers, this.props.index, enabled, this.props.type);
         },
 
+        /**
+         * Remove this Shadow from the layers
+         *
+         * @private
+         */
+        _removeShadow: function () {
+            this.getFlux().actions.layerEffects.removeShadow(
+                this.props.document, this.props.layers, this.props.index, this.props.type);
+        },
+
+        /**
+         * Insert a copy of this Shadow after it in the layers
+         *
+         * @private
+         */
+        _duplicateShadow: function () {
+            this.getFlux().actions.layerEffects.duplicateShadow(
+                this.props.document, this.props.layers, this.props.index, this.props.type);
+        },
+
+        /**
+         * Move this Shadow to the given index of the layers
+         *
+         * @private
+         * @param {number} targetIndex
+         */
+        _moveShadow: function (targetIndex) {
+            this.getFlux().actions.layerEffects.reorderShadow(
+                this.props.document, this.props.layers, this.props.index, targetIndex, this.props.type);
+        },
+
+        /**
+         * Render the buttons which move, duplicate and remove this Shadow. When
+         * the selected layers have differing numbers of Shadows, this Shadow can
+         * be moved down if at least one of the layers has a Shadow after it.
+         *
+         * @private
+         * @return {Array.<ReactComponent>}
+         */
+        _renderListControls: function () {
+            var index = this.props.index,
+                type = this.props.type,
+                readOnly = this.props.readOnly,
+                canMoveDown = this.props.layers.some(function (layer) {
+                    return layer.getLayerEffectsByType(type).has(index + 1);
+                });
+
+            return [
+                <Button
+                    key="up"
+                    className="button-move-up"
+                    title={this._stringHelper(strings.TOOLTIPS.MOVE_DROP_SHADOW_UP,
+                        strings.TOOLTIPS.MOVE_INNER_SHADOW_UP)}
+                    disabled={readOnly || index === 0}
+                    onClick={this._moveShadow.bind(this, index - 1)}>
+                    <SVGIcon
+                        viewbox="0 0 6 10"
+                        CSSID="carousel-left" />
+                </Button>,
+                <Button
+                    key="down"
+                    className="button-move-down"
+                    title={this._stringHelper(strings.TOOLTIPS.MOVE_DROP_SHADOW_DOWN,
+                        strings.TOOLTIPS.MOVE_INNER_SHADOW_DOWN)}
+                    disabled={readOnly || !canMoveDown}
+                    onClick={this._moveShadow.bind(this, index + 1)}>
+                    <SVGIcon
+                        viewbox="0 0 6 10"
+                        CSSID="carousel-right" />
+                </Button>,
+                <Button
+                    key="duplicate"
+                    className="button-duplicate"
+                    title={this._stringHelper(strings.TOOLTIPS.DUPLICATE_DROP_SHADOW,
+                        strings.TOOLTIPS.DUPLICATE_INNER_SHADOW)}
+                    disabled={readOnly || this.props.count >= this.props.max}
+                    onClick={this._duplicateShadow}>
+                    <SVGIcon
+                        viewbox="0 0 12 12"
+                        CSSID="plus" />
+                </Button>,
+                <Button
+                    key="remove"
+                    className="button-remove"
+                    title={this._stringHelper(strings.TOOLTIPS.REMOVE_DROP_SHADOW,
+                        strings.TOOLTIPS.REMOVE_INNER_SHADOW)}
+                    disabled={readOnly}
+                    onClick={this._removeShadow}>
+                    <SVGIcon
+                        viewbox="0 0 12 12"
+                        CSSID="plus" />
+                </Button>
+            ];
+        },
+
         /**
          * Produce a set of arrays of separate dropShadow display properties, 
          * transformed and ready for the sub-components
@@ -386,6 +482,12 @@ define(function (require, exports) {
                         />
                         <Gutter />
                     </div>
+                    <div className="formline">
+                        <Gutter />
+                        <Gutter size="column-9" />
+                        <Gutter />
+                        {this._renderListControls()}
+                    </div>
                 </div>
             );
         }
@@ -428,6 +530,7 @@ define(function (require, exports) {
                             layers={layers}
                             key={index}
                             index={index}
+                            count={dropShadowGroups.size}
                             readOnly={this.props.disabled}
                             shadows={dropShadows}
                             type="dropShadow" />
@@ -499,6 +602,7 @@ define(function (require, exports) {
                             layers={layers}
                             key={index}
                             index={index}
+                            count={innerShadowGroups.size}
                             readOnly={this.props.disabled}
                             shadows={innerShadows}
                             type = "innerShadow" />
@@ -36,11 +36,13 @@ define(function (require, exports) {
 
     var Color = require("js/models/color"),
         StrokeAlignment = require("jsx!./StrokeAlignment"),
+        StrokeLineStyle = require("jsx!./StrokeLineStyle"),
         Gutter = require("jsx!js/jsx/shared/Gutter"),
         Label = require("jsx!js/jsx/shared/Label"),
         Button = require("jsx!js/jsx/shared/Button"),
         SVGIcon = require("jsx!js/jsx/shared/SVGIcon"),
         NumberInput = require("jsx!js/jsx/shared/NumberInput"),
+        LengthInput = require("jsx!js/jsx/shared/LengthInput"),
         ColorInput = require("jsx!js/jsx/shared/ColorInput"),
         ToggleButton = require("jsx!js/jsx/shared/ToggleButton"),
         strings = require("i18n!nls/strings"),
@@ -60,6 +62,7 @@ define(function (require, exports) {
             return !sameLayerIDs ||
                 !Immutable.is(this.props.strokes, nextProps.strokes) ||
                 this.props.index !== nextProps.index ||
+                this.props.count !== nextProps.count ||
                 this.props.readOnly !== nextProps.readOnly;
         },
 
@@ -150,6 +153,80 @@ define(function (require, exports) {
                     enabled, ignoreAlpha);
         },
 
+        /**
+         * Remove this stroke from the layers
+         *
+         * @private
+         */
+        _removeStroke: function () {
+            this.getFlux().actions.shapes.removeStroke(this.props.document, this.props.layers, this.props.index);
+        },
+
+        /**
+         * Move this stroke to the given index of the layers
+         *
+         * @private
+         * @param {number} targetIndex
+         */
+        _moveStroke: function (targetIndex) {
+            this.getFlux().actions.shapes.reorderStroke(this.props.document, this.props.layers,
+                this.props.index, targetIndex);
+        },
+
+        /**
+         * Render the buttons which move and remove this stroke. Because the
+         * strokes after the first are stroke effects, only solid color strokes
+         * can be moved in place of, or out of the place of, the first stroke.
+         *
+         * @private
+         * @return {Array.<ReactComponent>}
+         */
+        _renderListControls: function () {
+            var index = this.props.index,
+                readOnly = this.props.readOnly,
+                isSolid = function (stroke) {
+                    return !stroke || stroke.type === contentLayerLib.contentTypes.SOLID_COLOR;
+                },
+                firstStrokesSolid = this.props.layers.every(function (layer) {
+                    return isSolid(layer.strokes.first());
+                }),
+                canMoveUp = index > 1 || (index === 1 && firstStrokesSolid),
+                canMoveDown = index < this.props.count - 1 && (index > 0 || this.props.strokes.every(isSolid));
+
+            return [
+                <Button
+                    key="up"
+                    className="button-move-up"
+                    title={strings.TOOLTIPS.MOVE_STROKE_UP}
+                    disabled={readOnly || !canMoveUp}
+                    onClick={this._moveStroke.bind(this, index - 1)}>
+                    <SVGIcon
+                        viewbox="0 0 6 10"
+                        CSSID="carousel-left" />
+                </Button>,
+                <Button
+                    key="down"
+                    className="button-move-down"
+                    title={strings.TOOLTIPS.MOVE_STROKE_DOWN}
+                    disabled={readOnly || !canMoveDown}
+                    onClick={this._moveStroke.bind(this, index + 1)}>
+                    <SVGIcon
+                        viewbox="0 0 6 10"
+                        CSSID="carousel-right" />
+                </Button>,
+                <Button
+                    key="remove"
+                    className="button-remove"
+                    title={strings.TOOLTIPS.REMOVE_STROKE}
+                    disabled={readOnly || this.props.count < 2}
+                    onClick={this._removeStroke}>
+                    <SVGIcon
+                        viewbox="0 0 12 12"
+                        CSSID="plus" />
+                </Button>
+            ];
+        },
+
         /**
          * Produce a set of arrays of separate stroke display properties, transformed and ready for the sub-components
          *
@@ -189,6 +266,27 @@ define(function (require, exports) {
         render: function () {
             var downsample = this._downsampleStrokes(this.props.strokes);
 
+            // The strokes after the first are stroke effects, which have no line style
+            var effectLabel,
+                lineStyle = null;
+            if (this.props.index === 0) {
+                effectLabel = (
+                    <Gutter size="column-9" />
+                );
+                lineStyle = (
+                    <StrokeLineStyle
+                        {...this.props} />
+                );
+            } else {
+                effectLabel = (
+                    <Label
+                        title={strings.STYLE.STROKE.EFFECT}
+                        size="column-9">
+                        {strings.STYLE.STROKE.EFFECT}
+                    </Label>
+                );
+            }
+
             var strokeClasses = classnames({
                 "stroke-list__stroke": true,
                 "stroke-list__stroke__disabled": this.props.readOnly
@@ -254,8 +352,10 @@ define(function (require, exports) {
                                         size="column-4">
                                         {strings.STYLE.STROKE.SIZE}
                                     </Label>
-                                    <NumberInput
+                                    <LengthInput
                                         value={downsample.widths}
+                                        resolution={this.props.document.resolution}
+                                        percentBase={collection.uniformValue(downsample.widths)}
                                         onChange={this._widthChanged}
                                         onFocus={this.props.onFocus}
                                         min={0}
@@ -287,6 +387,13 @@ define(function (require, exports) {
                         />
                         <Gutter />
                     </div>
+                    {lineStyle}
+                    <div className="formline">
+                        <Gutter />
+                        {effectLabel}
+                        <Gutter />
+                        {this._renderListControls()}
+                    </div>
                 </div>
             );
         }
@@ -325,25 +432,24 @@ define(function (require, exports) {
                         <Stroke {...this.props}
                             key={index}
                             index={index}
+                            count={strokeGroups.size}
                             readOnly={false}
                             layers={layers}
                             strokes={strokes} />
                     );
                 }, this).toList();
 
-            // Add a "new stroke" button if not read only
-            var newButton = null;
-            if (strokeGroups.isEmpty()) {
-                newButton = (
-                    <Button
-                        className="button-plus"
-                        onClick = {this._addStroke.bind(this, layers)}>
-                        <SVGIcon
-                            viewbox="0 0 12 12"
-                            CSSID="plus" />
-                    </Button>
-                );
-            }
+            // Add a "new stroke" button, which adds stroke effects to layers that already have a stroke
+            var newButton = (
+                <Button
+                    className="button-plus"
+                    title={strings.TOOLTIPS.ADD_STROKE}
+                    onClick = {this._addStroke.bind(this, layers)}>
+                    <SVGIcon
+                        viewbox="0 0 12 12"
+                        CSSID="plus" />
+                </Button>
+            );
             
             return (
                 <div className="stroke-list__container">
@@ -69,10 +69,18 @@ define(function (require, exports, module) {
                 this.props.readOnly !== nextProps.readOnly;
         },
 
+        propTypes: {
+            // The name of the alignment property of the given strokes
+            property: React.PropTypes.string,
+            // Called with the new alignment instead of setting the stroke alignment
+            onChange: React.PropTypes.func
+        },
+
         getDefaultProps: function () {
             // The id is used to distinguish among Dialog instances
             return {
-                id: "main"
+                id: "main",
+                property: "alignment"
             };
         },
 
@@ -83,13 +91,18 @@ define(function (require, exports, module) {
          * @param {string} alignment new stroke alignment either CENTER, INSIDE, or OUTSIDE
          */
         _handleChange: function (alignment) {
+            if (this.props.onChange) {
+                this.props.onChange(alignment);
+                return;
+            }
+
             this.getFlux().actions.shapes
                 .setStrokeAlignmentThrottled(this.props.document, this.props.layers, this.props.index, alignment);
         },
 
 
         render: function () {
-            var alignments = collection.pluck(this.props.strokes, "alignment"),
+            var alignments = collection.pluck(this.props.strokes, this.props.property),
                 alignment = collection.uniformValue(alignments),
                 alignmentTitle = _alignmentModes.has(alignment) ? _alignmentModes.get(alignment).title :
                     (alignments.size > 1 ? strings.TRANSFORM.MIXED : alignment);
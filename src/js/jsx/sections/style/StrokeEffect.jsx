@@ -0,0 +1,290 @@
+/*
+ * Copyright (c) 2014 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+define(function (require, exports) {
+    "use strict";
+
+    var React = require("react"),
+        Fluxxor = require("fluxxor"),
+        FluxMixin = Fluxxor.FluxMixin(React),
+        Immutable = require("immutable"),
+        classnames = require("classnames"),
+        _ = require("lodash");
+
+    var StrokeAlignment = require("jsx!./StrokeAlignment"),
+        Gutter = require("jsx!js/jsx/shared/Gutter"),
+        Label = require("jsx!js/jsx/shared/Label"),
+        Button = require("jsx!js/jsx/shared/Button"),
+        SVGIcon = require("jsx!js/jsx/shared/SVGIcon"),
+        NumberInput = require("jsx!js/jsx/shared/NumberInput"),
+        ColorInput = require("jsx!js/jsx/shared/ColorInput"),
+        ToggleButton = require("jsx!js/jsx/shared/ToggleButton"),
+        strings = require("i18n!nls/strings"),
+        collection = require("js/util/collection");
+
+    var MIN_WIDTH = 1,
+        MAX_WIDTH = 250;
+
+    /**
+     * StrokeEffect Component displays information of a single stroke layer
+     * effect for a given set of non-vector layers.
+     */
+    var StrokeEffect = React.createClass({
+        mixins: [FluxMixin],
+
+        shouldComponentUpdate: function (nextProps) {
+            var sameLayerIDs = collection.pluck(this.props.layers, "id")
+                .equals(collection.pluck(nextProps.layers, "id"));
+
+            return !sameLayerIDs ||
+                !Immutable.is(this.props.strokeEffects, nextProps.strokeEffects) ||
+                this.props.index !== nextProps.index ||
+                this.props.readOnly !== nextProps.readOnly;
+        },
+
+        /**
+         * Handle the change of the stroke color, including the alpha value
+         *
+         * @private
+         * @param {Color} color new stroke color
+         * @param {boolean} coalesce
+         */
+        _colorChanged: function (color, coalesce) {
+            this.getFlux().actions.layerEffects
+                .setStrokeEffectColorThrottled(this.props.document, this.props.layers,
+                    this.props.index, color, coalesce, false);
+        },
+
+        /**
+         * Handle the change of the opaque stroke color
+         *
+         * @private
+         * @param {Color} color new stroke opaque color
+         * @param {boolean} coalesce
+         */
+        _opaqueColorChanged: function (color, coalesce) {
+            this.getFlux().actions.layerEffects
+                .setStrokeEffectColorThrottled(this.props.document, this.props.layers,
+                    this.props.index, color, coalesce, true);
+        },
+
+        /**
+         * Handle the change of the stroke alpha
+         *
+         * @private
+         * @param {Color} color new stroke color
+         * @param {boolean} coalesce
+         */
+        _alphaChanged: function (color, coalesce) {
+            this.getFlux().actions.layerEffects
+                .setStrokeEffectAlphaThrottled(this.props.document, this.props.layers,
+                    this.props.index, color.a, coalesce);
+        },
+
+        /**
+         * Handle the change of the stroke width
+         *
+         * @private
+         * @param {SyntheticEvent} event
+         * @param {number} width new stroke width in pixels
+         */
+        _widthChanged: function (event, width) {
+            this.getFlux().actions.layerEffects
+                .setStrokeEffectWidthThrottled(this.props.document, this.props.layers, this.props.index, width);
+        },
+
+        /**
+         * Handle the change of the stroke position
+         *
+         * @private
+         * @param {string} position new stroke position, either INSIDE, CENTER or OUTSIDE
+         */
+        _positionChanged: function (position) {
+            this.getFlux().actions.layerEffects
+                .setStrokeEffectPosition(this.props.document, this.props.layers, this.props.index, position);
+        },
+
+        /**
+         * Handle the change of the stroke enabled state
+         *
+         * @private
+         * @param {SyntheticEvent} event
+         * @param {boolean} enabled new enabled state
+         */
+        _enabledChanged: function (event, enabled) {
+            this.getFlux().actions.layerEffects.setStrokeEffectEnabled(
+                this.props.document, this.props.layers, this.props.index, enabled);
+        },
+
+        render: function () {
+            var strokeEffects = this.props.strokeEffects,
+                colors = collection.pluck(strokeEffects, "color"),
+                enabledFlags = collection.pluck(strokeEffects, "enabled"),
+                widths = collection.pluck(strokeEffects, "width");
+
+            var strokeEffectClasses = classnames({
+                "stroke-effect-list__stroke-effect": true,
+                "stroke-effect-list__stroke-effect__disabled": this.props.readOnly
+            });
+
+            return (
+                <div className={strokeEffectClasses}>
+                    <div className="formline">
+                        <Gutter />
+                        <ColorInput
+                            id={"stroke-effect-" + this.props.index}
+                            className="stroke"
+                            context={collection.pluck(this.props.layers, "id")}
+                            title={strings.TOOLTIPS.SET_STROKE_EFFECT_COLOR}
+                            editable={!this.props.readOnly}
+                            defaultValue={colors}
+                            onChange={this._colorChanged}
+                            onFocus={this.props.onFocus}
+                            onColorChange={this._opaqueColorChanged}
+                            onAlphaChange={this._alphaChanged}>
+
+                            <div className="compact-stats__body">
+                                <div className="compact-stats__body__column">
+                                    <Label
+                                        title={strings.TOOLTIPS.SET_STROKE_EFFECT_SIZE}
+                                        size="column-4">
+                                        {strings.STYLE.STROKE_EFFECT.SIZE}
+                                    </Label>
+                                    <NumberInput
+                                        value={widths}
+                                        onChange={this._widthChanged}
+                                        onFocus={this.props.onFocus}
+                                        min={MIN_WIDTH}
+                                        max={MAX_WIDTH}
+                                        step={1}
+                                        bigstep={5}
+                                        disabled={this.props.readOnly}
+                                        size="column-3" />
+                                </div>
+                                <Gutter />
+                                <div className="compact-stats__body__column">
+                                    <Label
+                                        title={strings.TOOLTIPS.SET_STROKE_EFFECT_POSITION}
+                                        size="column-4">
+                                        {strings.STYLE.STROKE_EFFECT.POSITION}
+                                    </Label>
+                                    <StrokeAlignment
+                                        {...this.props}
+                                        id={"stroke-effect-" + this.props.index}
+                                        strokes={strokeEffects}
+                                        property="position"
+                                        onChange={this._positionChanged} />
+                                </div>
+                            </div>
+                        </ColorInput>
+                        <Gutter />
+                        <ToggleButton
+                            title={strings.TOOLTIPS.TOGGLE_STROKE_EFFECT}
+                            name="toggleStrokeEffectEnabled"
+                            buttonType="layer-visibility"
+                            selected={enabledFlags}
+                            onFocus={this.props.onFocus}
+                            onClick={!this.props.readOnly ? this._enabledChanged : _.noop}
+                            size="column-2"
+                        />
+                        <Gutter />
+                    </div>
+                </div>
+            );
+        }
+    });
+
+    /**
+     * StrokeEffectList Component maintains a set of stroke layer effect
+     * components for the selected non-vector layers. The stroke effects of
+     * vector layers are shown as their additional strokes instead.
+     */
+    var StrokeEffectList = React.createClass({
+        mixins: [FluxMixin],
+
+        propTypes: {
+            max: React.PropTypes.number
+        },
+
+        /**
+         * Handle a NEW stroke effect
+         *
+         * @private
+         * @param {Immutable.List.<Layer>} layers
+         */
+        _addStrokeEffect: function (layers) {
+            this.getFlux().actions.layerEffects.addStrokeEffect(this.props.document, layers);
+        },
+
+        render: function () {
+            var document = this.props.document,
+                layers = document.layers.selected.filter(function (layer) {
+                    return !layer.isBackground && layer.kind !== layer.layerKinds.VECTOR;
+                });
+
+            if (layers.isEmpty()) {
+                return null;
+            }
+
+            // Group into arrays of stroke effects, by position in each layer
+            var strokeEffectGroups = collection.zip(collection.pluck(layers, "strokeEffects")),
+                strokeEffectList = strokeEffectGroups.map(function (strokeEffects, index) {
+                    return (
+                        <StrokeEffect {...this.props}
+                            layers={layers}
+                            key={index}
+                            index={index}
+                            readOnly={this.props.disabled}
+                            strokeEffects={strokeEffects} />
+                    );
+                }, this).toList();
+
+            return (
+                <div className="stroke-effect-list__container">
+                    <header className="stroke-effect-list__header sub-header">
+                        <h3>
+                            {strings.STYLE.STROKE_EFFECT.TITLE}
+                        </h3>
+                        <Gutter />
+                        <hr className="sub-header-rule"/>
+                        <Button
+                            title={strings.STYLE.STROKE_EFFECT.ADD}
+                            className="button-plus"
+                            disabled={strokeEffectList.size >= this.props.max}
+                            onClick={this._addStrokeEffect.bind(this, layers)}>
+                            <SVGIcon
+                                viewbox="0 0 12 12"
+                                CSSID="plus" />
+                        </Button>
+                    </header>
+                    <div className="stroke-effect-list__list-container">
+                        {strokeEffectList}
+                    </div>
+                </div>
+            );
+        }
+    });
+
+    exports.StrokeEffectList = StrokeEffectList;
+});
@@ -0,0 +1,332 @@
+/*
+ * Copyright (c) 2014 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var React = require("react"),
+        Fluxxor = require("fluxxor"),
+        FluxMixin = Fluxxor.FluxMixin(React),
+        Immutable = require("immutable"),
+        _ = require("lodash");
+
+    var StrokeModel = require("js/models/stroke"),
+        Datalist = require("jsx!js/jsx/shared/Datalist"),
+        Gutter = require("jsx!js/jsx/shared/Gutter"),
+        Label = require("jsx!js/jsx/shared/Label"),
+        NumberInput = require("jsx!js/jsx/shared/NumberInput"),
+        TextInput = require("jsx!js/jsx/shared/TextInput"),
+        strings = require("i18n!nls/strings"),
+        collection = require("js/util/collection"),
+        mathUtil = require("js/util/math");
+
+    /**
+     * Build a list of Datalist options from the given keys and titles
+     *
+     * @private
+     * @param {Object.<string, string>} titles
+     * @return {Immutable.OrderedMap.<Select.OptionRec>}
+     */
+    var _makeOptions = function (titles) {
+        return Immutable.OrderedMap(_.mapValues(titles, function (title, id) {
+            return {
+                id: id,
+                title: title
+            };
+        }));
+    };
+
+    /**
+     * The set of dash presets, which excludes the custom pseudo-preset
+     * 
+     * @private
+     * @type {Immutable.OrderedMap.<Select.OptionRec>}
+     */
+    var _dashPresets = _makeOptions(_.pick(strings.STYLE.STROKE.DASH_PRESETS, _.keys(StrokeModel.dashPresets))),
+        _dashPresetsList = _dashPresets.toList();
+
+    /**
+     * The set of possible line cap types
+     * 
+     * @private
+     * @type {Immutable.OrderedMap.<Select.OptionRec>}
+     */
+    var _capTypes = _makeOptions(strings.STYLE.STROKE.CAP_TYPES),
+        _capTypesList = _capTypes.toList();
+
+    /**
+     * The set of possible line join types
+     * 
+     * @private
+     * @type {Immutable.OrderedMap.<Select.OptionRec>}
+     */
+    var _joinTypes = _makeOptions(strings.STYLE.STROKE.JOIN_TYPES),
+        _joinTypesList = _joinTypes.toList();
+
+    /**
+     * Parse a dash pattern from a comma- or space-separated list of non-negative
+     * numbers.
+     *
+     * @private
+     * @param {string} value
+     * @return {?Array.<number>} The dash pattern, or null if the value is invalid
+     */
+    var _parseDashes = function (value) {
+        var tokens = _.compact(value.trim().split(/[\s,]+/)),
+            dashes = tokens.map(mathUtil.parseNumber);
+
+        var invalid = dashes.some(function (dash) {
+            return dash === null || dash < 0 || !_.isFinite(dash);
+        });
+
+        return invalid ? null : dashes;
+    };
+
+    /**
+     * Get the title of the given option if all the values are uniformly that
+     * option, or the mixed title otherwise.
+     *
+     * @private
+     * @param {Immutable.OrderedMap.<Select.OptionRec>} options
+     * @param {Immutable.Iterable.<string>} values
+     * @return {?string}
+     */
+    var _getTitle = function (options, values) {
+        var value = collection.uniformValue(values);
+
+        if (options.has(value)) {
+            return options.get(value).title;
+        }
+
+        return values.size > 1 ? strings.TRANSFORM.MIXED : null;
+    };
+
+    /**
+     * StrokeLineStyle Component displays the dash pattern, line cap, line join
+     * and miter limit of the first stroke of a given set of layers.
+     */
+    var StrokeLineStyle = React.createClass({
+        mixins: [FluxMixin],
+
+        shouldComponentUpdate: function (nextProps) {
+            var sameLayerIDs = collection.pluck(this.props.layers, "id")
+                .equals(collection.pluck(nextProps.layers, "id"));
+
+            return !sameLayerIDs ||
+                !Immutable.is(this.props.strokes, nextProps.strokes) ||
+                this.props.index !== nextProps.index ||
+                this.props.readOnly !== nextProps.readOnly;
+        },
+
+        getDefaultProps: function () {
+            // The id is used to distinguish among Datalist instances
+            return {
+                id: "main"
+            };
+        },
+
+        /**
+         * Handle the selection of a dash preset. Dotted strokes need round caps
+         * to draw their zero-length dashes.
+         *
+         * @private
+         * @param {?string} preset
+         */
+        _dashPresetChanged: function (preset) {
+            if (!StrokeModel.dashPresets.hasOwnProperty(preset)) {
+                return;
+            }
+
+            var cap = preset === "DOTTED" ? "ROUND" : undefined;
+
+            this.getFlux().actions.shapes.setStrokeDash(this.props.document, this.props.layers,
+                this.props.index, StrokeModel.dashPresets[preset], cap);
+        },
+
+        /**
+         * Handle the change of the custom dash pattern, ignoring invalid patterns
+         *
+         * @private
+         * @param {SyntheticEvent} event
+         * @param {string} value comma- or space-separated dash and gap lengths
+         */
+        _dashesChanged: function (event, value) {
+            var dashes = _parseDashes(value);
+            if (!dashes) {
+                return;
+            }
+
+            this.getFlux().actions.shapes.setStrokeDash(this.props.document, this.props.layers,
+                this.props.index, dashes);
+        },
+
+        /**
+         * Handle the change of the line cap type
+         *
+         * @private
+         * @param {?string} cap
+         */
+        _capChanged: function (cap) {
+            if (!_capTypes.has(cap)) {
+                return;
+            }
+
+            this.getFlux().actions.shapes.setStrokeCap(this.props.document, this.props.layers,
+                this.props.index, cap);
+        },
+
+        /**
+         * Handle the change of the line join type
+         *
+         * @private
+         * @param {?string} join
+         */
+        _joinChanged: function (join) {
+            if (!_joinTypes.has(join)) {
+                return;
+            }
+
+            this.getFlux().actions.shapes.setStrokeJoin(this.props.document, this.props.layers,
+                this.props.index, join);
+        },
+
+        /**
+         * Handle the change of the miter limit, which only applies to miter joins
+         *
+         * @private
+         * @param {SyntheticEvent} event
+         * @param {number} miterLimit
+         */
+        _miterLimitChanged: function (event, miterLimit) {
+            this.getFlux().actions.shapes.setStrokeJoinThrottled(this.props.document, this.props.layers,
+                this.props.index, "MITER", miterLimit);
+        },
+
+        render: function () {
+            var strokes = this.props.strokes,
+                readOnly = this.props.readOnly,
+                uniformDashes = collection.uniformValue(collection.pluck(strokes, "dashes")),
+                dashPresets = strokes.map(function (stroke) {
+                    return stroke && stroke.getDashPreset();
+                }),
+                caps = collection.pluck(strokes, "cap"),
+                joins = collection.pluck(strokes, "join"),
+                miterLimits = collection.pluck(strokes, "miterLimit"),
+                isMiterJoin = collection.uniformValue(joins) === "MITER";
+
+            var dashPresetTitle = _getTitle(_dashPresets, dashPresets);
+            if (!dashPresetTitle && uniformDashes) {
+                dashPresetTitle = strings.STYLE.STROKE.DASH_PRESETS.CUSTOM;
+            }
+
+            var dashesValue = uniformDashes ? uniformDashes.join(", ") : strings.TRANSFORM.MIXED;
+
+            return (
+                <div className="stroke-line-style">
+                    <div className="formline">
+                        <Gutter />
+                        <Label
+                            title={strings.TOOLTIPS.SET_STROKE_DASH}
+                            size="column-4">
+                            {strings.STYLE.STROKE.DASH}
+                        </Label>
+                        <Datalist
+                            list={"stroke-dash-" + this.props.id}
+                            disabled={readOnly}
+                            className="dialog-stroke-dash"
+                            options={_dashPresetsList}
+                            value={dashPresetTitle}
+                            defaultSelected={collection.uniformValue(dashPresets)}
+                            size="column-9"
+                            onChange={this._dashPresetChanged}
+                            onFocus={this.props.onFocus} />
+                        <Gutter />
+                        <TextInput
+                            title={strings.TOOLTIPS.SET_STROKE_DASH_PATTERN}
+                            className="stroke-line-style__dashes"
+                            value={dashesValue}
+                            editable={!readOnly}
+                            singleClick={true}
+                            onChange={this._dashesChanged}
+                            onFocus={this.props.onFocus}
+                            size="column-9" />
+                        <Gutter />
+                    </div>
+                    <div className="formline">
+                        <Gutter />
+                        <Label
+                            title={strings.TOOLTIPS.SET_STROKE_CAP}
+                            size="column-4">
+                            {strings.STYLE.STROKE.CAP}
+                        </Label>
+                        <Datalist
+                            list={"stroke-cap-" + this.props.id}
+                            disabled={readOnly}
+                            className="dialog-stroke-cap"
+                            options={_capTypesList}
+                            value={_getTitle(_capTypes, caps)}
+                            defaultSelected={collection.uniformValue(caps)}
+                            size="column-5"
+                            onChange={this._capChanged}
+                            onFocus={this.props.onFocus} />
+                        <Gutter />
+                        <Label
+                            title={strings.TOOLTIPS.SET_STROKE_JOIN}
+                            size="column-3">
+                            {strings.STYLE.STROKE.JOIN}
+                        </Label>
+                        <Datalist
+                            list={"stroke-join-" + this.props.id}
+                            disabled={readOnly}
+                            className="dialog-stroke-join"
+                            options={_joinTypesList}
+                            value={_getTitle(_joinTypes, joins)}
+                            defaultSelected={collection.uniformValue(joins)}
+                            size="column-5"
+                            onChange={this._joinChanged}
+                            onFocus={this.props.onFocus} />
+                        <Gutter />
+                        <Label
+                            title={strings.TOOLTIPS.SET_STROKE_MITER_LIMIT}
+                            size="column-3">
+                            {strings.STYLE.STROKE.MITER_LIMIT}
+                        </Label>
+                        <NumberInput
+                            value={miterLimits}
+                            onChange={this._miterLimitChanged}
+                            onFocus={this.props.onFocus}
+                            min={1}
+                            max={100}
+                            step={1}
+                            bigstep={10}
+                            disabled={readOnly || !isMiterJoin}
+                            size="column-3" />
+                        <Gutter />
+                    </div>
+                </div>
+            );
+        }
+    });
+
+    module.exports = StrokeLineStyle;
+});
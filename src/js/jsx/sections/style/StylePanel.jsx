@@ -36,6 +36,9 @@ define(function (require, exports, module) {
         Type = require("jsx!./Type"),
         DropShadowList = require("jsx!./Shadow").DropShadowList,
         InnerShadowList = require("jsx!./Shadow").InnerShadowList,
+        GlowList = require("jsx!./Glow").GlowList,
+        ColorOverlayList = require("jsx!./ColorOverlay").ColorOverlayList,
+        StrokeEffectList = require("jsx!./StrokeEffect").StrokeEffectList,
         FillList = require("jsx!./Fill").FillList,
         StrokeList = require("jsx!./Stroke").StrokeList,
         strings = require("i18n!nls/strings"),
@@ -47,6 +50,12 @@ define(function (require, exports, module) {
      */
     var MAX_EFFECT_COUNT = 10;
 
+    /**
+     * @const
+     * @type {number} The maximum allowed number of glows of a given kind per layer
+     */
+    var MAX_GLOW_COUNT = 1;
+
     var StylePanel = React.createClass({
         /**
          * A throttled version of os.setTooltip
@@ -118,12 +127,26 @@ define(function (require, exports, module) {
                         onFocus={this._handleFocus} />
                     <StrokeList {...this.props}
                         onFocus={this._handleFocus} />
+                    <ColorOverlayList {...this.props}
+                        onFocus={this._handleFocus}
+                        max={MAX_EFFECT_COUNT} />
+                    <StrokeEffectList {...this.props}
+                        onFocus={this._handleFocus}
+                        max={MAX_EFFECT_COUNT} />
                     <DropShadowList {...this.props}
                         onFocus={this._handleFocus}
                         max={MAX_EFFECT_COUNT} />
                     <InnerShadowList {...this.props}
                         onFocus={this._handleFocus}
                         max={MAX_EFFECT_COUNT} />
+                    <GlowList {...this.props}
+                        type="outerGlow"
+                        onFocus={this._handleFocus}
+                        max={MAX_GLOW_COUNT} />
+                    <GlowList {...this.props}
+                        type="innerGlow"
+                        onFocus={this._handleFocus}
+                        max={MAX_GLOW_COUNT} />
                 </div>
             );
 
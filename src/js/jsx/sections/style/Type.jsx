@@ -33,6 +33,7 @@ define(function (require, exports, module) {
     var Gutter = require("jsx!js/jsx/shared/Gutter"),
         Label = require("jsx!js/jsx/shared/Label"),
         NumberInput = require("jsx!js/jsx/shared/NumberInput"),
+        LengthInput = require("jsx!js/jsx/shared/LengthInput"),
         SplitButton = require("jsx!js/jsx/shared/SplitButton"),
         SplitButtonList = SplitButton.SplitButtonList,
         SplitButtonItem = SplitButton.SplitButtonItem,
@@ -40,8 +41,33 @@ define(function (require, exports, module) {
         strings = require("i18n!nls/strings"),
         collection = require("js/util/collection"),
         ColorInput = require("jsx!js/jsx/shared/ColorInput"),
+        LoremIpsum = require("jsx!./LoremIpsum"),
+        Glyphs = require("jsx!./Glyphs"),
+        FontBrowser = require("jsx!./FontBrowser"),
         textLayer = require("adapter/lib/textLayer");
 
+    /**
+     * The set of possible kerning modes
+     *
+     * @private
+     * @type {Immutable.OrderedMap.<Select.OptionRec>}
+     */
+    var _kerningModes = Immutable.OrderedMap({
+        "metricsKern": {
+            id: "metricsKern",
+            title: strings.STYLE.TYPE.KERNING_MODES.METRICS
+        },
+        "opticalKern": {
+            id: "opticalKern",
+            title: strings.STYLE.TYPE.KERNING_MODES.OPTICAL
+        },
+        "manual": {
+            id: "manual",
+            title: strings.STYLE.TYPE.KERNING_MODES.MANUAL
+        }
+    });
+    var _kerningModesList = _kerningModes.toList();
+
     var Type = React.createClass({
         mixins: [FluxMixin, StoreWatchMixin("font")],
 
@@ -238,6 +264,120 @@ define(function (require, exports, module) {
             flux.actions.type.setAlignmentThrottled(document, layers, alignment);
         },
 
+        /**
+         * Set a character or paragraph style property, e.g., underline or hyphenation,
+         * of the selected text layers using the type action of the given name.
+         *
+         * @private
+         * @param {string} actionName The name of the type action, e.g., "setUnderline"
+         * @param {*} value The new property value
+         */
+        _handleStyleChange: function (actionName, value) {
+            if (value === null) {
+                return;
+            }
+
+            var document = this.props.document,
+                flux = this.getFlux(),
+                layers = document.layers.selected.filter(function (layer) {
+                    return layer.kind === layer.layerKinds.TEXT;
+                });
+
+            flux.actions.type[actionName](document, layers, value);
+        },
+
+        /**
+         * Set a numeric character or paragraph style property, e.g., baseline shift
+         * or indent, of the selected text layers using the throttled type action of
+         * the given name.
+         *
+         * @private
+         * @param {string} actionName The name of the type action, e.g., "setBaselineShift"
+         * @param {SyntheticEvent} event
+         * @param {number} value The new property value
+         */
+        _handleStyleInputChange: function (actionName, event, value) {
+            var document = this.props.document,
+                flux = this.getFlux(),
+                layers = document.layers.selected.filter(function (layer) {
+                    return layer.kind === layer.layerKinds.TEXT;
+                });
+
+            flux.actions.type[actionName + "Throttled"](document, layers, value);
+        },
+
+        /**
+         * Set one of the word or letter spacing limits used to justify the
+         * paragraphs of the selected text layers.
+         *
+         * @private
+         * @param {string} property The paragraph style property, e.g., "wordSpacingMin"
+         * @param {SyntheticEvent} event
+         * @param {number} value The new spacing, as a percentage
+         */
+        _handleJustificationChange: function (property, event, value) {
+            var document = this.props.document,
+                flux = this.getFlux(),
+                layers = document.layers.selected.filter(function (layer) {
+                    return layer.kind === layer.layerKinds.TEXT;
+                }),
+                justification = {};
+
+            justification[property] = value;
+            flux.actions.type.setJustificationThrottled(document, layers, justification);
+        },
+
+        /**
+         * Render the minimum, desired and maximum spacing inputs for justified
+         * text. Each limit is constrained by the uniform values of its neighbors.
+         *
+         * @private
+         * @param {Immutable.Iterable.<ParagraphStyle>} paragraphStyles
+         * @param {string} kind Either "wordSpacing" or "letterSpacing"
+         * @param {number} lowest The lowest spacing supported by Photoshop
+         * @param {number} highest The highest spacing supported by Photoshop
+         * @return {Array.<ReactComponent>}
+         */
+        _renderJustificationInputs: function (paragraphStyles, kind, lowest, highest) {
+            var limits = [
+                    { property: kind + "Min", title: strings.TOOLTIPS.SET_SPACING_MIN },
+                    { property: kind + "Desired", title: strings.TOOLTIPS.SET_SPACING_DESIRED },
+                    { property: kind + "Max", title: strings.TOOLTIPS.SET_SPACING_MAX }
+                ],
+                values = limits.map(function (limit) {
+                    return collection.pluck(paragraphStyles, limit.property);
+                }),
+                uniformValues = values.map(function (value) {
+                    return collection.uniformValue(value);
+                });
+
+            return limits.reduce(function (inputs, limit, index) {
+                var min = index > 0 && uniformValues[index - 1] !== null ? uniformValues[index - 1] : lowest,
+                    max = index < 2 && uniformValues[index + 1] !== null ? uniformValues[index + 1] : highest;
+
+                if (index > 0) {
+                    inputs.push(
+                        <Gutter
+                            key={"gutter-" + index} />
+                    );
+                }
+
+                inputs.push(
+                    <NumberInput
+                        key={limit.property}
+                        title={limit.title}
+                        value={values[index]}
+                        min={min}
+                        max={max}
+                        disabled={this.props.disabled}
+                        onChange={this._handleJustificationChange.bind(this, limit.property)}
+                        size="column-4" />
+                );
+
+                return inputs;
+            }.bind(this), []);
+        },
+
         /**
          * Try to find a reasonable CSS font-style value for the given font style
          * name. If all else fails, this just returns "regular".
@@ -395,12 +535,32 @@ define(function (require, exports, module) {
                     }
                 });
 
+            // Character style properties are only toggled on if they are uniformly on
+            var uniformlyOn = function (property) {
+                return collection.uniformValue(collection.pluck(characterStyles, property)) === true;
+            };
+
+            var underline = uniformlyOn("underline"),
+                strikethrough = uniformlyOn("strikethrough"),
+                ligatures = uniformlyOn("ligatures"),
+                oldStyleFigures = uniformlyOn("oldStyleFigures"),
+                caps = collection.uniformValue(collection.pluck(characterStyles, "caps")),
+                baseline = collection.uniformValue(collection.pluck(characterStyles, "baseline")),
+                baselineShifts = collection.pluck(characterStyles, "baselineShift"),
+                kerning = collection.uniformValue(collection.pluck(characterStyles, "kerning")),
+                kerningTitle = _kerningModes.has(kerning) ? _kerningModes.get(kerning).title :
+                    strings.TRANSFORM.MIXED;
+
             var texts = collection.pluck(layers, "text"),
                 paragraphStyles = collection.pluck(texts, "paragraphStyles").flatten(true),
                 alignments = collection.pluck(paragraphStyles, "alignment"),
                 alignment = collection.uniformValue(alignments),
+                hyphenate = collection.uniformValue(collection.pluck(paragraphStyles, "hyphenate")) === true,
                 boxes = collection.pluck(texts, "box"),
-                box = collection.uniformValue(boxes);
+                box = collection.uniformValue(boxes),
+                firstText = texts.find(function (text) {
+                    return !!text;
+                });
 
             // Downsampled postScriptNames. NumberInput and ColorInput downsamples
             // the size and color resp. internally.
@@ -423,6 +583,11 @@ define(function (require, exports, module) {
                 styleTitle = null;
             }
 
+            // Name fonts that are not installed, so that they can be replaced
+            var missingTitle = postScriptName ?
+                postScriptName + " (" + strings.STYLE.TYPE.MISSING + ")" :
+                strings.STYLE.TYPE.MISSING;
+
             // The downsampled font family
             var familyFonts = this.state.familyMap.get(familyName);
 
@@ -478,6 +643,15 @@ define(function (require, exports, module) {
                         <Gutter />
                         <hr className="sub-header-rule"/>
                         <div className="button-cluster">
+                            <LoremIpsum
+                                document={this.props.document}
+                                layers={layers}
+                                disabled={locked} />
+                            <Glyphs
+                                document={this.props.document}
+                                layers={layers}
+                                family={this._getPostScriptFontFamily(postScriptName)}
+                                disabled={locked} />
                         </div>
                     </header>
 
@@ -492,13 +666,22 @@ define(function (require, exports, module) {
                             sorted={true}
                             disabled={this.props.disabled}
                             list="typefaces"
-                            value={familyName || strings.STYLE.TYPE.MISSING}
+                            value={familyName || missingTitle}
                             defaultSelected={postScriptName}
                             options={this.state.typefaces}
                             onChange={this._handleTypefaceChange}
-                            size="column-14"
+                            size="column-12"
                         />
                         <Gutter />
+                        <FontBrowser
+                            document={this.props.document}
+                            layers={layers.filter(function (layer) {
+                                return layer.kind === layer.layerKinds.TEXT;
+                            })}
+                            family={postScriptName ? familyName : null}
+                            style={styleTitle}
+                            previewText={firstText ? firstText.contents : ""}
+                            disabled={locked} />
                     </div>
 
                     <div className="formline">
@@ -542,8 +725,10 @@ define(function (require, exports, module) {
                                         size="column-4">
                                         {strings.STYLE.TYPE.SIZE}
                                     </Label>
-                                    <NumberInput
+                                    <LengthInput
                                         value={sizes}
+                                        resolution={doc.resolution}
+                                        percentBase={collection.uniformValue(sizes)}
                                         onChange={this._handleSizeChange}
                                         disabled={locked} />
                                 </div>
@@ -611,6 +796,194 @@ define(function (require, exports, module) {
                         </SplitButtonList>
                         <Gutter />
                     </div>
+                    <div className="formline">
+                        <Label
+                            title={strings.TOOLTIPS.SET_TYPE_DECORATION}>
+                            {strings.STYLE.TYPE.DECORATION}
+                        </Label>
+                        <Gutter />
+                        <SplitButtonList>
+                            <SplitButtonItem
+                                disabled={this.props.disabled}
+                                iconId="text-underline"
+                                selected={underline}
+                                onClick={this._handleStyleChange.bind(this, "setUnderline", !underline)}
+                                title={strings.TOOLTIPS.TOGGLE_UNDERLINE} />
+                            <SplitButtonItem
+                                disabled={this.props.disabled}
+                                iconId="text-strikethrough"
+                                selected={strikethrough}
+                                onClick={this._handleStyleChange.bind(this, "setStrikethrough",
+                                    !strikethrough)}
+                                title={strings.TOOLTIPS.TOGGLE_STRIKETHROUGH} />
+                            <SplitButtonItem
+                                disabled={this.props.disabled}
+                                iconId="text-allcaps"
+                                selected={caps === "allCaps"}
+                                onClick={this._handleStyleChange.bind(this, "setCaps",
+                                    caps === "allCaps" ? "normal" : "allCaps")}
+                                title={strings.TOOLTIPS.TOGGLE_ALL_CAPS} />
+                            <SplitButtonItem
+                                disabled={this.props.disabled}
+                                iconId="text-smallcaps"
+                                selected={caps === "smallCaps"}
+                                onClick={this._handleStyleChange.bind(this, "setCaps",
+                                    caps === "smallCaps" ? "normal" : "smallCaps")}
+                                title={strings.TOOLTIPS.TOGGLE_SMALL_CAPS} />
+                            <SplitButtonItem
+                                disabled={this.props.disabled}
+                                iconId="text-superscript"
+                                selected={baseline === "superScript"}
+                                onClick={this._handleStyleChange.bind(this, "setBaseline",
+                                    baseline === "superScript" ? "normal" : "superScript")}
+                                title={strings.TOOLTIPS.TOGGLE_SUPERSCRIPT} />
+                            <SplitButtonItem
+                                disabled={this.props.disabled}
+                                iconId="text-subscript"
+                                selected={baseline === "subScript"}
+                                onClick={this._handleStyleChange.bind(this, "setBaseline",
+                                    baseline === "subScript" ? "normal" : "subScript")}
+                                title={strings.TOOLTIPS.TOGGLE_SUBSCRIPT} />
+                        </SplitButtonList>
+                        <Gutter />
+                    </div>
+                    <div className="formline">
+                        <Label
+                            title={strings.TOOLTIPS.SET_BASELINE_SHIFT}>
+                            {strings.STYLE.TYPE.BASELINE_SHIFT}
+                        </Label>
+                        <Gutter />
+                        <NumberInput
+                            value={baselineShifts}
+                            disabled={locked}
+                            onChange={this._handleStyleInputChange.bind(this, "setBaselineShift")}
+                            size="column-4" />
+                        <Gutter />
+                        <Label
+                            size="column-3"
+                            title={strings.TOOLTIPS.SET_KERNING}>
+                            {strings.STYLE.TYPE.KERNING}
+                        </Label>
+                        <Gutter />
+                        <Datalist
+                            className="dialog-type-kerning"
+                            list="kerning"
+                            disabled={this.props.disabled}
+                            value={kerningTitle}
+                            defaultSelected={kerning}
+                            options={_kerningModesList}
+                            onChange={this._handleStyleChange.bind(this, "setKerning")}
+                            size="column-6" />
+                        <Gutter />
+                    </div>
+                    <div className="formline">
+                        <Label
+                            title={strings.TOOLTIPS.SET_OPENTYPE_FEATURES}>
+                            {strings.STYLE.TYPE.OPENTYPE}
+                        </Label>
+                        <Gutter />
+                        <SplitButtonList>
+                            <SplitButtonItem
+                                disabled={this.props.disabled}
+                                iconId="text-ligatures"
+                                selected={ligatures}
+                                onClick={this._handleStyleChange.bind(this, "setLigatures", !ligatures)}
+                                title={strings.TOOLTIPS.TOGGLE_LIGATURES} />
+                            <SplitButtonItem
+                                disabled={this.props.disabled}
+                                iconId="text-oldstyle"
+                                selected={oldStyleFigures}
+                                onClick={this._handleStyleChange.bind(this, "setOldStyleFigures",
+                                    !oldStyleFigures)}
+                                title={strings.TOOLTIPS.TOGGLE_OLD_STYLE_FIGURES} />
+                        </SplitButtonList>
+                        <Gutter />
+                    </div>
+                    <div className="formline">
+                        <Label
+                            title={strings.TOOLTIPS.SET_PARAGRAPH_SPACING}>
+                            {strings.STYLE.TYPE.SPACE}
+                        </Label>
+                        <Gutter />
+                        <NumberInput
+                            title={strings.TOOLTIPS.SET_SPACE_BEFORE}
+                            value={collection.pluck(paragraphStyles, "spaceBefore")}
+                            min={0}
+                            disabled={locked}
+                            onChange={this._handleStyleInputChange.bind(this, "setSpaceBefore")}
+                            size="column-4" />
+                        <Gutter />
+                        <NumberInput
+                            title={strings.TOOLTIPS.SET_SPACE_AFTER}
+                            value={collection.pluck(paragraphStyles, "spaceAfter")}
+                            min={0}
+                            disabled={locked}
+                            onChange={this._handleStyleInputChange.bind(this, "setSpaceAfter")}
+                            size="column-4" />
+                        <Gutter />
+                    </div>
+                    <div className="formline">
+                        <Label
+                            title={strings.TOOLTIPS.SET_INDENTS}>
+                            {strings.STYLE.TYPE.INDENT}
+                        </Label>
+                        <Gutter />
+                        <NumberInput
+                            title={strings.TOOLTIPS.SET_FIRST_LINE_INDENT}
+                            value={collection.pluck(paragraphStyles, "firstLineIndent")}
+                            disabled={locked}
+                            onChange={this._handleStyleInputChange.bind(this, "setFirstLineIndent")}
+                            size="column-4" />
+                        <Gutter />
+                        <NumberInput
+                            title={strings.TOOLTIPS.SET_LEFT_INDENT}
+                            value={collection.pluck(paragraphStyles, "leftIndent")}
+                            disabled={locked}
+                            onChange={this._handleStyleInputChange.bind(this, "setLeftIndent")}
+                            size="column-4" />
+                        <Gutter />
+                        <NumberInput
+                            title={strings.TOOLTIPS.SET_RIGHT_INDENT}
+                            value={collection.pluck(paragraphStyles, "rightIndent")}
+                            disabled={locked}
+                            onChange={this._handleStyleInputChange.bind(this, "setRightIndent")}
+                            size="column-4" />
+                        <Gutter />
+                    </div>
+                    <div className="formline">
+                        <Label
+                            title={strings.TOOLTIPS.TOGGLE_HYPHENATION}>
+                            {strings.STYLE.TYPE.HYPHENATE}
+                        </Label>
+                        <Gutter />
+                        <SplitButtonList>
+                            <SplitButtonItem
+                                disabled={this.props.disabled}
+                                iconId="text-hyphenate"
+                                selected={hyphenate}
+                                onClick={this._handleStyleChange.bind(this, "setHyphenation", !hyphenate)}
+                                title={strings.TOOLTIPS.TOGGLE_HYPHENATION} />
+                        </SplitButtonList>
+                        <Gutter />
+                    </div>
+                    <div className="formline">
+                        <Label
+                            title={strings.TOOLTIPS.SET_WORD_SPACING}>
+                            {strings.STYLE.TYPE.WORD_SPACING}
+                        </Label>
+                        <Gutter />
+                        {this._renderJustificationInputs(paragraphStyles, "wordSpacing", 0, 1000)}
+                        <Gutter />
+                    </div>
+                    <div className="formline">
+                        <Label
+                            title={strings.TOOLTIPS.SET_LETTER_SPACING}>
+                            {strings.STYLE.TYPE.LETTER_SPACING}
+                        </Label>
+                        <Gutter />
+                        {this._renderJustificationInputs(paragraphStyles, "letterSpacing", -100, 500)}
+                        <Gutter />
+                    </div>
                 </div>
             );
         }
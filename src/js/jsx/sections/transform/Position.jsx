@@ -32,7 +32,7 @@ define(function (require, exports, module) {
         
     var Gutter = require("jsx!js/jsx/shared/Gutter"),
         Label = require("jsx!js/jsx/shared/Label"),
-        NumberInput = require("jsx!js/jsx/shared/NumberInput"),
+        LengthInput = require("jsx!js/jsx/shared/LengthInput"),
         strings = require("i18n!nls/strings"),
         collection = require("js/util/collection");
 
@@ -69,16 +69,17 @@ define(function (require, exports, module) {
          *
          * @private
          * @param {SyntheticEvent} event
-         * @param {number} newX
+         * @param {number|Immutable.List.<number>} newX
          */
         _handleLeftChange: function (event, newX) {
             var document = this.props.document;
             if (!document) {
                 return;
             }
-            
-            this.getFlux().actions.transform
-                .setPositionThrottled(document, document.layers.selected, { x: newX });
+
+            var x = document.layers.zipSelectedChildBounds(newX);
+
+            this.getFlux().actions.transform.setPositionThrottled(document, document.layers.selected, { x: x });
         },
 
         /**
@@ -86,16 +87,17 @@ define(function (require, exports, module) {
          *
          * @private
          * @param {SyntheticEvent} event
-         * @param {number} newY
+         * @param {number|Immutable.List.<number>} newY
          */
         _handleTopChange: function (event, newY) {
             var document = this.props.document;
             if (!document) {
                 return;
             }
-            
-            this.getFlux().actions.transform
-                .setPositionThrottled(document, document.layers.selected, { y: newY });
+
+            var y = document.layers.zipSelectedChildBounds(newY);
+
+            this.getFlux().actions.transform.setPositionThrottled(document, document.layers.selected, { y: y });
         },
 
         /**
@@ -145,9 +147,12 @@ define(function (require, exports, module) {
                         {strings.TRANSFORM.X}
                     </Label>
                     <Gutter />
-                    <NumberInput
+                    <LengthInput
                         disabled={disabled}
                         value={lefts}
+                        mixedRelative={true}
+                        resolution={document && document.resolution}
+                        percentBase={document && document.bounds && document.bounds.width}
                         onChange={this._handleLeftChange}
                         ref="left"
                         min={MIN_LAYER_POS}
@@ -161,9 +166,12 @@ define(function (require, exports, module) {
                         {strings.TRANSFORM.Y}
                     </Label>
                     <Gutter />
-                    <NumberInput
+                    <LengthInput
                         disabled={disabled}
                         value={tops}
+                        mixedRelative={true}
+                        resolution={document && document.resolution}
+                        percentBase={document && document.bounds && document.bounds.height}
                         onChange={this._handleTopChange}
                         ref="top"
                         min={MIN_LAYER_POS}
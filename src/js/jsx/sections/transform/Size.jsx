@@ -32,7 +32,7 @@ define(function (require, exports, module) {
         
     var Gutter = require("jsx!js/jsx/shared/Gutter"),
         Label = require("jsx!js/jsx/shared/Label"),
-        NumberInput = require("jsx!js/jsx/shared/NumberInput"),
+        LengthInput = require("jsx!js/jsx/shared/LengthInput"),
         ToggleButton = require("jsx!js/jsx/shared/ToggleButton"),
         strings = require("i18n!nls/strings"),
         collection = require("js/util/collection");
@@ -79,16 +79,17 @@ define(function (require, exports, module) {
          *
          * @private
          * @param {SyntheticEvent} event
-         * @param {number} newWidth
+         * @param {number|Immutable.List.<number>} newWidth
          */
         _handleWidthChange: function (event, newWidth) {
             var document = this.props.document;
             if (!document) {
                 return;
             }
-            
-            this.getFlux().actions.transform
-                .setSizeThrottled(document, document.layers.selected, { w: newWidth });
+
+            var w = document.layers.zipSelectedChildBounds(newWidth);
+
+            this.getFlux().actions.transform.setSizeThrottled(document, document.layers.selected, { w: w });
         },
 
         /**
@@ -96,16 +97,17 @@ define(function (require, exports, module) {
          *
          * @private
          * @param {SyntheticEvent} event
-         * @param {number} newHeight
+         * @param {number|Immutable.List.<number>} newHeight
          */
         _handleHeightChange: function (event, newHeight) {
             var document = this.props.document;
             if (!document) {
                 return;
             }
-            
-            this.getFlux().actions.transform
-                .setSizeThrottled(document, document.layers.selected, { h: newHeight });
+
+            var h = document.layers.zipSelectedChildBounds(newHeight);
+
+            this.getFlux().actions.transform.setSizeThrottled(document, document.layers.selected, { h: h });
         },
 
         /**
@@ -212,9 +214,12 @@ define(function (require, exports, module) {
                         {strings.TRANSFORM.W}
                     </Label>
                     <Gutter />
-                    <NumberInput
+                    <LengthInput
                         disabled={disabled}
                         value={widths}
+                        mixedRelative={true}
+                        resolution={document && document.resolution}
+                        percentBase={collection.uniformValue(widths)}
                         onChange={this._handleWidthChange}
                         ref="width"
                         min={MIN_LAYER_SIZE}
@@ -227,9 +232,12 @@ define(function (require, exports, module) {
                         {strings.TRANSFORM.H}
                     </Label>
                     <Gutter />
-                    <NumberInput
+                    <LengthInput
                         value={heights}
+                        mixedRelative={true}
                         disabled={disabled}
+                        resolution={document && document.resolution}
+                        percentBase={collection.uniformValue(heights)}
                         onChange={this._handleHeightChange}
                         ref="height"
                         min={MIN_LAYER_SIZE}
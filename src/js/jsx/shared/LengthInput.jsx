@@ -0,0 +1,64 @@
+/*
+ * Copyright (c) 2014 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var React = require("react"),
+        Fluxxor = require("fluxxor"),
+        FluxMixin = Fluxxor.FluxMixin(React),
+        StoreWatchMixin = Fluxxor.StoreWatchMixin;
+
+    var NumberInput = require("jsx!./NumberInput"),
+        unitUtil = require("js/util/unit");
+
+    /**
+     * A NumberInput for lengths in pixels, which are displayed and entered in
+     * the display unit chosen by the user.
+     */
+    var LengthInput = React.createClass({
+        mixins: [FluxMixin, StoreWatchMixin("preferences")],
+
+        propTypes: {
+            resolution: React.PropTypes.number
+        },
+
+        getStateFromFlux: function () {
+            var preferences = this.getFlux().store("preferences").getState();
+
+            return {
+                unit: preferences.get("displayUnit", unitUtil.DISPLAY_UNITS.PIXELS)
+            };
+        },
+
+        render: function () {
+            return (
+                <NumberInput
+                    {...this.props}
+                    unit={this.state.unit} />
+            );
+        }
+    });
+
+    module.exports = LengthInput;
+});
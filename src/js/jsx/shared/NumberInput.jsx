@@ -36,10 +36,20 @@ define(function (require, exports, module) {
     var Focusable = require("../mixin/Focusable"),
         math = require("js/util/math"),
         collection = require("js/util/collection"),
+        unitUtil = require("js/util/unit"),
         strings = require("i18n!nls/strings"),
         headlights = require("js/util/headlights"),
         log = require("js/util/log");
 
+    /**
+     * Matches relative entries like "+10", "*2" or "-5%", capturing the
+     * operator and the operand.
+     *
+     * @private
+     * @type {RegExp}
+     */
+    var _relativeRegExp = /^\s*([+\-*\/])\s*(\S.*)$/;
+
     var NumberInput = React.createClass({
         mixins: [Focusable],
 
@@ -64,7 +74,11 @@ define(function (require, exports, module) {
             min: React.PropTypes.number,
             max: React.PropTypes.number,
             precision: React.PropTypes.number,
-            disabled: React.PropTypes.bool
+            disabled: React.PropTypes.bool,
+            unit: React.PropTypes.oneOf(_.values(unitUtil.DISPLAY_UNITS)),
+            resolution: React.PropTypes.number,
+            percentBase: React.PropTypes.number,
+            mixedRelative: React.PropTypes.bool
         },
 
         getDefaultProps: function () {
@@ -76,7 +90,11 @@ define(function (require, exports, module) {
                 max: Number.POSITIVE_INFINITY,
                 onChange: _.identity,
                 precision: 1,
-                disabled: false
+                disabled: false,
+                unit: null,
+                resolution: 72,
+                percentBase: null,
+                mixedRelative: false
             };
         },
 
@@ -90,7 +108,7 @@ define(function (require, exports, module) {
         },
 
         componentWillReceiveProps: function (nextProps) {
-            var rawValue = this._formatValue(nextProps.value);
+            var rawValue = this._formatValue(nextProps.value, nextProps);
 
             var node = React.findDOMNode(this.refs.input),
                 select = window.document.activeElement === node &&
@@ -107,6 +125,8 @@ define(function (require, exports, module) {
             return nextState.rawValue !== this.state.rawValue ||
                 nextState.dirty !== this.state.dirty ||
                 nextProps.disabled !== this.props.disabled ||
+                nextProps.unit !== this.props.unit ||
+                nextProps.resolution !== this.props.resolution ||
                 !Immutable.is(nextProps.value, this.props.value);
         },
 
@@ -125,20 +145,144 @@ define(function (require, exports, module) {
         },
 
         /**
-         * Parses the input string to a valid number
+         * Parses the input string to a valid number. If the input has a unit,
+         * the value is entered in the display unit unless another unit or a
+         * percentage of the percentBase is given as a suffix, and is converted
+         * to pixels.
+         *
+         * If the mixedRelative prop is set, entries that start with an operator,
+         * like "+10", "*2" or "-5%", are applied to the current value instead.
+         * If the current value is mixed, they are applied to each value
+         * separately and the result is a list parallel to the value prop.
+         * On such inputs, a negative absolute value is entered in parentheses,
+         * like "(-5)"; on other inputs, a leading operator is just part of the
+         * expression.
          *
          * @param {string} rawValue value of the input field
-         * @return {number} Value of the input field as a number or null if invalid
+         * @return {?number|Immutable.List.<number>} Value of the input field
+         *  as a number or null if invalid
          */
         _extractValue: function (rawValue) {
             if (this.props.special && rawValue === this.props.special) {
                 return rawValue;
             }
 
+            var match = this.props.mixedRelative && rawValue.match(_relativeRegExp);
+            if (match) {
+                return this._extractRelativeValue(match[1], match[2]);
+            }
+
+            var operand = this._parseOperand(rawValue);
+            if (!operand) {
+                return null;
+            }
+
+            if (operand.unit === unitUtil.PERCENT) {
+                return _.isFinite(this.props.percentBase) ? this.props.percentBase * operand.value / 100 : null;
+            } else if (operand.unit) {
+                return unitUtil.displayToPixels(operand.value, operand.unit, this.props.resolution);
+            }
+
+            return operand.value;
+        },
+
+        /**
+         * Applies a relative entry to the current value, or to each of the
+         * current values if they are mixed.
+         *
+         * @private
+         * @param {string} operator One of "+", "-", "*" or "/"
+         * @param {string} rawOperand
+         * @return {?number|Immutable.List.<number>} null if invalid
+         */
+        _extractRelativeValue: function (operator, rawOperand) {
+            var operand = this._parseOperand(rawOperand);
+            if (!operand) {
+                return null;
+            }
+
+            var value = operand.value,
+                unit = operand.unit,
+                props = this.props,
+                apply = function (current) {
+                    var amount;
+                    if (unit === unitUtil.PERCENT) {
+                        amount = operator === "+" || operator === "-" ? current * value / 100 : value / 100;
+                    } else if (unit && (operator === "+" || operator === "-")) {
+                        amount = unitUtil.displayToPixels(value, unit, props.resolution);
+                    } else {
+                        amount = value;
+                    }
+
+                    var next;
+                    switch (operator) {
+                    case "+":
+                        next = current + amount;
+                        break;
+                    case "-":
+                        next = current - amount;
+                        break;
+                    case "*":
+                        next = current * amount;
+                        break;
+                    case "/":
+                        next = amount === 0 ? null : current / amount;
+                        break;
+                    }
+
+                    return next === null ? null : math.clamp(next, props.min, props.max);
+                };
+
+            var currentValue = props.value;
+            if (typeof currentValue === "number") {
+                return apply(currentValue);
+            }
+
+            if (!Immutable.Iterable.isIterable(currentValue) || currentValue.isEmpty()) {
+                return null;
+            }
+
+            var uniformValue = collection.uniformValue(currentValue);
+            if (typeof uniformValue === "number") {
+                return apply(uniformValue);
+            }
+
+            var nextValues = currentValue.toList().map(function (current) {
+                return typeof current === "number" ? apply(current) : null;
+            });
+
+            if (nextValues.contains(null)) {
+                return null;
+            }
+
+            var nextUniformValue = collection.uniformValue(nextValues);
+
+            return nextUniformValue === null ? nextValues : nextUniformValue;
+        },
+
+        /**
+         * Evaluates an expression, optionally followed by a unit suffix if the
+         * input has a unit.
+         *
+         * @private
+         * @param {string} rawValue
+         * @return {?{value: number, unit: ?string}} null if invalid
+         */
+        _parseOperand: function (rawValue) {
+            var expression = rawValue,
+                unit = null;
+
+            if (this.props.unit) {
+                var split = unitUtil.splitSuffix(rawValue);
+
+                expression = split.expression;
+                unit = split.unit || this.props.unit;
+            }
+
             var value;
             try {
                 /*jslint evil: true */
-                value = mathjs.eval(rawValue);
+                value = mathjs.eval(expression);
                 /*jslint evil: false */
                 
                 // Run it through our simple parser to get rid of complex and big numbers
@@ -147,20 +291,28 @@ define(function (require, exports, module) {
                 value = null;
             }
 
-            if (_.isFinite(value)) {
-                return value;
-            } else {
+            if (!_.isFinite(value)) {
                 return null;
             }
+
+            return {
+                value: value,
+                unit: unit
+            };
         },
         
         /*
-         * Formats the number value into a string
+         * Formats the number value into a string. If the input has a unit, the
+         * value is formatted in the display unit, suffixed with the unit unless
+         * it is pixels.
          *
          * @param {?number|Immutable.Iterable.<number>} value Value of the input
+         * @param {object=} props Defaults to the current props
          * @return {string} empty string if null, number in string otherwise
          */
-        _formatValue: function (value) {
+        _formatValue: function (value, props) {
+            props = props || this.props;
+
             if (Immutable.Iterable.isIterable(value)) {
                 if (value.isEmpty()) {
                     return "";
@@ -175,7 +327,16 @@ define(function (require, exports, module) {
 
             switch (typeof value) {
             case "number":
-                return String(mathjs.round(value, this.props.precision));
+                if (props.unit) {
+                    var unit = props.unit,
+                        unitValue = unitUtil.fromPixels(value, unit, props.resolution),
+                        precision = Math.max(props.precision, unitUtil.displayPrecision(unit)),
+                        formattedValue = String(mathjs.round(unitValue, precision));
+
+                    return unit === unitUtil.DISPLAY_UNITS.PIXELS ? formattedValue : formattedValue + unit;
+                }
+
+                return String(mathjs.round(value, props.precision));
             case "string":
                 return value;
             default:
@@ -239,7 +400,7 @@ define(function (require, exports, module) {
          * 
          * @private
          * @param {SyntheticEvent} event
-         * @param {number} nextValue
+         * @param {number|Immutable.List.<number>} nextValue
          * @param {boolean} retainFocus
          */
         _commit: function (event, nextValue, retainFocus) {
@@ -267,7 +428,7 @@ define(function (require, exports, module) {
                 // If input hasn't changed, avoid multiple submits
                 var curValue = this.props.value;
                 if ((Immutable.Iterable.isIterable(curValue) && nextValue === collection.uniformValue(curValue)) ||
-                    nextValue === curValue) {
+                    Immutable.is(nextValue, curValue)) {
                     return;
                 }
 
@@ -323,6 +484,9 @@ define(function (require, exports, module) {
                     multiplier = key === "ArrowUp" ? 1 : -1;
                     multiplier *= event.shiftKey ? this.props.bigstep : 1;
                     increment = this.props.step * multiplier;
+                    if (this.props.unit) {
+                        increment = unitUtil.displayToPixels(increment, this.props.unit, this.props.resolution);
+                    }
                     nextValue += increment;
                     this.setState({
                         select: true
@@ -204,6 +204,8 @@ define(function (require, exports, module) {
             if (!this.state.editing) {
                 this._releaseFocus();
             } else {
+                this.props.onChange(event, nextValue);
+
                 this.setState({
                     select: true
                 });
@@ -87,8 +87,33 @@ define(function (require, exports, module) {
         LOCKS.JS_DIALOG
     ];
 
+    /**
+     * The lock which guards the state of each store, indexed by store name.
+     * Actions must hold the read lock of a store to access it, and its write
+     * lock to dispatch events that it handles. Stores without a lock, e.g.,
+     * example stores, are not verified.
+     *
+     * @const
+     * @type {Object.<string, string>}
+     */
+    var STORE_LOCKS = {
+        application: LOCKS.JS_APP,
+        document: LOCKS.JS_DOC,
+        font: LOCKS.JS_TYPE,
+        tool: LOCKS.JS_TOOL,
+        policy: LOCKS.JS_POLICY,
+        menu: LOCKS.JS_MENU,
+        preferences: LOCKS.JS_PREF,
+        ui: LOCKS.JS_UI,
+        shortcut: LOCKS.JS_SHORTCUT,
+        dialog: LOCKS.JS_DIALOG,
+        history: LOCKS.JS_HISTORY,
+        draganddrop: LOCKS.JS_UI
+    };
+
     module.exports = LOCKS;
     module.exports.ALL_LOCKS = ALL_LOCKS;
     module.exports.ALL_PS_LOCKS = ALL_PS_LOCKS;
     module.exports.ALL_JS_LOCKS = ALL_JS_LOCKS;
+    module.exports.STORE_LOCKS = STORE_LOCKS;
 });
@@ -59,9 +59,90 @@ define(function (require, exports, module) {
         /**
          * @type {?number} Leading (letter spacing) in pixels, or null if "auto-leading" is used.
          */
-        leading: null
+        leading: null,
+
+        /**
+         * @type {boolean} Whether the text is underlined
+         */
+        underline: false,
+
+        /**
+         * @type {boolean} Whether the text is struck through
+         */
+        strikethrough: false,
+
+        /**
+         * @type {string} Capitalization: "normal", "allCaps" or "smallCaps"
+         */
+        caps: "normal",
+
+        /**
+         * @type {string} Baseline position: "normal", "superScript" or "subScript"
+         */
+        baseline: "normal",
+
+        /**
+         * @type {number} Baseline shift in pixels
+         */
+        baselineShift: 0,
+
+        /**
+         * @type {string} Kerning mode: "metricsKern", "opticalKern" or "manual"
+         */
+        kerning: "metricsKern",
+
+        /**
+         * @type {boolean} Whether standard OpenType ligatures are used
+         */
+        ligatures: true,
+
+        /**
+         * @type {boolean} Whether OpenType old-style figures are used
+         */
+        oldStyleFigures: false
     });
 
+    /**
+     * Get a property of the given text style, falling back to the base parent
+     * style, and finally to the given default value.
+     *
+     * @private
+     * @param {object} textStyle
+     * @param {object} baseParentStyle
+     * @param {string} property
+     * @param {*} defaultValue
+     * @return {*}
+     */
+    var _getStyleProperty = function (textStyle, baseParentStyle, property, defaultValue) {
+        if (textStyle.hasOwnProperty(property)) {
+            return textStyle[property];
+        }
+
+        if (baseParentStyle && baseParentStyle.hasOwnProperty(property)) {
+            return baseParentStyle[property];
+        }
+
+        return defaultValue;
+    };
+
+    /**
+     * Get the value of an enumerated property of the given text style, which
+     * Photoshop describes as an {_enum, _value} object, falling back to the
+     * base parent style, and finally to the given default value.
+     *
+     * @private
+     * @param {object} textStyle
+     * @param {object} baseParentStyle
+     * @param {string} property
+     * @param {string} defaultValue
+     * @return {string}
+     */
+    var _getEnumStyleProperty = function (textStyle, baseParentStyle, property, defaultValue) {
+        var value = _getStyleProperty(textStyle, baseParentStyle, property, defaultValue);
+
+        return value && value.hasOwnProperty("_value") ? value._value : value;
+    };
+
     /**
      * Construct a CharacterStyle model from Photoshop descriptors.
      * 
@@ -126,6 +207,24 @@ define(function (require, exports, module) {
             model.leading = leading;
         }
 
+        var underline = _getEnumStyleProperty(textStyle, baseParentStyle, "underline", "underlineOff"),
+            strikethrough = _getEnumStyleProperty(textStyle, baseParentStyle, "strikethrough", "strikethroughOff");
+
+        model.underline = underline !== "underlineOff";
+        model.strikethrough = strikethrough !== "strikethroughOff";
+        model.caps = _getEnumStyleProperty(textStyle, baseParentStyle, "fontCaps", "normal");
+        model.baseline = _getEnumStyleProperty(textStyle, baseParentStyle, "baseline", "normal");
+        model.kerning = _getEnumStyleProperty(textStyle, baseParentStyle, "autoKern", "metricsKern");
+        model.ligatures = _getStyleProperty(textStyle, baseParentStyle, "ligature", true);
+        model.oldStyleFigures = _getStyleProperty(textStyle, baseParentStyle, "oldStyle", false);
+
+        var rawBaselineShift = _getStyleProperty(textStyle, baseParentStyle, "baselineShift", null),
+            baselineShift = rawBaselineShift && unitUtil.toPixels(rawBaselineShift, resolution);
+
+        if (typeof baselineShift === "number") {
+            model.baselineShift = baselineShift;
+        }
+
         return new CharacterStyle(model);
     };
 
@@ -0,0 +1,100 @@
+/*
+ * Copyright (c) 2014 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var Immutable = require("immutable");
+
+    var Color = require("./color"),
+        objUtil = require("js/util/object"),
+        layerEffectUtil = require("js/util/layereffect");
+
+    /**
+     * Model for a Photoshop color overlay layer effect.
+     * 
+     * @constructor
+     * @param {object} model
+     */
+    var ColorOverlay = Immutable.Record({
+        /**
+         * @type {boolean} True if the color overlay is enabled
+         */
+        enabled: true,
+
+        /**
+         * @type {Color} Color of the overlay, including its opacity
+         */
+        color: Color.DEFAULT,
+
+        /**
+        * @type {BlendMode} blend mode of the overlay
+        */
+        blendMode: "normal"
+    });
+
+    /**
+     * Convert the color overlay into an object suitable for the layer effect adapter library.
+     *
+     * @return {object}
+     */
+    ColorOverlay.prototype.toAdapterObject = function () {
+        return {
+            enabled: this.enabled,
+            color: this.color,
+            opacity: this.color && this.color.opacity,
+            blendMode: this.blendMode
+        };
+    };
+
+    /**
+     * Construct a color overlay model from a Photoshop "solidFill" layer effect descriptor.
+     * 
+     * @param {object} colorOverlayDescriptor
+     * @return {ColorOverlay}
+     */
+    ColorOverlay.fromColorOverlayDescriptor = function (colorOverlayDescriptor) {
+        var opacity = objUtil.getPath(colorOverlayDescriptor, "opacity._value"),
+            rawColor = objUtil.getPath(colorOverlayDescriptor, "color");
+
+        return new ColorOverlay({
+            enabled: colorOverlayDescriptor.enabled,
+            color: Color.fromPhotoshopColorObj(rawColor, opacity),
+            blendMode: objUtil.getPath(colorOverlayDescriptor, "mode._value") || "normal"
+        });
+    };
+
+    /**
+     * Construct a list of ColorOverlay models from a Photoshop layer descriptor.
+     * 
+     * @param {object} layerDescriptor
+     * @return {Immutable.List.<ColorOverlay>}
+     */
+    ColorOverlay.fromLayerDescriptor = function (layerDescriptor) {
+        return Immutable.List(layerEffectUtil.getEffectDescriptors(layerDescriptor, "solidFill")
+            .map(ColorOverlay.fromColorOverlayDescriptor));
+    };
+
+    module.exports = ColorOverlay;
+});
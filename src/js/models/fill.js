@@ -27,6 +27,9 @@ define(function (require, exports, module) {
     var Immutable = require("immutable");
 
     var Color = require("./color"),
+        Gradient = require("./gradient"),
+        Pattern = require("./pattern"),
+        ColorOverlay = require("./coloroverlay"),
         layerLib = require("adapter/lib/layer"),
         contentLayerLib = require("adapter/lib/contentLayer"),
         objUtil = require("js/util/object"),
@@ -63,11 +66,30 @@ define(function (require, exports, module) {
         /**
          * @type {{r: number, g: number, b: number, a: number}}
          */
-        color: Color.DEFAULT
+        color: Color.DEFAULT,
+
+        /**
+         * @type {?Gradient} Only populated for gradient fills
+         */
+        gradient: null,
+
+        /**
+         * @type {?Pattern} Only populated for pattern fills
+         */
+        pattern: null
     });
 
     /**
-     * Construct a list of Fill models from a Photoshop layer descriptor.
+     * The Photoshop layer effect type of the fills after the first.
+     *
+     * @const
+     * @type {string}
+     */
+    Fill.EFFECT_TYPE = "solidFill";
+
+    /**
+     * Construct a list of Fill models from a Photoshop layer descriptor: the
+     * shape's own fill followed by its color overlays.
      * 
      * @param {object} layerDescriptor
      * @return {Immutable.List.<Fill>}
@@ -93,14 +115,24 @@ define(function (require, exports, module) {
                     throw new Error("Fill type not supplied or type unknown");
                 }
 
-                // Color - Only popluate for solidColor fills
+                var fillOpacity = (layerDescriptor.fillOpacity / 255) * 100;
+
+                // Color - Only popluate for solidColor fills. For other fill types,
+                // the color only carries the fill opacity.
                 if (model.type === contentLayerLib.contentTypes.SOLID_COLOR && typeof color === "object") {
-                    var fillOpacity = layerDescriptor.fillOpacity;
-                    model.color = Color.fromPhotoshopColorObj(color, (fillOpacity / 255) * 100);
+                    model.color = Color.fromPhotoshopColorObj(color, fillOpacity);
+                } else if (!isNaN(fillOpacity)) {
+                    model.color = Color.DEFAULT.setOpacity(fillOpacity);
+                }
+
+                if (model.type === contentLayerLib.contentTypes.GRADIENT) {
+                    model.gradient = Gradient.fromGradientLayerDescriptor(adjustment);
+                } else if (model.type === contentLayerLib.contentTypes.PATTERN) {
+                    model.pattern = Pattern.fromPatternLayerDescriptor(adjustment);
                 }
 
                 var fill = new Fill(model);
-                return Immutable.List.of(fill);
+                return Fill.fromColorOverlayDescriptors(layerDescriptor).unshift(fill);
             } catch (err) {
                 var message = err instanceof Error ? (err.stack || err.message) : err;
 
@@ -112,23 +144,66 @@ define(function (require, exports, module) {
     };
 
     /**
-     * Construct a Fill model from a Photoshop "set" descriptor.
+     * Construct a Fill model from a color overlay layer effect, which backs
+     * each but the first fill of a layer.
+     *
+     * @param {ColorOverlay} colorOverlay
+     * @return {Fill}
+     */
+    Fill.fromColorOverlay = function (colorOverlay) {
+        return new Fill({
+            type: contentLayerLib.contentTypes.SOLID_COLOR,
+            enabled: colorOverlay.enabled,
+            color: colorOverlay.color
+        });
+    };
+
+    /**
+     * Construct a list of Fill models from the color overlay layer effects
+     * described by a Photoshop layer descriptor.
+     *
+     * @param {object} layerDescriptor
+     * @return {Immutable.List.<Fill>}
+     */
+    Fill.fromColorOverlayDescriptors = function (layerDescriptor) {
+        return ColorOverlay.fromLayerDescriptor(layerDescriptor).map(Fill.fromColorOverlay).toList();
+    };
+
+    /**
+     * Construct a Fill model from a Photoshop "set" descriptor. Descriptors
+     * without fill contents yield a default solid color fill.
      *
      * @param {object} setDescriptor
      * @return {Fill}
      */
     Fill.fromSetDescriptor = function (setDescriptor) {
-        var rawColor = objUtil.getPath(setDescriptor, "to.fillContents.color"),
-            rawType = objUtil.getPath(setDescriptor, "to.fillContents._obj");
+        var fillContents = objUtil.getPath(setDescriptor, "to.fillContents") || {},
+            rawType = objUtil.getPath(setDescriptor, "to.fillContents._obj") ||
+                contentLayerLib.contentTypes.SOLID_COLOR;
 
-        return new Fill({
-            color: Color.fromPhotoshopColorObj(rawColor),
-            type: rawType
-        });
+        switch (rawType) {
+        case contentLayerLib.contentTypes.GRADIENT:
+            return new Fill({
+                gradient: Gradient.fromGradientLayerDescriptor(fillContents),
+                type: rawType
+            });
+        case contentLayerLib.contentTypes.PATTERN:
+            return new Fill({
+                pattern: Pattern.fromPatternLayerDescriptor(fillContents),
+                type: rawType
+            });
+        default:
+            return new Fill({
+                color: fillContents.color ? Color.fromPhotoshopColorObj(fillContents.color, 100) : Color.DEFAULT,
+                type: rawType
+            });
+        }
     };
 
     /**
-     * Update certain DropShadow properties.
+     * Update certain Fill properties. Gradient and pattern properties are
+     * merged into the existing gradient or pattern, if any, and change the
+     * fill type accordingly.
      * 
      * @param {object} fillProperties
      * @return {Fill}
@@ -150,9 +225,38 @@ define(function (require, exports, module) {
                 model.color = this.color.setOpacity(fillProperties.opacity);
             }
 
+            if (fillProperties.gradient) {
+                var gradient = this.gradient || Gradient.fromColor(this.color.setOpacity(100));
+
+                model.gradient = gradient.merge(fillProperties.gradient);
+                model.type = contentLayerLib.contentTypes.GRADIENT;
+            } else if (fillProperties.pattern) {
+                var pattern = this.pattern || new Pattern();
+
+                model.pattern = pattern.merge(fillProperties.pattern);
+                model.type = contentLayerLib.contentTypes.PATTERN;
+            }
+
             model.enabled = fillProperties.enabled;
         }.bind(this));
     };
 
+    /**
+     * Convert this fill into an object suitable for setting the color overlay
+     * layer effect which backs it. Only solid color fills can be converted.
+     *
+     * @return {object}
+     */
+    Fill.prototype.toColorOverlayAdapterObject = function () {
+        if (this.type !== contentLayerLib.contentTypes.SOLID_COLOR) {
+            throw new Error("Only solid color fills can be color overlays");
+        }
+
+        return new ColorOverlay({
+            enabled: this.enabled,
+            color: this.color
+        }).toAdapterObject();
+    };
+
     module.exports = Fill;
 });
@@ -0,0 +1,115 @@
+/*
+ * Copyright (c) 2014 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var Immutable = require("immutable");
+
+    var Color = require("./color"),
+        objUtil = require("js/util/object"),
+        layerEffectUtil = require("js/util/layereffect");
+
+    /**
+     * Model for a Photoshop outer or inner glow layer effect.
+     * 
+     * @constructor
+     * @param {object} model
+     */
+    var Glow = Immutable.Record({
+        /**
+         * @type {boolean} True if glow is enabled
+         */
+        enabled: true,
+
+        /**
+         * @type {Color} Color of the glow
+         */
+        color: new Color({ r: 255, g: 255, b: 190, a: 0.75 }),
+
+        /**
+         * @type {number} blur size in pixels
+         */
+        blur: 5,
+
+        /**
+         * @type {number} spread (or, for inner glows, choke) as a percentage
+         */
+        spread: 0,
+
+        /**
+        * @type {BlendMode} blend mode of the glow
+        */
+        blendMode: "screen"
+    });
+
+    /**
+     * Convert the glow into an object suitable for the layer effect adapter library.
+     *
+     * @return {object}
+     */
+    Glow.prototype.toAdapterObject = function () {
+        return {
+            enabled: this.enabled,
+            color: this.color,
+            opacity: this.color && this.color.opacity,
+            chokeMatte: this.spread,
+            blur: this.blur,
+            blendMode: this.blendMode
+        };
+    };
+
+    /**
+     * Construct a glow model from a Photoshop outer or inner glow descriptor.
+     * 
+     * @param {object} glowDescriptor
+     * @return {Glow}
+     */
+    Glow.fromGlowDescriptor = function (glowDescriptor) {
+        var opacity = objUtil.getPath(glowDescriptor, "opacity._value"),
+            rawColor = objUtil.getPath(glowDescriptor, "color");
+
+        return new Glow({
+            enabled: glowDescriptor.enabled,
+            color: Color.fromPhotoshopColorObj(rawColor, opacity),
+            blur: objUtil.getPath(glowDescriptor, "blur._value"),
+            spread: objUtil.getPath(glowDescriptor, "chokeMatte._value"),
+            blendMode: objUtil.getPath(glowDescriptor, "mode._value")
+        });
+    };
+
+    /**
+     * Construct a list of Glow models of the given kind from a Photoshop layer descriptor.
+     * 
+     * @param {object} layerDescriptor
+     * @param {string} kind Either "outerGlow" or "innerGlow"
+     * @return {Immutable.List.<Glow>}
+     */
+    Glow.fromLayerDescriptor = function (layerDescriptor, kind) {
+        return Immutable.List(layerEffectUtil.getEffectDescriptors(layerDescriptor, kind)
+            .map(Glow.fromGlowDescriptor));
+    };
+
+    module.exports = Glow;
+});
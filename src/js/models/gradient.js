@@ -0,0 +1,376 @@
+/*
+ * Copyright (c) 2014 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var Immutable = require("immutable"),
+        mathjs = require("mathjs"),
+        _ = require("lodash");
+
+    var Color = require("./color"),
+        objUtil = require("js/util/object"),
+        unitUtil = require("js/util/unit");
+
+    /**
+     * @const
+     * @type {number} Photoshop gradient stop locations are integers in [0, MAX_LOCATION]
+     */
+    var MAX_LOCATION = 4096;
+
+    /**
+     * Convert a Photoshop gradient stop location into a percentage.
+     *
+     * @private
+     * @param {number} location In [0, 4096]
+     * @return {number} In [0, 100]
+     */
+    var _locationToPercentage = function (location) {
+        return mathjs.round((location / MAX_LOCATION) * 100, 2);
+    };
+
+    /**
+     * Convert a percentage into a Photoshop gradient stop location.
+     *
+     * @private
+     * @param {number} percentage In [0, 100]
+     * @return {number} In [0, 4096]
+     */
+    var _percentageToLocation = function (percentage) {
+        return Math.round((percentage / 100) * MAX_LOCATION);
+    };
+
+    /**
+     * Photoshop stores the color and transparency stops of a gradient separately.
+     * Find the opacity percentage of the gradient at the given location by linearly
+     * interpolating between the surrounding transparency stops.
+     *
+     * @private
+     * @param {Array.<object>} transparencyDescriptors
+     * @param {number} location In [0, 4096]
+     * @return {number} In [0, 100]
+     */
+    var _interpolateOpacity = function (transparencyDescriptors, location) {
+        if (!transparencyDescriptors || transparencyDescriptors.length === 0) {
+            return 100;
+        }
+
+        var opacityAt = function (transparencyDescriptor) {
+                return objUtil.getPath(transparencyDescriptor, "opacity._value");
+            },
+            sorted = transparencyDescriptors.slice().sort(function (a, b) {
+                return a.location - b.location;
+            }),
+            first = sorted[0],
+            last = sorted[sorted.length - 1];
+
+        if (location <= first.location) {
+            return opacityAt(first);
+        }
+
+        if (location >= last.location) {
+            return opacityAt(last);
+        }
+
+        var nextIndex = _.findIndex(sorted, function (transparencyDescriptor) {
+                return transparencyDescriptor.location >= location;
+            }),
+            previous = sorted[nextIndex - 1],
+            next = sorted[nextIndex],
+            ratio = (location - previous.location) / (next.location - previous.location);
+
+        return mathjs.round(opacityAt(previous) + ratio * (opacityAt(next) - opacityAt(previous)), 2);
+    };
+
+    /**
+     * Model for a single color stop of a gradient.
+     *
+     * @constructor
+     * @param {object} model
+     */
+    var GradientStop = Immutable.Record({
+        /**
+         * @type {number} Location of the stop along the gradient, in [0, 100]
+         */
+        location: 0,
+
+        /**
+         * @type {number} Location of the midpoint between this stop and the
+         *  next, as a percentage of the distance between them
+         */
+        midpoint: 50,
+
+        /**
+         * @type {Color} Color of the stop, including its opacity
+         */
+        color: Color.DEFAULT
+    });
+
+    /**
+     * Model for a Photoshop gradient fill.
+     *
+     * @constructor
+     * @param {object} model
+     */
+    var Gradient = Immutable.Record({
+        /**
+         * @type {string} One of linear, radial, angle, reflected or diamond
+         */
+        type: "linear",
+
+        /**
+         * @type {number} Angle of the gradient in degrees, in [-180, 180]
+         */
+        angle: 90,
+
+        /**
+         * @type {number} Scale of the gradient as a percentage
+         */
+        scale: 100,
+
+        /**
+         * @type {boolean} True if the order of the stops is reversed
+         */
+        reverse: false,
+
+        /**
+         * @type {boolean} True if the gradient is dithered
+         */
+        dither: false,
+
+        /**
+         * @type {boolean} True if the gradient is aligned with the layer bounds
+         */
+        alignWithLayer: true,
+
+        /**
+         * @type {Immutable.List.<GradientStop>} Color stops, ordered by location
+         */
+        colorStops: Immutable.List()
+    });
+
+    /**
+     * @type {function(object)}
+     */
+    Gradient.Stop = GradientStop;
+
+    /**
+     * The set of gradient types supported by Photoshop.
+     *
+     * @const
+     * @type {Array.<string>}
+     */
+    Gradient.TYPES = ["linear", "radial", "angle", "reflected", "diamond"];
+
+    /**
+     * Construct a two-stop gradient that fades from the given color to
+     * transparent, e.g., to convert a solid fill to a gradient fill.
+     *
+     * @param {Color=} color Defaults to Color.DEFAULT
+     * @return {Gradient}
+     */
+    Gradient.fromColor = function (color) {
+        color = color || Color.DEFAULT;
+
+        return new Gradient({
+            colorStops: Immutable.List.of(
+                new GradientStop({ location: 0, color: color }),
+                new GradientStop({ location: 100, color: color.setOpacity(0) })
+            )
+        });
+    };
+
+    /**
+     * Construct a gradient model from the Photoshop descriptor of a gradientLayer
+     * adjustment, which is typically included as the adjustment property of a
+     * vector layer.
+     *
+     * @param {object} gradientLayerDescriptor
+     * @return {Gradient}
+     */
+    Gradient.fromGradientLayerDescriptor = function (gradientLayerDescriptor) {
+        var gradientDescriptor = gradientLayerDescriptor.gradient || {},
+            colorDescriptors = gradientDescriptor.colors || [],
+            transparencyDescriptors = gradientDescriptor.transparency;
+
+        var colorStops = colorDescriptors
+            .map(function (colorDescriptor) {
+                var location = colorDescriptor.location,
+                    opacity = _interpolateOpacity(transparencyDescriptors, location),
+                    color = colorDescriptor.color ?
+                        Color.fromPhotoshopColorObj(colorDescriptor.color, opacity) :
+                        Color.DEFAULT.setOpacity(opacity);
+
+                return new GradientStop({
+                    location: _locationToPercentage(location),
+                    midpoint: colorDescriptor.midpoint,
+                    color: color
+                });
+            })
+            .sort(function (a, b) {
+                return a.location - b.location;
+            });
+
+        return new Gradient({
+            type: objUtil.getPath(gradientLayerDescriptor, "type._value") || "linear",
+            angle: objUtil.getPath(gradientLayerDescriptor, "angle._value") || 0,
+            scale: objUtil.getPath(gradientLayerDescriptor, "scale._value") || 100,
+            reverse: !!gradientLayerDescriptor.reverse,
+            dither: !!gradientLayerDescriptor.dither,
+            alignWithLayer: gradientLayerDescriptor.align !== false,
+            colorStops: Immutable.List(colorStops)
+        });
+    };
+
+    /**
+     * Represent this gradient as the Photoshop descriptor of a gradientLayer
+     * adjustment, i.e., the inverse of fromGradientLayerDescriptor. Because
+     * Photoshop stores color and transparency stops separately, each stop is
+     * split into a color stop and a transparency stop at the same location.
+     *
+     * @return {object}
+     */
+    Gradient.prototype.toGradientLayerDescriptor = function () {
+        var stops = this.colorStops.toArray();
+
+        return {
+            _obj: "gradientLayer",
+            type: {
+                _enum: "gradientType",
+                _value: this.type
+            },
+            angle: unitUtil.angle(this.angle),
+            scale: unitUtil.percent(this.scale),
+            reverse: this.reverse,
+            dither: this.dither,
+            align: this.alignWithLayer,
+            gradient: {
+                _obj: "gradientClassEvent",
+                gradientForm: {
+                    _enum: "gradientForm",
+                    _value: "customStops"
+                },
+                colors: stops.map(function (stop) {
+                    var color = stop.color;
+
+                    return {
+                        _obj: "colorStop",
+                        color: {
+                            _obj: "RGBColor",
+                            red: color.r,
+                            grain: color.g,
+                            blue: color.b
+                        },
+                        type: {
+                            _enum: "colorStopType",
+                            _value: "userStop"
+                        },
+                        location: _percentageToLocation(stop.location),
+                        midpoint: stop.midpoint
+                    };
+                }),
+                transparency: stops.map(function (stop) {
+                    return {
+                        _obj: "transferSpec",
+                        opacity: unitUtil.percent(stop.color.opacity),
+                        location: _percentageToLocation(stop.location),
+                        midpoint: stop.midpoint
+                    };
+                })
+            }
+        };
+    };
+
+    /**
+     * Add a stop at the given location, with the color of the nearest existing
+     * stop.
+     *
+     * @param {number} location In [0, 100]
+     * @return {Gradient}
+     */
+    Gradient.prototype.addStop = function (location) {
+        var nearest = this.colorStops.minBy(function (stop) {
+                return Math.abs(stop.location - location);
+            }),
+            stop = new GradientStop({
+                location: location,
+                color: nearest ? nearest.color : Color.DEFAULT
+            });
+
+        return this.set("colorStops", this.colorStops.push(stop).sortBy(function (stop) {
+            return stop.location;
+        }));
+    };
+
+    /**
+     * Remove the stop at the given index. Photoshop gradients require at least
+     * two stops, so the last two stops are never removed.
+     *
+     * @param {number} index
+     * @return {Gradient}
+     */
+    Gradient.prototype.removeStop = function (index) {
+        if (this.colorStops.size <= 2) {
+            return this;
+        }
+
+        return this.set("colorStops", this.colorStops.delete(index));
+    };
+
+    /**
+     * Update the properties of the stop at the given index, keeping the stops
+     * ordered by location.
+     *
+     * @param {number} index
+     * @param {object} stopProperties
+     * @return {Gradient}
+     */
+    Gradient.prototype.setStopProperties = function (index, stopProperties) {
+        var nextStops = this.colorStops.update(index, function (stop) {
+            return stop.merge(stopProperties);
+        });
+
+        return this.set("colorStops", nextStops.sortBy(function (stop) {
+            return stop.location;
+        }));
+    };
+
+    /**
+     * A CSS background-image value that previews this gradient, ignoring its
+     * type, angle and scale.
+     *
+     * @return {string}
+     */
+    Gradient.prototype.toCSS = function () {
+        var stops = this.reverse ? this.colorStops.reverse().map(function (stop) {
+            return stop.set("location", 100 - stop.location);
+        }) : this.colorStops;
+
+        return "linear-gradient(to right, " + stops.map(function (stop) {
+            var color = stop.color;
+            return "rgba(" + [color.r, color.g, color.b, color.a].join(", ") + ") " + stop.location + "%";
+        }).join(", ") + ")";
+    };
+
+    module.exports = Gradient;
+});
@@ -34,6 +34,9 @@ define(function (require, exports, module) {
         Stroke = require("./stroke"),
         Fill = require("./fill"),
         Shadow = require("./shadow"),
+        Glow = require("./glow"),
+        ColorOverlay = require("./coloroverlay"),
+        StrokeEffect = require("./strokeeffect"),
         Text = require("./text");
 
     /**
@@ -98,7 +101,8 @@ define(function (require, exports, module) {
         blendMode: "normal",
 
         /**
-         * @type {Immutable.List.<Stroke>} stroke information
+         * @type {Immutable.List.<Stroke>} stroke information. The first stroke is the shape's own
+         *  stroke; any additional strokes are stroke layer effects.
          */
         strokes: null,
 
@@ -108,7 +112,8 @@ define(function (require, exports, module) {
         radii: null,
 
         /**
-         * @type {Immutable.List.<Fill>}
+         * @type {Immutable.List.<Fill>} The first fill is the shape's own fill; any additional
+         *  fills are color overlay layer effects.
          */
         fills: null,
 
@@ -122,6 +127,28 @@ define(function (require, exports, module) {
          */
         innerShadows: null,
 
+        /**
+         * @type {Immutable.List.<Glow>}
+         */
+        outerGlows: null,
+
+        /**
+         * @type {Immutable.List.<Glow>}
+         */
+        innerGlows: null,
+
+        /**
+         * @type {Immutable.List.<ColorOverlay>} Color overlays of non-vector layers. The color
+         *  overlays of vector layers are instead modeled as their additional fills.
+         */
+        colorOverlays: null,
+
+        /**
+         * @type {Immutable.List.<StrokeEffect>} Stroke effects of non-vector layers. The stroke
+         *  effects of vector layers are instead modeled as their additional strokes.
+         */
+        strokeEffects: null,
+
         /**
          * @type {text}
          */
@@ -155,12 +182,27 @@ define(function (require, exports, module) {
 
     Layer.layerKinds = layerLib.layerKinds;
 
+    /**
+     * Map of layer effect types to the layer properties which hold them
+     *
+     * @private
+     * @type {Object.<string, string>}
+     */
+    var _layerEffectProperties = {
+        dropShadow: "dropShadows",
+        innerShadow: "innerShadows",
+        outerGlow: "outerGlows",
+        innerGlow: "innerGlows",
+        solidFill: "colorOverlays",
+        frameFX: "strokeEffects"
+    };
+
     /**
      * Array of available layer effect types
      *
      * @type {Set.<string>}
      */
-    Layer.layerEffectTypes = new Set(["dropShadow", "innerShadow"]);
+    Layer.layerEffectTypes = new Set(Object.keys(_layerEffectProperties));
 
     Object.defineProperties(Layer.prototype, object.cachedGetSpecs({
         /**
@@ -206,13 +248,12 @@ define(function (require, exports, module) {
 
     /**
      * Retrieve the list of layer effects based on the provided type
-     * This currently assumes a simple "pluralization" rule
      *
      * @param {string} layerEffectType
      * @return {Immutable.List<Layer>}
      */
     Layer.prototype.getLayerEffectsByType = function (layerEffectType) {
-        return this[layerEffectType + "s"];
+        return this[_layerEffectProperties[layerEffectType]];
     };
 
     /**
@@ -223,7 +264,18 @@ define(function (require, exports, module) {
      * @param {object} layerEffect instance of a layer effect such as a Shadow
      */
     Layer.prototype.setLayerEffectByType = function (layerEffectType, layerEffectIndex, layerEffect) {
-        return this.setIn([layerEffectType + "s", layerEffectIndex], layerEffect);
+        return this.setIn([_layerEffectProperties[layerEffectType], layerEffectIndex], layerEffect);
+    };
+
+    /**
+     * Replace the list of layer effects of the given type
+     *
+     * @param {string} layerEffectType eg "dropShadow"
+     * @param {Immutable.List} layerEffects
+     * @return {Layer}
+     */
+    Layer.prototype.setLayerEffectsByType = function (layerEffectType, layerEffects) {
+        return this.set(_layerEffectProperties[layerEffectType], layerEffects);
     };
 
     /**
@@ -233,10 +285,19 @@ define(function (require, exports, module) {
      * @return {LayerEffect}  instance of a layer effect such as a Shadow
      */
     Layer.newLayerEffectByType = function (layerEffectType) {
-        if (layerEffectType === "dropShadow" || layerEffectType === "innerShadow") {
+        switch (layerEffectType) {
+        case "dropShadow":
+        case "innerShadow":
             return new Shadow();
-        } else {
-            throw new Error("Can not generate layer effect model for unknown type: %s", layerEffectType);
+        case "outerGlow":
+        case "innerGlow":
+            return new Glow();
+        case "solidFill":
+            return new ColorOverlay();
+        case "frameFX":
+            return new StrokeEffect();
+        default:
+            throw new Error("Can not generate layer effect model for unknown type: " + layerEffectType);
         }
     };
 
@@ -295,6 +356,36 @@ define(function (require, exports, module) {
         return !!object.getPath(layerDescriptor, "layerEffects");
     };
 
+    /**
+     * Get the color overlays of a non-vector layer from its descriptor. The
+     * color overlays of vector layers are modeled as fills instead.
+     * 
+     * @param {object} layerDescriptor
+     * @return {Immutable.List.<ColorOverlay>}
+     */
+    var _extractColorOverlays = function (layerDescriptor) {
+        if (layerDescriptor.layerKind === layerLib.layerKinds.VECTOR) {
+            return Immutable.List();
+        }
+
+        return ColorOverlay.fromLayerDescriptor(layerDescriptor);
+    };
+
+    /**
+     * Get the stroke effects of a non-vector layer from its descriptor. The
+     * stroke effects of vector layers are modeled as strokes instead.
+     * 
+     * @param {object} layerDescriptor
+     * @return {Immutable.List.<StrokeEffect>}
+     */
+    var _extractStrokeEffects = function (layerDescriptor) {
+        if (layerDescriptor.layerKind === layerLib.layerKinds.VECTOR) {
+            return Immutable.List();
+        }
+
+        return StrokeEffect.fromLayerDescriptor(layerDescriptor);
+    };
+
     /**
      * Construct a Layer model from information Photoshop gives after grouping layers
      *
@@ -320,6 +411,10 @@ define(function (require, exports, module) {
             strokes: Immutable.List(),
             dropShadows: Immutable.List(),
             innerShadows: Immutable.List(),
+            outerGlows: Immutable.List(),
+            innerGlows: Immutable.List(),
+            colorOverlays: Immutable.List(),
+            strokeEffects: Immutable.List(),
             mode: "passThrough",
             proportionalScaling: false,
             isArtboard: false,
@@ -366,6 +461,10 @@ define(function (require, exports, module) {
             fills: Fill.fromLayerDescriptor(layerDescriptor),
             dropShadows: Shadow.fromLayerDescriptor(layerDescriptor, "dropShadow"),
             innerShadows: Shadow.fromLayerDescriptor(layerDescriptor, "innerShadow"),
+            outerGlows: Glow.fromLayerDescriptor(layerDescriptor, "outerGlow"),
+            innerGlows: Glow.fromLayerDescriptor(layerDescriptor, "innerGlow"),
+            colorOverlays: _extractColorOverlays(layerDescriptor),
+            strokeEffects: _extractStrokeEffects(layerDescriptor),
             text: Text.fromLayerDescriptor(resolution, layerDescriptor),
             proportionalScaling: layerDescriptor.proportionalScaling,
             isArtboard: layerDescriptor.artboardEnabled
@@ -400,6 +499,10 @@ define(function (require, exports, module) {
                 fills: Fill.fromLayerDescriptor(layerDescriptor),
                 dropShadows: Shadow.fromLayerDescriptor(layerDescriptor, "dropShadow"),
                 innerShadows: Shadow.fromLayerDescriptor(layerDescriptor, "innerShadow"),
+                outerGlows: Glow.fromLayerDescriptor(layerDescriptor, "outerGlow"),
+                innerGlows: Glow.fromLayerDescriptor(layerDescriptor, "innerGlow"),
+                colorOverlays: _extractColorOverlays(layerDescriptor),
+                strokeEffects: _extractStrokeEffects(layerDescriptor),
                 text: Text.fromLayerDescriptor(resolution, layerDescriptor),
                 proportionalScaling: layerDescriptor.proportionalScaling,
                 isArtboard: layerDescriptor.artboardEnabled
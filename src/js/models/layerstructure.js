@@ -263,20 +263,28 @@ define(function (require, exports, module) {
             }, this);
         },
 
+        /**
+         * Child-encompassing bounds objects of the selected layers that have
+         * non-empty bounds, by layer ID.
+         * @type {Immutable.OrderedMap.<number, Bounds>}
+         */
+        "selectedChildBoundsByID": function () {
+            var childBoundsEntries = this.selected.map(function (layer) {
+                return [layer.id, this.childBounds(layer)];
+            }, this);
+
+            return Immutable.OrderedMap(childBoundsEntries)
+                .filter(function (bounds) {
+                    return bounds && bounds.area > 0;
+                });
+        },
+
         /**
          * Child-encompassing bounds objects for all the selected layers.
          * @type {Immutable.List.<Bounds>}
          */
         "selectedChildBounds": function () {
-            return this.selected
-                .toSeq()
-                .map(function (layer) {
-                    return this.childBounds(layer);
-                }, this)
-                .filter(function (bounds) {
-                    return bounds && bounds.area > 0;
-                })
-                .toList();
+            return this.selectedChildBoundsByID.toList();
         },
 
         /**
@@ -705,6 +713,23 @@ define(function (require, exports, module) {
         }
     }));
 
+    /**
+     * Map the IDs of the selected layers to a list of values parallel to
+     * selectedChildBounds, e.g. the values that a relative entry produces
+     * for a mixed selection. Selected layers without bounds get no entry.
+     * Any other value applies to every layer and is returned unchanged.
+     *
+     * @param {*|Immutable.List.<*>} values
+     * @return {*|Immutable.Map.<number, *>}
+     */
+    LayerStructure.prototype.zipSelectedChildBounds = function (values) {
+        if (!Immutable.List.isList(values)) {
+            return values;
+        }
+
+        return Immutable.Map(this.selectedChildBoundsByID.keySeq().zip(values));
+    };
+
     /**
      * Create a new non-group layer model from a Photoshop layer descriptor and
      * add it to the structure.
@@ -1128,19 +1153,22 @@ define(function (require, exports, module) {
     };
 
     /**
-     * Set the border radii of the given layers.
+     * Set the border radii of the given layers. Corners omitted from the given
+     * radii keep their current radius in each layer.
      * 
      * @param {Immutable.Iteralble.<number>} layerIDs
-     * @param {Radii} radii
+     * @param {Radii|object} radii
      * @return {LayerStructure}
      */
     LayerStructure.prototype.setBorderRadii = function (layerIDs, radii) {
-        var nextRadii = new Radii(radii),
-            nextLayers = Immutable.Map(layerIDs.reduce(function (map, layerID) {
+        var nextLayers = Immutable.Map(layerIDs.reduce(function (map, layerID) {
+                var layer = this.byID(layerID),
+                    nextRadii = layer.radii ? layer.radii.merge(radii) : new Radii(radii);
+
                 return map.set(layerID, Immutable.Map({
                     radii: nextRadii
                 }));
-            }, new Map()));
+            }, new Map(), this));
 
         return this.mergeDeep({
             layers: nextLayers
@@ -1170,9 +1198,8 @@ define(function (require, exports, module) {
             return map.set(layerID, nextLayer);
         }, new Map(), this));
 
-        return this.mergeDeep({
-            layers: nextLayers
-        });
+        // .merge is used here instead of mergeDeep so that gradient stops can be removed
+        return this.set("layers", this.layers.merge(nextLayers));
     };
 
     /**
@@ -1202,6 +1229,90 @@ define(function (require, exports, module) {
         });
     };
 
+    /**
+     * Replace the fills or strokes of the given layers.
+     *
+     * @private
+     * @param {Immutable.Iterable.<number>} layerIDs
+     * @param {string} key Either "fills" or "strokes"
+     * @param {function(Immutable.List, Layer): Immutable.List} updater Returns a layer's next fills or strokes
+     * @return {LayerStructure}
+     */
+    LayerStructure.prototype._updateLayerLists = function (layerIDs, key, updater) {
+        var nextLayers = Immutable.Map(layerIDs.reduce(function (map, layerID) {
+            var layer = this.byID(layerID),
+                list = layer.get(key) || Immutable.List();
+
+            return map.set(layerID, layer.set(key, updater(list, layer)));
+        }, new Map(), this));
+
+        return this.set("layers", this.layers.merge(nextLayers));
+    };
+
+    /**
+     * Move the element at the given index of a list to the target index.
+     *
+     * @private
+     * @param {Immutable.List} list
+     * @param {number} index
+     * @param {number} targetIndex
+     * @return {Immutable.List}
+     */
+    var _moveListElement = function (list, index, targetIndex) {
+        if (!list.has(index) || !list.has(targetIndex)) {
+            throw new Error("Unable to move element " + index + " to " + targetIndex + " of " + list.size);
+        }
+
+        var element = list.get(index);
+
+        return list.delete(index).insert(targetIndex, element);
+    };
+
+    /**
+     * Append the given fill, which is backed by a color overlay, to the fills
+     * of the given layers.
+     *
+     * @param {Immutable.Iterable.<number>} layerIDs
+     * @param {Fill} fill
+     * @return {LayerStructure}
+     */
+    LayerStructure.prototype.appendFill = function (layerIDs, fill) {
+        return this._updateLayerLists(layerIDs, "fills", function (fills) {
+            return fills.push(fill);
+        });
+    };
+
+    /**
+     * Remove the fill at the given index of the given layers.
+     *
+     * @param {Immutable.Iterable.<number>} layerIDs
+     * @param {number} fillIndex
+     * @return {LayerStructure}
+     */
+    LayerStructure.prototype.removeFill = function (layerIDs, fillIndex) {
+        return this._updateLayerLists(layerIDs, "fills", function (fills, layer) {
+            if (!fills.has(fillIndex)) {
+                throw new Error("Unable to remove fill: no fill at index " + fillIndex + " of layer " + layer.id);
+            }
+
+            return fills.delete(fillIndex);
+        });
+    };
+
+    /**
+     * Move the fill at the given index of the given layers to the target index.
+     *
+     * @param {Immutable.Iterable.<number>} layerIDs
+     * @param {number} fillIndex
+     * @param {number} targetIndex
+     * @return {LayerStructure}
+     */
+    LayerStructure.prototype.reorderFill = function (layerIDs, fillIndex, targetIndex) {
+        return this._updateLayerLists(layerIDs, "fills", function (fills) {
+            return _moveListElement(fills, fillIndex, targetIndex);
+        });
+    };
+
     /**
      * Set basic properties of the stroke at the given index of the given layers.
      * 
@@ -1225,9 +1336,7 @@ define(function (require, exports, module) {
             return map.set(layerID, nextLayer);
         }, new Map(), this));
 
-        return this.mergeDeep({
-            layers: nextLayers
-        });
+        return this.set("layers", this.layers.merge(nextLayers));
     };
 
     /**
@@ -1266,6 +1375,51 @@ define(function (require, exports, module) {
         });
     };
 
+    /**
+     * Append the given stroke, which is backed by a stroke layer effect, to the
+     * strokes of the given layers.
+     *
+     * @param {Immutable.Iterable.<number>} layerIDs
+     * @param {Stroke} stroke
+     * @return {LayerStructure}
+     */
+    LayerStructure.prototype.appendStroke = function (layerIDs, stroke) {
+        return this._updateLayerLists(layerIDs, "strokes", function (strokes) {
+            return strokes.push(stroke);
+        });
+    };
+
+    /**
+     * Remove the stroke at the given index of the given layers.
+     *
+     * @param {Immutable.Iterable.<number>} layerIDs
+     * @param {number} strokeIndex
+     * @return {LayerStructure}
+     */
+    LayerStructure.prototype.removeStroke = function (layerIDs, strokeIndex) {
+        return this._updateLayerLists(layerIDs, "strokes", function (strokes, layer) {
+            if (!strokes.has(strokeIndex)) {
+                throw new Error("Unable to remove stroke: no stroke at index " + strokeIndex + " of layer " + layer.id);
+            }
+
+            return strokes.delete(strokeIndex);
+        });
+    };
+
+    /**
+     * Move the stroke at the given index of the given layers to the target index.
+     *
+     * @param {Immutable.Iterable.<number>} layerIDs
+     * @param {number} strokeIndex
+     * @param {number} targetIndex
+     * @return {LayerStructure}
+     */
+    LayerStructure.prototype.reorderStroke = function (layerIDs, strokeIndex, targetIndex) {
+        return this._updateLayerLists(layerIDs, "strokes", function (strokes) {
+            return _moveListElement(strokes, strokeIndex, targetIndex);
+        });
+    };
+
     /**
      * Set basic properties of the layerEffect at the given index of the given layers.
      * 
@@ -1310,6 +1464,85 @@ define(function (require, exports, module) {
         });
     };
 
+    /**
+     * Replace the layer effects of the given type of the given layers.
+     *
+     * @private
+     * @param {Immutable.Iterable.<number>} layerIDs
+     * @param {string} layerEffectType
+     * @param {function(Immutable.List, Layer): Immutable.List} updater Returns a layer's next layer effects
+     * @return {LayerStructure}
+     */
+    LayerStructure.prototype._updateLayerEffects = function (layerIDs, layerEffectType, updater) {
+        if (!Layer.layerEffectTypes.has(layerEffectType)) {
+            throw new Error("Invalid layerEffectType supplied");
+        }
+
+        var nextLayers = Immutable.Map(layerIDs.reduce(function (map, layerID) {
+            var layer = this.byID(layerID),
+                layerEffects = layer.getLayerEffectsByType(layerEffectType) || Immutable.List();
+
+            return map.set(layerID, layer.setLayerEffectsByType(layerEffectType, updater(layerEffects, layer)));
+        }, new Map(), this));
+
+        return this.set("layers", this.layers.merge(nextLayers));
+    };
+
+    /**
+     * Remove the layer effect of the given type at the given index of the given layers.
+     *
+     * @param {Immutable.Iterable.<number>} layerIDs
+     * @param {string} layerEffectType
+     * @param {number} layerEffectIndex
+     * @return {LayerStructure}
+     */
+    LayerStructure.prototype.removeLayerEffect = function (layerIDs, layerEffectType, layerEffectIndex) {
+        return this._updateLayerEffects(layerIDs, layerEffectType, function (layerEffects, layer) {
+            if (!layerEffects.has(layerEffectIndex)) {
+                throw new Error("Unable to remove layer effect: no " + layerEffectType + " at index " +
+                    layerEffectIndex + " of layer " + layer.id);
+            }
+
+            return layerEffects.delete(layerEffectIndex);
+        });
+    };
+
+    /**
+     * Move the layer effect of the given type at the given index of the given
+     * layers to the target index.
+     *
+     * @param {Immutable.Iterable.<number>} layerIDs
+     * @param {string} layerEffectType
+     * @param {number} layerEffectIndex
+     * @param {number} targetIndex
+     * @return {LayerStructure}
+     */
+    LayerStructure.prototype.reorderLayerEffect = function (layerIDs, layerEffectType, layerEffectIndex, targetIndex) {
+        return this._updateLayerEffects(layerIDs, layerEffectType, function (layerEffects) {
+            return _moveListElement(layerEffects, layerEffectIndex, targetIndex);
+        });
+    };
+
+    /**
+     * Insert a copy of the layer effect of the given type at the given index
+     * of the given layers directly after it.
+     *
+     * @param {Immutable.Iterable.<number>} layerIDs
+     * @param {string} layerEffectType
+     * @param {number} layerEffectIndex
+     * @return {LayerStructure}
+     */
+    LayerStructure.prototype.duplicateLayerEffect = function (layerIDs, layerEffectType, layerEffectIndex) {
+        return this._updateLayerEffects(layerIDs, layerEffectType, function (layerEffects, layer) {
+            if (!layerEffects.has(layerEffectIndex)) {
+                throw new Error("Unable to duplicate layer effect: no " + layerEffectType + " at index " +
+                    layerEffectIndex + " of layer " + layer.id);
+            }
+
+            return layerEffects.insert(layerEffectIndex + 1, layerEffects.get(layerEffectIndex));
+        });
+    };
+
     /**
      * Set basic text style properties at the given index of the given layers.
      * 
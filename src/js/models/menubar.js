@@ -186,6 +186,14 @@ define(function (require, exports, module) {
                     (document.layers.selected.every(function (layer) {
                         return layer.kind === layer.layerKinds.VECTOR;
                     })),
+                "layers-selected-all-text":
+                    (document !== null) &&
+                    !document.unsupported &&
+                    (document.layers !== null) &&
+                    (document.layers.selected.size !== 0) &&
+                    (document.layers.selected.every(function (layer) {
+                        return layer.kind === layer.layerKinds.TEXT && layer.text !== null;
+                    })),
                 "no-background":
                     (document !== null) &&
                     !document.unsupported &&
@@ -355,6 +363,37 @@ define(function (require, exports, module) {
             "TOGGLE_TOOLBAR": { "checked": (preferences.get("toolbarPinned", true) ? 1 : 0) }
         });
     };
+
+    /**
+     * Given the current preferences, update the View > Units menu
+     * This will set the "checked" flag of the menu item for the current display unit
+     * 
+     * @param {Immutable.Map.<string, *>} preferences
+     * @return {MenuBar}
+     */
+    MenuBar.prototype.updateUnitsMenuItems = function (preferences) {
+        var unitsMenu = this.getMenuItem("VIEW.UNITS"),
+            displayUnit = preferences.get("displayUnit", "px");
+
+        if (!unitsMenu) {
+            return this;
+        }
+
+        unitsMenu = unitsMenu.submenu.reduce(function (menu, item) {
+            var action = this.getMenuAction(item.id);
+
+            return menu.updateSubmenuProps(item.itemID, {
+                "checked": (action && action.$payload === displayUnit ? 1 : 0)
+            });
+        }, unitsMenu, this);
+
+        return this.updateSubmenuItems("VIEW", {
+            "UNITS": {
+                "submenu": unitsMenu.submenu,
+                "submenuMap": unitsMenu.submenuMap
+            }
+        });
+    };
     
     /**
      * Given a menu id and an object of submenu ids and properties, update all of the submenu items
@@ -138,7 +138,9 @@ define(function (require, exports, module) {
     /**
      * Process a high-level menu description into a low-level menu description
      * that can be submitted to the adapter for installation. Ensures that each
-     * menu item has the correct command ID and localized label.
+     * menu item has the correct command ID and localized label. Entries that
+     * are not described in the string table, e.g., those contributed by plugins,
+     * may instead specify their own label.
      *
      * @param {object} rawMenu
      * @param {string=} prefix
@@ -177,7 +179,7 @@ define(function (require, exports, module) {
         }
 
         if (rawMenu.hasOwnProperty("submenu")) {
-            processedMenu.label = _getLabelForSubmenu(id);
+            processedMenu.label = rawMenu.label || _getLabelForSubmenu(id);
 
             var submenuMap = new Map(),
                 rawSubMenu = rawMenu.submenu;
@@ -203,7 +205,7 @@ define(function (require, exports, module) {
             processedMenu.submenuMap = Immutable.Map(submenuMap);
             processedMenu.submenu = Immutable.List(rawSubMenu);
         } else {
-            processedMenu.label = _getLabelForEntry(id);
+            processedMenu.label = rawMenu.label || _getLabelForEntry(id);
             processedMenu.command = id;
         }
 
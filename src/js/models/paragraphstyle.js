@@ -26,6 +26,8 @@ define(function (require, exports, module) {
 
     var Immutable = require("immutable");
 
+    var unitUtil = require("js/util/unit");
+
     /**
      * Represents a paragraph style used by a run of text in a text layer.
      * 
@@ -35,9 +37,101 @@ define(function (require, exports, module) {
         /*
          * @type {string} Either "left", "center", "right" or "justifyAll"
          */
-        alignment: null
+        alignment: null,
+
+        /**
+         * @type {number} Space before the paragraph in pixels
+         */
+        spaceBefore: 0,
+
+        /**
+         * @type {number} Space after the paragraph in pixels
+         */
+        spaceAfter: 0,
+
+        /**
+         * @type {number} Indent of the first line of the paragraph in pixels, relative to the left indent
+         */
+        firstLineIndent: 0,
+
+        /**
+         * @type {number} Left indent of the paragraph in pixels
+         */
+        leftIndent: 0,
+
+        /**
+         * @type {number} Right indent of the paragraph in pixels
+         */
+        rightIndent: 0,
+
+        /**
+         * @type {boolean} Whether words are hyphenated at line breaks
+         */
+        hyphenate: false,
+
+        /**
+         * @type {number} Minimum word spacing of justified text, as a percentage of a normal space
+         */
+        wordSpacingMin: 80,
+
+        /**
+         * @type {number} Desired word spacing of justified text, as a percentage of a normal space
+         */
+        wordSpacingDesired: 100,
+
+        /**
+         * @type {number} Maximum word spacing of justified text, as a percentage of a normal space
+         */
+        wordSpacingMax: 133,
+
+        /**
+         * @type {number} Minimum letter spacing of justified text, as a percentage of a normal space
+         */
+        letterSpacingMin: 0,
+
+        /**
+         * @type {number} Desired letter spacing of justified text, as a percentage of a normal space
+         */
+        letterSpacingDesired: 0,
+
+        /**
+         * @type {number} Maximum letter spacing of justified text, as a percentage of a normal space
+         */
+        letterSpacingMax: 0
     });
 
+    /**
+     * Map from paragraph style model properties measured in pixels to the
+     * corresponding Photoshop paragraph style descriptor keys.
+     *
+     * @private
+     * @type {Object.<string, string>}
+     */
+    var _lengthProperties = {
+        spaceBefore: "spaceBefore",
+        spaceAfter: "spaceAfter",
+        firstLineIndent: "firstLineIndent",
+        leftIndent: "startIndent",
+        rightIndent: "endIndent"
+    };
+
+    /**
+     * Map from paragraph style model justification properties, which are
+     * percentages, to the corresponding Photoshop paragraph style descriptor
+     * keys, whose values are fractions.
+     *
+     * @private
+     * @type {Object.<string, string>}
+     */
+    var _justificationProperties = {
+        wordSpacingMin: "justificationWordMinimum",
+        wordSpacingDesired: "justificationWordDesired",
+        wordSpacingMax: "justificationWordMaximum",
+        letterSpacingMin: "justificationLetterMinimum",
+        letterSpacingDesired: "justificationLetterDesired",
+        letterSpacingMax: "justificationLetterMaximum"
+    };
+
     /**
      * Construct a ParagraphStyle model from Photoshop descriptors.
      * 
@@ -49,15 +143,67 @@ define(function (require, exports, module) {
     ParagraphStyle.fromParagraphStyleDescriptor =
         function (documentDescriptor, layerDescriptor, paragraphStyleDescriptor) {
         var model = {},
+            resolution = typeof documentDescriptor === "number" ?
+                documentDescriptor :
+                documentDescriptor.resolution._value,
             paragraphStyle = paragraphStyleDescriptor.paragraphStyle;
 
         if (paragraphStyle.hasOwnProperty("align")) {
             model.alignment = paragraphStyle.align._value;
         }
 
+        Object.keys(_lengthProperties).forEach(function (property) {
+            var rawLength = paragraphStyle[_lengthProperties[property]],
+                length = rawLength && unitUtil.toPixels(rawLength, resolution);
+
+            if (typeof length === "number") {
+                model[property] = length;
+            }
+        });
+
+        if (typeof paragraphStyle.hyphenate === "boolean") {
+            model.hyphenate = paragraphStyle.hyphenate;
+        }
+
+        Object.keys(_justificationProperties).forEach(function (property) {
+            var fraction = paragraphStyle[_justificationProperties[property]];
+
+            if (typeof fraction === "number") {
+                model[property] = Math.round(fraction * 100);
+            }
+        });
+
         return new ParagraphStyle(model);
     };
 
+    /**
+     * Convert the given paragraph style model properties into the corresponding
+     * Photoshop paragraph style descriptor properties, i.e., the inverse of the
+     * parsing in fromParagraphStyleDescriptor. Lengths are given in pixels and
+     * justification limits as percentages.
+     *
+     * @static
+     * @param {object} properties A subset of the lengths, hyphenation and justification properties
+     * @return {object}
+     */
+    ParagraphStyle.toParagraphStyleProperties = function (properties) {
+        return Object.keys(properties).reduce(function (paragraphStyle, property) {
+            var value = properties[property];
+
+            if (_lengthProperties.hasOwnProperty(property)) {
+                paragraphStyle[_lengthProperties[property]] = unitUtil.pixels(value);
+            } else if (_justificationProperties.hasOwnProperty(property)) {
+                paragraphStyle[_justificationProperties[property]] = value / 100;
+            } else if (property === "hyphenate") {
+                paragraphStyle.hyphenate = value;
+            } else {
+                throw new Error("Unknown paragraph style property: " + property);
+            }
+
+            return paragraphStyle;
+        }, {});
+    };
+
     /**
      * Construct a list of new ParagraphStyle models from the given descriptor, or return null
      * if there are no paragraph styles, e.g., if the descriptors do not describe a paragraph layer.
@@ -0,0 +1,105 @@
+/*
+ * Copyright (c) 2014 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var Immutable = require("immutable");
+
+    var objUtil = require("js/util/object"),
+        unitUtil = require("js/util/unit");
+
+    /**
+     * Model for a Photoshop pattern fill, which references a pattern preset by
+     * name and ID.
+     *
+     * @constructor
+     * @param {object} model
+     */
+    var Pattern = Immutable.Record({
+        /**
+         * @type {string} Name of the pattern preset
+         */
+        name: null,
+
+        /**
+         * @type {string} Photoshop ID of the pattern preset
+         */
+        id: null,
+
+        /**
+         * @type {number} Scale of the pattern as a percentage
+         */
+        scale: 100,
+
+        /**
+         * @type {number} Angle of the pattern in degrees, in [-180, 180]
+         */
+        angle: 0,
+
+        /**
+         * @type {boolean} True if the pattern is aligned with the layer bounds
+         */
+        alignWithLayer: true
+    });
+
+    /**
+     * Construct a pattern model from the Photoshop descriptor of a patternLayer
+     * adjustment, which is typically included as the adjustment property of a
+     * vector layer.
+     *
+     * @param {object} patternLayerDescriptor
+     * @return {Pattern}
+     */
+    Pattern.fromPatternLayerDescriptor = function (patternLayerDescriptor) {
+        return new Pattern({
+            name: objUtil.getPath(patternLayerDescriptor, "pattern.name"),
+            id: objUtil.getPath(patternLayerDescriptor, "pattern.ID"),
+            scale: objUtil.getPath(patternLayerDescriptor, "scale._value") || 100,
+            angle: objUtil.getPath(patternLayerDescriptor, "angle._value") || 0,
+            alignWithLayer: patternLayerDescriptor.align !== false
+        });
+    };
+
+    /**
+     * Represent this pattern as the Photoshop descriptor of a patternLayer
+     * adjustment, i.e., the inverse of fromPatternLayerDescriptor.
+     *
+     * @return {object}
+     */
+    Pattern.prototype.toPatternLayerDescriptor = function () {
+        return {
+            _obj: "patternLayer",
+            pattern: {
+                _obj: "pattern",
+                name: this.name,
+                ID: this.id
+            },
+            scale: unitUtil.percent(this.scale),
+            angle: unitUtil.angle(this.angle),
+            align: this.alignWithLayer
+        };
+    };
+
+    module.exports = Pattern;
+});
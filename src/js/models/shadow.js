@@ -29,7 +29,8 @@ define(function (require, exports, module) {
         _ = require("lodash");
 
     var Color = require("./color"),
-        objUtil = require("js/util/object");
+        objUtil = require("js/util/object"),
+        layerEffectUtil = require("js/util/layereffect");
     
     /**
      * @const
@@ -230,26 +231,11 @@ define(function (require, exports, module) {
      * @return {Immutable.List.<Shadow)}
      */
     Shadow.fromLayerDescriptor = function (layerDescriptor, kind) {
-        var layerEffects = layerDescriptor.layerEffects;
-        if (!layerEffects) {
-            return Immutable.List();
-        }
-
-        var shadowDescriptors = objUtil.getPath(layerDescriptor, "layerEffects." + kind + "Multi");
-        if (!shadowDescriptors) {
-            shadowDescriptors = [objUtil.getPath(layerDescriptor, "layerEffects." + kind)];
-        }
-
-        return Immutable.List(shadowDescriptors.reduce(function (result, shadowDescriptor) {
-            // the enabled state should also respect the "master" layerFXVisible flag
-            shadowDescriptor.enabled =
-                shadowDescriptor.enabled && layerDescriptor.layerFXVisible;
+        var shadowDescriptors = layerEffectUtil.getEffectDescriptors(layerDescriptor, kind);
 
-            if (shadowDescriptor.present) {
-                result.push(Shadow.fromShadowDescriptor(shadowDescriptor, layerDescriptor.globalAngle));
-            }
-            return result;
-        }, []));
+        return Immutable.List(shadowDescriptors.map(function (shadowDescriptor) {
+            return Shadow.fromShadowDescriptor(shadowDescriptor, layerDescriptor.globalAngle);
+        }));
     };
 
     module.exports = Shadow;
@@ -28,6 +28,7 @@ define(function (require, exports, module) {
         _ = require("lodash");
 
     var Color = require("./color"),
+        StrokeEffect = require("./strokeeffect"),
         unit = require("../util/unit"),
         objUtil = require("js/util/object"),
         contentLayerLib = require("adapter/lib/contentLayer"),
@@ -57,6 +58,30 @@ define(function (require, exports, module) {
         [contentLayerLib.alignmentTypes.OUTSIDE, "OUTSIDE"]
     ]);
 
+    /**
+     * A mapping of photoshop line cap types to spaces internal types
+     * 
+     * @private
+     * @type {Map}
+     */
+    var _capTypeMap = new Map([
+        ["strokeStyleButtCap", "BUTT"],
+        ["strokeStyleRoundCap", "ROUND"],
+        ["strokeStyleSquareCap", "SQUARE"]
+    ]);
+
+    /**
+     * A mapping of photoshop line join types to spaces internal types
+     * 
+     * @private
+     * @type {Map}
+     */
+    var _joinTypeMap = new Map([
+        ["strokeStyleMiterJoin", "MITER"],
+        ["strokeStyleRoundJoin", "ROUND"],
+        ["strokeStyleBevelJoin", "BEVEL"]
+    ]);
+
     /**
      * Model for a Photoshop layer stroke
      *
@@ -86,9 +111,58 @@ define(function (require, exports, module) {
         /**
          * @type {string=} alignment type, optionally inside, outside, or center
          */
-        alignment: null
+        alignment: null,
+
+        /**
+         * @type {Immutable.List.<number>} Alternating dash and gap lengths, in
+         *  multiples of the stroke width. Empty for solid strokes.
+         */
+        dashes: Immutable.List(),
+
+        /**
+         * @type {string} line cap type: BUTT, ROUND or SQUARE
+         */
+        cap: "BUTT",
+
+        /**
+         * @type {string} line join type: MITER, ROUND or BEVEL
+         */
+        join: "MITER",
+
+        /**
+         * @type {number} Limit on the ratio of miter length to stroke width, beyond
+         *  which miter joins are beveled
+         */
+        miterLimit: 4
     });
 
+    /**
+     * Dash patterns of the stroke dash presets, in multiples of the stroke width.
+     * Dotted strokes are drawn with zero-length dashes and round caps.
+     *
+     * @const
+     * @type {Object.<string, Immutable.List.<number>>}
+     */
+    Stroke.dashPresets = {
+        SOLID: Immutable.List(),
+        DASHED: Immutable.List.of(4, 2),
+        DOTTED: Immutable.List.of(0, 2)
+    };
+
+    /**
+     * The name of the dash preset of this stroke, or null if it has a custom
+     * dash pattern.
+     *
+     * @return {?string}
+     */
+    Stroke.prototype.getDashPreset = function () {
+        var dashes = this.dashes;
+
+        return _.findKey(Stroke.dashPresets, function (presetDashes) {
+            return Immutable.is(presetDashes, dashes);
+        }) || null;
+    };
+
     /**
      * Construct a stroke model from a Photoshop descriptor. The provided
      * descriptor is typically included as AGMStrokeStyleInfo property of a
@@ -105,7 +179,11 @@ define(function (require, exports, module) {
             opacityPercentage = strokeStyleDescriptor &&
                 objUtil.getPath(strokeStyleDescriptor, "strokeStyleOpacity._value"),
             alignmentValue = strokeStyleDescriptor &&
-                objUtil.getPath(strokeStyleDescriptor, "strokeStyleLineAlignment._value");
+                objUtil.getPath(strokeStyleDescriptor, "strokeStyleLineAlignment._value"),
+            capValue = objUtil.getPath(strokeStyleDescriptor, "strokeStyleLineCapType._value"),
+            joinValue = objUtil.getPath(strokeStyleDescriptor, "strokeStyleLineJoinType._value"),
+            dashSet = objUtil.getPath(strokeStyleDescriptor, "strokeStyleLineDashSet"),
+            miterLimit = objUtil.getPath(strokeStyleDescriptor, "strokeStyleMiterLimit");
 
         // Enabled
         model.enabled = !strokeStyleDescriptor || strokeStyleDescriptor.strokeEnabled;
@@ -139,12 +217,144 @@ define(function (require, exports, module) {
         if (_alignmentTypeMap.has(alignmentValue)) {
             model.alignment = _alignmentTypeMap.get(alignmentValue);
         }
+
+        // Dashes - either unit values or plain numbers
+        if (_.isArray(dashSet)) {
+            model.dashes = Immutable.List(dashSet.map(function (dash) {
+                return _.isObject(dash) ? dash._value : dash;
+            }));
+        }
+
+        if (_capTypeMap.has(capValue)) {
+            model.cap = _capTypeMap.get(capValue);
+        }
+
+        if (_joinTypeMap.has(joinValue)) {
+            model.join = _joinTypeMap.get(joinValue);
+        }
+
+        if (_.isNumber(miterLimit)) {
+            model.miterLimit = miterLimit;
+        }
        
         return new Stroke(model);
     };
 
     /**
-     * Construct a list of Stroke models from a Photoshop layer descriptor.
+     * Find the Photoshop type which the given type map maps to the given
+     * internal type.
+     *
+     * @private
+     * @param {Map} typeMap
+     * @param {string} type
+     * @return {string}
+     */
+    var _getPhotoshopType = function (typeMap, type) {
+        var photoshopType;
+
+        typeMap.forEach(function (internalType, key) {
+            if (internalType === type) {
+                photoshopType = key;
+            }
+        });
+
+        if (!photoshopType) {
+            throw new Error("Unknown stroke line style type: " + type);
+        }
+
+        return photoshopType;
+    };
+
+    /**
+     * Build the Photoshop strokeStyle descriptor which sets the given line style
+     * properties of a shape's own stroke, i.e., the inverse of the line style
+     * parsing in fromStrokeStyleDescriptor. Properties which are not given are
+     * left unchanged.
+     *
+     * @param {{dashes: Immutable.List.<number>=, cap: string=, join: string=, miterLimit: number=}} lineStyle
+     * @return {object}
+     */
+    Stroke.toLineStyleDescriptor = function (lineStyle) {
+        var strokeStyle = {
+            _obj: "strokeStyle",
+            strokeEnabled: true,
+            strokeStyleVersion: 2
+        };
+
+        if (lineStyle.dashes !== undefined) {
+            strokeStyle.strokeStyleLineDashSet = Immutable.List(lineStyle.dashes).map(function (dash) {
+                return { _unit: "noneUnit", _value: dash };
+            }).toArray();
+        }
+
+        if (lineStyle.cap !== undefined) {
+            strokeStyle.strokeStyleLineCapType = {
+                _enum: "strokeStyleLineCapType",
+                _value: _getPhotoshopType(_capTypeMap, lineStyle.cap)
+            };
+        }
+
+        if (lineStyle.join !== undefined) {
+            strokeStyle.strokeStyleLineJoinType = {
+                _enum: "strokeStyleLineJoinType",
+                _value: _getPhotoshopType(_joinTypeMap, lineStyle.join)
+            };
+        }
+
+        if (lineStyle.miterLimit !== undefined) {
+            strokeStyle.strokeStyleMiterLimit = lineStyle.miterLimit;
+        }
+
+        return strokeStyle;
+    };
+
+    /**
+     * The Photoshop layer effect type of the strokes after the first.
+     *
+     * @const
+     * @type {string}
+     */
+    Stroke.EFFECT_TYPE = "frameFX";
+
+    /**
+     * The width, in pixels, of newly added strokes.
+     *
+     * @const
+     * @type {number}
+     */
+    Stroke.DEFAULT_WIDTH = 1;
+
+    /**
+     * Construct a stroke model from a stroke layer effect, which backs each
+     * but the first stroke of a layer.
+     *
+     * @param {StrokeEffect} strokeEffect
+     * @return {Stroke}
+     */
+    Stroke.fromStrokeEffect = function (strokeEffect) {
+        return new Stroke({
+            type: contentLayerLib.contentTypes.SOLID_COLOR,
+            enabled: strokeEffect.enabled,
+            color: strokeEffect.color,
+            width: strokeEffect.width,
+            alignment: strokeEffect.position
+        });
+    };
+
+    /**
+     * Construct a list of Stroke models from the stroke layer effects described
+     * by a Photoshop layer descriptor.
+     *
+     * @param {object} layerDescriptor
+     * @return {Immutable.List.<Stroke>}
+     */
+    Stroke.fromStrokeEffectDescriptors = function (layerDescriptor) {
+        return StrokeEffect.fromLayerDescriptor(layerDescriptor).map(Stroke.fromStrokeEffect).toList();
+    };
+
+    /**
+     * Construct a list of Stroke models from a Photoshop layer descriptor: the
+     * shape's own stroke followed by its stroke layer effects.
      *
      * @param {object} layerDescriptor
      * @return {Immutable.List.<Stroke>}
@@ -156,7 +366,7 @@ define(function (require, exports, module) {
                 var strokeStyleDescriptor = layerDescriptor.AGMStrokeStyleInfo,
                     stroke = Stroke.fromStrokeStyleDescriptor(strokeStyleDescriptor);
 
-                return Immutable.List.of(stroke);
+                return Stroke.fromStrokeEffectDescriptors(layerDescriptor).unshift(stroke);
             } catch (err) {
                 var message = err instanceof Error ? (err.stack || err.message) : err;
 
@@ -200,8 +410,43 @@ define(function (require, exports, module) {
             if (strokeProperties.hasOwnProperty("alignment")) {
                 model.alignment = strokeProperties.alignment;
             }
+
+            if (strokeProperties.hasOwnProperty("dashes")) {
+                model.dashes = Immutable.List(strokeProperties.dashes);
+            }
+
+            if (strokeProperties.hasOwnProperty("cap")) {
+                model.cap = strokeProperties.cap;
+            }
+
+            if (strokeProperties.hasOwnProperty("join")) {
+                model.join = strokeProperties.join;
+            }
+
+            if (strokeProperties.hasOwnProperty("miterLimit")) {
+                model.miterLimit = strokeProperties.miterLimit;
+            }
         }.bind(this));
     };
 
+    /**
+     * Convert this stroke into an object suitable for setting the stroke layer
+     * effect which backs it. Only solid color strokes can be converted.
+     *
+     * @return {object}
+     */
+    Stroke.prototype.toStrokeEffectAdapterObject = function () {
+        if (this.type !== contentLayerLib.contentTypes.SOLID_COLOR) {
+            throw new Error("Only solid color strokes can be stroke effects");
+        }
+
+        return new StrokeEffect({
+            enabled: this.enabled,
+            color: this.color,
+            width: this.width,
+            position: this.alignment || "OUTSIDE"
+        }).toAdapterObject();
+    };
+
     module.exports = Stroke;
 });
@@ -0,0 +1,128 @@
+/*
+ * Copyright (c) 2014 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var Immutable = require("immutable"),
+        _ = require("lodash");
+
+    var Color = require("./color"),
+        objUtil = require("js/util/object"),
+        layerEffectUtil = require("js/util/layereffect");
+
+    /**
+     * A mapping of stroke alignment types to stroke layer effect positions
+     * 
+     * @private
+     * @type {Object.<string, string>}
+     */
+    var _frameStyles = {
+        INSIDE: "insetFrame",
+        CENTER: "centeredFrame",
+        OUTSIDE: "outsetFrame"
+    };
+
+    /**
+     * Model for a Photoshop stroke layer effect.
+     * 
+     * @constructor
+     * @param {object} model
+     */
+    var StrokeEffect = Immutable.Record({
+        /**
+         * @type {boolean} True if the stroke effect is enabled
+         */
+        enabled: true,
+
+        /**
+         * @type {Color} Color of the stroke, including its opacity
+         */
+        color: Color.DEFAULT,
+
+        /**
+         * @type {number} width of the stroke in pixels
+         */
+        width: 3,
+
+        /**
+         * @type {string} position of the stroke: INSIDE, CENTER or OUTSIDE
+         */
+        position: "OUTSIDE",
+
+        /**
+        * @type {BlendMode} blend mode of the stroke
+        */
+        blendMode: "normal"
+    });
+
+    /**
+     * Convert the stroke effect into an object suitable for the layer effect adapter library.
+     *
+     * @return {object}
+     */
+    StrokeEffect.prototype.toAdapterObject = function () {
+        return {
+            enabled: this.enabled,
+            color: this.color,
+            opacity: this.color && this.color.opacity,
+            size: this.width,
+            style: _frameStyles[this.position] || _frameStyles.OUTSIDE,
+            blendMode: this.blendMode
+        };
+    };
+
+    /**
+     * Construct a stroke effect model from a Photoshop "frameFX" layer effect descriptor.
+     * 
+     * @param {object} strokeEffectDescriptor
+     * @return {StrokeEffect}
+     */
+    StrokeEffect.fromStrokeEffectDescriptor = function (strokeEffectDescriptor) {
+        var opacity = objUtil.getPath(strokeEffectDescriptor, "opacity._value"),
+            rawColor = objUtil.getPath(strokeEffectDescriptor, "color"),
+            frameStyle = objUtil.getPath(strokeEffectDescriptor, "style._value");
+
+        return new StrokeEffect({
+            enabled: strokeEffectDescriptor.enabled,
+            color: Color.fromPhotoshopColorObj(rawColor, opacity),
+            width: objUtil.getPath(strokeEffectDescriptor, "size._value"),
+            position: _.invert(_frameStyles)[frameStyle] || "OUTSIDE",
+            blendMode: objUtil.getPath(strokeEffectDescriptor, "mode._value") || "normal"
+        });
+    };
+
+    /**
+     * Construct a list of StrokeEffect models from a Photoshop layer descriptor.
+     * 
+     * @param {object} layerDescriptor
+     * @return {Immutable.List.<StrokeEffect>}
+     */
+    StrokeEffect.fromLayerDescriptor = function (layerDescriptor) {
+        return Immutable.List(layerEffectUtil.getEffectDescriptors(layerDescriptor, "frameFX")
+            .map(StrokeEffect.fromStrokeEffectDescriptor));
+    };
+
+    module.exports = StrokeEffect;
+});
@@ -54,7 +54,12 @@ define(function (require, exports, module) {
         /**
          * @type {boolean} Indicates whether the text has been transformed.
          */
-        hasTransform: false
+        hasTransform: false,
+
+        /**
+         * @type {string} The text contents of the layer.
+         */
+        contents: ""
     });
 
     /**
@@ -88,7 +93,7 @@ define(function (require, exports, module) {
         model.characterStyles = CharacterStyle.fromTextDescriptor(documentDescriptor, layerDescriptor, textKey);
         model.paragraphStyles = ParagraphStyle.fromTextDescriptor(documentDescriptor, layerDescriptor, textKey);
         model.box = textShapes[0].char._value === "box";
-
+        model.contents = textKey.textKey || "";
 
         return new Text(model);
     };
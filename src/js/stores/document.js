@@ -43,12 +43,15 @@ define(function (require, exports, module) {
             this.bindActions(
                 events.RESET, this._handleReset,
                 events.document.DOCUMENT_UPDATED, this._documentUpdated,
+                events.document.ROLLBACK_DOCUMENTS, this._handleRollback,
+                events.document.MARK_DOCUMENTS_DIRTY, this._handleMarkDirty,
                 events.document.SAVE_DOCUMENT, this._handleDocumentSaved,
                 events.document.DOCUMENT_RENAMED, this._handleDocumentRenamed,
                 events.document.CLOSE_DOCUMENT, this._closeDocument,
                 events.document.history.nonOptimistic.ADD_LAYERS, this._handleLayerAdd,
                 events.document.GUIDES_VISIBILITY_CHANGED, this._updateDocumentGuidesVisibility,
                 events.document.RESET_LAYERS, this._handleLayerReset,
+                events.document.history.nonOptimistic.RESET_LAYERS, this._handleLayerReset,
                 events.document.RESET_LAYERS_BY_INDEX, this._handleLayerResetByIndex,
                 events.document.history.nonOptimistic.RESET_BOUNDS, this._handleBoundsReset,
                 events.document.RESET_BOUNDS, this._handleBoundsReset,
@@ -74,20 +77,36 @@ define(function (require, exports, module) {
                 events.document.history.optimistic.RADII_CHANGED, this._handleRadiiChanged,
                 events.document.history.optimistic.FILL_COLOR_CHANGED, this._handleFillPropertiesChanged,
                 events.document.history.optimistic.FILL_OPACITY_CHANGED, this._handleFillPropertiesChanged,
+                events.document.history.optimistic.FILL_GRADIENT_CHANGED, this._handleFillPropertiesChanged,
+                events.document.history.optimistic.FILL_PATTERN_CHANGED, this._handleFillPropertiesChanged,
                 events.document.history.optimistic.FILL_ADDED, this._handleFillAdded,
+                events.document.history.optimistic.FILL_APPENDED, this._handleFillAppended,
+                events.document.history.optimistic.FILL_REMOVED, this._handleFillRemoved,
+                events.document.history.optimistic.FILL_REORDERED, this._handleFillReordered,
                 events.document.STROKE_ALIGNMENT_CHANGED, this._handleStrokePropertiesChanged,
                 events.document.STROKE_ENABLED_CHANGED, this._handleStrokePropertiesChanged,
                 events.document.STROKE_WIDTH_CHANGED, this._handleStrokePropertiesChanged,
                 events.document.history.optimistic.STROKE_COLOR_CHANGED, this._handleStrokePropertiesChanged,
                 events.document.history.optimistic.STROKE_OPACITY_CHANGED, this._handleStrokePropertiesChanged,
                 events.document.history.nonOptimistic.STROKE_ADDED, this._handleStrokeAdded,
+                events.document.history.optimistic.STROKE_APPENDED, this._handleStrokeAppended,
+                events.document.history.optimistic.STROKE_REMOVED, this._handleStrokeRemoved,
+                events.document.history.optimistic.STROKE_REORDERED, this._handleStrokeReordered,
+                events.document.history.optimistic.STROKE_DASH_CHANGED, this._handleStrokePropertiesChanged,
+                events.document.history.optimistic.STROKE_CAP_CHANGED, this._handleStrokePropertiesChanged,
+                events.document.history.optimistic.STROKE_JOIN_CHANGED, this._handleStrokePropertiesChanged,
                 events.document.history.optimistic.LAYER_EFFECT_CHANGED, this._handleLayerEffectPropertiesChanged,
+                events.document.history.optimistic.LAYER_EFFECT_REMOVED, this._handleLayerEffectRemoved,
+                events.document.history.optimistic.LAYER_EFFECT_REORDERED, this._handleLayerEffectReordered,
+                events.document.history.optimistic.LAYER_EFFECT_DUPLICATED, this._handleLayerEffectDuplicated,
                 events.document.TYPE_FACE_CHANGED, this._handleTypeFaceChanged,
                 events.document.TYPE_SIZE_CHANGED, this._handleTypeSizeChanged,
                 events.document.history.optimistic.TYPE_COLOR_CHANGED, this._handleTypeColorChanged,
                 events.document.TYPE_TRACKING_CHANGED, this._handleTypeTrackingChanged,
                 events.document.TYPE_LEADING_CHANGED, this._handleTypeLeadingChanged,
-                events.document.TYPE_ALIGNMENT_CHANGED, this._handleTypeAlignmentChanged
+                events.document.TYPE_ALIGNMENT_CHANGED, this._handleTypeAlignmentChanged,
+                events.document.TYPE_CHARACTER_STYLE_CHANGED, this._handleTypeCharacterStyleChanged,
+                events.document.TYPE_PARAGRAPH_STYLE_CHANGED, this._handleTypeParagraphStyleChanged
             );
 
             this._handleReset();
@@ -168,6 +187,46 @@ define(function (require, exports, module) {
             this.setDocument(doc);
         },
 
+        /**
+         * Restore the given document models to their state before a failed action.
+         * Documents that did not exist before the action are removed.
+         *
+         * @private
+         * @param {{documentIDs: Array.<number>, documents: Object.<number, Document>}} payload
+         */
+        _handleRollback: function (payload) {
+            payload.documentIDs.forEach(function (documentID) {
+                var document = payload.documents[documentID];
+
+                if (document) {
+                    this._openDocuments[documentID] = document;
+                } else {
+                    delete this._openDocuments[documentID];
+                }
+            }, this);
+
+            this.emit("change");
+        },
+
+        /**
+         * Set the dirty bit on the given documents, e.g., because an action that
+         * may have modified them never completed.
+         *
+         * @private
+         * @param {{documentIDs: Array.<number>}} payload
+         */
+        _handleMarkDirty: function (payload) {
+            payload.documentIDs.forEach(function (documentID) {
+                var document = this._openDocuments[documentID];
+
+                if (document) {
+                    this._openDocuments[documentID] = document.set("dirty", true);
+                }
+            }, this);
+
+            this.emit("change");
+        },
+
         /**
          * Remove a single document model for the given document ID
          *
@@ -687,6 +746,48 @@ define(function (require, exports, module) {
             this.setDocument(nextDocument, true);
         },
 
+        /**
+         * Appends a color overlay-backed fill to the specified document and layers
+         *
+         * @private
+         * @param {{documentID: number, layerIDs: Immutable.Iterable.<number>, fill: Fill}} payload
+         */
+        _handleFillAppended: function (payload) {
+            var document = this._openDocuments[payload.documentID],
+                nextLayers = document.layers.appendFill(payload.layerIDs, payload.fill),
+                nextDocument = document.set("layers", nextLayers);
+
+            this.setDocument(nextDocument, true);
+        },
+
+        /**
+         * Removes the fill at the given index of the specified document and layers
+         *
+         * @private
+         * @param {{documentID: number, layerIDs: Immutable.Iterable.<number>, fillIndex: number}} payload
+         */
+        _handleFillRemoved: function (payload) {
+            var document = this._openDocuments[payload.documentID],
+                nextLayers = document.layers.removeFill(payload.layerIDs, payload.fillIndex),
+                nextDocument = document.set("layers", nextLayers);
+
+            this.setDocument(nextDocument, true);
+        },
+
+        /**
+         * Moves the fill at the given index of the specified document and layers to the target index
+         *
+         * @private
+         * @param {object} payload With documentID, layerIDs, fillIndex and targetIndex properties
+         */
+        _handleFillReordered: function (payload) {
+            var document = this._openDocuments[payload.documentID],
+                nextLayers = document.layers.reorderFill(payload.layerIDs, payload.fillIndex, payload.targetIndex),
+                nextDocument = document.set("layers", nextLayers);
+
+            this.setDocument(nextDocument, true);
+        },
+
         /**
          * Update the provided properties of all strokes of given index of the given layers of the given document
          * example payload {documentID:1, layerIDs:[1,2], strokeIndex: 0, strokeProperties:{width:12}}
@@ -733,6 +834,49 @@ define(function (require, exports, module) {
             this.setDocument(nextDocument, true);
         },
 
+        /**
+         * Appends a stroke effect-backed stroke to the specified document and layers
+         *
+         * @private
+         * @param {{documentID: number, layerIDs: Immutable.Iterable.<number>, stroke: Stroke}} payload
+         */
+        _handleStrokeAppended: function (payload) {
+            var document = this._openDocuments[payload.documentID],
+                nextLayers = document.layers.appendStroke(payload.layerIDs, payload.stroke),
+                nextDocument = document.set("layers", nextLayers);
+
+            this.setDocument(nextDocument, true);
+        },
+
+        /**
+         * Removes the stroke at the given index of the specified document and layers
+         *
+         * @private
+         * @param {{documentID: number, layerIDs: Immutable.Iterable.<number>, strokeIndex: number}} payload
+         */
+        _handleStrokeRemoved: function (payload) {
+            var document = this._openDocuments[payload.documentID],
+                nextLayers = document.layers.removeStroke(payload.layerIDs, payload.strokeIndex),
+                nextDocument = document.set("layers", nextLayers);
+
+            this.setDocument(nextDocument, true);
+        },
+
+        /**
+         * Moves the stroke at the given index of the specified document and layers to the target index
+         *
+         * @private
+         * @param {object} payload With documentID, layerIDs, strokeIndex and targetIndex properties
+         */
+        _handleStrokeReordered: function (payload) {
+            var document = this._openDocuments[payload.documentID],
+                nextLayers = document.layers.reorderStroke(payload.layerIDs, payload.strokeIndex,
+                    payload.targetIndex),
+                nextDocument = document.set("layers", nextLayers);
+
+            this.setDocument(nextDocument, true);
+        },
+
         /**
          * Update the provided properties of all layer effects of given index of the given layers of the given document
          * 
@@ -762,6 +906,52 @@ define(function (require, exports, module) {
             this.setDocument(nextDocument, true);
         },
 
+        /**
+         * Removes the layer effect of the given type and index from the specified document and layers
+         *
+         * @private
+         * @param {object} payload With documentID, layerIDs, layerEffectType and layerEffectIndex properties
+         */
+        _handleLayerEffectRemoved: function (payload) {
+            var document = this._openDocuments[payload.documentID],
+                nextLayers = document.layers.removeLayerEffect(payload.layerIDs,
+                    payload.layerEffectType, payload.layerEffectIndex),
+                nextDocument = document.set("layers", nextLayers);
+
+            this.setDocument(nextDocument, true);
+        },
+
+        /**
+         * Moves the layer effect of the given type and index of the specified document and layers to the target index
+         *
+         * @private
+         * @param {object} payload With documentID, layerIDs, layerEffectType, layerEffectIndex and
+         *  targetIndex properties
+         */
+        _handleLayerEffectReordered: function (payload) {
+            var document = this._openDocuments[payload.documentID],
+                nextLayers = document.layers.reorderLayerEffect(payload.layerIDs,
+                    payload.layerEffectType, payload.layerEffectIndex, payload.targetIndex),
+                nextDocument = document.set("layers", nextLayers);
+
+            this.setDocument(nextDocument, true);
+        },
+
+        /**
+         * Copies the layer effect of the given type and index of the specified document and layers
+         *
+         * @private
+         * @param {object} payload With documentID, layerIDs, layerEffectType and layerEffectIndex properties
+         */
+        _handleLayerEffectDuplicated: function (payload) {
+            var document = this._openDocuments[payload.documentID],
+                nextLayers = document.layers.duplicateLayerEffect(payload.layerIDs,
+                    payload.layerEffectType, payload.layerEffectIndex),
+                nextDocument = document.set("layers", nextLayers);
+
+            this.setDocument(nextDocument, true);
+        },
+
         /**
          * Update text styles when the typeface used in text layers changes.
          * NOTE: Assumes that each layer now only has a single text style,
@@ -891,6 +1081,46 @@ define(function (require, exports, module) {
                 nextLayers = document.layers.setParagraphStyleProperties(layerIDs, { alignment: alignment }),
                 nextDocument = document.set("layers", nextLayers);
 
+            this.setDocument(nextDocument, true);
+        },
+
+        /**
+         * Update character styles when other properties of the character style,
+         * e.g., underline or caps, used in text layers change.
+         * NOTE: Assumes that each layer now only has a single text style,
+         * and adjusts the model accordingly.
+         *
+         * @private
+         * @param {{documentID: number, layerIDs: Array.<number>, properties: object}} payload
+         */
+        _handleTypeCharacterStyleChanged: function (payload) {
+            var documentID = payload.documentID,
+                layerIDs = payload.layerIDs,
+                properties = payload.properties,
+                document = this._openDocuments[documentID],
+                nextLayers = document.layers.setCharacterStyleProperties(layerIDs, properties),
+                nextDocument = document.set("layers", nextLayers);
+
+            this.setDocument(nextDocument, true);
+        },
+
+        /**
+         * Update paragraph styles when other properties of the paragraph style,
+         * e.g., spacing or indents, used in text layers change.
+         * NOTE: Assumes that each layer now only has a single text style,
+         * and adjusts the model accordingly.
+         *
+         * @private
+         * @param {{documentID: number, layerIDs: Array.<number>, properties: object}} payload
+         */
+        _handleTypeParagraphStyleChanged: function (payload) {
+            var documentID = payload.documentID,
+                layerIDs = payload.layerIDs,
+                properties = payload.properties,
+                document = this._openDocuments[documentID],
+                nextLayers = document.layers.setParagraphStyleProperties(layerIDs, properties),
+                nextDocument = document.set("layers", nextLayers);
+
             this.setDocument(nextDocument, true);
         }
     });
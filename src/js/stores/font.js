@@ -48,10 +48,20 @@ define(function (require, exports, module) {
          */
         _postScriptMap: Immutable.Map(),
 
+        /**
+         * Map of family names to the glyphs of the glyph browser supported by
+         * that family. Families are only added once their glyphs are loaded.
+         *
+         * @private
+         * @type {Immutable.Map.<string, Immutable.List.<Glyph>>}
+         */
+        _glyphMap: Immutable.Map(),
+
         initialize: function () {
             this.bindActions(
                 events.RESET, this._handleReset,
-                events.font.INIT_FONTS, this._handleInitFonts
+                events.font.INIT_FONTS, this._handleInitFonts,
+                events.font.GLYPHS_LOADED, this._handleGlyphsLoaded
             );
         },
 
@@ -63,12 +73,14 @@ define(function (require, exports, module) {
         _handleReset: function () {
             this._familyMap = Immutable.Map();
             this._postScriptMap = Immutable.Map();
+            this._glyphMap = Immutable.Map();
         },
 
         getState: function () {
             return {
                 familyMap: this._familyMap,
-                postScriptMap: this._postScriptMap
+                postScriptMap: this._postScriptMap,
+                glyphMap: this._glyphMap
             };
         },
 
@@ -91,7 +103,58 @@ define(function (require, exports, module) {
 
             return fontObj && fontObj.postScriptName;
         },
-        
+
+        /**
+         * Get the glyphs supported by the given font family, if they have been
+         * loaded.
+         *
+         * @param {string} family
+         * @return {?Immutable.List.<Glyph>}
+         */
+        getGlyphs: function (family) {
+            return this._glyphMap.get(family, null);
+        },
+
+        /**
+         * Find the fonts used by text layers in the given document that are
+         * not installed. Nothing is considered missing until the installed
+         * fonts have been loaded.
+         *
+         * @param {?Document} document
+         * @return {Immutable.OrderedMap.<string, Immutable.List.<Layer>>} Map of
+         *  missing postScriptNames to the text layers that use them, sorted by name
+         */
+        getMissingFonts: function (document) {
+            if (!document || this._postScriptMap.isEmpty()) {
+                return Immutable.OrderedMap();
+            }
+
+            return document.layers.all
+                .reduce(function (missingFonts, layer) {
+                    if (!layer.text || !layer.text.characterStyles) {
+                        return missingFonts;
+                    }
+
+                    return layer.text.characterStyles
+                        .map(function (characterStyle) {
+                            return characterStyle.postScriptName;
+                        })
+                        .toSet()
+                        .reduce(function (nextMissingFonts, postScriptName) {
+                            if (!postScriptName || this._postScriptMap.has(postScriptName)) {
+                                return nextMissingFonts;
+                            }
+
+                            var layers = nextMissingFonts.get(postScriptName, Immutable.List());
+                            return nextMissingFonts.set(postScriptName, layers.push(layer));
+                        }, missingFonts, this);
+                }, Immutable.Map(), this)
+                .sortBy(function (layers, postScriptName) {
+                    return postScriptName;
+                })
+                .toOrderedMap();
+        },
+
         /**
          * Create lookup tables for the list of installed fonts.
          * 
@@ -148,6 +211,18 @@ define(function (require, exports, module) {
                 }));
             }, new Map()));
 
+            this.emit("change");
+        },
+
+        /**
+         * Store the glyphs supported by a font family.
+         *
+         * @private
+         * @param {{family: string, glyphs: Immutable.List.<Glyph>}} payload
+         */
+        _handleGlyphsLoaded: function (payload) {
+            this._glyphMap = this._glyphMap.set(payload.family, payload.glyphs);
+
             this.emit("change");
         }
     });
@@ -86,6 +86,7 @@ define(function (require, exports, module) {
                 events.document.CLOSE_DOCUMENT, this._deleteHistory,
                 events.document.DOCUMENT_RENAMED, this._deleteHistory,
                 events.document.DOCUMENT_UPDATED, this._handleDocumentUpdate,
+                events.document.ROLLBACK_DOCUMENTS, this._handleRollback,
                 events.document.SAVE_DOCUMENT, this._handleSaveEvent
             );
         },
@@ -106,6 +107,20 @@ define(function (require, exports, module) {
             }
         },
 
+        /**
+         * Get the complete history model, e.g., to later restore some documents'
+         * history after a failed action.
+         *
+         * @return {{history: Immutable.Map, current: Immutable.Map, saved: Immutable.Map}}
+         */
+        getSnapshot: function () {
+            return {
+                history: this._history,
+                current: this._current,
+                saved: this._saved
+            };
+        },
+
         /**
          * Is there a next state in the document's history, regardless of status of the document in our cache
          *
@@ -489,6 +504,34 @@ define(function (require, exports, module) {
             });
         },
 
+        /**
+         * Restore the history of the given documents from a snapshot taken
+         * before a failed action.
+         *
+         * @private
+         * @param {{documentIDs: Array.<number>, history: object}} payload
+         */
+        _handleRollback: function (payload) {
+            this.waitFor(["document"], function () {
+                var snapshot = payload.history,
+                    restore = function (current, previous, documentID) {
+                        if (previous.has(documentID)) {
+                            return current.set(documentID, previous.get(documentID));
+                        } else {
+                            return current.delete(documentID);
+                        }
+                    };
+
+                payload.documentIDs.forEach(function (documentID) {
+                    this._history = restore(this._history, snapshot.history, documentID);
+                    this._current = restore(this._current, snapshot.current, documentID);
+                    this._saved = restore(this._saved, snapshot.saved, documentID);
+                }, this);
+
+                this.emit("change");
+            });
+        },
+
         /**
          * Delete history for all documents
          */
@@ -65,6 +65,7 @@ define(function (require, exports, module) {
                 events.document.history.nonOptimistic.ADD_LAYERS, this._updateMenuItems,
                 events.document.GUIDES_VISIBILITY_CHANGED, this._updateMenuItems,
                 events.document.RESET_LAYERS, this._updateMenuItems,
+                events.document.history.nonOptimistic.RESET_LAYERS, this._updateMenuItems,
                 events.document.RESET_LAYERS_BY_INDEX, this._updateMenuItems,
                 events.document.history.nonOptimistic.RESET_BOUNDS, this._updateMenuItems,
                 events.document.history.optimistic.REORDER_LAYERS, this._updateMenuItems,
@@ -86,20 +87,36 @@ define(function (require, exports, module) {
                 events.document.history.optimistic.RADII_CHANGED, this._updateMenuItems,
                 events.document.history.optimistic.FILL_COLOR_CHANGED, this._updateMenuItems,
                 events.document.history.optimistic.FILL_OPACITY_CHANGED, this._updateMenuItems,
+                events.document.history.optimistic.FILL_GRADIENT_CHANGED, this._updateMenuItems,
+                events.document.history.optimistic.FILL_PATTERN_CHANGED, this._updateMenuItems,
                 events.document.history.optimistic.FILL_ADDED, this._updateMenuItems,
+                events.document.history.optimistic.FILL_APPENDED, this._updateMenuItems,
+                events.document.history.optimistic.FILL_REMOVED, this._updateMenuItems,
+                events.document.history.optimistic.FILL_REORDERED, this._updateMenuItems,
                 events.document.STROKE_ALIGNMENT_CHANGED, this._updateMenuItems,
                 events.document.STROKE_ENABLED_CHANGED, this._updateMenuItems,
                 events.document.STROKE_WIDTH_CHANGED, this._updateMenuItems,
                 events.document.history.optimistic.STROKE_COLOR_CHANGED, this._updateMenuItems,
                 events.document.history.optimistic.STROKE_OPACITY_CHANGED, this._updateMenuItems,
                 events.document.history.nonOptimistic.STROKE_ADDED, this._updateMenuItems,
+                events.document.history.optimistic.STROKE_APPENDED, this._updateMenuItems,
+                events.document.history.optimistic.STROKE_REMOVED, this._updateMenuItems,
+                events.document.history.optimistic.STROKE_REORDERED, this._updateMenuItems,
+                events.document.history.optimistic.STROKE_DASH_CHANGED, this._updateMenuItems,
+                events.document.history.optimistic.STROKE_CAP_CHANGED, this._updateMenuItems,
+                events.document.history.optimistic.STROKE_JOIN_CHANGED, this._updateMenuItems,
                 events.document.history.optimistic.LAYER_EFFECT_CHANGED, this._updateMenuItems,
+                events.document.history.optimistic.LAYER_EFFECT_REMOVED, this._updateMenuItems,
+                events.document.history.optimistic.LAYER_EFFECT_REORDERED, this._updateMenuItems,
+                events.document.history.optimistic.LAYER_EFFECT_DUPLICATED, this._updateMenuItems,
                 events.document.TYPE_FACE_CHANGED, this._updateMenuItems,
                 events.document.TYPE_SIZE_CHANGED, this._updateMenuItems,
                 events.document.history.optimistic.TYPE_COLOR_CHANGED, this._updateMenuItems,
                 events.document.TYPE_TRACKING_CHANGED, this._updateMenuItems,
                 events.document.TYPE_LEADING_CHANGED, this._updateMenuItems,
                 events.document.TYPE_ALIGNMENT_CHANGED, this._updateMenuItems,
+                events.document.TYPE_CHARACTER_STYLE_CHANGED, this._updateMenuItems,
+                events.document.TYPE_PARAGRAPH_STYLE_CHANGED, this._updateMenuItems,
                 events.dialog.OPEN_DIALOG, this._updateMenuItems,
                 events.dialog.CLOSE_DIALOG, this._updateMenuItems,
                 events.history.LOAD_HISTORY_STATE, this._updateMenuItems,
@@ -181,6 +198,7 @@ define(function (require, exports, module) {
             // but that's non-trivial
             this._applicationMenu = this._applicationMenu.updateViewMenuItems(document);
             this._applicationMenu = this._applicationMenu.updateNonDocWindowMenuItems(preferences);
+            this._applicationMenu = this._applicationMenu.updateUnitsMenuItems(preferences);
 
             if (!Immutable.is(oldMenu, this._applicationMenu)) {
                 this.emit("change");
@@ -242,6 +260,7 @@ define(function (require, exports, module) {
                     oldMenu = this._applicationMenu;
                     
                 this._applicationMenu = this._applicationMenu.updateNonDocWindowMenuItems(preferences);
+                this._applicationMenu = this._applicationMenu.updateUnitsMenuItems(preferences);
 
                 if (!Immutable.is(oldMenu, this._applicationMenu)) {
                     this.emit("change");
@@ -95,7 +95,7 @@ define(function (require, exports, module) {
                 }
             });
 
-            if (found > 0) {
+            if (found >= 0) {
                 this._shortcuts.splice(found, 1);
             }
         },
@@ -49,6 +49,23 @@ define(function (require, exports, module) {
          */
         _allTools: null,
 
+        /**
+         * The built-in main logical tools.
+         *
+         * @private
+         * @type {Array.<Tool>}
+         */
+        _builtinTools: null,
+
+        /**
+         * Main logical tools added at runtime, e.g., by plugins, in the order
+         * in which they were added.
+         *
+         * @private
+         * @type {Array.<Tool>}
+         */
+        _addedTools: null,
+
         /**
          * The currently active logical tool
          * 
@@ -96,7 +113,9 @@ define(function (require, exports, module) {
             this.bindActions(
                 events.RESET, this._handleReset,
                 events.tool.SELECT_TOOL, this._handleSelectTool,
-                events.tool.MODAL_STATE_CHANGE, this._handleModalStateChange
+                events.tool.MODAL_STATE_CHANGE, this._handleModalStateChange,
+                events.tool.ADD_TOOLS, this._handleAddTools,
+                events.tool.REMOVE_TOOLS, this._handleRemoveTools
             );
 
             this._handleReset();
@@ -108,10 +127,35 @@ define(function (require, exports, module) {
          * @private
          */
         _handleReset: function () {
+            this._builtinTools = [
+                new SuperSelectTool(),
+                new RectangleTool(),
+                new EllipseTool(),
+                new PenTool(),
+                new TypeTool()
+            ];
+            this._addedTools = [];
+            this._allTools = this._defineTools(this._builtinTools);
+            this._inModalToolState = null;
+            this._currentKeyboardPolicyID = null;
+            this._currentPointerPolicyID = null;
+            this._currentTool = null;
+            this._previousTool = null;
+        },
+
+        /**
+         * Build the immutable tool set, indexed by ID, from the given main tools
+         * and their sub-tools.
+         *
+         * @private
+         * @param {Array.<Tool>} tools
+         * @return {Object.<string: Tool>}
+         */
+        _defineTools: function (tools) {
             var toolSpec = {},
                 addToolToToolSpec = function (tool) {
                     if (toolSpec.hasOwnProperty(tool.id)) {
-                        throw new Error("Tool ID %s already in use.", tool.id);
+                        throw new Error("Tool ID " + tool.id + " already in use.");
                     }
 
                     toolSpec[tool.id] = {
@@ -124,18 +168,41 @@ define(function (require, exports, module) {
                     }
                 };
 
-            addToolToToolSpec(new SuperSelectTool());
-            addToolToToolSpec(new RectangleTool());
-            addToolToToolSpec(new EllipseTool());
-            addToolToToolSpec(new PenTool());
-            addToolToToolSpec(new TypeTool());
+            tools.forEach(addToolToToolSpec);
 
-            this._allTools = Object.defineProperties({}, toolSpec);
-            this._inModalToolState = null;
-            this._currentKeyboardPolicyID = null;
-            this._currentPointerPolicyID = null;
-            this._currentTool = null;
-            this._previousTool = null;
+            return Object.defineProperties({}, toolSpec);
+        },
+
+        /**
+         * Add logical tools, e.g., those contributed by a plugin, to the tool set.
+         *
+         * @private
+         * @param {{tools: Array.<Tool>}} payload
+         */
+        _handleAddTools: function (payload) {
+            var addedTools = this._addedTools.concat(payload.tools);
+
+            this._allTools = this._defineTools(this._builtinTools.concat(addedTools));
+            this._addedTools = addedTools;
+
+            this.emit("change");
+        },
+
+        /**
+         * Remove previously added logical tools from the tool set.
+         *
+         * @private
+         * @param {{toolIDs: Array.<string>}} payload
+         */
+        _handleRemoveTools: function (payload) {
+            var toolIDs = payload.toolIDs;
+
+            this._addedTools = this._addedTools.filter(function (tool) {
+                return !_.contains(toolIDs, tool.id);
+            });
+            this._allTools = this._defineTools(this._builtinTools.concat(this._addedTools));
+
+            this.emit("change");
         },
 
         /**
@@ -266,6 +333,15 @@ define(function (require, exports, module) {
          */
         getAllTools: function () {
             return _.values(this._allTools);
+        },
+
+        /**
+         * Get the list of main tools that were added at runtime, e.g., by plugins.
+         *
+         * @return {Array.<Tool>}
+         */
+        getAddedTools: function () {
+            return this._addedTools;
         }
     });
 
@@ -128,6 +128,7 @@ define(function (require, exports, module) {
                 events.ui.TOGGLE_OVERLAYS, this._handleOverlayToggle,
                 events.document.DOCUMENT_UPDATED, this._handleLayersUpdated,
                 events.document.RESET_LAYERS, this._handleLayersUpdated,
+                events.document.history.nonOptimistic.RESET_LAYERS, this._handleLayersUpdated,
                 events.document.RESET_BOUNDS, this._handleLayersUpdated,
                 events.document.history.nonOptimistic.RESET_BOUNDS, this._handleLayersUpdated
             );
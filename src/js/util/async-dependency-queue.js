@@ -38,8 +38,9 @@ define(function (require, exports, module) {
      * @param {function (): Promise} fn
      * @param {Array.<string>} reads
      * @param {Array.<string>} writes 
+     * @param {{priority: number=, supersede: string=, cancels: Array.<string>=, name: string=}} options
      */
-    var Job = function (fn, reads, writes) {
+    var Job = function (fn, reads, writes, options) {
         // Ensure that the read set subsumes the write set
         reads = _.union(reads, writes);
 
@@ -53,6 +54,10 @@ define(function (require, exports, module) {
         this.fn = fn;
         this.reads = reads;
         this.writes = writes;
+        this.priority = options.priority || 0;
+        this.key = options.supersede || null;
+        this.cancels = options.cancels || [];
+        this.name = options.name || null;
         this.deferred = deferred;
     };
 
@@ -77,6 +82,51 @@ define(function (require, exports, module) {
      */
     Job.prototype.writes = null;
 
+    /**
+     * Jobs with higher priority are executed before pending jobs with lower
+     * priority.
+     *
+     * @type {number}
+     */
+    Job.prototype.priority = 0;
+
+    /**
+     * If non-null, pending jobs with the same key are superseded by this job.
+     *
+     * @type {?string}
+     */
+    Job.prototype.key = null;
+
+    /**
+     * Pending jobs with any of these keys are canceled by this job, regardless
+     * of their priority.
+     *
+     * @type {Array.<string>}
+     */
+    Job.prototype.cancels = null;
+
+    /**
+     * Descriptive name of the job, used to report lock contention.
+     *
+     * @type {?string}
+     */
+    Job.prototype.name = null;
+
+    /**
+     * Lock conflicts which are currently preventing this pending job from
+     * executing, indexed by lock and conflicting job ID.
+     *
+     * @type {?Object.<string, LockWait>}
+     */
+    Job.prototype.blockers = null;
+
+    /**
+     * Completed intervals during which this job was blocked from executing.
+     *
+     * @type {?Array.<LockWait>}
+     */
+    Job.prototype.waits = null;
+
     /**
      * @type {{promise: Promise, resolve: function(), reject: function()}}
      */
@@ -88,6 +138,17 @@ define(function (require, exports, module) {
     Job.prototype.promise = null;
 
 
+    /**
+     * An interval during which a pending job waited for a lock held by
+     * a currently executing job.
+     *
+     * @typedef {object} LockWait
+     * @property {string} lock The conflicted lock
+     * @property {?string} holder The name of the job that held the lock
+     * @property {number} start The time at which the wait began
+     * @property {?number} duration The length of the wait in ms, once complete
+     */
+
     /**
      * A pausable queue of asynchronous operations to be executed in sequence.
      * 
@@ -101,12 +162,14 @@ define(function (require, exports, module) {
         this._maxJobs = maxJobs;
         this._pending = [];
         this._current = {};
+        this._superseded = {};
     };
 
     util.inherits(AsyncDependencyQueue, EventEmitter);
 
     /**
-     * The ordered list of pending jobs.
+     * The ordered list of pending jobs, sorted by descending priority and then
+     * by the order in which they were added.
      * 
      * @type {Array.<Job>}
      */
@@ -127,25 +190,118 @@ define(function (require, exports, module) {
      */
     AsyncDependencyQueue.prototype._isPaused = false;
 
+    /**
+     * The number of pending jobs that have been superseded by newer jobs,
+     * indexed by job key.
+     *
+     * @private
+     * @type {Object.<string, number>}
+     */
+    AsyncDependencyQueue.prototype._superseded = null;
+
+    /**
+     * Indicates whether lock waits of pending jobs are tracked and reported
+     * via "contention" events.
+     *
+     * @private
+     * @type {boolean}
+     */
+    AsyncDependencyQueue.prototype._trackContention = false;
+
+    /**
+     * Enable or disable tracking of lock contention. While enabled, a "contention"
+     * event is emitted with the job name and its completed lock waits whenever
+     * a job that was blocked by other jobs' locks begins executing. Tracking
+     * adds bookkeeping to every scheduling pass, so it is disabled by default.
+     *
+     * @param {boolean} enabled
+     */
+    AsyncDependencyQueue.prototype.setContentionTracking = function (enabled) {
+        this._trackContention = enabled;
+
+        if (!enabled) {
+            this._pending.forEach(function (job) {
+                job.blockers = null;
+                job.waits = null;
+            });
+        }
+    };
+
     /**
      * Add a new asynchronous operation to the queue.
+     *
+     * If a supersession key is given, all still-pending jobs with the same key
+     * are removed from the queue; their promises settle along with that of the
+     * new job, and a "superseded" event is emitted with the key and the number
+     * of dropped jobs. The same happens to still-pending jobs with any of the
+     * keys the new job cancels. Because lower-priority jobs may otherwise
+     * execute after a later job, this allows, e.g., a commit to drop stale
+     * low-priority previews.
      * 
      * @param {!function(): Promise} fn The asynchronous command to execute
      * @param {!Array.<string>} reads The set of read locks required
      * @param {!Array.<string>} writes The set of write locks required
+     * @param {{priority: number=, supersede: string=, cancels: Array.<string>=, name: string=}=} options
+     *  The priority of the job, which defaults to 0; its supersession key, if
+     *  any; the keys of pending jobs it cancels, if any; and its name, which is
+     *  used to report lock contention.
      * @return {Promise} Resolves once the job has completed execution with the
      *  resulting value; rejects if the job fails or is canceled before execution.
      */
-    AsyncDependencyQueue.prototype.push = function (fn, reads, writes) {
-        var job = new Job(fn, reads, writes);
+    AsyncDependencyQueue.prototype.push = function (fn, reads, writes, options) {
+        options = options || {};
+
+        var job = new Job(fn, reads, writes, options);
 
-        this._pending.push(job);
+        if (job.key !== null) {
+            this._supersede(job, job.key);
+        }
+
+        job.cancels.forEach(function (key) {
+            this._supersede(job, key);
+        }, this);
+
+        // Insert the job after all pending jobs of at least equal priority
+        var index = _.findIndex(this._pending, function (pendingJob) {
+            return pendingJob.priority < job.priority;
+        });
+
+        if (index < 0) {
+            this._pending.push(job);
+        } else {
+            this._pending.splice(index, 0, job);
+        }
 
         this._processNext();
 
         return job.deferred.promise;
     };
 
+    /**
+     * Remove all pending jobs with the given key, settling their promises with
+     * the result of the given job.
+     *
+     * @private
+     * @param {Job} job
+     * @param {string} key
+     */
+    AsyncDependencyQueue.prototype._supersede = function (job, key) {
+        var superseded = _.remove(this._pending, function (pendingJob) {
+            return pendingJob.key === key;
+        });
+
+        if (superseded.length === 0) {
+            return;
+        }
+
+        superseded.forEach(function (supersededJob) {
+            supersededJob.deferred.resolve(job.deferred.promise);
+        });
+
+        this._superseded[key] = (this._superseded[key] || 0) + superseded.length;
+        this.emit("superseded", key, superseded.length);
+    };
+
     /**
      * Remove all operations from the queue. Does not affect the currently
      * executing operation.
@@ -224,6 +380,67 @@ define(function (require, exports, module) {
         return this._checkLockSetConflicts("writes", reads);
     };
 
+    /**
+     * Find the locks held by currently executing jobs that conflict with the
+     * locks required by the given pending job.
+     *
+     * @private
+     * @param {Job} job
+     * @return {Array.<{lock: string, holder: Job}>}
+     */
+    AsyncDependencyQueue.prototype._findConflicts = function (job) {
+        return _.reduce(this._current, function (conflicts, current) {
+            job.reads.forEach(function (lock) {
+                // Writes conflict with held reads (and hence writes); reads only with held writes
+                var heldLocks = _.contains(job.writes, lock) ? current.reads : current.writes;
+
+                if (_.contains(heldLocks, lock)) {
+                    conflicts.push({
+                        lock: lock,
+                        holder: current
+                    });
+                }
+            });
+
+            return conflicts;
+        }, []);
+    };
+
+    /**
+     * Update the lock waits of a pending job. Waits for locks that are no
+     * longer conflicted are completed; waits for newly conflicted locks begin.
+     *
+     * @private
+     * @param {Job} job
+     * @param {Array.<{lock: string, holder: Job}>} conflicts The current conflicts
+     * @param {number} now
+     */
+    AsyncDependencyQueue.prototype._updateWaits = function (job, conflicts, now) {
+        var blockers = job.blockers || {},
+            nextBlockers = conflicts.reduce(function (nextBlockers, conflict) {
+                var key = conflict.lock + ":" + conflict.holder.id;
+
+                nextBlockers[key] = blockers[key] || {
+                    lock: conflict.lock,
+                    holder: conflict.holder.name,
+                    start: now,
+                    duration: null
+                };
+
+                return nextBlockers;
+            }, {});
+
+        _.forEach(blockers, function (wait, key) {
+            if (!nextBlockers.hasOwnProperty(key)) {
+                wait.duration = now - wait.start;
+                job.waits = job.waits || [];
+                job.waits.push(wait);
+            }
+        });
+
+        job.blockers = nextBlockers;
+    };
+
     /**
      * Attempt to remove a job from the queue of pending jobs for processing.
      * May fail and return null if all of the pending jobs are conflicted w.r.t.
@@ -235,6 +452,8 @@ define(function (require, exports, module) {
      */
     AsyncDependencyQueue.prototype._pickJob = function () {
         var length = this._pending.length,
+            trackContention = this._trackContention,
+            now = trackContention ? Date.now() : 0,
             job, index, reads, writes;
 
         for (index = 0; index < length; index++) {
@@ -242,17 +461,28 @@ define(function (require, exports, module) {
             reads = job.reads;
             writes = job.writes;
 
-            // confirm that no reads or writes are in progress for the write set
-            if (this._checkWriteConflicts(writes)) {
+            // confirm that no reads or writes are in progress for the write set,
+            // and that no writes are in progress for the read set
+            if (this._checkWriteConflicts(writes) || this._checkReadConflicts(reads)) {
+                if (trackContention) {
+                    this._updateWaits(job, this._findConflicts(job), now);
+                }
                 continue;
             }
 
-            // confirm that no writes are in progress for the read set
-            if (this._checkReadConflicts(reads)) {
-                continue;
+            this._pending.splice(index, 1);
+
+            if (trackContention) {
+                this._updateWaits(job, [], now);
+
+                if (job.waits) {
+                    this.emit("contention", job.name, job.waits);
+                }
             }
 
-            this._pending.splice(index, 1);
+            job.blockers = null;
+            job.waits = null;
+
             return job;
         }
 
@@ -349,6 +579,16 @@ define(function (require, exports, module) {
         return this._pending.length;
     };
 
+    /**
+     * The number of pending jobs that have been superseded by newer jobs since
+     * the queue was created, indexed by job key.
+     *
+     * @return {Object.<string, number>}
+     */
+    AsyncDependencyQueue.prototype.superseded = function () {
+        return _.clone(this._superseded);
+    };
+
     /**
      * The number of currently executing jobs
      * 
@@ -0,0 +1,155 @@
+/*
+ * Copyright (c) 2014 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+define(function (require, exports) {
+    "use strict";
+
+    /**
+     * Broad typeface classifications.
+     *
+     * @const
+     * @type {Object.<string, string>}
+     */
+    var CLASSIFICATIONS = {
+        SERIF: "serif",
+        SANS_SERIF: "sansSerif",
+        MONOSPACE: "monospace",
+        SCRIPT: "script",
+        DISPLAY: "display"
+    };
+
+    /**
+     * Broad font weight classes.
+     *
+     * @const
+     * @type {Object.<string, string>}
+     */
+    var WEIGHTS = {
+        LIGHT: "light",
+        REGULAR: "regular",
+        BOLD: "bold",
+        BLACK: "black"
+    };
+
+    /**
+     * Broad font width classes.
+     *
+     * @const
+     * @type {Object.<string, string>}
+     */
+    var WIDTHS = {
+        CONDENSED: "condensed",
+        NORMAL: "normal",
+        EXTENDED: "extended"
+    };
+
+    /**
+     * Family name patterns that indicate a classification, in order of
+     * precedence. Photoshop does not report font classifications, so they are
+     * guessed from the family name, including the names of some well-known
+     * families that do not otherwise indicate their classification.
+     *
+     * @private
+     * @const
+     * @type {Array.<{classification: string, pattern: RegExp}>}
+     */
+    var CLASSIFICATION_PATTERNS = [
+        {
+            classification: CLASSIFICATIONS.MONOSPACE,
+            pattern: /mono|code|courier|consol|menlo|monaco|typewriter/i
+        },
+        {
+            classification: CLASSIFICATIONS.SCRIPT,
+            pattern: /script|hand|brush|callig|chancery|zapfino|snell|marker|comic/i
+        },
+        {
+            classification: CLASSIFICATIONS.DISPLAY,
+            pattern: /display|poster|stencil|impact|headline|titling|shadow|outline|inline/i
+        },
+        {
+            classification: CLASSIFICATIONS.SANS_SERIF,
+            pattern: new RegExp("sans|grotesk|gothic|helvetica|arial|futura|verdana|tahoma|avenir|myriad|" +
+                "frutiger|univers|segoe|lucida grande|trebuchet|roboto|calibri|optima|\\bdin\\b|proxima|geneva", "i")
+        },
+        {
+            classification: CLASSIFICATIONS.SERIF,
+            pattern: new RegExp("serif|times|georgia|garamond|baskerville|bodoni|didot|palatino|caslon|minion|" +
+                "hoefler|cambria|antiqua|rockwell|schoolbook|charter|playfair|cochin|constantia", "i")
+        }
+    ];
+
+    /**
+     * Guess the classification of the given font family from its name.
+     *
+     * @param {string} family
+     * @return {?string} One of CLASSIFICATIONS, or null if unknown
+     */
+    var getClassification = function (family) {
+        var match = CLASSIFICATION_PATTERNS.filter(function (classificationPattern) {
+            return classificationPattern.pattern.test(family);
+        })[0];
+
+        return match ? match.classification : null;
+    };
+
+    /**
+     * Guess the weight class of a font from its style name.
+     *
+     * @param {string} style
+     * @return {string} One of WEIGHTS
+     */
+    var getWeight = function (style) {
+        if (/black|heavy|ultra ?bold|extra ?bold|fat/i.test(style)) {
+            return WEIGHTS.BLACK;
+        } else if (/bold|semi ?bd|demi/i.test(style)) {
+            return WEIGHTS.BOLD;
+        } else if (/thin|hairline|light|lt\b/i.test(style)) {
+            return WEIGHTS.LIGHT;
+        }
+
+        return WEIGHTS.REGULAR;
+    };
+
+    /**
+     * Guess the width class of a font from its style name.
+     *
+     * @param {string} style
+     * @return {string} One of WIDTHS
+     */
+    var getWidth = function (style) {
+        if (/condensed|narrow|compressed|compact|cond\b/i.test(style)) {
+            return WIDTHS.CONDENSED;
+        } else if (/extended|expanded|wide/i.test(style)) {
+            return WIDTHS.EXTENDED;
+        }
+
+        return WIDTHS.NORMAL;
+    };
+
+    exports.CLASSIFICATIONS = CLASSIFICATIONS;
+    exports.WEIGHTS = WEIGHTS;
+    exports.WIDTHS = WIDTHS;
+    exports.getClassification = getClassification;
+    exports.getWeight = getWeight;
+    exports.getWidth = getWidth;
+});
@@ -0,0 +1,614 @@
+/*
+ * Copyright (c) 2014 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+define(function (require, exports) {
+    "use strict";
+
+    var Immutable = require("immutable");
+
+    /**
+     * The glyphs offered by the glyph browser, grouped by category, as pairs
+     * of code points and Unicode names.
+     *
+     * @private
+     * @const
+     * @type {Array.<{id: string, glyphs: Array.<Array>}>}
+     */
+    var CATEGORIES = [
+        {
+            id: "punctuation",
+            glyphs: [
+                [0x00A1, "INVERTED EXCLAMATION MARK"],
+                [0x00BF, "INVERTED QUESTION MARK"],
+                [0x00AB, "LEFT-POINTING DOUBLE ANGLE QUOTATION MARK"],
+                [0x00BB, "RIGHT-POINTING DOUBLE ANGLE QUOTATION MARK"],
+                [0x2039, "SINGLE LEFT-POINTING ANGLE QUOTATION MARK"],
+                [0x203A, "SINGLE RIGHT-POINTING ANGLE QUOTATION MARK"],
+                [0x2010, "HYPHEN"],
+                [0x2011, "NON-BREAKING HYPHEN"],
+                [0x2012, "FIGURE DASH"],
+                [0x2013, "EN DASH"],
+                [0x2014, "EM DASH"],
+                [0x2015, "HORIZONTAL BAR"],
+                [0x2016, "DOUBLE VERTICAL LINE"],
+                [0x2018, "LEFT SINGLE QUOTATION MARK"],
+                [0x2019, "RIGHT SINGLE QUOTATION MARK"],
+                [0x201A, "SINGLE LOW-9 QUOTATION MARK"],
+                [0x201B, "SINGLE HIGH-REVERSED-9 QUOTATION MARK"],
+                [0x201C, "LEFT DOUBLE QUOTATION MARK"],
+                [0x201D, "RIGHT DOUBLE QUOTATION MARK"],
+                [0x201E, "DOUBLE LOW-9 QUOTATION MARK"],
+                [0x201F, "DOUBLE HIGH-REVERSED-9 QUOTATION MARK"],
+                [0x2020, "DAGGER"],
+                [0x2021, "DOUBLE DAGGER"],
+                [0x2022, "BULLET"],
+                [0x2026, "HORIZONTAL ELLIPSIS"],
+                [0x2030, "PER MILLE SIGN"],
+                [0x2032, "PRIME"],
+                [0x2033, "DOUBLE PRIME"],
+                [0x203B, "REFERENCE MARK"],
+                [0x203D, "INTERROBANG"],
+                [0x00A7, "SECTION SIGN"],
+                [0x00B6, "PILCROW SIGN"],
+                [0x00B7, "MIDDLE DOT"],
+                [0x2042, "ASTERISM"]
+            ]
+        },
+        {
+            id: "symbols",
+            glyphs: [
+                [0x00A9, "COPYRIGHT SIGN"],
+                [0x00AE, "REGISTERED SIGN"],
+                [0x2122, "TRADE MARK SIGN"],
+                [0x2117, "SOUND RECORDING COPYRIGHT"],
+                [0x2120, "SERVICE MARK"],
+                [0x00B0, "DEGREE SIGN"],
+                [0x2116, "NUMERO SIGN"],
+                [0x2105, "CARE OF"],
+                [0x2113, "SCRIPT SMALL L"],
+                [0x212E, "ESTIMATED SYMBOL"],
+                [0x2318, "PLACE OF INTEREST SIGN"],
+                [0x2325, "OPTION KEY"],
+                [0x2326, "ERASE TO THE RIGHT"],
+                [0x2303, "UP ARROWHEAD"],
+                [0x21E7, "UPWARDS WHITE ARROW"],
+                [0x2605, "BLACK STAR"],
+                [0x2606, "WHITE STAR"],
+                [0x2660, "BLACK SPADE SUIT"],
+                [0x2663, "BLACK CLUB SUIT"],
+                [0x2665, "BLACK HEART SUIT"],
+                [0x2666, "BLACK DIAMOND SUIT"],
+                [0x2713, "CHECK MARK"],
+                [0x2717, "BALLOT X"],
+                [0x2764, "HEAVY BLACK HEART"],
+                [0x263A, "WHITE SMILING FACE"],
+                [0x2600, "BLACK SUN WITH RAYS"],
+                [0x2601, "CLOUD"],
+                [0x2602, "UMBRELLA"],
+                [0x2744, "SNOWFLAKE"],
+                [0x266A, "EIGHTH NOTE"],
+                [0x266B, "BEAMED EIGHTH NOTES"],
+                [0x2709, "ENVELOPE"],
+                [0x270E, "LOWER RIGHT PENCIL"],
+                [0x2702, "BLACK SCISSORS"]
+            ]
+        },
+        {
+            id: "currency",
+            glyphs: [
+                [0x0024, "DOLLAR SIGN"],
+                [0x00A2, "CENT SIGN"],
+                [0x00A3, "POUND SIGN"],
+                [0x00A4, "CURRENCY SIGN"],
+                [0x00A5, "YEN SIGN"],
+                [0x20AC, "EURO SIGN"],
+                [0x20A1, "COLON SIGN"],
+                [0x20A3, "FRENCH FRANC SIGN"],
+                [0x20A4, "LIRA SIGN"],
+                [0x20A6, "NAIRA SIGN"],
+                [0x20A9, "WON SIGN"],
+                [0x20AA, "NEW SHEQEL SIGN"],
+                [0x20AB, "DONG SIGN"],
+                [0x20AD, "KIP SIGN"],
+                [0x20B1, "PESO SIGN"],
+                [0x20B4, "HRYVNIA SIGN"],
+                [0x20B9, "INDIAN RUPEE SIGN"],
+                [0x20BA, "TURKISH LIRA SIGN"],
+                [0x20BD, "RUBLE SIGN"],
+                [0x0E3F, "THAI CURRENCY SYMBOL BAHT"]
+            ]
+        },
+        {
+            id: "numbers",
+            glyphs: [
+                [0x00BC, "VULGAR FRACTION ONE QUARTER"],
+                [0x00BD, "VULGAR FRACTION ONE HALF"],
+                [0x00BE, "VULGAR FRACTION THREE QUARTERS"],
+                [0x2150, "VULGAR FRACTION ONE SEVENTH"],
+                [0x2151, "VULGAR FRACTION ONE NINTH"],
+                [0x2152, "VULGAR FRACTION ONE TENTH"],
+                [0x2153, "VULGAR FRACTION ONE THIRD"],
+                [0x2154, "VULGAR FRACTION TWO THIRDS"],
+                [0x2155, "VULGAR FRACTION ONE FIFTH"],
+                [0x2156, "VULGAR FRACTION TWO FIFTHS"],
+                [0x2157, "VULGAR FRACTION THREE FIFTHS"],
+                [0x2158, "VULGAR FRACTION FOUR FIFTHS"],
+                [0x2159, "VULGAR FRACTION ONE SIXTH"],
+                [0x215A, "VULGAR FRACTION FIVE SIXTHS"],
+                [0x215B, "VULGAR FRACTION ONE EIGHTH"],
+                [0x215C, "VULGAR FRACTION THREE EIGHTHS"],
+                [0x215D, "VULGAR FRACTION FIVE EIGHTHS"],
+                [0x215E, "VULGAR FRACTION SEVEN EIGHTHS"],
+                [0x00B9, "SUPERSCRIPT ONE"],
+                [0x00B2, "SUPERSCRIPT TWO"],
+                [0x00B3, "SUPERSCRIPT THREE"],
+                [0x2070, "SUPERSCRIPT ZERO"],
+                [0x2074, "SUPERSCRIPT FOUR"],
+                [0x2075, "SUPERSCRIPT FIVE"],
+                [0x2076, "SUPERSCRIPT SIX"],
+                [0x2077, "SUPERSCRIPT SEVEN"],
+                [0x2078, "SUPERSCRIPT EIGHT"],
+                [0x2079, "SUPERSCRIPT NINE"],
+                [0x2080, "SUBSCRIPT ZERO"],
+                [0x2081, "SUBSCRIPT ONE"],
+                [0x2082, "SUBSCRIPT TWO"],
+                [0x2083, "SUBSCRIPT THREE"],
+                [0x2084, "SUBSCRIPT FOUR"],
+                [0x2085, "SUBSCRIPT FIVE"],
+                [0x2086, "SUBSCRIPT SIX"],
+                [0x2087, "SUBSCRIPT SEVEN"],
+                [0x2088, "SUBSCRIPT EIGHT"],
+                [0x2089, "SUBSCRIPT NINE"],
+                [0x2160, "ROMAN NUMERAL ONE"],
+                [0x2161, "ROMAN NUMERAL TWO"],
+                [0x2162, "ROMAN NUMERAL THREE"],
+                [0x2163, "ROMAN NUMERAL FOUR"],
+                [0x2164, "ROMAN NUMERAL FIVE"],
+                [0x2165, "ROMAN NUMERAL SIX"],
+                [0x2166, "ROMAN NUMERAL SEVEN"],
+                [0x2167, "ROMAN NUMERAL EIGHT"],
+                [0x2168, "ROMAN NUMERAL NINE"],
+                [0x2169, "ROMAN NUMERAL TEN"],
+                [0x216A, "ROMAN NUMERAL ELEVEN"],
+                [0x216B, "ROMAN NUMERAL TWELVE"],
+                [0x2460, "CIRCLED DIGIT ONE"],
+                [0x2461, "CIRCLED DIGIT TWO"],
+                [0x2462, "CIRCLED DIGIT THREE"],
+                [0x2463, "CIRCLED DIGIT FOUR"],
+                [0x2464, "CIRCLED DIGIT FIVE"],
+                [0x2465, "CIRCLED DIGIT SIX"],
+                [0x2466, "CIRCLED DIGIT SEVEN"],
+                [0x2467, "CIRCLED DIGIT EIGHT"],
+                [0x2468, "CIRCLED DIGIT NINE"],
+                [0x2469, "CIRCLED NUMBER TEN"],
+                [0x246A, "CIRCLED NUMBER ELEVEN"],
+                [0x246B, "CIRCLED NUMBER TWELVE"],
+                [0x246C, "CIRCLED NUMBER THIRTEEN"],
+                [0x246D, "CIRCLED NUMBER FOURTEEN"],
+                [0x246E, "CIRCLED NUMBER FIFTEEN"],
+                [0x246F, "CIRCLED NUMBER SIXTEEN"],
+                [0x2470, "CIRCLED NUMBER SEVENTEEN"],
+                [0x2471, "CIRCLED NUMBER EIGHTEEN"],
+                [0x2472, "CIRCLED NUMBER NINETEEN"],
+                [0x2473, "CIRCLED NUMBER TWENTY"]
+            ]
+        },
+        {
+            id: "math",
+            glyphs: [
+                [0x00B1, "PLUS-MINUS SIGN"],
+                [0x00D7, "MULTIPLICATION SIGN"],
+                [0x00F7, "DIVISION SIGN"],
+                [0x00AC, "NOT SIGN"],
+                [0x2212, "MINUS SIGN"],
+                [0x2213, "MINUS-OR-PLUS SIGN"],
+                [0x2215, "DIVISION SLASH"],
+                [0x2217, "ASTERISK OPERATOR"],
+                [0x221A, "SQUARE ROOT"],
+                [0x221B, "CUBE ROOT"],
+                [0x221E, "INFINITY"],
+                [0x2220, "ANGLE"],
+                [0x2225, "PARALLEL TO"],
+                [0x2227, "LOGICAL AND"],
+                [0x2228, "LOGICAL OR"],
+                [0x2229, "INTERSECTION"],
+                [0x222A, "UNION"],
+                [0x222B, "INTEGRAL"],
+                [0x2234, "THEREFORE"],
+                [0x2235, "BECAUSE"],
+                [0x2248, "ALMOST EQUAL TO"],
+                [0x2260, "NOT EQUAL TO"],
+                [0x2261, "IDENTICAL TO"],
+                [0x2264, "LESS-THAN OR EQUAL TO"],
+                [0x2265, "GREATER-THAN OR EQUAL TO"],
+                [0x2282, "SUBSET OF"],
+                [0x2283, "SUPERSET OF"],
+                [0x2286, "SUBSET OF OR EQUAL TO"],
+                [0x2287, "SUPERSET OF OR EQUAL TO"],
+                [0x2202, "PARTIAL DIFFERENTIAL"],
+                [0x2206, "INCREMENT"],
+                [0x2207, "NABLA"],
+                [0x2208, "ELEMENT OF"],
+                [0x2209, "NOT AN ELEMENT OF"],
+                [0x220F, "N-ARY PRODUCT"],
+                [0x2211, "N-ARY SUMMATION"],
+                [0x2200, "FOR ALL"],
+                [0x2203, "THERE EXISTS"],
+                [0x2205, "EMPTY SET"],
+                [0x2030, "PER MILLE SIGN"]
+            ]
+        },
+        {
+            id: "arrows",
+            glyphs: [
+                [0x2190, "LEFTWARDS ARROW"],
+                [0x2191, "UPWARDS ARROW"],
+                [0x2192, "RIGHTWARDS ARROW"],
+                [0x2193, "DOWNWARDS ARROW"],
+                [0x2194, "LEFT RIGHT ARROW"],
+                [0x2195, "UP DOWN ARROW"],
+                [0x2196, "NORTH WEST ARROW"],
+                [0x2197, "NORTH EAST ARROW"],
+                [0x2198, "SOUTH EAST ARROW"],
+                [0x2199, "SOUTH WEST ARROW"],
+                [0x21A9, "LEFTWARDS ARROW WITH HOOK"],
+                [0x21AA, "RIGHTWARDS ARROW WITH HOOK"],
+                [0x21B5, "DOWNWARDS ARROW WITH CORNER LEFTWARDS"],
+                [0x21BA, "ANTICLOCKWISE OPEN CIRCLE ARROW"],
+                [0x21BB, "CLOCKWISE OPEN CIRCLE ARROW"],
+                [0x21C4, "RIGHTWARDS ARROW OVER LEFTWARDS ARROW"],
+                [0x21C6, "LEFTWARDS ARROW OVER RIGHTWARDS ARROW"],
+                [0x21D0, "LEFTWARDS DOUBLE ARROW"],
+                [0x21D1, "UPWARDS DOUBLE ARROW"],
+                [0x21D2, "RIGHTWARDS DOUBLE ARROW"],
+                [0x21D3, "DOWNWARDS DOUBLE ARROW"],
+                [0x21D4, "LEFT RIGHT DOUBLE ARROW"],
+                [0x21D5, "UP DOWN DOUBLE ARROW"],
+                [0x2794, "HEAVY WIDE-HEADED RIGHTWARDS ARROW"],
+                [0x279C, "HEAVY ROUND-TIPPED RIGHTWARDS ARROW"],
+                [0x27A1, "BLACK RIGHTWARDS ARROW"],
+                [0x27F5, "LONG LEFTWARDS ARROW"],
+                [0x27F6, "LONG RIGHTWARDS ARROW"],
+                [0x27F7, "LONG LEFT RIGHT ARROW"]
+            ]
+        },
+        {
+            id: "latin",
+            glyphs: [
+                [0x00C0, "LATIN CAPITAL LETTER A WITH GRAVE"],
+                [0x00C1, "LATIN CAPITAL LETTER A WITH ACUTE"],
+                [0x00C2, "LATIN CAPITAL LETTER A WITH CIRCUMFLEX"],
+                [0x00C3, "LATIN CAPITAL LETTER A WITH TILDE"],
+                [0x00C4, "LATIN CAPITAL LETTER A WITH DIAERESIS"],
+                [0x00C5, "LATIN CAPITAL LETTER A WITH RING ABOVE"],
+                [0x00C6, "LATIN CAPITAL LETTER AE"],
+                [0x00C7, "LATIN CAPITAL LETTER C WITH CEDILLA"],
+                [0x00C8, "LATIN CAPITAL LETTER E WITH GRAVE"],
+                [0x00C9, "LATIN CAPITAL LETTER E WITH ACUTE"],
+                [0x00CA, "LATIN CAPITAL LETTER E WITH CIRCUMFLEX"],
+                [0x00CB, "LATIN CAPITAL LETTER E WITH DIAERESIS"],
+                [0x00CC, "LATIN CAPITAL LETTER I WITH GRAVE"],
+                [0x00CD, "LATIN CAPITAL LETTER I WITH ACUTE"],
+                [0x00CE, "LATIN CAPITAL LETTER I WITH CIRCUMFLEX"],
+                [0x00CF, "LATIN CAPITAL LETTER I WITH DIAERESIS"],
+                [0x00D0, "LATIN CAPITAL LETTER ETH"],
+                [0x00D1, "LATIN CAPITAL LETTER N WITH TILDE"],
+                [0x00D2, "LATIN CAPITAL LETTER O WITH GRAVE"],
+                [0x00D3, "LATIN CAPITAL LETTER O WITH ACUTE"],
+                [0x00D4, "LATIN CAPITAL LETTER O WITH CIRCUMFLEX"],
+                [0x00D5, "LATIN CAPITAL LETTER O WITH TILDE"],
+                [0x00D6, "LATIN CAPITAL LETTER O WITH DIAERESIS"],
+                [0x00D8, "LATIN CAPITAL LETTER O WITH STROKE"],
+                [0x00D9, "LATIN CAPITAL LETTER U WITH GRAVE"],
+                [0x00DA, "LATIN CAPITAL LETTER U WITH ACUTE"],
+                [0x00DB, "LATIN CAPITAL LETTER U WITH CIRCUMFLEX"],
+                [0x00DC, "LATIN CAPITAL LETTER U WITH DIAERESIS"],
+                [0x00DD, "LATIN CAPITAL LETTER Y WITH ACUTE"],
+                [0x00DE, "LATIN CAPITAL LETTER THORN"],
+                [0x00DF, "LATIN SMALL LETTER SHARP S"],
+                [0x00E0, "LATIN SMALL LETTER A WITH GRAVE"],
+                [0x00E1, "LATIN SMALL LETTER A WITH ACUTE"],
+                [0x00E2, "LATIN SMALL LETTER A WITH CIRCUMFLEX"],
+                [0x00E3, "LATIN SMALL LETTER A WITH TILDE"],
+                [0x00E4, "LATIN SMALL LETTER A WITH DIAERESIS"],
+                [0x00E5, "LATIN SMALL LETTER A WITH RING ABOVE"],
+                [0x00E6, "LATIN SMALL LETTER AE"],
+                [0x00E7, "LATIN SMALL LETTER C WITH CEDILLA"],
+                [0x00E8, "LATIN SMALL LETTER E WITH GRAVE"],
+                [0x00E9, "LATIN SMALL LETTER E WITH ACUTE"],
+                [0x00EA, "LATIN SMALL LETTER E WITH CIRCUMFLEX"],
+                [0x00EB, "LATIN SMALL LETTER E WITH DIAERESIS"],
+                [0x00EC, "LATIN SMALL LETTER I WITH GRAVE"],
+                [0x00ED, "LATIN SMALL LETTER I WITH ACUTE"],
+                [0x00EE, "LATIN SMALL LETTER I WITH CIRCUMFLEX"],
+                [0x00EF, "LATIN SMALL LETTER I WITH DIAERESIS"],
+                [0x00F0, "LATIN SMALL LETTER ETH"],
+                [0x00F1, "LATIN SMALL LETTER N WITH TILDE"],
+                [0x00F2, "LATIN SMALL LETTER O WITH GRAVE"],
+                [0x00F3, "LATIN SMALL LETTER O WITH ACUTE"],
+                [0x00F4, "LATIN SMALL LETTER O WITH CIRCUMFLEX"],
+                [0x00F5, "LATIN SMALL LETTER O WITH TILDE"],
+                [0x00F6, "LATIN SMALL LETTER O WITH DIAERESIS"],
+                [0x00F8, "LATIN SMALL LETTER O WITH STROKE"],
+                [0x00F9, "LATIN SMALL LETTER U WITH GRAVE"],
+                [0x00FA, "LATIN SMALL LETTER U WITH ACUTE"],
+                [0x00FB, "LATIN SMALL LETTER U WITH CIRCUMFLEX"],
+                [0x00FC, "LATIN SMALL LETTER U WITH DIAERESIS"],
+                [0x00FD, "LATIN SMALL LETTER Y WITH ACUTE"],
+                [0x00FE, "LATIN SMALL LETTER THORN"],
+                [0x00FF, "LATIN SMALL LETTER Y WITH DIAERESIS"],
+                [0x0131, "LATIN SMALL LETTER DOTLESS I"],
+                [0x0141, "LATIN CAPITAL LETTER L WITH STROKE"],
+                [0x0142, "LATIN SMALL LETTER L WITH STROKE"],
+                [0x0152, "LATIN CAPITAL LIGATURE OE"],
+                [0x0153, "LATIN SMALL LIGATURE OE"],
+                [0x0160, "LATIN CAPITAL LETTER S WITH CARON"],
+                [0x0161, "LATIN SMALL LETTER S WITH CARON"],
+                [0x0178, "LATIN CAPITAL LETTER Y WITH DIAERESIS"],
+                [0x017D, "LATIN CAPITAL LETTER Z WITH CARON"],
+                [0x017E, "LATIN SMALL LETTER Z WITH CARON"],
+                [0x0192, "LATIN SMALL LETTER F WITH HOOK"]
+            ]
+        },
+        {
+            id: "greek",
+            glyphs: [
+                [0x0391, "GREEK CAPITAL LETTER ALPHA"],
+                [0x0392, "GREEK CAPITAL LETTER BETA"],
+                [0x0393, "GREEK CAPITAL LETTER GAMMA"],
+                [0x0394, "GREEK CAPITAL LETTER DELTA"],
+                [0x0395, "GREEK CAPITAL LETTER EPSILON"],
+                [0x0396, "GREEK CAPITAL LETTER ZETA"],
+                [0x0397, "GREEK CAPITAL LETTER ETA"],
+                [0x0398, "GREEK CAPITAL LETTER THETA"],
+                [0x0399, "GREEK CAPITAL LETTER IOTA"],
+                [0x039A, "GREEK CAPITAL LETTER KAPPA"],
+                [0x039B, "GREEK CAPITAL LETTER LAMDA"],
+                [0x039C, "GREEK CAPITAL LETTER MU"],
+                [0x039D, "GREEK CAPITAL LETTER NU"],
+                [0x039E, "GREEK CAPITAL LETTER XI"],
+                [0x039F, "GREEK CAPITAL LETTER OMICRON"],
+                [0x03A0, "GREEK CAPITAL LETTER PI"],
+                [0x03A1, "GREEK CAPITAL LETTER RHO"],
+                [0x03A3, "GREEK CAPITAL LETTER SIGMA"],
+                [0x03A4, "GREEK CAPITAL LETTER TAU"],
+                [0x03A5, "GREEK CAPITAL LETTER UPSILON"],
+                [0x03A6, "GREEK CAPITAL LETTER PHI"],
+                [0x03A7, "GREEK CAPITAL LETTER CHI"],
+                [0x03A8, "GREEK CAPITAL LETTER PSI"],
+                [0x03A9, "GREEK CAPITAL LETTER OMEGA"],
+                [0x03B1, "GREEK SMALL LETTER ALPHA"],
+                [0x03B2, "GREEK SMALL LETTER BETA"],
+                [0x03B3, "GREEK SMALL LETTER GAMMA"],
+                [0x03B4, "GREEK SMALL LETTER DELTA"],
+                [0x03B5, "GREEK SMALL LETTER EPSILON"],
+                [0x03B6, "GREEK SMALL LETTER ZETA"],
+                [0x03B7, "GREEK SMALL LETTER ETA"],
+                [0x03B8, "GREEK SMALL LETTER THETA"],
+                [0x03B9, "GREEK SMALL LETTER IOTA"],
+                [0x03BA, "GREEK SMALL LETTER KAPPA"],
+                [0x03BB, "GREEK SMALL LETTER LAMDA"],
+                [0x03BC, "GREEK SMALL LETTER MU"],
+                [0x03BD, "GREEK SMALL LETTER NU"],
+                [0x03BE, "GREEK SMALL LETTER XI"],
+                [0x03BF, "GREEK SMALL LETTER OMICRON"],
+                [0x03C0, "GREEK SMALL LETTER PI"],
+                [0x03C1, "GREEK SMALL LETTER RHO"],
+                [0x03C2, "GREEK SMALL LETTER FINAL SIGMA"],
+                [0x03C3, "GREEK SMALL LETTER SIGMA"],
+                [0x03C4, "GREEK SMALL LETTER TAU"],
+                [0x03C5, "GREEK SMALL LETTER UPSILON"],
+                [0x03C6, "GREEK SMALL LETTER PHI"],
+                [0x03C7, "GREEK SMALL LETTER CHI"],
+                [0x03C8, "GREEK SMALL LETTER PSI"],
+                [0x03C9, "GREEK SMALL LETTER OMEGA"]
+            ]
+        },
+        {
+            id: "shapes",
+            glyphs: [
+                [0x25A0, "BLACK SQUARE"],
+                [0x25A1, "WHITE SQUARE"],
+                [0x25AA, "BLACK SMALL SQUARE"],
+                [0x25AB, "WHITE SMALL SQUARE"],
+                [0x25B2, "BLACK UP-POINTING TRIANGLE"],
+                [0x25B3, "WHITE UP-POINTING TRIANGLE"],
+                [0x25B6, "BLACK RIGHT-POINTING TRIANGLE"],
+                [0x25B7, "WHITE RIGHT-POINTING TRIANGLE"],
+                [0x25BC, "BLACK DOWN-POINTING TRIANGLE"],
+                [0x25BD, "WHITE DOWN-POINTING TRIANGLE"],
+                [0x25C0, "BLACK LEFT-POINTING TRIANGLE"],
+                [0x25C1, "WHITE LEFT-POINTING TRIANGLE"],
+                [0x25C6, "BLACK DIAMOND"],
+                [0x25C7, "WHITE DIAMOND"],
+                [0x25CB, "WHITE CIRCLE"],
+                [0x25CE, "BULLSEYE"],
+                [0x25CF, "BLACK CIRCLE"],
+                [0x25D0, "CIRCLE WITH LEFT HALF BLACK"],
+                [0x25D1, "CIRCLE WITH RIGHT HALF BLACK"],
+                [0x25E6, "WHITE BULLET"],
+                [0x25EF, "LARGE CIRCLE"],
+                [0x2B1B, "BLACK LARGE SQUARE"],
+                [0x2B1C, "WHITE LARGE SQUARE"],
+                [0x2B50, "WHITE MEDIUM STAR"]
+            ]
+        }
+    ];
+
+    /**
+     * Font size at which glyphs are measured to determine font support.
+     *
+     * @private
+     * @const
+     * @type {string}
+     */
+    var MEASURE_SIZE = "40px";
+
+    /**
+     * Generic font families against which glyph measurements are compared.
+     *
+     * @private
+     * @const
+     * @type {Array.<string>}
+     */
+    var FALLBACK_FAMILIES = ["monospace", "serif"];
+
+    /**
+     * A glyph offered by the glyph browser.
+     *
+     * @constructor
+     */
+    var Glyph = Immutable.Record({
+        /**
+         * @type {number} Unicode code point
+         */
+        codePoint: null,
+
+        /**
+         * @type {string} The glyph as a string
+         */
+        character: null,
+
+        /**
+         * @type {string} Unicode name
+         */
+        name: null,
+
+        /**
+         * @type {string} Category ID
+         */
+        category: null
+    });
+
+    /**
+     * All glyphs offered by the glyph browser, in category order.
+     *
+     * @type {Immutable.List.<Glyph>}
+     */
+    var glyphs = Immutable.List(CATEGORIES).flatMap(function (category) {
+        return Immutable.List(category.glyphs).map(function (pair) {
+            return new Glyph({
+                codePoint: pair[0],
+                character: String.fromCharCode(pair[0]),
+                name: pair[1],
+                category: category.id
+            });
+        });
+    });
+
+    /**
+     * The IDs of the glyph categories, in order.
+     *
+     * @type {Immutable.List.<string>}
+     */
+    var categories = Immutable.List(CATEGORIES).map(function (category) {
+        return category.id;
+    });
+
+    /**
+     * Format a code point in the conventional U+XXXX notation.
+     *
+     * @param {number} codePoint
+     * @return {string}
+     */
+    var formatCodePoint = function (codePoint) {
+        var hex = codePoint.toString(16).toUpperCase();
+
+        return "U+" + "0000".slice(hex.length) + hex;
+    };
+
+    /**
+     * Find the glyph for the given character.
+     *
+     * @param {string} character
+     * @return {?Glyph}
+     */
+    var fromCharacter = function (character) {
+        return glyphs.find(function (glyph) {
+            return glyph.character === character;
+        }) || null;
+    };
+
+    /**
+     * Filter the given glyphs by the given search query, which matches a glyph
+     * if it is part of its Unicode name, its code point in hexadecimal, with or
+     * without a U+ prefix, or the glyph itself.
+     *
+     * @param {Immutable.Iterable.<Glyph>} iterable
+     * @param {string} query
+     * @return {Immutable.Iterable.<Glyph>}
+     */
+    var search = function (iterable, query) {
+        var trimmed = query.trim(),
+            normalized = trimmed.toUpperCase();
+
+        if (normalized.length === 0) {
+            return iterable;
+        }
+
+        var codePointMatch = /^(?:U\+|0X)?([0-9A-F]{1,6})$/.exec(normalized),
+            codePoint = codePointMatch ? parseInt(codePointMatch[1], 16) : null;
+
+        return iterable.filter(function (glyph) {
+            return glyph.character === trimmed ||
+                glyph.codePoint === codePoint ||
+                glyph.name.indexOf(normalized) !== -1;
+        });
+    };
+
+    /**
+     * Determine which of the glyphs the given font family supports. A glyph is
+     * considered supported if it renders differently in the family than in the
+     * generic fallback families, i.e., if it does not fall back. This heuristic
+     * measures rendered text rather than reading the font's character map, so
+     * it only considers the glyphs offered by the browser, and may miss glyphs
+     * that happen to have the same width as their fallback.
+     *
+     * @param {string} family
+     * @return {Immutable.List.<Glyph>}
+     */
+    var getSupportedGlyphs = function (family) {
+        var context = window.document.createElement("canvas").getContext("2d"),
+            quotedFamily = "\"" + family.replace(/"/g, "\\\"") + "\"";
+
+        var measure = function (font, character) {
+            context.font = MEASURE_SIZE + " " + font;
+            return context.measureText(character).width;
+        };
+
+        return glyphs.filter(function (glyph) {
+            return FALLBACK_FAMILIES.some(function (fallback) {
+                return measure(quotedFamily + ", " + fallback, glyph.character) !==
+                    measure(fallback, glyph.character);
+            });
+        });
+    };
+
+    exports.Glyph = Glyph;
+    exports.glyphs = glyphs;
+    exports.categories = categories;
+    exports.formatCodePoint = formatCodePoint;
+    exports.fromCharacter = fromCharacter;
+    exports.search = search;
+    exports.getSupportedGlyphs = getSupportedGlyphs;
+});
@@ -0,0 +1,437 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var Promise = require("bluebird"),
+        Immutable = require("immutable"),
+        _ = require("lodash");
+
+    var Document = require("js/models/document"),
+        Layer = require("js/models/layer"),
+        Bounds = require("js/models/bounds"),
+        Color = require("js/models/color"),
+        Radii = require("js/models/radii"),
+        log = require("js/util/log");
+
+    /**
+     * @const
+     * @type {number} Version of the serialized journal format.
+     */
+    var JOURNAL_VERSION = 1;
+
+    /**
+     * Flat value records that can be reconstructed directly from their
+     * serialized properties, indexed by name.
+     *
+     * @private
+     * @type {Object.<string, function(object)>}
+     */
+    var _valueRecords = {
+        Bounds: Bounds,
+        Color: Color,
+        Radii: Radii
+    };
+
+    /**
+     * Find the name of the value record constructor for the given record, if any.
+     *
+     * @private
+     * @param {Immutable.Record} record
+     * @return {?string}
+     */
+    var _valueRecordName = function (record) {
+        return _.findKey(_valueRecords, function (Record) {
+            return record instanceof Record;
+        }) || null;
+    };
+
+    /**
+     * Convert an action parameter into a JSON-compatible value. Documents and
+     * layers are recorded by reference so that they can be resolved against the
+     * current models at replay time; value records, Immutable collections, arrays
+     * and plain objects are recorded structurally. Anything else (e.g., functions
+     * or DOM objects) is recorded as opaque and can not be replayed faithfully.
+     *
+     * @private
+     * @param {*} value
+     * @return {*}
+     */
+    var _serialize = function (value) {
+        if (value === undefined) {
+            return { $undefined: true };
+        }
+
+        if (value === null || typeof value !== "object") {
+            if (typeof value === "function") {
+                return { $opaque: "function" };
+            }
+
+            return value;
+        }
+
+        if (value instanceof Document) {
+            return { $document: value.id };
+        }
+
+        if (value instanceof Layer) {
+            return { $layer: value.key };
+        }
+
+        if (value instanceof Immutable.Record) {
+            var recordName = _valueRecordName(value);
+            if (recordName) {
+                return { $record: recordName, value: value.toJS() };
+            }
+
+            return { $opaque: "record" };
+        }
+
+        if (Immutable.Iterable.isIndexed(value)) {
+            return { $list: value.map(_serialize).toArray() };
+        }
+
+        if (Immutable.Set.isSet(value)) {
+            return { $set: value.map(_serialize).toArray() };
+        }
+
+        if (Immutable.Iterable.isKeyed(value)) {
+            return { $map: value.map(_serialize).toObject() };
+        }
+
+        if (_.isArray(value)) {
+            return value.map(_serialize);
+        }
+
+        if (_.isPlainObject(value)) {
+            return _.mapValues(value, _serialize);
+        }
+
+        return { $opaque: "object" };
+    };
+
+    /**
+     * Determines whether the given serialized value can be deserialized to an
+     * equivalent of the originally recorded value.
+     *
+     * @private
+     * @param {*} value Serialized value
+     * @return {boolean}
+     */
+    var _isReplayable = function (value) {
+        if (value === null || typeof value !== "object") {
+            return true;
+        }
+
+        if (value.hasOwnProperty("$opaque")) {
+            return false;
+        }
+
+        return _.every(value, _isReplayable);
+    };
+
+    /**
+     * Convert a serialized action parameter back into a value, resolving
+     * document and layer references against the given flux instance.
+     *
+     * @private
+     * @param {Fluxxor.Flux} flux
+     * @param {*} value Serialized value
+     * @return {*}
+     */
+    var _deserialize = function (flux, value) {
+        if (value === null || typeof value !== "object") {
+            return value;
+        }
+
+        var documentStore = flux.store("document"),
+            deserialize = _deserialize.bind(null, flux);
+
+        if (_.isArray(value)) {
+            return value.map(deserialize);
+        }
+
+        if (value.$undefined || value.hasOwnProperty("$opaque")) {
+            return undefined;
+        }
+
+        if (value.hasOwnProperty("$document")) {
+            var document = documentStore.getDocument(value.$document);
+            if (!document) {
+                throw new Error("Unable to resolve journaled document: " + value.$document);
+            }
+
+            return document;
+        }
+
+        if (value.hasOwnProperty("$layer")) {
+            var keyParts = value.$layer.split("."),
+                layerDocument = documentStore.getDocument(Number(keyParts[0])),
+                layer = layerDocument && layerDocument.layers.byID(Number(keyParts[1]));
+
+            if (!layer) {
+                throw new Error("Unable to resolve journaled layer: " + value.$layer);
+            }
+
+            return layer;
+        }
+
+        if (value.hasOwnProperty("$record")) {
+            var Record = _valueRecords[value.$record];
+            if (!Record) {
+                throw new Error("Unknown journaled record: " + value.$record);
+            }
+
+            return new Record(value.value);
+        }
+
+        if (value.hasOwnProperty("$list")) {
+            return Immutable.List(value.$list.map(deserialize));
+        }
+
+        if (value.hasOwnProperty("$set")) {
+            return Immutable.Set(value.$set.map(deserialize));
+        }
+
+        if (value.hasOwnProperty("$map")) {
+            return Immutable.Map(_.mapValues(value.$map, deserialize));
+        }
+
+        return _.mapValues(value, deserialize);
+    };
+
+    /**
+     * A single journaled action invocation.
+     *
+     * @typedef {object} JournalEntry
+     * @property {string} module The action module namespace
+     * @property {string} name The action name within the module
+     * @property {Array.<*>} params Serialized action parameters
+     * @property {boolean} replayable Whether all the parameters were serializable
+     * @property {Array.<string>} reads Read locks acquired by the action
+     * @property {Array.<string>} writes Write locks acquired by the action
+     * @property {number} enqueued Time at which the action was enqueued
+     * @property {?number} start Time at which the action began executing
+     * @property {?number} finished Time at which the action completed
+     * @property {?string} outcome Either "success", "failure" or null if incomplete
+     * @property {?string} error The failure message, if the action failed
+     * @property {?number} parent Index of the entry of the action whose command
+     *  invoked this action, or null if it was invoked from outside of any action
+     */
+
+    /**
+     * An ordered record of the synchronized actions executed by a FluxController,
+     * which can be serialized as JSON and later replayed against another
+     * controller, e.g., one running against the playground-mock adapter in tests.
+     *
+     * @constructor
+     * @param {Array.<JournalEntry>=} entries
+     */
+    var Journal = function (entries) {
+        this._entries = entries || [];
+    };
+
+    /**
+     * Construct a journal from its JSON representation.
+     *
+     * @param {string|object} json
+     * @return {Journal}
+     */
+    Journal.fromJSON = function (json) {
+        var obj = typeof json === "string" ? JSON.parse(json) : json;
+
+        if (!obj || obj.version !== JOURNAL_VERSION || !_.isArray(obj.entries)) {
+            throw new Error("Unsupported action journal format");
+        }
+
+        return new Journal(obj.entries);
+    };
+
+    /**
+     * The ordered list of journaled actions.
+     *
+     * @private
+     * @type {Array.<JournalEntry>}
+     */
+    Journal.prototype._entries = null;
+
+    /**
+     * Add an entry for a newly enqueued action. The returned entry is updated
+     * via start and finish as the action executes.
+     *
+     * @param {string} namespace
+     * @param {string} name
+     * @param {Array.<*>} params
+     * @param {Array.<string>} reads
+     * @param {Array.<string>} writes
+     * @param {number} enqueued
+     * @param {?JournalEntry=} parentEntry The entry of the action whose command
+     *  invoked this action, if any
+     * @return {JournalEntry}
+     */
+    Journal.prototype.record = function (namespace, name, params, reads, writes, enqueued, parentEntry) {
+        var serializedParams = params.map(_serialize),
+            parent = parentEntry ? this._entries.indexOf(parentEntry) : -1,
+            entry = {
+                module: namespace,
+                name: name,
+                params: serializedParams,
+                replayable: _isReplayable(serializedParams),
+                reads: reads,
+                writes: writes,
+                enqueued: enqueued,
+                start: null,
+                finished: null,
+                outcome: null,
+                error: null,
+                parent: parent < 0 ? null : parent
+            };
+
+        this._entries.push(entry);
+
+        return entry;
+    };
+
+    /**
+     * Mark the given entry as having begun execution.
+     *
+     * @param {JournalEntry} entry
+     * @param {number} start
+     */
+    Journal.prototype.start = function (entry, start) {
+        entry.start = start;
+    };
+
+    /**
+     * Mark the given entry as complete.
+     *
+     * @param {JournalEntry} entry
+     * @param {number} finished
+     * @param {*=} err The error with which the action failed, if any
+     */
+    Journal.prototype.finish = function (entry, finished, err) {
+        entry.finished = finished;
+
+        if (err === undefined) {
+            entry.outcome = "success";
+        } else {
+            entry.outcome = "failure";
+            entry.error = err instanceof Error ? err.message : String(err);
+        }
+    };
+
+    /**
+     * The number of journaled actions.
+     *
+     * @return {number}
+     */
+    Journal.prototype.size = function () {
+        return this._entries.length;
+    };
+
+    /**
+     * The journaled actions, in the order in which they were enqueued.
+     *
+     * @return {Array.<JournalEntry>}
+     */
+    Journal.prototype.entries = function () {
+        return this._entries.slice();
+    };
+
+    /**
+     * Serializable representation of this journal.
+     *
+     * @return {{version: number, entries: Array.<JournalEntry>}}
+     */
+    Journal.prototype.toJSON = function () {
+        return {
+            version: JOURNAL_VERSION,
+            entries: this._entries
+        };
+    };
+
+    /**
+     * Replay the journaled root actions, in order and one at a time, against the
+     * given controller. Actions invoked by the commands of other actions are not
+     * replayed themselves, because replaying their parents invokes them again.
+     * Document and layer parameters are resolved against the controller's current
+     * models when each action is invoked. Entries that were canceled before
+     * execution or could not be fully serialized are skipped. Replay continues
+     * past failed actions; divergences from the recorded outcomes are logged
+     * and reported.
+     *
+     * @param {FluxController} controller
+     * @return {Promise.<Array.<{entry: JournalEntry, outcome: string, matched: boolean}>>}
+     */
+    Journal.prototype.replay = function (controller) {
+        var flux = controller.flux,
+            rootEntries = this._entries.filter(function (entry) {
+                return entry.parent === null || entry.parent === undefined;
+            });
+
+        return Promise.reduce(rootEntries, function (results, entry) {
+            var actionName = entry.module + "." + entry.name,
+                actionModule = flux.actions[entry.module],
+                action = actionModule && actionModule[entry.name];
+
+            if (entry.start === null) {
+                log.debug("Skipping journaled action %s, which was canceled before execution", actionName);
+                results.push({ entry: entry, outcome: "skipped", matched: true });
+                return results;
+            }
+
+            if (!entry.replayable) {
+                log.warn("Skipping unreplayable journaled action %s", actionName);
+                results.push({ entry: entry, outcome: "skipped", matched: false });
+                return results;
+            }
+
+            if (typeof action !== "function") {
+                throw new Error("Unknown journaled action: " + actionName);
+            }
+
+            return Promise.try(function () {
+                    var params = entry.params.map(_deserialize.bind(null, flux));
+                    return action.apply(actionModule, params);
+                })
+                .then(function () {
+                    return "success";
+                }, function () {
+                    return "failure";
+                })
+                .then(function (outcome) {
+                    var matched = outcome === entry.outcome;
+                    if (!matched) {
+                        log.warn("Journaled action %s diverged on replay: expected %s but got %s",
+                            actionName, entry.outcome, outcome);
+                    }
+
+                    results.push({ entry: entry, outcome: outcome, matched: matched });
+                    return results;
+                });
+        }, []);
+    };
+
+    module.exports = Journal;
+});
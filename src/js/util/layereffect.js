@@ -0,0 +1,59 @@
+/*
+ * Copyright (c) 2014 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+define(function (require, exports) {
+    "use strict";
+
+    var _ = require("lodash");
+
+    var objUtil = require("js/util/object");
+
+    /**
+     * Get the descriptors of the layer effects of the given type which are present
+     * on the layer described by the given Photoshop layer descriptor. Layers may
+     * have several effects of some types, which are described by a "Multi" list,
+     * or a single effect, which is described directly. The enabled state of each
+     * effect also respects the "master" layerFXVisible flag.
+     *
+     * @param {object} layerDescriptor
+     * @param {string} type layer effect type, eg "dropShadow"
+     * @return {Array.<object>}
+     */
+    var getEffectDescriptors = function (layerDescriptor, type) {
+        var effectDescriptors = objUtil.getPath(layerDescriptor, "layerEffects." + type + "Multi") ||
+            _.compact([objUtil.getPath(layerDescriptor, "layerEffects." + type)]);
+
+        return effectDescriptors
+            .filter(function (effectDescriptor) {
+                return effectDescriptor.present;
+            })
+            .map(function (effectDescriptor) {
+                return _.assign({}, effectDescriptor, {
+                    enabled: effectDescriptor.enabled && layerDescriptor.layerFXVisible
+                });
+            });
+    };
+
+    exports.getEffectDescriptors = getEffectDescriptors;
+});
@@ -0,0 +1,209 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var _ = require("lodash");
+
+    var events = require("js/events"),
+        locks = require("js/locks"),
+        log = require("js/util/log");
+
+    /**
+     * Collect all the event names declared in the given (nested) events object.
+     *
+     * @private
+     * @param {object} eventsObj
+     * @return {Array.<string>}
+     */
+    var _allEvents = function (eventsObj) {
+        return _.reduce(eventsObj, function (allEvents, value) {
+            if (typeof value === "string") {
+                allEvents.push(value);
+                return allEvents;
+            }
+
+            return allEvents.concat(_allEvents(value));
+        }, []);
+    };
+
+    /**
+     * Verifies, in debug builds, that actions only access stores guarded by
+     * their declared read locks, and only dispatch events handled by stores
+     * guarded by their declared write locks.
+     *
+     * @constructor
+     * @param {Object.<string, Fluxxor.Store>} stores The stores, indexed by name
+     */
+    var LockVerifier = function (stores) {
+        this._storeLocks = {};
+        this._eventStores = {};
+        this._reported = new Set();
+
+        _.forEach(stores, function (store, storeName) {
+            this.addStore(storeName, store, locks.STORE_LOCKS[storeName]);
+        }, this);
+
+        var unhandled = _.difference(_allEvents(events), _.keys(this._eventStores));
+        if (unhandled.length > 0) {
+            log.debug("Events not handled by any store: %s", unhandled.join(", "));
+        }
+    };
+
+    /**
+     * Names of the stores that handle each event, indexed by event.
+     *
+     * @private
+     * @type {Object.<string, Array.<string>>}
+     */
+    LockVerifier.prototype._eventStores = null;
+
+    /**
+     * The lock that guards each verified store, indexed by store name.
+     *
+     * @private
+     * @type {Object.<string, string>}
+     */
+    LockVerifier.prototype._storeLocks = null;
+
+    /**
+     * Violations that have already been reported, so that each is only
+     * reported once.
+     *
+     * @private
+     * @type {Set.<string>}
+     */
+    LockVerifier.prototype._reported = null;
+
+    /**
+     * If true, violations throw errors instead of being logged, e.g., to fail tests.
+     *
+     * @type {boolean}
+     */
+    LockVerifier.prototype.strict = false;
+
+    /**
+     * Report a lock violation.
+     *
+     * @private
+     * @param {string} message
+     */
+    LockVerifier.prototype._report = function (message) {
+        if (this.strict) {
+            throw new Error(message);
+        }
+
+        if (!this._reported.has(message)) {
+            this._reported.add(message);
+            log.warn(message);
+        }
+    };
+
+    /**
+     * Begin verifying access to the given store, e.g., one registered by a plugin.
+     *
+     * @param {string} storeName
+     * @param {Fluxxor.Store} store
+     * @param {string=} lock The lock that guards the store; if omitted, access
+     *  to the store is not verified
+     */
+    LockVerifier.prototype.addStore = function (storeName, store, lock) {
+        if (lock) {
+            this._storeLocks[storeName] = lock;
+        }
+
+        Object.keys(store.__actions__).forEach(function (event) {
+            if (!this._eventStores.hasOwnProperty(event)) {
+                this._eventStores[event] = [];
+            }
+
+            this._eventStores[event].push(storeName);
+        }, this);
+    };
+
+    /**
+     * Stop verifying access to the given store.
+     *
+     * @param {string} storeName
+     */
+    LockVerifier.prototype.removeStore = function (storeName) {
+        delete this._storeLocks[storeName];
+
+        this._eventStores = _.mapValues(this._eventStores, function (storeNames) {
+            return _.without(storeNames, storeName);
+        });
+    };
+
+    /**
+     * The locks guarding the stores that handle the given event.
+     *
+     * @param {string} event
+     * @return {Array.<string>}
+     */
+    LockVerifier.prototype.getEventLocks = function (event) {
+        var storeNames = this._eventStores[event] || [];
+
+        return _.chain(storeNames)
+            .map(function (storeName) {
+                return this._storeLocks[storeName];
+            }, this)
+            .compact()
+            .uniq()
+            .value();
+    };
+
+    /**
+     * Verify that an action may dispatch the given event.
+     *
+     * @param {string} actionName
+     * @param {string} event
+     * @param {Array.<string>} writes The write locks held by the action
+     */
+    LockVerifier.prototype.verifyDispatch = function (actionName, event, writes) {
+        var missing = _.difference(this.getEventLocks(event), writes);
+
+        if (missing.length > 0) {
+            this._report("Action " + actionName + " dispatched " + event +
+                " without write locks: " + missing.join(", "));
+        }
+    };
+
+    /**
+     * Verify that an action may access the given store.
+     *
+     * @param {string} actionName
+     * @param {string} storeName
+     * @param {Array.<string>} reads The read locks held by the action
+     */
+    LockVerifier.prototype.verifyStoreAccess = function (actionName, storeName, reads) {
+        var lock = this._storeLocks[storeName];
+
+        if (lock && !_.contains(reads, lock)) {
+            this._report("Action " + actionName + " accessed store " + storeName +
+                " without read lock: " + lock);
+        }
+    };
+
+    module.exports = LockVerifier;
+});
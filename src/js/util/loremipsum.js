@@ -0,0 +1,261 @@
+/*
+ * Copyright (c) 2014 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+define(function (require, exports) {
+    "use strict";
+
+    var _ = require("lodash");
+
+    /**
+     * The passage from which placeholder text is drawn, as a list of sentences.
+     *
+     * @private
+     * @const
+     * @type {Array.<string>}
+     */
+    var SENTENCES = [
+        "Lorem ipsum dolor sit amet, consectetur adipiscing elit.",
+        "Sed do eiusmod tempor incididunt ut labore et dolore magna aliqua.",
+        "Ut enim ad minim veniam, quis nostrud exercitation ullamco laboris nisi ut aliquip ex ea commodo consequat.",
+        "Duis aute irure dolor in reprehenderit in voluptate velit esse cillum dolore eu fugiat nulla pariatur.",
+        "Excepteur sint occaecat cupidatat non proident, sunt in culpa qui officia deserunt mollit anim.",
+        "Curabitur pretium tincidunt lacus, nulla gravida orci a odio.",
+        "Nullam varius, turpis et commodo pharetra, est eros bibendum elit, nec luctus magna felis.",
+        "Integer in mauris eu nibh euismod gravida.",
+        "Duis ac tellus et risus vulputate vehicula.",
+        "Donec lobortis risus a elit.",
+        "Etiam tempor, ut ullamcorper, ligula eu tempor congue, eros est euismod turpis, id tincidunt sapien.",
+        "Maecenas fermentum consequat mi, donec fermentum pellentesque malesuada nulla a mi."
+    ];
+
+    /**
+     * The words of the passage, without punctuation and in lower case.
+     *
+     * @private
+     * @const
+     * @type {Array.<string>}
+     */
+    var WORDS = SENTENCES.join(" ").toLowerCase().replace(/[.,]/g, "").split(" ");
+
+    /**
+     * Number of sentences per generated paragraph, and of words per generated
+     * list item.
+     *
+     * @private
+     * @const
+     * @type {number}
+     */
+    var SENTENCES_PER_PARAGRAPH = 4,
+        WORDS_PER_LIST_ITEM = 3;
+
+    /**
+     * Prefix of each generated list item.
+     *
+     * @private
+     * @const
+     * @type {string}
+     */
+    var BULLET = "• ";
+
+    /**
+     * Photoshop separates paragraphs with carriage returns.
+     *
+     * @private
+     * @const
+     * @type {string}
+     */
+    var PARAGRAPH_SEPARATOR = "\r";
+
+    /**
+     * Average width of a character relative to the type size, used to estimate
+     * how many characters fit on a line.
+     *
+     * @private
+     * @const
+     * @type {number}
+     */
+    var AVERAGE_CHARACTER_WIDTH = 0.5;
+
+    /**
+     * The kinds of placeholder text that can be generated.
+     *
+     * @const
+     * @type {Object.<string, string>}
+     */
+    var MODES = {
+        WORDS: "words",
+        SENTENCES: "sentences",
+        PARAGRAPHS: "paragraphs",
+        LIST: "list"
+    };
+
+    /**
+     * Number of units of each mode generated when there is no box to fit.
+     *
+     * @private
+     * @const
+     * @type {Object.<string, number>}
+     */
+    var DEFAULT_COUNTS = {
+        words: 3,
+        sentences: 2,
+        paragraphs: 1,
+        list: 3
+    };
+
+    /**
+     * Capitalize the first letter of the given string.
+     *
+     * @private
+     * @param {string} text
+     * @return {string}
+     */
+    var _capitalize = function (text) {
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    };
+
+    /**
+     * Take the given number of items from the given list, starting at the given
+     * index and wrapping around its end.
+     *
+     * @private
+     * @param {Array.<string>} list
+     * @param {number} first
+     * @param {number} count
+     * @return {Array.<string>}
+     */
+    var _take = function (list, first, count) {
+        var items = [];
+
+        for (var index = first; index < first + count; index++) {
+            items.push(list[index % list.length]);
+        }
+
+        return items;
+    };
+
+    /**
+     * Build the text consisting of the given number of units of the given mode.
+     *
+     * @private
+     * @param {string} mode One of MODES
+     * @param {number} count
+     * @return {string}
+     */
+    var _build = function (mode, count) {
+        switch (mode) {
+            case MODES.WORDS:
+                return _capitalize(_take(WORDS, 0, count).join(" "));
+            case MODES.SENTENCES:
+                return _take(SENTENCES, 0, count).join(" ");
+            case MODES.PARAGRAPHS:
+                return _.chunk(_take(SENTENCES, 0, count * SENTENCES_PER_PARAGRAPH), SENTENCES_PER_PARAGRAPH)
+                    .map(function (sentences) {
+                        return sentences.join(" ");
+                    })
+                    .join(PARAGRAPH_SEPARATOR);
+            case MODES.LIST:
+                return _.chunk(_take(WORDS, 0, count * WORDS_PER_LIST_ITEM), WORDS_PER_LIST_ITEM)
+                    .map(function (words) {
+                        return BULLET + _capitalize(words.join(" "));
+                    })
+                    .join(PARAGRAPH_SEPARATOR);
+            default:
+                throw new Error("Unknown placeholder text mode: " + mode);
+        }
+    };
+
+    /**
+     * Count the lines the given text occupies when its paragraphs are wrapped
+     * greedily at word boundaries to the given number of characters per line.
+     *
+     * @private
+     * @param {string} text
+     * @param {number} charactersPerLine
+     * @return {number}
+     */
+    var _countLines = function (text, charactersPerLine) {
+        return text.split(PARAGRAPH_SEPARATOR).reduce(function (lines, paragraph) {
+            var lineLength = 0;
+
+            return lines + paragraph.split(" ").reduce(function (paragraphLines, word) {
+                if (lineLength > 0 && lineLength + 1 + word.length > charactersPerLine) {
+                    lineLength = word.length;
+                    return paragraphLines + 1;
+                }
+
+                lineLength += (lineLength > 0 ? 1 : 0) + word.length;
+                return paragraphLines;
+            }, 1);
+        }, 0);
+    };
+
+    /**
+     * Estimate how much text of the given type size and leading fits in a box
+     * of the given dimensions.
+     *
+     * @param {number} width Box width in pixels
+     * @param {number} height Box height in pixels
+     * @param {number} size Type size in pixels
+     * @param {number} leading Line height in pixels
+     * @return {{charactersPerLine: number, lines: number}}
+     */
+    var estimateFit = function (width, height, size, leading) {
+        return {
+            charactersPerLine: Math.max(Math.floor(width / (size * AVERAGE_CHARACTER_WIDTH)), 1),
+            lines: Math.max(Math.floor(height / leading), 1)
+        };
+    };
+
+    /**
+     * Generate placeholder text of the given mode. If a fit is given, as many
+     * units (words, sentences, paragraphs or list items) are generated as fit
+     * in that many lines, but always at least one; otherwise a mode-specific
+     * default number of units is generated.
+     *
+     * @param {string} mode One of MODES
+     * @param {{charactersPerLine: number, lines: number}=} fit
+     * @return {string}
+     */
+    var generate = function (mode, fit) {
+        if (!fit) {
+            return _build(mode, DEFAULT_COUNTS[mode]);
+        }
+
+        var count = 1,
+            text = _build(mode, count),
+            next = _build(mode, count + 1);
+
+        while (_countLines(next, fit.charactersPerLine) <= fit.lines) {
+            count++;
+            text = next;
+            next = _build(mode, count + 1);
+        }
+
+        return text;
+    };
+
+    exports.MODES = MODES;
+    exports.estimateFit = estimateFit;
+    exports.generate = generate;
+});
@@ -62,6 +62,103 @@ define(function (require, exports) {
         });
     };
 
+    /**
+     * A map from fully qualified action names to the number of pending
+     * invocations that were dropped because they were superseded.
+     *
+     * @private
+     * @type {{string: number}}
+     */
+    var _supersededActions = {};
+
+    /**
+     * Records that pending invocations of an action were dropped because they
+     * were superseded by a newer invocation.
+     *
+     * @param {string} actionName
+     * @param {number} count
+     */
+    var recordSuperseded = function (actionName, count) {
+        _supersededActions[actionName] = (_supersededActions[actionName] || 0) + count;
+    };
+
+    /**
+     * A map from lock contention keys (the lock, the waiting action and the
+     * holding action) to statistics about the time spent waiting.
+     *
+     * @private
+     * @type {{string: {lock: string, waiting: string, holding: string, implicit: boolean, waits: Array.<number>}}}
+     */
+    var _lockWaits = {};
+
+    /**
+     * Records that an action waited to execute because a lock it required
+     * was held by another action.
+     *
+     * @param {string} waiting The name of the waiting action
+     * @param {string} lock The conflicted lock
+     * @param {string} holding The name of the action that held the lock
+     * @param {number} duration The length of the wait in ms
+     * @param {boolean} implicit Whether the holding action acquired all locks
+     *  because it did not declare its locks
+     */
+    var recordLockWait = function (waiting, lock, holding, duration, implicit) {
+        var key = [lock, waiting, holding].join(":");
+
+        if (!_lockWaits.hasOwnProperty(key)) {
+            _lockWaits[key] = {
+                lock: lock,
+                waiting: waiting,
+                holding: holding,
+                implicit: implicit,
+                waits: []
+            };
+        }
+
+        _lockWaits[key].waits.push(duration);
+    };
+
+    /**
+     * Summarize lock contention, ordered by descending total wait time.
+     *
+     * @return {Array.<{lock: string, waiting: string, holding: string, implicit: boolean,
+     *  count: number, total: number, max: number, avg: number}>}
+     */
+    var getLockContentionReport = function () {
+        return _.chain(_lockWaits)
+            .map(function (contention) {
+                var waits = contention.waits,
+                    total = _.sum(waits);
+
+                return {
+                    lock: contention.lock,
+                    waiting: contention.waiting,
+                    holding: contention.holding,
+                    implicit: contention.implicit,
+                    count: waits.length,
+                    total: total,
+                    max: _.max(waits),
+                    avg: total / waits.length
+                };
+            })
+            .sortBy(function (row) {
+                return -row.total;
+            })
+            .value();
+    };
+
+    /**
+     * Log a summary of lock contention to the console. Actions that held all
+     * locks because they did not declare any are marked as implicit.
+     */
+    var printLockContention = function () {
+        var contentionTable = getLockContentionReport();
+
+        log.table(contentionTable);
+        log.debug("Total: %dms waiting for locks in %d waits",
+            _.sum(contentionTable, "total"), _.sum(contentionTable, "count"));
+    };
+
     /**
      * Log a summary of the given action times to the console.
      * 
@@ -122,11 +219,38 @@ define(function (require, exports) {
         _printActionTimes("executing");
     };
 
+    /**
+     * Log a summary of dropped, superseded action invocations to the console.
+     */
+    var printSuperseded = function () {
+        var droppedTable = Object.keys(_supersededActions).map(function (action) {
+            var nameParts = action.split("."),
+                times = _actionTimes[nameParts[0]],
+                executed = times && times[nameParts[1]];
+
+            return {
+                action: action,
+                dropped: _supersededActions[action],
+                executed: executed ? executed.length : 0
+            };
+        });
+
+        log.table(droppedTable);
+        log.debug("Total: %d dropped invocations", _.sum(droppedTable, "dropped"));
+    };
+
     // TODO: occasionally save these records in localStorage, and restore them
     // in memory from localStorage on startup.
 
     exports.recordAction = recordAction;
     exports.printIdleTimes = printIdleTimes;
     exports.printExecTimes = printExecTimes;
+    exports.recordSuperseded = recordSuperseded;
+    exports.recordLockWait = recordLockWait;
+    exports.getLockContentionReport = getLockContentionReport;
+    exports.printLockContention = printLockContention;
+    exports.printSuperseded = printSuperseded;
     exports._actionTimes = _actionTimes;
+    exports._supersededActions = _supersededActions;
+    exports._lockWaits = _lockWaits;
 });
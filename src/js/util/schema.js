@@ -0,0 +1,443 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+define(function (require, exports) {
+    "use strict";
+
+    var Immutable = require("immutable"),
+        _ = require("lodash");
+
+    var Document = require("js/models/document"),
+        Layer = require("js/models/layer"),
+        Bounds = require("js/models/bounds"),
+        Color = require("js/models/color"),
+        Gradient = require("js/models/gradient"),
+        Pattern = require("js/models/pattern"),
+        Radii = require("js/models/radii");
+
+    /**
+     * Names of the model constructors, used to describe invalid values.
+     *
+     * @private
+     * @type {Array.<{name: string, constructor: function()}>}
+     */
+    var _models = [
+        { name: "Document", constructor: Document },
+        { name: "Layer", constructor: Layer },
+        { name: "Bounds", constructor: Bounds },
+        { name: "Color", constructor: Color },
+        { name: "Gradient", constructor: Gradient },
+        { name: "Pattern", constructor: Pattern },
+        { name: "Radii", constructor: Radii }
+    ];
+
+    /**
+     * Names of the action module methods that are invoked by the controller
+     * rather than by clients, and so are omitted from the API documentation.
+     *
+     * @private
+     * @type {Array.<string>}
+     */
+    var _lifecycleMethods = ["beforeStartup", "afterStartup", "onReset", "onShutdown"];
+
+    /**
+     * Briefly describe the type of a value, e.g., for error messages. Numbers
+     * are described along with their value.
+     *
+     * @private
+     * @param {*} value
+     * @return {string}
+     */
+    var _describeValue = function (value) {
+        if (value === null) {
+            return "null";
+        }
+
+        var model = _.find(_models, function (model) {
+            return value instanceof model.constructor;
+        });
+
+        if (model) {
+            return model.name;
+        }
+
+        if (Immutable.List.isList(value)) {
+            return "Immutable.List";
+        }
+
+        if (Immutable.Map.isMap(value)) {
+            return "Immutable.Map";
+        }
+
+        if (Immutable.Set.isSet(value)) {
+            return "Immutable.Set";
+        }
+
+        if (Immutable.Iterable.isIterable(value)) {
+            return "Immutable.Iterable";
+        }
+
+        if (_.isArray(value)) {
+            return "Array";
+        }
+
+        if (typeof value === "number") {
+            return "number " + value;
+        }
+
+        return typeof value;
+    };
+
+    /**
+     * A parameter type, which validates values and describes itself in error
+     * messages and API documentation.
+     *
+     * @constructor
+     * @param {string} name JSDoc-style description of the type, e.g., "Immutable.List.<Layer>"
+     * @param {function(*): ?string} validate Returns the reason for which a value
+     *  is invalid, or null if it is valid
+     */
+    var Type = function (name, validate) {
+        this.name = name;
+        this.validate = validate;
+    };
+
+    /**
+     * @type {string}
+     */
+    Type.prototype.name = null;
+
+    /**
+     * Validate a value against this type.
+     *
+     * @type {function(*): ?string}
+     */
+    Type.prototype.validate = null;
+
+    /**
+     * Construct a type from a predicate.
+     *
+     * @private
+     * @param {string} name
+     * @param {function(*): boolean} predicate
+     * @return {Type}
+     */
+    var _predicate = function (name, predicate) {
+        return new Type(name, function (value) {
+            return predicate(value) ? null : "expected " + name + " but got " + _describeValue(value);
+        });
+    };
+
+    /**
+     * Type of values which are instances of the given constructor.
+     *
+     * @param {function()} Constructor
+     * @param {string} name
+     * @return {Type}
+     */
+    var instanceOf = function (Constructor, name) {
+        return _predicate(name, function (value) {
+            return value instanceof Constructor;
+        });
+    };
+
+    /**
+     * Type of numbers in the given inclusive range. Either bound may be omitted.
+     *
+     * @param {number=} min
+     * @param {number=} max
+     * @return {Type}
+     */
+    var range = function (min, max) {
+        var bounds = [];
+        if (min !== undefined) {
+            bounds.push(">= " + min);
+        }
+
+        if (max !== undefined) {
+            bounds.push("<= " + max);
+        }
+
+        var name = bounds.length > 0 ? "number " + bounds.join(" and ") : "number";
+
+        return _predicate(name, function (value) {
+            return typeof value === "number" && !isNaN(value) &&
+                (min === undefined || value >= min) &&
+                (max === undefined || value <= max);
+        });
+    };
+
+    /**
+     * Type of values which are equal to one of the given values.
+     *
+     * @param {Array.<*>|Object.<string, *>} values Either a list of values or an
+     *  enumeration object, in which case its values are used
+     * @return {Type}
+     */
+    var oneOf = function (values) {
+        values = _.values(values);
+
+        var name = "one of " + values.map(function (value) {
+            return JSON.stringify(value);
+        }).join(", ");
+
+        return new Type(name, function (value) {
+            return _.contains(values, value) ? null : "expected " + name + " but got " + JSON.stringify(value);
+        });
+    };
+
+    /**
+     * Type of values which match at least one of the given types.
+     *
+     * @param {Array.<Type>} types
+     * @return {Type}
+     */
+    var anyOf = function (types) {
+        return _predicate(_.pluck(types, "name").join("|"), function (value) {
+            return types.some(function (type) {
+                return type.validate(value) === null;
+            });
+        });
+    };
+
+    /**
+     * Type of values which are either of the given type, null or undefined.
+     *
+     * @param {Type} type
+     * @return {Type}
+     */
+    var optional = function (type) {
+        var name = type.name.indexOf(" ") >= 0 ? "(" + type.name + ")=" : type.name + "=";
+
+        return new Type(name, function (value) {
+            if (value === undefined || value === null) {
+                return null;
+            }
+
+            return type.validate(value);
+        });
+    };
+
+    /**
+     * Construct a collection type whose elements all have the given type.
+     *
+     * @private
+     * @param {string} collectionName
+     * @param {function(*): boolean} isCollection
+     * @param {Type} type The element type
+     * @return {Type}
+     */
+    var _collectionOf = function (collectionName, isCollection, type) {
+        var name = collectionName + ".<" + type.name + ">";
+
+        return new Type(name, function (value) {
+            if (!isCollection(value)) {
+                return "expected " + name + " but got " + _describeValue(value);
+            }
+
+            var reason = null;
+            _.some(_.isArray(value) ? value : value.toArray(), function (element, index) {
+                var elementReason = type.validate(element);
+                if (elementReason) {
+                    reason = "element " + index + ": " + elementReason;
+                    return true;
+                }
+            });
+
+            return reason;
+        });
+    };
+
+    /**
+     * Type of Immutable.Lists whose elements have the given type.
+     *
+     * @param {Type} type
+     * @return {Type}
+     */
+    var listOf = function (type) {
+        return _collectionOf("Immutable.List", Immutable.List.isList, type);
+    };
+
+    /**
+     * Type of indexed Immutable.Iterables, e.g., Lists or Seqs, whose elements
+     * have the given type.
+     *
+     * @param {Type} type
+     * @return {Type}
+     */
+    var iterableOf = function (type) {
+        return _collectionOf("Immutable.Iterable", Immutable.Iterable.isIndexed, type);
+    };
+
+    /**
+     * Type of arrays whose elements have the given type.
+     *
+     * @param {Type} type
+     * @return {Type}
+     */
+    var arrayOf = function (type) {
+        return _collectionOf("Array", _.isArray, type);
+    };
+
+    /**
+     * Type of objects whose properties have the given types.
+     *
+     * @param {Object.<string, Type>} properties
+     * @return {Type}
+     */
+    var shape = function (properties) {
+        var name = "{" + _.map(properties, function (type, key) {
+            return key + ": " + type.name;
+        }).join(", ") + "}";
+
+        return new Type(name, function (value) {
+            if (!_.isObject(value)) {
+                return "expected " + name + " but got " + _describeValue(value);
+            }
+
+            var reason = null;
+            _.some(properties, function (type, key) {
+                var propertyReason = type.validate(value[key]);
+                if (propertyReason) {
+                    reason = "property " + key + ": " + propertyReason;
+                    return true;
+                }
+            });
+
+            return reason;
+        });
+    };
+
+    /**
+     * A declared action parameter.
+     *
+     * @typedef {object} Param
+     * @property {string} name
+     * @property {Type} type
+     * @property {string=} description
+     */
+
+    /**
+     * Validate actual parameters against the declared parameters of an action.
+     * Additional actual parameters are not validated.
+     *
+     * @param {Array.<Param>} params
+     * @param {Array.<*>} args
+     * @return {?string} The reason for which the parameters are invalid, or
+     *  null if they are valid
+     */
+    var validate = function (params, args) {
+        var reason = null;
+
+        params.some(function (param, index) {
+            var paramReason = param.type.validate(args[index]);
+            if (paramReason) {
+                reason = "parameter " + param.name + ": " + paramReason;
+                return true;
+            }
+        });
+
+        return reason;
+    };
+
+    /**
+     * Generate Markdown API documentation for the given action modules from
+     * their declared parameters and locks.
+     *
+     * @param {Object.<string, object>} modules Raw action modules, indexed by namespace
+     * @return {string}
+     */
+    var generateDocs = function (modules) {
+        var lines = [];
+
+        Object.keys(modules).sort().forEach(function (namespace) {
+            var module = modules[namespace],
+                names = Object.keys(module)
+                    .filter(function (name) {
+                        return name[0] !== "_" && !_.contains(_lifecycleMethods, name) &&
+                            module[name].hasOwnProperty("command");
+                    })
+                    .sort();
+
+            if (names.length === 0) {
+                return;
+            }
+
+            lines.push("## " + namespace, "");
+
+            names.forEach(function (name) {
+                var action = module[name],
+                    params = action.params,
+                    signature = params ? _.pluck(params, "name").join(", ") : "...";
+
+                lines.push("### " + namespace + "." + name + "(" + signature + ")", "");
+
+                if (params) {
+                    params.forEach(function (param) {
+                        var line = "- `" + param.name + "` {" + param.type.name + "}";
+                        if (param.description) {
+                            line += " " + param.description;
+                        }
+
+                        lines.push(line);
+                    });
+                } else {
+                    lines.push("- Parameters are not declared");
+                }
+
+                lines.push("- Reads: " + (action.reads ? action.reads.join(", ") || "none" : "all locks"));
+                lines.push("- Writes: " + (action.writes ? action.writes.join(", ") || "none" : "all locks"));
+                lines.push("");
+            });
+        });
+
+        return lines.join("\n");
+    };
+
+    exports.any = new Type("*", _.constant(null));
+    exports.boolean = _predicate("boolean", _.isBoolean);
+    exports.string = _predicate("string", _.isString);
+    exports.number = range();
+    exports.func = _predicate("function", _.isFunction);
+    exports.object = _predicate("object", _.isPlainObject);
+    exports.Document = instanceOf(Document, "Document");
+    exports.Layer = instanceOf(Layer, "Layer");
+    exports.Bounds = instanceOf(Bounds, "Bounds");
+    exports.Color = instanceOf(Color, "Color");
+    exports.Gradient = instanceOf(Gradient, "Gradient");
+    exports.Pattern = instanceOf(Pattern, "Pattern");
+    exports.Radii = instanceOf(Radii, "Radii");
+
+    exports.Type = Type;
+    exports.instanceOf = instanceOf;
+    exports.range = range;
+    exports.oneOf = oneOf;
+    exports.anyOf = anyOf;
+    exports.optional = optional;
+    exports.listOf = listOf;
+    exports.iterableOf = iterableOf;
+    exports.arrayOf = arrayOf;
+    exports.shape = shape;
+    exports.validate = validate;
+    exports.generateDocs = generateDocs;
+});
@@ -0,0 +1,161 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var _ = require("lodash");
+
+    var events = require("js/events");
+
+    /**
+     * The set of events which push a history state onto the HistoryStore.
+     *
+     * @const
+     * @private
+     * @type {Set.<string>}
+     */
+    var HISTORY_EVENTS = new Set(_.values(events.document.history.optimistic)
+        .concat(_.values(events.document.history.nonOptimistic)));
+
+    /**
+     * Groups the model updates and Photoshop commands of a composite operation,
+     * executed by an action that holds the document write lock, so that the
+     * operation results in at most one Photoshop history state and one
+     * HistoryStore entry per document, and so that its model updates can be
+     * rolled back as a whole.
+     *
+     * @constructor
+     * @param {ModelSnapshot} snapshot The models from before the transaction began
+     */
+    var Transaction = function (snapshot) {
+        this.snapshot = snapshot;
+        this._historyDocumentIDs = new Set();
+        this._historyTargetIDs = new Set();
+    };
+
+    /**
+     * @type {ModelSnapshot}
+     */
+    Transaction.prototype.snapshot = null;
+
+    /**
+     * IDs of documents for which a HistoryStore entry has been pushed during
+     * this transaction.
+     *
+     * @private
+     * @type {Set.<number>}
+     */
+    Transaction.prototype._historyDocumentIDs = null;
+
+    /**
+     * IDs of documents for which a Photoshop history state has been created
+     * during this transaction.
+     *
+     * @private
+     * @type {Set.<number>}
+     */
+    Transaction.prototype._historyTargetIDs = null;
+
+    /**
+     * Prepare the payload of an event dispatched during this transaction.
+     * The document is recorded as affected by the transaction and, if
+     * a HistoryStore entry has already been pushed for the document during this
+     * transaction, the payload is marked to coalesce with that entry.
+     *
+     * @param {string} event
+     * @param {object=} payload
+     * @return {object=} The payload, updated in place
+     */
+    Transaction.prototype.preparePayload = function (event, payload) {
+        if (!payload || !payload.hasOwnProperty("documentID")) {
+            return payload;
+        }
+
+        var documentID = payload.documentID;
+
+        this.snapshot.documentIDs.add(documentID);
+
+        if (HISTORY_EVENTS.has(event)) {
+            if (this._historyDocumentIDs.has(documentID)) {
+                payload.coalesce = true;
+            } else {
+                this._historyDocumentIDs.add(documentID);
+            }
+        }
+
+        return payload;
+    };
+
+    /**
+     * Get the IDs of the documents affected by this transaction: those for
+     * which it dispatched events and those in which it played Photoshop
+     * commands that create history states.
+     *
+     * @return {Array.<number>}
+     */
+    Transaction.prototype.getDocumentIDs = function () {
+        var documentIDs = [];
+
+        this.snapshot.documentIDs.forEach(function (documentID) {
+            documentIDs.push(documentID);
+        });
+
+        this._historyTargetIDs.forEach(function (documentID) {
+            documentIDs.push(documentID);
+        });
+
+        return _.uniq(documentIDs);
+    };
+
+    /**
+     * Prepare the options of a Photoshop command played during this transaction
+     * so that all history states created for a given document after the first
+     * are merged into that first state.
+     *
+     * @param {object=} options
+     * @return {object=} A copy of the options if they were modified
+     */
+    Transaction.prototype.prepareOptions = function (options) {
+        var historyStateInfo = options && options.historyStateInfo,
+            target = historyStateInfo && historyStateInfo.target;
+
+        if (!target || !target.hasOwnProperty("_id")) {
+            return options;
+        }
+
+        if (!this._historyTargetIDs.has(target._id)) {
+            this._historyTargetIDs.add(target._id);
+            return options;
+        }
+
+        return _.assign({}, options, {
+            historyStateInfo: _.assign({}, historyStateInfo, {
+                coalesce: true,
+                suppressHistoryStateNotification: true
+            })
+        });
+    };
+
+    module.exports = Transaction;
+});
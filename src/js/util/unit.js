@@ -40,6 +40,66 @@ define(function (require, exports) {
         rulerCm: 1 / 2.54
     };
 
+    /**
+     * Units in which lengths can be displayed and entered.
+     *
+     * @const
+     * @type {Object.<string, string>}
+     */
+    var DISPLAY_UNITS = {
+        PIXELS: "px",
+        POINTS: "pt",
+        MILLIMETERS: "mm",
+        CENTIMETERS: "cm",
+        INCHES: "in"
+    };
+
+    /**
+     * Suffix of values entered as a percentage of some reference value.
+     *
+     * @const
+     * @type {string}
+     */
+    var PERCENT = "%";
+
+    /**
+     * Photoshop unit names of the display units
+     *
+     * @private
+     * @type {Object.<string, string>}
+     */
+    var _displayUnitToUnit = {
+        px: "pixelsUnit",
+        pt: "pointsUnit",
+        mm: "millimetersUnit",
+        cm: "rulerCm",
+        "in": "rulerInches"
+    };
+
+    /**
+     * Number of decimal places with which values are displayed in each unit
+     *
+     * @private
+     * @type {Object.<string, number>}
+     */
+    var _displayPrecision = {
+        px: 0,
+        pt: 1,
+        mm: 1,
+        cm: 2,
+        "in": 3
+    };
+
+    /**
+     * Matches a value followed by a unit suffix, e.g., "12mm" or "10 + 5 %".
+     * The suffix must not directly follow a letter, so that, e.g., "min" is
+     * not split into "m" and "in".
+     *
+     * @private
+     * @type {RegExp}
+     */
+    var _suffixRegExp = /^(|.*?[^a-z])\s*(px|pt|mm|cm|in|%)\s*$/i;
+
     /**
      * Return a special object representation of a kind, val pair 
      * @param {string} kind
@@ -79,8 +139,76 @@ define(function (require, exports) {
     };
 
 
+    /**
+     * Convert a pixel value to the given display unit.
+     *
+     * @param {number} pixels
+     * @param {string} displayUnit One of DISPLAY_UNITS
+     * @param {number} resolution Document resolution in pixels per inch
+     * @return {?number} Null if the unit is not valid
+     */
+    var fromPixels = function (pixels, displayUnit, resolution) {
+        var factor = toPixels({ _value: 1, _unit: _displayUnitToUnit[displayUnit] }, resolution);
+
+        return factor ? pixels / factor : null;
+    };
+
+    /**
+     * Convert a value in the given display unit to pixels.
+     *
+     * @param {number} value
+     * @param {string} displayUnit One of DISPLAY_UNITS
+     * @param {number} resolution Document resolution in pixels per inch
+     * @return {?number} Null if the unit is not valid
+     */
+    var displayToPixels = function (value, displayUnit, resolution) {
+        return toPixels({ _value: value, _unit: _displayUnitToUnit[displayUnit] }, resolution);
+    };
+
+    /**
+     * Get the number of decimal places with which values are displayed in the
+     * given display unit.
+     *
+     * @param {string} displayUnit One of DISPLAY_UNITS
+     * @return {number}
+     */
+    var displayPrecision = function (displayUnit) {
+        return _displayPrecision[displayUnit] || 0;
+    };
+
+    /**
+     * Split an entered value into its expression and its unit suffix, if any.
+     * E.g., "1.5in" is split into "1.5" and "in", and "50 %" into "50" and "%".
+     *
+     * @param {string} rawValue
+     * @return {{expression: string, unit: ?string}} Unit is one of DISPLAY_UNITS,
+     *  PERCENT or null if the value has no suffix
+     */
+    var splitSuffix = function (rawValue) {
+        var match = _suffixRegExp.exec(rawValue);
+
+        if (!match) {
+            return {
+                expression: rawValue,
+                unit: null
+            };
+        }
+
+        return {
+            expression: match[1],
+            unit: match[2].toLowerCase()
+        };
+    };
+
+    exports.DISPLAY_UNITS = DISPLAY_UNITS;
+    exports.PERCENT = PERCENT;
+
     exports._unit = unit;
     exports.toPixels = toPixels;
+    exports.fromPixels = fromPixels;
+    exports.displayToPixels = displayToPixels;
+    exports.displayPrecision = displayPrecision;
+    exports.splitSuffix = splitSuffix;
 
     exports.density = unit.bind(null, "density");
     exports.pixels = unit.bind(null, "pixels");
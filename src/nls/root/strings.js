@@ -32,12 +32,21 @@ define(function (require, exports, module) {
         ACTIONS: {
             ADD_STROKE: "Add Stroke",
             ADD_FILL: "Add Fill",
+            REMOVE_STROKE: "Remove Stroke",
+            REMOVE_FILL: "Remove Fill",
+            REORDER_STROKES: "Reorder Strokes",
+            REORDER_FILLS: "Reorder Fills",
             SET_STROKE_COLOR: "Set Stroke Color",
             SET_STROKE_OPACITY: "Set Stroke Opacity",
             SET_STROKE_WIDTH: "Set Stroke Width",
             SET_STROKE_ALIGNMENT: "Set Stroke Alignment",
+            SET_STROKE_DASH: "Set Stroke Dash",
+            SET_STROKE_CAP: "Set Stroke Cap",
+            SET_STROKE_JOIN: "Set Stroke Join",
             SET_FILL_COLOR: "Set Fill Color",
             SET_FILL_OPACITY: "Set Fill Opacity",
+            SET_FILL_GRADIENT: "Set Fill Gradient",
+            SET_FILL_PATTERN: "Set Fill Pattern",
             DELETE_LAYERS: "Delete Layers",
             CHANGE_LAYER_OPACITY: "Change Layer Opacity",
             SET_BLEND_MODE: "Set Blend Mode",
@@ -48,6 +57,9 @@ define(function (require, exports, module) {
             ROTATE_LAYERS: "Rotate Layers",
             DUPLICATE_LAYERS: "Duplicate Layers",
             SET_LAYER_EFFECTS: "Set Layer Effects",
+            REMOVE_LAYER_EFFECT: "Remove Layer Effect",
+            REORDER_LAYER_EFFECTS: "Reorder Layer Effects",
+            DUPLICATE_LAYER_EFFECT: "Duplicate Layer Effect",
             SET_LAYER_POSITION: "Set Position",
             SET_LAYER_SIZE: "Set Size",
             NUDGE_LAYERS: "Nudge Layers",
@@ -60,6 +72,26 @@ define(function (require, exports, module) {
             SET_TYPE_LEADING: "Set Type Leading",
             SET_TYPE_TRACKING: "Set Type Tracking",
             SET_TYPE_ALIGNMENT: "Set Type Alignment",
+            SET_TYPE_UNDERLINE: "Set Type Underline",
+            SET_TYPE_STRIKETHROUGH: "Set Type Strikethrough",
+            SET_TYPE_CAPS: "Set Type Capitalization",
+            SET_TYPE_BASELINE: "Set Type Baseline",
+            SET_TYPE_BASELINE_SHIFT: "Set Type Baseline Shift",
+            SET_TYPE_KERNING: "Set Type Kerning",
+            SET_TYPE_LIGATURES: "Set Type Ligatures",
+            SET_TYPE_OLD_STYLE_FIGURES: "Set Type Old-Style Figures",
+            SET_TYPE_SPACE_BEFORE: "Set Paragraph Space Before",
+            SET_TYPE_SPACE_AFTER: "Set Paragraph Space After",
+            SET_TYPE_FIRST_LINE_INDENT: "Set First Line Indent",
+            SET_TYPE_LEFT_INDENT: "Set Left Indent",
+            SET_TYPE_RIGHT_INDENT: "Set Right Indent",
+            SET_TYPE_HYPHENATION: "Set Hyphenation",
+            SET_TYPE_JUSTIFICATION: "Set Justification",
+            CHANGE_TYPE_CASE: "Change Case",
+            FILL_LOREM_IPSUM: "Fill Placeholder Text",
+            ADD_LOREM_IPSUM: "Add Placeholder Text",
+            INSERT_GLYPH: "Insert Glyph",
+            REPLACE_MISSING_FONTS: "Replace Missing Fonts",
             UNGROUP_LAYERS: "Ungroup layers"
         },
         APP_NAME: "Photoshop",
@@ -174,6 +206,14 @@ define(function (require, exports, module) {
                 TEXT_SPACING_LOOSEN: "Loosen Kerning | Letter Spacing",
                 LINEHEIGHT_INCREASE: "Raise Line Height",
                 LINEHEIGHT_DECREASE: "Lower Line Height",
+                LOREM_IPSUM: {
+                    $MENU: "Placeholder Text",
+                    LOREM_IPSUM_WORDS: "Words",
+                    LOREM_IPSUM_SENTENCES: "Sentences",
+                    LOREM_IPSUM_PARAGRAPHS: "Paragraphs",
+                    LOREM_IPSUM_LIST: "Bulleted List"
+                },
+                REPLACE_MISSING_FONTS: "Replace Missing Fonts…",
                 ALIGN_TEXT: {
                     $MENU: "Align Text",
                     ALIGN_TEXT_LEFT: "Left",
@@ -241,7 +281,15 @@ define(function (require, exports, module) {
                 TOGGLE_EXTRAS: "Show | Hide Extras",
                 TOGGLE_RULERS: "Show | Hide Rulers",
                 TOGGLE_SMART_GUIDES: "Show Smart Guides",
-                TOGGLE_GUIDES: "Show Guides"
+                TOGGLE_GUIDES: "Show Guides",
+                UNITS: {
+                    $MENU: "Units",
+                    UNITS_PIXELS: "Pixels",
+                    UNITS_POINTS: "Points",
+                    UNITS_MILLIMETERS: "Millimeters",
+                    UNITS_CENTIMETERS: "Centimeters",
+                    UNITS_INCHES: "Inches"
+                }
             },
             WINDOW: {
                 $MENU: "Window",
@@ -264,6 +312,11 @@ define(function (require, exports, module) {
                 CORRUPT_MODEL: "Test Model Corruption…",
                 UPDATE_CURRENT_DOCUMENT: "Update Current Document",
                 RESET_RECESS: "Reset Design Space",
+                START_JOURNAL: "Start Recording Action Journal",
+                STOP_JOURNAL: "Stop Recording and Copy Action Journal",
+                REPLAY_JOURNAL: "Replay Action Journal from Clipboard",
+                LOCK_CONTENTION_REPORT: "Print and Copy Lock Contention Report",
+                COPY_API_DOCS: "Copy Action API Documentation",
                 OPEN_FIRST_LAUNCH: "Design Space Introduction",
                 SHORTCUTS: "Keyboard Shortcuts",
                 TWITTER: "Design Space on Twitter",
@@ -351,6 +404,15 @@ define(function (require, exports, module) {
                 TARGET_LAYER_WIN: "Ctrl + Click"
             }
         },
+        MISSING_FONTS: {
+            TITLE: "Missing Fonts",
+            DESCRIPTION: "Some fonts in this document are not installed. Choose an installed font to replace each one.",
+            NONE: "All fonts in this document are installed.",
+            USED_BY: "Used by",
+            CHOOSE_FAMILY: "Choose a font",
+            CANCEL: "Cancel",
+            REPLACE: "Replace"
+        },
         TITLE_PAGES: "LAYERS",
         TITLE_STYLE: "STYLE",
         NO_DOC: {
@@ -389,6 +451,11 @@ define(function (require, exports, module) {
             SWAP_POSITION: "Swap Position",
             SET_RADIUS: "Set Border Radius",
             SET_RADIUS_SLIDER: "Adjust Slider to Set Radius ",
+            LINK_RADII: "Link Corner Radii",
+            SET_RADIUS_TOP_LEFT: "Set Top Left Radius",
+            SET_RADIUS_TOP_RIGHT: "Set Top Right Radius",
+            SET_RADIUS_BOTTOM_RIGHT: "Set Bottom Right Radius",
+            SET_RADIUS_BOTTOM_LEFT: "Set Bottom Left Radius",
             SET_OPACITY: "Set Opacity",
             VECTOR_SETTINGS: "Show Vector Settings",
             SET_COMBINATION: "Set Shape Combination",
@@ -397,7 +464,13 @@ define(function (require, exports, module) {
             INTERSECT_SHAPE: "Intersect Shape",
             DIFFERENCE_SHAPE: "Difference Shape",
             SHOW_LOREM_IPSUM: "Show Lorem Ipsum",
+            FILL_LOREM_IPSUM: "Fill with Placeholder Text",
             SHOW_GLYPHS: "Show Glyphs",
+            SEARCH_GLYPHS: "Search Glyphs by Unicode Name or Code Point",
+            SHOW_FONT_BROWSER: "Browse Fonts",
+            MISSING_FONT: "Uses fonts that are not installed",
+            SEARCH_FONTS: "Search Fonts by Family Name",
+            TOGGLE_FAVORITE_FONT: "Add to or Remove from Favorites",
             TYPE_SETTINGS: "Show Type Settings",
             SET_TYPEFACE: "Set Typeface",
             SET_WEIGHT: "Set Weight",
@@ -410,15 +483,63 @@ define(function (require, exports, module) {
             ALIGN_TYPE_CENTER: "Align Text Center",
             ALIGN_TYPE_RIGHT: "Align Text Right",
             ALIGN_TYPE_JUSTIFIED: "Justify Text",
+            SET_TYPE_DECORATION: "Set Type Decoration",
+            TOGGLE_UNDERLINE: "Underline",
+            TOGGLE_STRIKETHROUGH: "Strikethrough",
+            TOGGLE_ALL_CAPS: "All Caps",
+            TOGGLE_SMALL_CAPS: "Small Caps",
+            TOGGLE_SUPERSCRIPT: "Superscript",
+            TOGGLE_SUBSCRIPT: "Subscript",
+            SET_BASELINE_SHIFT: "Set Baseline Shift",
+            SET_KERNING: "Set Kerning",
+            SET_OPENTYPE_FEATURES: "Set OpenType Features",
+            TOGGLE_LIGATURES: "Standard Ligatures",
+            TOGGLE_OLD_STYLE_FIGURES: "Old-Style Figures",
+            SET_PARAGRAPH_SPACING: "Set Paragraph Spacing",
+            SET_SPACE_BEFORE: "Space Before Paragraph",
+            SET_SPACE_AFTER: "Space After Paragraph",
+            SET_INDENTS: "Set Paragraph Indents",
+            SET_FIRST_LINE_INDENT: "First Line Indent",
+            SET_LEFT_INDENT: "Left Indent",
+            SET_RIGHT_INDENT: "Right Indent",
+            TOGGLE_HYPHENATION: "Hyphenate",
+            SET_WORD_SPACING: "Set Word Spacing of Justified Text (Minimum, Desired, Maximum)",
+            SET_LETTER_SPACING: "Set Letter Spacing of Justified Text (Minimum, Desired, Maximum)",
+            SET_SPACING_MIN: "Minimum",
+            SET_SPACING_DESIRED: "Desired",
+            SET_SPACING_MAX: "Maximum",
             SET_STROKE_COLOR: "Set Stroke Color",
             SET_STROKE_OPACITY: "Set Stroke Opacity",
             SET_STROKE_SIZE: "Set Stroke Size",
             SET_STROKE_ALIGNMENT: "Set Stroke Alignment",
+            SET_STROKE_DASH: "Set Stroke Dash",
+            SET_STROKE_DASH_PATTERN: "Set Dash and Gap Lengths, in Multiples of the Stroke Size",
+            SET_STROKE_CAP: "Set Stroke Cap",
+            SET_STROKE_JOIN: "Set Stroke Join",
+            SET_STROKE_MITER_LIMIT: "Set Stroke Miter Limit",
             TOGGLE_STROKE: "Toggle Stroke",
+            ADD_STROKE: "Add Stroke",
+            REMOVE_STROKE: "Remove Stroke",
+            MOVE_STROKE_UP: "Move Stroke Up",
+            MOVE_STROKE_DOWN: "Move Stroke Down",
             SET_FILL_COLOR: "Set Fill Color",
             SET_FILL_OPACITY: "Set Fill Opacity",
             SET_FILL_BLENDING: "Set Fill Blending",
             TOGGLE_FILL: "Toggle Fill",
+            ADD_FILL: "Add Fill",
+            REMOVE_FILL: "Remove Fill",
+            MOVE_FILL_UP: "Move Fill Up",
+            MOVE_FILL_DOWN: "Move Fill Down",
+            SET_GRADIENT_ANGLE: "Set Gradient Angle",
+            SET_GRADIENT_SCALE: "Set Gradient Scale",
+            REVERSE_GRADIENT: "Reverse Gradient",
+            ADD_GRADIENT_STOP: "Click to Add a Gradient Stop",
+            REMOVE_GRADIENT_STOP: "Remove Gradient Stop",
+            SET_GRADIENT_STOP_COLOR: "Set Gradient Stop Color",
+            SET_GRADIENT_STOP_LOCATION: "Set Gradient Stop Location",
+            SET_GRADIENT_STOP_MIDPOINT: "Set Gradient Stop Midpoint",
+            SET_PATTERN_SCALE: "Set Pattern Scale",
+            SET_PATTERN_ANGLE: "Set Pattern Angle",
             SET_LAYER_VISIBILITY: "Set Layer Visibility",
             LOCK_LAYER: "Lock Layer",
             LAYER_COUNT: "Selected layers of total layers",
@@ -429,6 +550,10 @@ define(function (require, exports, module) {
             SET_DROP_SHADOW_Y_POSITION: "Set Drop Shadow Y Position",
             SET_DROP_SHADOW_BLUR: "Set Drop Shadow Blur",
             SET_DROP_SHADOW_SPREAD: "Set Drop Shadow Spread",
+            REMOVE_DROP_SHADOW: "Remove Drop Shadow",
+            DUPLICATE_DROP_SHADOW: "Duplicate Drop Shadow",
+            MOVE_DROP_SHADOW_UP: "Move Drop Shadow Up",
+            MOVE_DROP_SHADOW_DOWN: "Move Drop Shadow Down",
             SET_COLOR_PICKER_FORMAT: "Set Color Picker Format",
             SET_COLOR_PICKER_MODE: "Set Color Picker Mode",
             TOGGLE_INNER_SHADOW: "Toggle Inner Shadow",
@@ -438,6 +563,25 @@ define(function (require, exports, module) {
             SET_INNER_SHADOW_Y_POSITION: "Set Inner Shadow Y Position",
             SET_INNER_SHADOW_BLUR: "Set Inner Shadow Blur",
             SET_INNER_SHADOW_SPREAD: "Set Inner Shadow Spread",
+            REMOVE_INNER_SHADOW: "Remove Inner Shadow",
+            DUPLICATE_INNER_SHADOW: "Duplicate Inner Shadow",
+            MOVE_INNER_SHADOW_UP: "Move Inner Shadow Up",
+            MOVE_INNER_SHADOW_DOWN: "Move Inner Shadow Down",
+            TOGGLE_OUTER_GLOW: "Toggle Outer Glow",
+            SET_OUTER_GLOW_COLOR: "Set Outer Glow Color",
+            SET_OUTER_GLOW_BLUR: "Set Outer Glow Size",
+            SET_OUTER_GLOW_SPREAD: "Set Outer Glow Spread",
+            TOGGLE_INNER_GLOW: "Toggle Inner Glow",
+            SET_INNER_GLOW_COLOR: "Set Inner Glow Color",
+            SET_INNER_GLOW_BLUR: "Set Inner Glow Size",
+            SET_INNER_GLOW_SPREAD: "Set Inner Glow Choke",
+            TOGGLE_COLOR_OVERLAY: "Toggle Color Overlay",
+            SET_COLOR_OVERLAY_COLOR: "Set Color Overlay Color",
+            SET_COLOR_OVERLAY_OPACITY: "Set Color Overlay Opacity",
+            TOGGLE_STROKE_EFFECT: "Toggle Stroke",
+            SET_STROKE_EFFECT_COLOR: "Set Stroke Color",
+            SET_STROKE_EFFECT_SIZE: "Set Stroke Size",
+            SET_STROKE_EFFECT_POSITION: "Set Stroke Position",
             SECTION_COLLAPSE: ": double-click to collapse",
             SECTION_EXPAND: ": double-click to expand"
         },
@@ -510,17 +654,50 @@ define(function (require, exports, module) {
             FILL: {
                 TITLE: "Fill",
                 ALPHA: "Alpha",
-                BLENDING: "Blending"
+                BLENDING: "Blending",
+                ANGLE: "Angle",
+                SCALE: "Scale",
+                LOCATION: "Location",
+                MIDPOINT: "Midpoint",
+                OVERLAY: "Color Overlay",
+                GRADIENT_TYPES: {
+                    LINEAR: "Linear",
+                    RADIAL: "Radial",
+                    ANGLE: "Angle",
+                    REFLECTED: "Reflected",
+                    DIAMOND: "Diamond"
+                }
             },
             STROKE: {
                 TITLE: "Stroke",
                 ALPHA: "Alpha",
                 SIZE: "Size",
                 ALIGNMENT: "Align",
+                EFFECT: "Stroke Effect",
+                DASH: "Dash",
+                CAP: "Cap",
+                JOIN: "Join",
+                MITER_LIMIT: "Limit",
                 ALIGNMENT_MODES: {
                     INSIDE: "Inside",
                     CENTER: "Center",
                     OUTSIDE: "Outside"
+                },
+                DASH_PRESETS: {
+                    SOLID: "Solid",
+                    DASHED: "Dashed",
+                    DOTTED: "Dotted",
+                    CUSTOM: "Custom"
+                },
+                CAP_TYPES: {
+                    BUTT: "Butt",
+                    ROUND: "Round",
+                    SQUARE: "Square"
+                },
+                JOIN_TYPES: {
+                    MITER: "Miter",
+                    ROUND: "Round",
+                    BEVEL: "Bevel"
                 }
             },
             DROP_SHADOW: {
@@ -539,6 +716,29 @@ define(function (require, exports, module) {
                 BLUR: "Blur",
                 SPREAD: "Spread"
             },
+            OUTER_GLOW: {
+                TITLE: "Outer Glow",
+                ADD: "Add Outer Glow",
+                BLUR: "Size",
+                SPREAD: "Spread"
+            },
+            INNER_GLOW: {
+                TITLE: "Inner Glow",
+                ADD: "Add Inner Glow",
+                BLUR: "Size",
+                SPREAD: "Choke"
+            },
+            COLOR_OVERLAY: {
+                TITLE: "Color Overlays",
+                ADD: "Add Color Overlay",
+                ALPHA: "Alpha"
+            },
+            STROKE_EFFECT: {
+                TITLE: "Strokes",
+                ADD: "Add Stroke",
+                SIZE: "Size",
+                POSITION: "Position"
+            },
             TYPE: {
                 TITLE: "Type",
                 TYPEFACE: "Typeface",
@@ -548,7 +748,72 @@ define(function (require, exports, module) {
                 LINE: "Line",
                 ALIGN: "Align",
                 AUTO_LEADING: "auto",
-                MISSING: "missing"
+                MISSING: "missing",
+                DECORATION: "Style",
+                BASELINE_SHIFT: "Shift",
+                KERNING: "Kern",
+                OPENTYPE: "OpenType",
+                SPACE: "Space",
+                INDENT: "Indent",
+                HYPHENATE: "Hyphens",
+                WORD_SPACING: "Words",
+                LETTER_SPACING: "Letters",
+                KERNING_MODES: {
+                    METRICS: "Metrics",
+                    OPTICAL: "Optical",
+                    MANUAL: "Manual"
+                },
+                RECENT_GLYPHS: "Recent",
+                SEARCH_GLYPHS: "Name or code point",
+                NO_GLYPHS: "No matching glyphs",
+                GLYPHS_NOTE: "Shows common glyphs that appear to render in this font, not every glyph it contains",
+                GLYPH_CATEGORIES: {
+                    ALL: "All Glyphs",
+                    PUNCTUATION: "Punctuation",
+                    SYMBOLS: "Symbols",
+                    CURRENCY: "Currency",
+                    NUMBERS: "Numbers",
+                    MATH: "Math",
+                    ARROWS: "Arrows",
+                    LATIN: "Accented Latin",
+                    GREEK: "Greek",
+                    SHAPES: "Shapes"
+                },
+                LOREM_IPSUM_MODES: {
+                    WORDS: "Words",
+                    SENTENCES: "Sentences",
+                    PARAGRAPHS: "Paragraphs",
+                    LIST: "Bulleted List"
+                },
+                SEARCH_FONTS: "Family name",
+                NO_FONTS: "No matching fonts",
+                FONT_PREVIEW_SAMPLE: "The quick brown fox jumps over the lazy dog",
+                FONT_SOURCES: {
+                    ALL: "All Fonts",
+                    FAVORITES: "Favorites",
+                    RECENT: "Recently Used"
+                },
+                FONT_CLASSIFICATIONS: {
+                    ALL: "Any Classification",
+                    SERIF: "Serif",
+                    SANS_SERIF: "Sans Serif",
+                    MONOSPACE: "Monospace",
+                    SCRIPT: "Script",
+                    DISPLAY: "Display"
+                },
+                FONT_WEIGHTS: {
+                    ALL: "Any Weight",
+                    LIGHT: "Light",
+                    REGULAR: "Regular",
+                    BOLD: "Bold",
+                    BLACK: "Black"
+                },
+                FONT_WIDTHS: {
+                    ALL: "Any Width",
+                    CONDENSED: "Condensed",
+                    NORMAL: "Normal",
+                    EXTENDED: "Extended"
+                }
             },
             VECTOR: {
                 TITLE: "Vector",
@@ -570,7 +835,8 @@ define(function (require, exports, module) {
             WEB_1920_1080: "Web"
         },
         ERR: {
-            UNRECOVERABLE: "Design Space has encountered an unrecoverable error."
+            UNRECOVERABLE: "Design Space has encountered an unrecoverable error.",
+            ACTION_FAILED: "Unable to complete the last operation. Your document has been restored."
         }
     };
 });
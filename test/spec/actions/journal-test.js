@@ -0,0 +1,169 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/* global module, asyncTest, equal, deepEqual, start, expect, ok */
+
+define(function (require) {
+    "use strict";
+
+    var Promise = require("bluebird");
+
+    var fluxxorTestHelper = require("../util/fluxxor-test-helper"),
+        events = require("js/events"),
+        menuActions = require("js/actions/menu");
+
+    module("actions/journal", {
+        setup: fluxxorTestHelper.setup
+    });
+
+    asyncTest("Records and replays synchronized actions", function () {
+        var counts = [];
+
+        expect(7);
+
+        this.bindTestAction(events.example.SYNC_ACTION, function (payload) {
+            counts.push(payload.count);
+        });
+
+        var controller = this.controller,
+            journal = controller.startJournal(),
+            exampleActions = this.flux.actions.example;
+
+        Promise.join(exampleActions.syncAction(1), exampleActions.syncAction(2))
+            .then(function () {
+                ok(!!controller.stopJournal(), "Stopping returns the journal");
+                equal(journal.size(), 2, "Journal has an entry for each action");
+
+                var entry = journal.entries()[0];
+                equal(entry.module + "." + entry.name, "example.syncAction", "Entry has the action name");
+                equal(entry.outcome, "success", "Entry has the action outcome");
+
+                counts.length = 0;
+                return controller.replayJournal(JSON.stringify(journal));
+            })
+            .then(function (results) {
+                deepEqual(counts, [1, 2], "Replay dispatches the journaled actions in order");
+                ok(results.every(function (result) {
+                    return result.matched;
+                }), "Replay outcomes match the journaled outcomes");
+                ok(!controller.isJournaling(), "Replay is not journaled after stopping");
+                start();
+            });
+    });
+
+    asyncTest("Replays actions invoked by other actions only through their parents", function () {
+        var counts = [];
+
+        expect(5);
+
+        this.bindTestAction(events.example.SYNC_ACTION, function (payload) {
+            counts.push(payload.count);
+        });
+
+        var controller = this.controller,
+            flux = this.flux,
+            journal;
+
+        this.registerTestActions({
+            nestedAction: {
+                command: function (count) {
+                    this.flux.actions.example.syncAction(count);
+                    return Promise.resolve();
+                },
+                reads: [],
+                writes: []
+            }
+        })
+            .then(function () {
+                journal = controller.startJournal();
+
+                return flux.actions.test.nestedAction(1);
+            })
+            .then(function () {
+                return flux.actions.example.syncAction(2);
+            })
+            .then(function () {
+                controller.stopJournal();
+
+                var parents = journal.entries().map(function (entry) {
+                    return entry.parent;
+                });
+
+                deepEqual(counts, [1, 2], "Nested action is executed once");
+                deepEqual(parents, [null, 0, null], "Nested action is journaled with its parent");
+
+                counts.length = 0;
+                return controller.replayJournal(JSON.stringify(journal));
+            })
+            .then(function (results) {
+                deepEqual(counts, [1, 2], "Replay executes the nested action only once");
+                equal(results.length, 2, "Only root actions are replayed");
+                ok(results.every(function (result) {
+                    return result.matched;
+                }), "Replay outcomes match the journaled outcomes");
+                start();
+            });
+    });
+
+    asyncTest("Does not journal actions that opt out of journaling", function () {
+        var controller = this.controller,
+            flux = this.flux,
+            journal;
+
+        expect(2);
+
+        ok(["startJournal", "stopJournal", "replayJournal"].every(function (name) {
+            return menuActions[name].journal === false;
+        }), "Actions that control journaling opt out");
+
+        this.registerTestActions({
+            unjournaledAction: {
+                command: function () {
+                    return Promise.resolve();
+                },
+                reads: [],
+                writes: [],
+                journal: false
+            }
+        })
+            .then(function () {
+                journal = controller.startJournal();
+
+                return flux.actions.test.unjournaledAction();
+            })
+            .then(function () {
+                return flux.actions.example.syncAction(1);
+            })
+            .then(function () {
+                controller.stopJournal();
+
+                var names = journal.entries().map(function (entry) {
+                    return entry.module + "." + entry.name;
+                });
+
+                deepEqual(names, ["example.syncAction"], "Only the other actions are journaled");
+                start();
+            });
+    });
+});
@@ -0,0 +1,188 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/* global module, asyncTest, equal, ok, start, expect */
+
+define(function (require) {
+    "use strict";
+
+    var Promise = require("bluebird"),
+        Fluxxor = require("fluxxor");
+
+    var fluxxorTestHelper = require("../util/fluxxor-test-helper"),
+        locks = require("js/locks");
+
+    var PLUGIN_EVENT = "pluginTestCounted";
+
+    var CounterStore = Fluxxor.createStore({
+        count: 0,
+
+        initialize: function () {
+            this.bindActions(PLUGIN_EVENT, this._handleCounted);
+        },
+
+        _handleCounted: function () {
+            this.count++;
+        }
+    });
+
+    module("actions/plugin", {
+        setup: fluxxorTestHelper.setup
+    });
+
+    /**
+     * Construct a plugin with a counter store guarded by the UI lock, and
+     * actions that count with and without that lock.
+     *
+     * @param {string=} id
+     * @return {Plugin}
+     */
+    var _makePlugin = function (id) {
+        var _count = function () {
+            this.dispatch(PLUGIN_EVENT);
+            return Promise.resolve();
+        };
+
+        return {
+            id: id || "plugin-test",
+            actions: {
+                pluginTest: {
+                    count: {
+                        command: _count,
+                        reads: [],
+                        writes: [locks.JS_UI]
+                    },
+                    countWithoutLock: {
+                        command: _count,
+                        reads: [],
+                        writes: [locks.JS_DOC]
+                    },
+                    wait: {
+                        command: function () {
+                            return Promise.delay(20);
+                        },
+                        reads: [],
+                        writes: [locks.JS_UI]
+                    }
+                }
+            },
+            stores: {
+                pluginTestCounter: new CounterStore()
+            },
+            storeLocks: {
+                pluginTestCounter: locks.JS_UI
+            }
+        };
+    };
+
+    asyncTest("Registers the actions and stores of a plugin", function () {
+        var flux = this.flux,
+            controller = this.controller;
+
+        expect(5);
+
+        controller.registerPlugin(_makePlugin())
+            .then(function () {
+                ok(controller.hasPlugin("plugin-test"), "Plugin is registered");
+
+                return flux.actions.pluginTest.count();
+            })
+            .then(function () {
+                equal(flux.store("pluginTestCounter").count, 1, "Plugin action updates the plugin store");
+
+                return flux.actions.pluginTest.countWithoutLock();
+            })
+            .catch(function (err) {
+                ok(/lock/i.test(err.message), "Plugin store is guarded by its lock");
+                equal(flux.store("pluginTestCounter").count, 1, "Store is not updated without its lock");
+                ok(!controller.hasPlugin("other-plugin"), "Other plugins are not registered");
+                start();
+            });
+    });
+
+    asyncTest("Rejects duplicate and conflicting plugins", function () {
+        var controller = this.controller;
+
+        expect(4);
+
+        controller.registerPlugin(_makePlugin())
+            .then(function () {
+                return controller.registerPlugin(_makePlugin());
+            })
+            .catch(function (err) {
+                ok(/already registered/.test(err.message), "Plugin IDs must be unique");
+
+                return controller.registerPlugin(_makePlugin("other-plugin"));
+            })
+            .catch(function (err) {
+                ok(/conflicts/.test(err.message), "Action namespaces and store names must be unique");
+                ok(!controller.hasPlugin("other-plugin"), "Conflicting plugin is not registered");
+
+                return controller.registerPlugin({
+                    id: "document-plugin",
+                    stores: {
+                        document: new CounterStore()
+                    }
+                });
+            })
+            .catch(function (err) {
+                ok(/conflicts/.test(err.message), "Built-in stores cannot be replaced");
+                start();
+            });
+    });
+
+    asyncTest("Unregisters plugins once their pending actions finish", function () {
+        var flux = this.flux,
+            controller = this.controller,
+            waited = false;
+
+        expect(6);
+
+        controller.registerPlugin(_makePlugin())
+            .then(function () {
+                flux.actions.pluginTest.wait().then(function () {
+                    waited = true;
+                });
+
+                return controller.unregisterPlugin("plugin-test");
+            })
+            .then(function () {
+                ok(waited, "Pending actions finish before the plugin is removed");
+                ok(!controller.hasPlugin("plugin-test"), "Plugin is unregistered");
+                ok(!flux.actions.pluginTest, "Plugin actions are removed");
+                ok(!flux.stores.pluginTestCounter, "Plugin stores are removed");
+
+                return controller.unregisterPlugin("plugin-test");
+            })
+            .catch(function (err) {
+                ok(/not registered/.test(err.message), "Unregistered plugins cannot be unregistered again");
+
+                return controller.registerPlugin(_makePlugin());
+            })
+            .then(function () {
+                ok(controller.hasPlugin("plugin-test"), "Plugin can be registered again");
+                start();
+            });
+    });
+});
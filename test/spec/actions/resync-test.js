@@ -0,0 +1,134 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/* global module, test, asyncTest, ok, equal, deepEqual, start, expect */
+
+define(function (require) {
+    "use strict";
+
+    var Promise = require("bluebird");
+
+    var fluxxorTestHelper = require("../util/fluxxor-test-helper"),
+        events = require("js/events"),
+        locks = require("js/locks"),
+        Document = require("js/models/document"),
+        Layer = require("js/models/layer");
+
+    module("actions/resync", {
+        setup: function () {
+            fluxxorTestHelper.setup.call(this);
+
+            var documentStore = this.flux.store("document");
+
+            [1, 2, 3].forEach(function (documentID) {
+                documentStore.setDocument(new Document({ id: documentID, name: "Document " + documentID }));
+            });
+        }
+    });
+
+    test("Finds the documents affected by a failed action", function () {
+        var controller = this.controller,
+            documentStore = this.flux.store("document"),
+            snapshot = controller._takeSnapshot(),
+            layer = new Layer({ id: 5, key: "3.5" }),
+            affected = function (params, writes) {
+                return controller._getAffectedDocumentIDs(snapshot, params, writes).sort();
+            };
+
+        documentStore.setDocument(documentStore.getDocument(1).set("name", "Renamed"));
+
+        deepEqual(affected([], [locks.JS_DOC]), [1], "Documents changed since the snapshot are affected");
+        deepEqual(affected([documentStore.getDocument(2)], [locks.JS_DOC]), [1, 2],
+            "Document parameters are affected");
+        deepEqual(affected([layer], [locks.PS_DOC]), [1, 3], "Documents of layer parameters are affected");
+        deepEqual(affected([new Document({ id: 9 })], [locks.JS_DOC]), [1], "Closed documents are not affected");
+        deepEqual(affected([documentStore.getDocument(2)], [locks.JS_UI]), [],
+            "Actions that do not write documents affect none");
+
+        this.dispatch(events.document.SELECT_DOCUMENT, { selectedDocumentID: 2 });
+        deepEqual(controller._getAffectedDocumentIDs(null, [], [locks.PS_DOC]), [2],
+            "Current document is affected by actions that write Photoshop documents");
+        deepEqual(controller._getAffectedDocumentIDs(null, [], [locks.JS_DOC]), [],
+            "Current document is not assumed for actions that only write models");
+    });
+
+    asyncTest("Resyncs only the affected documents", function () {
+        var controller = this.controller,
+            error = new Error("Action failed"),
+            resynced = [],
+            failures = [];
+
+        expect(3);
+
+        this.flux.actions.documents.resyncDocument = function (documentID) {
+            resynced.push(documentID);
+            return Promise.resolve();
+        };
+
+        controller.on("actionFailed", function (payload) {
+            failures.push(payload);
+        });
+
+        controller._resync([1, 3], "test.action", error);
+
+        Promise.delay(0).then(function () {
+            deepEqual(resynced, [1, 3], "Affected documents are resynced");
+            equal(failures.length, 1, "Failure is reported once");
+            equal(failures[0].cause, error, "Failure has the error as its cause");
+            start();
+        });
+    });
+
+    asyncTest("Reports an error if a failed action cannot be rolled back or resynced", function () {
+        var flux = this.flux,
+            controller = this.controller;
+
+        expect(2);
+
+        controller.on("actionFailed", function () {
+            ok(false, "Failure is reported as recoverable");
+        });
+
+        controller.on("error", function (payload) {
+            equal(payload.cause.message, "Action failed", "Error has the failure as its cause");
+        });
+
+        this.registerTestActions({
+            testAction: {
+                command: function () {
+                    return Promise.reject(new Error("Action failed"));
+                },
+                reads: [],
+                writes: [locks.JS_DOC]
+            }
+        })
+            .then(function () {
+                return flux.actions.test.testAction();
+            })
+            .catch(function (err) {
+                equal(err.message, "Action failed", "Action fails with its error");
+                start();
+            });
+    });
+});
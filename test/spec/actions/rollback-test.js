@@ -0,0 +1,195 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/* global module, asyncTest, equal, ok, start, expect */
+
+define(function (require) {
+    "use strict";
+
+    var Promise = require("bluebird"),
+        Immutable = require("immutable");
+
+    var descriptor = require("adapter/ps/descriptor");
+
+    var fluxxorTestHelper = require("../util/fluxxor-test-helper"),
+        events = require("js/events"),
+        locks = require("js/locks"),
+        Document = require("js/models/document"),
+        Layer = require("js/models/layer"),
+        LayerStructure = require("js/models/layerstructure");
+
+    module("actions/rollback", {
+        setup: function () {
+            // Photoshop commands succeed; the controller counts them as completed
+            this.playObject = descriptor.playObject;
+            descriptor.playObject = function () {
+                return Promise.resolve({});
+            };
+
+            fluxxorTestHelper.setup.call(this);
+
+            this.flux.store("document").setDocument(new Document({
+                id: 1,
+                layers: new LayerStructure({
+                    layers: Immutable.Map([[1, new Layer({ id: 1, name: "Before" })]]),
+                    index: Immutable.List.of(1)
+                })
+            }));
+        },
+        teardown: function () {
+            descriptor.playObject = this.playObject;
+        }
+    });
+
+    /**
+     * A test action that renames the layer, optionally plays a Photoshop
+     * command, and then fails if the given name is "Fail".
+     *
+     * @type {Action}
+     */
+    var _renameLayer = {
+        command: function (name, play) {
+            this.dispatch(events.document.history.optimistic.RENAME_LAYER, {
+                documentID: 1,
+                layerID: 1,
+                name: name
+            });
+
+            var playPromise = play ? descriptor.playObject({ command: "set", descriptor: {} }) :
+                Promise.resolve();
+
+            return playPromise.then(function () {
+                if (name === "Fail") {
+                    throw new Error("Rename failed");
+                }
+            });
+        },
+        reads: [],
+        writes: [locks.JS_DOC, locks.JS_MENU, locks.JS_HISTORY]
+    };
+
+    /**
+     * Get the name of the test layer.
+     *
+     * @param {Fluxxor.Flux} flux
+     * @return {string}
+     */
+    var _layerName = function (flux) {
+        return flux.store("document").getDocument(1).layers.byID(1).name;
+    };
+
+    asyncTest("Rolls back the optimistic updates of a failed action", function () {
+        var flux = this.flux,
+            historyStore = flux.store("history"),
+            failures = [];
+
+        expect(6);
+
+        this.controller.on("actionFailed", function (payload) {
+            failures.push(payload);
+        });
+
+        this.registerTestActions({ renameLayer: _renameLayer })
+            .then(function () {
+                return flux.actions.test.renameLayer("Fail");
+            })
+            .catch(function (err) {
+                equal(err.message, "Rename failed", "Action fails with its error");
+                equal(_layerName(flux), "Before", "Layer name is rolled back");
+                equal(historyStore.getSnapshot().current.get(1), undefined, "History state is rolled back");
+                equal(failures.length, 1, "Failure is reported");
+                equal(failures[0].actionName, "test.renameLayer", "Failure names the action");
+                equal(failures[0].cause, err, "Failure has the error as its cause");
+                start();
+            });
+    });
+
+    asyncTest("Keeps the updates of earlier actions", function () {
+        var flux = this.flux,
+            historyStore = flux.store("history");
+
+        expect(4);
+
+        this.registerTestActions({ renameLayer: _renameLayer })
+            .then(function () {
+                return flux.actions.test.renameLayer("After");
+            })
+            .then(function () {
+                equal(_layerName(flux), "After", "Layer is renamed");
+                equal(historyStore.getSnapshot().current.get(1), 0, "History state is pushed");
+
+                return flux.actions.test.renameLayer("Fail");
+            })
+            .catch(function () {
+                equal(_layerName(flux), "After", "Layer name is rolled back to that of the earlier action");
+                equal(historyStore.getSnapshot().current.get(1), 0, "History is rolled back to the earlier action");
+                start();
+            });
+    });
+
+    asyncTest("Does not roll back actions after a Photoshop command has completed", function () {
+        var flux = this.flux,
+            controller = this.controller;
+
+        expect(3);
+
+        controller.on("actionFailed", function () {
+            ok(false, "Failure is reported as rolled back");
+        });
+
+        controller.on("error", function () {
+            ok(true, "Failure that cannot be resynced is reported as an error");
+        });
+
+        this.registerTestActions({ renameLayer: _renameLayer })
+            .then(function () {
+                return flux.actions.test.renameLayer("Fail", true);
+            })
+            .catch(function (err) {
+                equal(err.message, "Rename failed", "Action fails with its error");
+                equal(_layerName(flux), "Fail", "Layer name is not rolled back");
+                start();
+            });
+    });
+
+    asyncTest("Does not report successful actions", function () {
+        var flux = this.flux;
+
+        expect(2);
+
+        this.controller.on("actionFailed", function () {
+            ok(false, "Successful action is reported as failed");
+        });
+
+        this.registerTestActions({ renameLayer: _renameLayer })
+            .then(function () {
+                return flux.actions.test.renameLayer("After");
+            })
+            .then(function () {
+                equal(_layerName(flux), "After", "Layer is renamed");
+                ok(true, "Action succeeds");
+                start();
+            });
+    });
+});
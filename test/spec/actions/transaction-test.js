@@ -0,0 +1,243 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+/* global module, asyncTest, equal, ok, start, expect */
+
+define(function (require) {
+    "use strict";
+
+    var Promise = require("bluebird");
+
+    var descriptor = require("adapter/ps/descriptor");
+
+    var fluxxorTestHelper = require("../util/fluxxor-test-helper"),
+        events = require("js/events"),
+        locks = require("js/locks"),
+        Document = require("js/models/document");
+
+    var _historyOptions = {
+        historyStateInfo: {
+            name: "Test",
+            target: { _ref: "document", _id: 1 }
+        }
+    };
+
+    module("actions/transaction", {
+        setup: function () {
+            // Photoshop commands succeed; the controller counts them as completed
+            this.playObject = descriptor.playObject;
+            descriptor.playObject = function () {
+                return Promise.resolve({});
+            };
+
+            fluxxorTestHelper.setup.call(this);
+
+            this.flux.store("document").setDocument(new Document({ id: 1, name: "Before" }));
+        },
+        teardown: function () {
+            descriptor.playObject = this.playObject;
+        }
+    });
+
+    /**
+     * A transaction that renames the document, plays a Photoshop command, and
+     * then fails.
+     *
+     * @private
+     * @return {Promise}
+     */
+    var _partialTransaction = function () {
+        this.dispatch(events.document.DOCUMENT_RENAMED, { documentID: 1, name: "During" });
+
+        return descriptor.playObject({ command: "set", descriptor: {} })
+            .then(function () {
+                throw new Error("Transaction failed");
+            });
+    };
+
+    asyncTest("Rolls back all model updates if the transaction fails", function () {
+        var flux = this.flux,
+            documentStore = flux.store("document");
+
+        expect(3);
+
+        this.registerTestActions({
+            testAction: {
+                command: function () {
+                    return this.transaction(function () {
+                        this.dispatch(events.document.DOCUMENT_RENAMED, { documentID: 1, name: "During" });
+                        equal(documentStore.getDocument(1).name, "During", "Model is updated within the transaction");
+
+                        return Promise.reject(new Error("Transaction failed"));
+                    });
+                },
+                reads: [],
+                writes: [locks.JS_DOC, locks.JS_MENU, locks.JS_HISTORY]
+            }
+        })
+            .then(function () {
+                return flux.actions.test.testAction();
+            })
+            .catch(function (err) {
+                equal(err.message, "Transaction failed", "Action fails with the transaction error");
+                equal(documentStore.getDocument(1).name, "Before", "Model update is rolled back");
+                start();
+            });
+    });
+
+    asyncTest("Does not roll back a transaction after a Photoshop command has completed", function () {
+        var flux = this.flux,
+            controller = this.controller,
+            documentStore = flux.store("document");
+
+        expect(3);
+
+        controller.on("actionFailed", function () {
+            ok(false, "Failure is reported as rolled back");
+        });
+
+        controller.on("error", function () {
+            ok(true, "Failure that cannot be resynced is reported as an error");
+        });
+
+        this.registerTestActions({
+            testAction: {
+                command: function () {
+                    return this.transaction(_partialTransaction);
+                },
+                reads: [],
+                writes: [locks.JS_DOC, locks.JS_MENU, locks.JS_HISTORY]
+            }
+        })
+            .then(function () {
+                return flux.actions.test.testAction();
+            })
+            .catch(function (err) {
+                equal(err.message, "Transaction failed", "Action fails with the transaction error");
+                equal(documentStore.getDocument(1).name, "During", "Model update is not rolled back");
+                start();
+            });
+    });
+
+    asyncTest("Recovers from a partially applied transaction even if the action succeeds", function () {
+        var flux = this.flux,
+            controller = this.controller;
+
+        expect(2);
+
+        controller.on("error", function (payload) {
+            equal(payload.cause.message, "Transaction failed", "Error has the transaction failure as its cause");
+        });
+
+        this.registerTestActions({
+            testAction: {
+                command: function () {
+                    return this.transaction(_partialTransaction)
+                        .catch(function () {
+                            // Ignore the failure
+                        });
+                },
+                reads: [],
+                writes: [locks.JS_DOC, locks.JS_MENU, locks.JS_HISTORY]
+            }
+        })
+            .then(function () {
+                return flux.actions.test.testAction();
+            })
+            .then(function () {
+                ok(true, "Action succeeds");
+                start();
+            });
+    });
+
+    asyncTest("Coalesces the events and commands of the transaction and of nested transactions", function () {
+        var flux = this.flux,
+            coalesced = [];
+
+        expect(5);
+
+        this.registerTestActions({
+            testAction: {
+                command: function () {
+                    ok(!this.prepareOptions(_historyOptions).historyStateInfo.coalesce,
+                        "Options are unchanged outside of a transaction");
+
+                    return this.transaction(function () {
+                        var payload = { documentID: 1 };
+
+                        this.dispatch(events.document.history.nonOptimistic.COMBINE_SHAPES, payload);
+                        coalesced.push(!!payload.coalesce);
+                        coalesced.push(!!this.prepareOptions(_historyOptions).historyStateInfo.coalesce);
+
+                        return this.transaction(function () {
+                            var nestedPayload = { documentID: 1 };
+
+                            this.dispatch(events.document.history.nonOptimistic.COMBINE_SHAPES, nestedPayload);
+                            coalesced.push(!!nestedPayload.coalesce);
+                            coalesced.push(!!this.prepareOptions(_historyOptions).historyStateInfo.coalesce);
+
+                            return Promise.resolve();
+                        });
+                    });
+                },
+                reads: [],
+                writes: [locks.JS_DOC, locks.JS_HISTORY]
+            }
+        })
+            .then(function () {
+                return flux.actions.test.testAction();
+            })
+            .then(function () {
+                equal(coalesced[0] || coalesced[1], false, "First history entry and state are not coalesced");
+                ok(coalesced[2], "Later history entries are coalesced in nested transactions");
+                ok(coalesced[3], "Later history states are coalesced in nested transactions");
+                ok(true, "Transaction succeeds");
+                start();
+            });
+    });
+
+    asyncTest("Requires the document write lock", function () {
+        var flux = this.flux;
+
+        expect(1);
+
+        this.registerTestActions({
+            testAction: {
+                command: function () {
+                    return this.transaction(function () {
+                        return Promise.resolve();
+                    });
+                },
+                reads: [],
+                writes: [locks.JS_UI]
+            }
+        })
+            .then(function () {
+                return flux.actions.test.testAction();
+            })
+            .catch(function (err) {
+                ok(/write lock/.test(err.message), "Transaction without the document write lock is rejected");
+                start();
+            });
+    });
+});
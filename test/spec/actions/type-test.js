@@ -0,0 +1,132 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/* global module, asyncTest, deepEqual, start, expect */
+
+define(function (require) {
+    "use strict";
+
+    var Promise = require("bluebird"),
+        Immutable = require("immutable");
+
+    var fluxxorTestHelper = require("../util/fluxxor-test-helper"),
+        events = require("js/events"),
+        editActions = require("js/actions/edit"),
+        Document = require("js/models/document");
+
+    var menuJSON = require("text!static/menu-mac.json"),
+        menuActionsJSON = require("text!static/menu-actions.json"),
+        templatesJSON = require("text!static/templates.json");
+
+    var FAVORITES = "favoriteFontFamilies",
+        RECENT_GLYPHS = "recentGlyphs";
+
+    module("actions/type", {
+        setup: function () {
+            fluxxorTestHelper.setup.call(this);
+
+            // The menu store updates the application menu when preferences change
+            this.dispatch(events.menus.INIT_MENUS, {
+                menus: JSON.parse(menuJSON),
+                actions: JSON.parse(menuActionsJSON),
+                templates: JSON.parse(templatesJSON)
+            });
+
+            [FAVORITES, RECENT_GLYPHS].forEach(function (key) {
+                this.dispatch(events.preferences.DELETE_PREFERENCE, { key: key });
+            }, this);
+
+            this.insertTextCommand = editActions.insertText.command;
+        },
+        teardown: function () {
+            editActions.insertText.command = this.insertTextCommand;
+        }
+    });
+
+    asyncTest("Adding and removing favorite font families", function () {
+        var flux = this.flux,
+            preferenceStore = flux.store("preferences"),
+            favorites = function () {
+                return preferenceStore.getState().get(FAVORITES);
+            };
+
+        expect(3);
+
+        flux.actions.type.setFontFamilyFavorite("Helvetica", true)
+            .then(function () {
+                return flux.actions.type.setFontFamilyFavorite("Arial", true);
+            })
+            .then(function () {
+                deepEqual(favorites(), ["Arial", "Helvetica"], "Favorites are sorted");
+
+                return flux.actions.type.setFontFamilyFavorite("Helvetica", true);
+            })
+            .then(function () {
+                deepEqual(favorites(), ["Arial", "Helvetica"], "Favorites are not duplicated");
+
+                return flux.actions.type.setFontFamilyFavorite("Arial", false);
+            })
+            .then(function () {
+                deepEqual(favorites(), ["Helvetica"], "Unfavorited families are removed");
+            })
+            .finally(start);
+    });
+
+    asyncTest("Inserted glyphs become the most recent ones", function () {
+        var flux = this.flux,
+            preferenceStore = flux.store("preferences"),
+            document = new Document({ id: 1 }),
+            layers = Immutable.List(),
+            inserted = [];
+
+        expect(3);
+
+        // Text is being edited, so glyphs are pasted at the cursor instead of played
+        this.dispatch(events.tool.MODAL_STATE_CHANGE, { modalState: true });
+        editActions.insertText.command = function (character) {
+            inserted.push(character);
+            return Promise.resolve();
+        };
+
+        var insertAll = function (characters) {
+            return Promise.each(characters, function (character) {
+                return flux.actions.type.insertGlyph(document, layers, character);
+            });
+        };
+
+        insertAll(["a", "b", "a"])
+            .then(function () {
+                deepEqual(inserted, ["a", "b", "a"], "Glyphs are inserted at the cursor");
+                deepEqual(preferenceStore.getState().get(RECENT_GLYPHS), ["a", "b"],
+                    "Reused glyphs move to the front without duplicates");
+
+                return insertAll("cdefghijk".split(""));
+            })
+            .then(function () {
+                deepEqual(preferenceStore.getState().get(RECENT_GLYPHS), "kjihgfed".split(""),
+                    "Only the most recent glyphs are kept");
+            })
+            .finally(start);
+    });
+});
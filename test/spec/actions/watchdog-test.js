@@ -0,0 +1,174 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/* global module, test, asyncTest, equal, ok, deepEqual, start, expect */
+
+define(function (require) {
+    "use strict";
+
+    var Promise = require("bluebird"),
+        Immutable = require("immutable");
+
+    var fluxxorTestHelper = require("../util/fluxxor-test-helper"),
+        events = require("js/events"),
+        locks = require("js/locks"),
+        Document = require("js/models/document"),
+        Layer = require("js/models/layer"),
+        LayerStructure = require("js/models/layerstructure");
+
+    module("actions/watchdog", {
+        setup: function () {
+            fluxxorTestHelper.setup.call(this);
+
+            this.flux.store("document").setDocument(new Document({
+                id: 1,
+                layers: new LayerStructure({
+                    layers: Immutable.Map([[1, new Layer({ id: 1, name: "Before" })]]),
+                    index: Immutable.List.of(1)
+                })
+            }));
+        }
+    });
+
+    asyncTest("Reports running actions", function () {
+        var flux = this.flux,
+            controller = this.controller;
+
+        expect(5);
+
+        this.registerTestActions({
+            slowAction: {
+                command: function () {
+                    return Promise.delay(50);
+                },
+                reads: [],
+                writes: [locks.JS_UI]
+            }
+        })
+            .then(function () {
+                var actionPromise = flux.actions.test.slowAction();
+
+                return Promise.delay(10)
+                    .then(function () {
+                        var runningActions = controller.getRunningActions();
+
+                        equal(runningActions.length, 1, "Executing action is running");
+                        equal(runningActions[0].actionName, "test.slowAction", "Running action is named");
+                        deepEqual(runningActions[0].writes, [locks.JS_UI], "Running action has its locks");
+                        ok(runningActions[0].age >= 0, "Running action has its age");
+
+                        return actionPromise;
+                    });
+            })
+            .then(function () {
+                equal(controller.getRunningActions().length, 0, "Finished action is not running");
+                start();
+            });
+    });
+
+    asyncTest("Releases the locks of hung actions", function () {
+        var flux = this.flux,
+            controller = this.controller;
+
+        expect(4);
+
+        this.registerTestActions({
+            hungAction: {
+                command: function () {
+                    return new Promise(function () {});
+                },
+                reads: [],
+                writes: [locks.JS_UI],
+                hardTimeout: 20
+            },
+            nextAction: {
+                command: function () {
+                    return Promise.resolve();
+                },
+                reads: [],
+                writes: [locks.JS_UI]
+            }
+        })
+            .then(function () {
+                return flux.actions.test.hungAction();
+            })
+            .catch(function (err) {
+                ok(err instanceof Promise.TimeoutError, "Hung action times out");
+                ok(/timed out after 20ms/.test(err.message), "Timeout names its duration");
+                equal(controller.getRunningActions().length, 0, "Hung action is no longer running");
+
+                return flux.actions.test.nextAction();
+            })
+            .then(function () {
+                ok(true, "Action that needs the locks of the hung action executes");
+                start();
+            });
+    });
+
+    asyncTest("Does not roll back hung actions", function () {
+        var flux = this.flux,
+            controller = this.controller,
+            documentStore = flux.store("document");
+
+        expect(2);
+
+        controller.on("error", function () {
+            ok(true, "Hung action that cannot be resynced is reported as an error");
+        });
+
+        this.registerTestActions({
+            hungAction: {
+                command: function () {
+                    this.dispatch(events.document.history.optimistic.RENAME_LAYER, {
+                        documentID: 1,
+                        layerID: 1,
+                        name: "During"
+                    });
+
+                    return new Promise(function () {});
+                },
+                reads: [],
+                writes: [locks.JS_DOC, locks.JS_MENU, locks.JS_HISTORY],
+                hardTimeout: 20
+            }
+        })
+            .then(function () {
+                return flux.actions.test.hungAction();
+            })
+            .catch(function () {
+                equal(documentStore.getDocument(1).layers.byID(1).name, "During",
+                    "Optimistic updates of the hung action are kept");
+                start();
+            });
+    });
+
+    test("Marks documents dirty", function () {
+        var documentStore = this.flux.store("document");
+
+        this.controller._markDirty([1, 2]);
+
+        ok(documentStore.getDocument(1).dirty, "Open document is marked dirty");
+        ok(!documentStore.getDocument(2), "Closed documents are ignored");
+    });
+});
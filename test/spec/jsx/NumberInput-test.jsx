@@ -21,12 +21,13 @@
  * 
  */
 
-/* global module, test, equal */
+/* global module, test, equal, deepEqual, expect */
 
 define(function (require) {
     "use strict";
 
     var React = require("react"),
+        Immutable = require("immutable"),
         TestUtils = React.addons.TestUtils;
 
     var NumberInput = require("jsx!js/jsx/shared/NumberInput");
@@ -87,4 +88,79 @@ define(function (require) {
         expectedValue += 1;
         TestUtils.Simulate.keyDown(numberInputDOMNode, { key: "ArrowUp" });
     });
+
+    /**
+     * Render a NumberInput with the given props and return a function that
+     * extracts the value of an entry in it.
+     *
+     * @private
+     * @param {object} props
+     * @return {function(string): ?number|Immutable.List.<number>}
+     */
+    var _extractor = function (props) {
+        var numberInput = TestUtils.renderIntoDocument(
+            <NumberInput {...props}/>
+        );
+
+        return function (rawValue) {
+            var value = numberInput._extractValue(rawValue);
+
+            return Immutable.List.isList(value) ? value.toArray() : value;
+        };
+    };
+
+    test("Applies relative entries to the current value", function () {
+        var extract = _extractor({ value: 100, mixedRelative: true });
+
+        equal(extract("+10"), 110, "Adds");
+        equal(extract("- 5"), 95, "Subtracts");
+        equal(extract("*2"), 200, "Multiplies");
+        equal(extract("/4"), 25, "Divides");
+        equal(extract("/0"), null, "Division by zero is invalid");
+        equal(extract("+2*5"), 110, "Operands are expressions");
+        equal(extract("(-5)"), -5, "Negative absolute values are entered in parentheses");
+        equal(extract("-150"), -50, "Results may be negative");
+
+        var bounded = _extractor({ value: 100, min: 0, max: 150, mixedRelative: true });
+
+        equal(bounded("-150"), 0, "Results are clamped to the minimum");
+        equal(bounded("+100"), 150, "Results are clamped to the maximum");
+    });
+
+    test("Treats operators as part of absolute entries without mixedRelative", function () {
+        var extract = _extractor({ value: 100 });
+
+        equal(extract("-5"), -5, "Leading minus denotes a negative value");
+        equal(extract("+10"), 10, "Leading plus denotes a positive value");
+        equal(extract("*2"), null, "Leading multiplication is invalid");
+    });
+
+    test("Applies percentages and units", function () {
+        var extract = _extractor({ value: 100, unit: "px", percentBase: 200, mixedRelative: true });
+
+        equal(extract("50%"), 100, "Absolute percentages are of the percent base");
+        equal(extract("+10%"), 110, "Relative percentages are of the current value");
+        equal(extract("-25%"), 75, "Relative percentages are subtracted");
+        equal(extract("*50%"), 50, "Percentages scale the current value");
+        equal(extract("1in"), 72, "Absolute units are converted to pixels");
+        equal(extract("+1in"), 172, "Relative units are converted to pixels");
+        equal(extract("*2in"), 200, "Units of factors are ignored");
+
+        var withoutBase = _extractor({ value: 100, unit: "px" });
+
+        equal(withoutBase("50%"), null, "Absolute percentages need a percent base");
+    });
+
+    test("Applies relative entries to each mixed value", function () {
+        var extract = _extractor({ value: Immutable.List.of(10, 20), min: 12, unit: "px", mixedRelative: true });
+
+        deepEqual(extract("+5"), [15, 25], "Each value is offset");
+        equal(extract("-50%"), 12, "Each value is clamped, and uniform results produce a single value");
+        deepEqual(extract("*2"), [20, 40], "Each value is scaled");
+        equal(extract("30"), 30, "Absolute entries apply to every value");
+
+        var uniform = _extractor({ value: Immutable.List.of(10, 10), mixedRelative: true });
+
+        equal(uniform("+5"), 15, "Uniform values produce a single value");
+    });
 });
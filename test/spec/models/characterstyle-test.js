@@ -0,0 +1,151 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/* global module, test, equal, throws */
+
+define(function (require) {
+    "use strict";
+
+    var _ = require("lodash");
+
+    var CharacterStyle = require("js/models/characterstyle");
+
+    module("models/characterstyle");
+
+    /**
+     * A base parent style with the properties that every character style needs.
+     *
+     * @private
+     * @type {object}
+     */
+    var _baseParentStyle = {
+        fontPostScriptName: "MyriadPro-Regular",
+        size: { _unit: "pointsUnit", _value: 12 },
+        color: { red: 0, grain: 0, blue: 0 },
+        tracking: 0,
+        autoLeading: true
+    };
+
+    /**
+     * Parse a character style from the given text style at 144 pixels per inch.
+     *
+     * @private
+     * @param {object} textStyle
+     * @param {object=} baseParentStyle
+     * @return {CharacterStyle}
+     */
+    var _parse = function (textStyle, baseParentStyle) {
+        return CharacterStyle.fromCharacterStyleDescriptor(144, { opacity: 255 },
+            { textStyle: textStyle }, baseParentStyle || _baseParentStyle);
+    };
+
+    test("Parses character styles from their base parent style", function () {
+        var characterStyle = _parse({});
+
+        equal(characterStyle.postScriptName, "MyriadPro-Regular", "Font is inherited");
+        equal(characterStyle.textSize, 24, "Size is inherited and converted to pixels");
+        equal(characterStyle.tracking, 0, "Tracking is inherited");
+        equal(characterStyle.leading, null, "Auto-leading has no leading");
+        equal(characterStyle.underline, false, "Text is not underlined by default");
+        equal(characterStyle.strikethrough, false, "Text is not struck through by default");
+        equal(characterStyle.caps, "normal", "Caps are normal by default");
+        equal(characterStyle.baseline, "normal", "Baseline is normal by default");
+        equal(characterStyle.baselineShift, 0, "Baseline is not shifted by default");
+        equal(characterStyle.kerning, "metricsKern", "Kerning is metric by default");
+        equal(characterStyle.ligatures, true, "Ligatures are used by default");
+        equal(characterStyle.oldStyleFigures, false, "Old-style figures are not used by default");
+    });
+
+    test("Parses underline, caps, baseline, kerning and OpenType features", function () {
+        var characterStyle = _parse({
+            underline: { _enum: "underline", _value: "underlineOnLeftInVertical" },
+            strikethrough: { _enum: "strikethrough", _value: "xHeightStrikethroughOn" },
+            fontCaps: { _enum: "fontCaps", _value: "smallCaps" },
+            baseline: { _enum: "baseline", _value: "superScript" },
+            baselineShift: { _unit: "pointsUnit", _value: 3 },
+            autoKern: { _enum: "autoKern", _value: "opticalKern" },
+            ligature: false,
+            oldStyle: true,
+            tracking: 50,
+            autoLeading: false,
+            leading: { _unit: "pointsUnit", _value: 18 }
+        });
+
+        equal(characterStyle.underline, true, "Underline is parsed");
+        equal(characterStyle.strikethrough, true, "Strikethrough is parsed");
+        equal(characterStyle.caps, "smallCaps", "Caps are parsed");
+        equal(characterStyle.baseline, "superScript", "Baseline is parsed");
+        equal(characterStyle.baselineShift, 6, "Baseline shift is converted to pixels");
+        equal(characterStyle.kerning, "opticalKern", "Kerning is parsed");
+        equal(characterStyle.ligatures, false, "Ligatures are parsed");
+        equal(characterStyle.oldStyleFigures, true, "Old-style figures are parsed");
+        equal(characterStyle.tracking, 50, "Tracking is parsed");
+        equal(characterStyle.leading, 36, "Leading is converted to pixels");
+    });
+
+    test("Falls back to the base parent style for each property", function () {
+        var baseParentStyle = _.assign({}, _baseParentStyle, {
+                underline: { _enum: "underline", _value: "underlineOnLeftInVertical" },
+                fontCaps: { _enum: "fontCaps", _value: "allCaps" },
+                autoKern: { _enum: "autoKern", _value: "manual" }
+            }),
+            characterStyle = _parse({ underline: { _enum: "underline", _value: "underlineOff" } }, baseParentStyle);
+
+        equal(characterStyle.underline, false, "Own properties take precedence");
+        equal(characterStyle.caps, "allCaps", "Caps are inherited");
+        equal(characterStyle.kerning, "manual", "Kerning is inherited");
+    });
+
+    test("Rejects invalid tracking and leading", function () {
+        throws(function () {
+            _parse({ tracking: "wide" });
+        }, "Tracking must be a number");
+        throws(function () {
+            _parse({ autoLeading: "yes" });
+        }, "Auto-leading must be a boolean");
+        throws(function () {
+            _parse({ autoLeading: false, leading: { _unit: "bogusUnit", _value: 10 } });
+        }, "Leading must be convertible to pixels");
+    });
+
+    test("Parses a character style for each text style range", function () {
+        var characterStyles = CharacterStyle.fromTextDescriptor(72, { opacity: 255 }, {
+            textStyleRange: [
+                {
+                    textStyle: {
+                        baseParentStyle: _baseParentStyle,
+                        fontCaps: { _enum: "fontCaps", _value: "allCaps" }
+                    }
+                },
+                { textStyle: { size: { _unit: "pointsUnit", _value: 24 } } }
+            ]
+        });
+
+        equal(characterStyles.size, 2, "Each range is parsed");
+        equal(characterStyles.get(0).caps, "allCaps", "First range is parsed");
+        equal(characterStyles.get(1).textSize, 24, "Second range is parsed");
+        equal(characterStyles.get(1).postScriptName, "MyriadPro-Regular",
+            "Later ranges inherit the base parent style of the first range");
+    });
+});
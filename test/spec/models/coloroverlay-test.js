@@ -0,0 +1,84 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/* global module, test, equal, deepEqual */
+
+define(function (require) {
+    "use strict";
+
+    var ColorOverlay = require("js/models/coloroverlay"),
+        Color = require("js/models/color");
+
+    module("models/coloroverlay");
+
+    test("Parses color overlays from layer descriptors", function () {
+        var colorOverlays = ColorOverlay.fromLayerDescriptor({
+                layerFXVisible: true,
+                layerEffects: {
+                    solidFillMulti: [
+                        {
+                            present: true,
+                            enabled: true,
+                            color: { red: 10, grain: 20, blue: 30 },
+                            opacity: { _value: 80 },
+                            mode: { _value: "overlay" }
+                        },
+                        {
+                            present: false,
+                            enabled: true,
+                            color: { red: 40, grain: 50, blue: 60 },
+                            opacity: { _value: 100 }
+                        },
+                        {
+                            present: true,
+                            enabled: false,
+                            color: { red: 70, grain: 80, blue: 90 },
+                            opacity: { _value: 100 }
+                        }
+                    ]
+                }
+            }),
+            colorOverlay = colorOverlays.first();
+
+        equal(colorOverlays.size, 2, "Only present color overlays are parsed");
+        deepEqual([colorOverlay.color.r, colorOverlay.color.g, colorOverlay.color.b, colorOverlay.color.a],
+            [10, 20, 30, 0.8], "Color includes the opacity");
+        equal(colorOverlay.enabled, true, "Color overlay is enabled");
+        equal(colorOverlay.blendMode, "overlay", "Blend mode is parsed");
+        equal(colorOverlays.get(1).enabled, false, "Disabled color overlay is parsed");
+        equal(colorOverlays.get(1).blendMode, "normal", "Blend mode defaults to normal");
+        equal(ColorOverlay.fromLayerDescriptor({}).size, 0, "Layers without effects have no color overlays");
+    });
+
+    test("Converts color overlays to adapter objects", function () {
+        var color = new Color({ r: 255, g: 0, b: 0, a: 0.5 }),
+            adapterObject = new ColorOverlay({ enabled: false, color: color, blendMode: "screen" })
+                .toAdapterObject();
+
+        equal(adapterObject.enabled, false, "Enabled state is converted");
+        equal(adapterObject.color, color, "Color is converted");
+        equal(adapterObject.opacity, 50, "Opacity is converted to a percentage");
+        equal(adapterObject.blendMode, "screen", "Blend mode is converted");
+    });
+});
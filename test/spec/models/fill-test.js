@@ -0,0 +1,233 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/* global module, test, equal, ok, deepEqual, throws */
+
+define(function (require) {
+    "use strict";
+
+    var Immutable = require("immutable");
+
+    var contentLayerLib = require("adapter/lib/contentLayer"),
+        layerLib = require("adapter/lib/layer");
+
+    var Color = require("js/models/color"),
+        Fill = require("js/models/fill"),
+        Gradient = require("js/models/gradient"),
+        Pattern = require("js/models/pattern");
+
+    var _gradientAdjustment = {
+        _obj: "gradientLayer",
+        type: { _value: "radial" },
+        angle: { _value: 45 },
+        scale: { _value: 150 },
+        reverse: true,
+        gradient: {
+            colors: [
+                { location: 4096, midpoint: 50, color: { red: 0, grain: 0, blue: 255 } },
+                { location: 2048, midpoint: 25, color: { red: 0, grain: 255, blue: 0 } },
+                { location: 0, midpoint: 50, color: { red: 255, grain: 0, blue: 0 } }
+            ],
+            transparency: [
+                { location: 0, opacity: { _value: 100 } },
+                { location: 4096, opacity: { _value: 0 } }
+            ]
+        }
+    };
+
+    var _patternAdjustment = {
+        _obj: "patternLayer",
+        pattern: { name: "Bubbles", ID: "pattern-1" },
+        scale: { _value: 50 },
+        angle: { _value: 30 },
+        align: false
+    };
+
+    var _vectorLayerDescriptor = function (adjustment) {
+        return {
+            layerID: 1,
+            layerKind: layerLib.layerKinds.VECTOR,
+            fillEnabled: true,
+            fillOpacity: 255,
+            adjustment: [adjustment]
+        };
+    };
+
+    module("models/fill");
+
+    test("Parses gradient fills from layer descriptors", function () {
+        var fills = Fill.fromLayerDescriptor(_vectorLayerDescriptor(_gradientAdjustment)),
+            fill = fills.first(),
+            gradient = fill.gradient;
+
+        equal(fills.size, 1, "A single fill is parsed");
+        equal(fill.type, contentLayerLib.contentTypes.GRADIENT, "Fill has the gradient type");
+        ok(gradient instanceof Gradient, "Fill has a gradient");
+        equal(fill.pattern, null, "Fill has no pattern");
+        equal(gradient.type, "radial", "Gradient type is parsed");
+        equal(gradient.angle, 45, "Gradient angle is parsed");
+        equal(gradient.scale, 150, "Gradient scale is parsed");
+        equal(gradient.reverse, true, "Gradient reversal is parsed");
+        deepEqual(gradient.colorStops.map(function (stop) {
+            return stop.location;
+        }).toArray(), [0, 50, 100], "Stop locations are converted to percentages and sorted");
+        deepEqual(gradient.colorStops.map(function (stop) {
+            return stop.color.opacity;
+        }).toArray(), [100, 50, 0], "Stop opacities are interpolated from the transparency stops");
+        equal(gradient.colorStops.get(1).midpoint, 25, "Stop midpoints are parsed");
+        equal(gradient.colorStops.get(0).color.r, 255, "Stop colors are parsed");
+    });
+
+    test("Parses pattern fills from layer descriptors", function () {
+        var fill = Fill.fromLayerDescriptor(_vectorLayerDescriptor(_patternAdjustment)).first(),
+            pattern = fill.pattern;
+
+        equal(fill.type, contentLayerLib.contentTypes.PATTERN, "Fill has the pattern type");
+        ok(pattern instanceof Pattern, "Fill has a pattern");
+        equal(fill.gradient, null, "Fill has no gradient");
+        equal(pattern.name, "Bubbles", "Pattern name is parsed");
+        equal(pattern.id, "pattern-1", "Pattern ID is parsed");
+        equal(pattern.scale, 50, "Pattern scale is parsed");
+        equal(pattern.angle, 30, "Pattern angle is parsed");
+        equal(pattern.alignWithLayer, false, "Pattern alignment is parsed");
+    });
+
+    test("Parses fills from set descriptors", function () {
+        var gradientFill = Fill.fromSetDescriptor({ to: { fillContents: _gradientAdjustment } }),
+            patternFill = Fill.fromSetDescriptor({ to: { fillContents: _patternAdjustment } }),
+            colorFill = Fill.fromSetDescriptor({
+                to: {
+                    fillContents: {
+                        _obj: "solidColorLayer",
+                        color: { red: 10, grain: 20, blue: 30 }
+                    }
+                }
+            }),
+            emptyFill = Fill.fromSetDescriptor({});
+
+        equal(gradientFill.type, contentLayerLib.contentTypes.GRADIENT, "Gradient fill has the gradient type");
+        equal(gradientFill.gradient.colorStops.size, 3, "Gradient fill has a gradient");
+        equal(patternFill.type, contentLayerLib.contentTypes.PATTERN, "Pattern fill has the pattern type");
+        equal(patternFill.pattern.name, "Bubbles", "Pattern fill has a pattern");
+        equal(colorFill.type, contentLayerLib.contentTypes.SOLID_COLOR, "Color fill has the solid color type");
+        deepEqual([colorFill.color.r, colorFill.color.g, colorFill.color.b], [10, 20, 30], "Color fill has a color");
+        equal(emptyFill.type, contentLayerLib.contentTypes.SOLID_COLOR,
+            "Descriptors without fill contents yield solid color fills");
+        ok(Immutable.is(emptyFill.color, Color.DEFAULT), "Descriptors without fill contents yield the default color");
+    });
+
+    test("Converts gradients to gradient layer descriptors", function () {
+        var gradient = Fill.fromSetDescriptor({ to: { fillContents: _gradientAdjustment } }).gradient,
+            gradientLayerDescriptor = gradient.toGradientLayerDescriptor(),
+            gradientDescriptor = gradientLayerDescriptor.gradient;
+
+        equal(gradientLayerDescriptor._obj, "gradientLayer", "Descriptor is a gradient layer");
+        deepEqual(gradientLayerDescriptor.type, { _enum: "gradientType", _value: "radial" }, "Type is converted");
+        deepEqual(gradientLayerDescriptor.angle, { _unit: "angleUnit", _value: 45 }, "Angle is converted");
+        deepEqual(gradientLayerDescriptor.scale, { _unit: "percentUnit", _value: 150 }, "Scale is converted");
+        equal(gradientLayerDescriptor.reverse, true, "Reversal is converted");
+        equal(gradientLayerDescriptor.align, true, "Alignment is converted");
+        deepEqual(gradientDescriptor.colors.map(function (stop) {
+            return stop.location;
+        }), [0, 2048, 4096], "Color stop locations are converted to Photoshop locations");
+        deepEqual(gradientDescriptor.colors[0].color, { _obj: "RGBColor", red: 255, grain: 0, blue: 0 },
+            "Color stops have opaque Photoshop colors");
+        deepEqual(gradientDescriptor.transparency.map(function (stop) {
+            return stop.opacity._value;
+        }), [100, 50, 0], "Each stop has a transparency stop");
+        deepEqual(Gradient.fromGradientLayerDescriptor(gradientLayerDescriptor).toJS(), gradient.toJS(),
+            "Gradients survive a round trip");
+    });
+
+    test("Converts patterns to pattern layer descriptors", function () {
+        var pattern = Fill.fromSetDescriptor({ to: { fillContents: _patternAdjustment } }).pattern,
+            patternLayerDescriptor = pattern.toPatternLayerDescriptor();
+
+        deepEqual(patternLayerDescriptor, {
+            _obj: "patternLayer",
+            pattern: { _obj: "pattern", name: "Bubbles", ID: "pattern-1" },
+            scale: { _unit: "percentUnit", _value: 50 },
+            angle: { _unit: "angleUnit", _value: 30 },
+            align: false
+        }, "Pattern is converted");
+        deepEqual(Pattern.fromPatternLayerDescriptor(patternLayerDescriptor).toJS(), pattern.toJS(),
+            "Patterns survive a round trip");
+    });
+
+    test("Parses fills from color overlay layer effect descriptors", function () {
+        var fills = Fill.fromColorOverlayDescriptors({
+                layerFXVisible: true,
+                layerEffects: {
+                    solidFillMulti: [
+                        {
+                            present: true,
+                            enabled: true,
+                            color: { red: 255, grain: 128, blue: 0 },
+                            opacity: { _value: 40 }
+                        },
+                        {
+                            present: false,
+                            enabled: true,
+                            color: { red: 0, grain: 0, blue: 0 },
+                            opacity: { _value: 100 }
+                        },
+                        {
+                            present: true,
+                            enabled: false,
+                            color: { red: 0, grain: 0, blue: 255 },
+                            opacity: { _value: 100 }
+                        }
+                    ]
+                }
+            });
+
+        equal(fills.size, 2, "Only present color overlays are parsed");
+        deepEqual(fills.map(function (fill) {
+            return fill.type;
+        }).toArray(), [contentLayerLib.contentTypes.SOLID_COLOR, contentLayerLib.contentTypes.SOLID_COLOR],
+            "Color overlays are solid color fills");
+        deepEqual(fills.map(function (fill) {
+            return fill.enabled;
+        }).toArray(), [true, false], "Enabled states are parsed");
+        deepEqual([fills.first().color.r, fills.first().color.g, fills.first().color.b], [255, 128, 0],
+            "Colors are parsed");
+        equal(fills.first().color.opacity, 40, "Opacities are parsed");
+        equal(Fill.fromColorOverlayDescriptors({}).size, 0, "Layers without color overlays have no extra fills");
+    });
+
+    test("Converts solid color fills to color overlay adapter objects", function () {
+        var fill = new Fill({
+                type: contentLayerLib.contentTypes.SOLID_COLOR,
+                enabled: false,
+                color: Color.DEFAULT.setOpacity(25)
+            }),
+            adapterObject = fill.toColorOverlayAdapterObject();
+
+        equal(adapterObject.enabled, false, "Enabled state is converted");
+        equal(adapterObject.opacity, 25, "Opacity is converted");
+        throws(function () {
+            fill.set("type", contentLayerLib.contentTypes.GRADIENT).toColorOverlayAdapterObject();
+        }, "Only solid color fills can be converted to color overlays");
+    });
+});
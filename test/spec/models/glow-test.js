@@ -0,0 +1,108 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/* global module, test, equal, deepEqual */
+
+define(function (require) {
+    "use strict";
+
+    var _ = require("lodash");
+
+    var Glow = require("js/models/glow"),
+        Color = require("js/models/color");
+
+    module("models/glow");
+
+    /**
+     * Construct a glow descriptor with the given properties.
+     *
+     * @private
+     * @param {object} properties
+     * @return {object}
+     */
+    var _glowDescriptor = function (properties) {
+        return _.assign({
+            present: true,
+            enabled: true,
+            color: { red: 255, grain: 128, blue: 0 },
+            opacity: { _value: 50 },
+            blur: { _value: 12 },
+            chokeMatte: { _value: 25 },
+            mode: { _value: "multiply" }
+        }, properties);
+    };
+
+    test("Parses glows from layer descriptors", function () {
+        var outerGlows = Glow.fromLayerDescriptor({
+                layerFXVisible: true,
+                layerEffects: {
+                    outerGlowMulti: [
+                        _glowDescriptor(),
+                        _glowDescriptor({ present: false }),
+                        _glowDescriptor({ enabled: false, blur: { _value: 3 } })
+                    ]
+                }
+            }, "outerGlow"),
+            glow = outerGlows.first();
+
+        equal(outerGlows.size, 2, "Only present glows are parsed");
+        equal(glow.enabled, true, "Glow is enabled");
+        deepEqual([glow.color.r, glow.color.g, glow.color.b, glow.color.a], [255, 128, 0, 0.5],
+            "Color includes the opacity");
+        equal(glow.blur, 12, "Blur is parsed");
+        equal(glow.spread, 25, "Spread is parsed from the choke matte");
+        equal(glow.blendMode, "multiply", "Blend mode is parsed");
+        equal(outerGlows.get(1).enabled, false, "Disabled glow is parsed");
+        equal(outerGlows.get(1).blur, 3, "Glows are parsed in order");
+    });
+
+    test("Parses single glows of either kind", function () {
+        var layerDescriptor = {
+            layerFXVisible: false,
+            layerEffects: {
+                innerGlow: _glowDescriptor({ chokeMatte: { _value: 75 } })
+            }
+        };
+
+        var innerGlows = Glow.fromLayerDescriptor(layerDescriptor, "innerGlow");
+
+        equal(innerGlows.size, 1, "Single glow is parsed");
+        equal(innerGlows.first().spread, 75, "Inner glow choke is parsed as its spread");
+        equal(innerGlows.first().enabled, false, "Glows of layers with hidden effects are disabled");
+        equal(Glow.fromLayerDescriptor(layerDescriptor, "outerGlow").size, 0, "Missing glows are not parsed");
+        equal(Glow.fromLayerDescriptor({}, "outerGlow").size, 0, "Layers without effects have no glows");
+    });
+
+    test("Converts glows to adapter objects", function () {
+        var color = new Color({ r: 0, g: 0, b: 255, a: 0.25 }),
+            adapterObject = new Glow({ color: color, blur: 8, spread: 10, blendMode: "normal" }).toAdapterObject();
+
+        equal(adapterObject.enabled, true, "Enabled state is converted");
+        equal(adapterObject.color, color, "Color is converted");
+        equal(adapterObject.opacity, 25, "Opacity is converted to a percentage");
+        equal(adapterObject.blur, 8, "Blur is converted");
+        equal(adapterObject.chokeMatte, 10, "Spread is converted to the choke matte");
+        equal(adapterObject.blendMode, "normal", "Blend mode is converted");
+    });
+});
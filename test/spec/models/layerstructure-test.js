@@ -0,0 +1,260 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/* global module, test, equal, ok, deepEqual, throws */
+
+define(function (require) {
+    "use strict";
+
+    var Immutable = require("immutable");
+
+    var Bounds = require("js/models/bounds"),
+        Color = require("js/models/color"),
+        Fill = require("js/models/fill"),
+        Layer = require("js/models/layer"),
+        LayerStructure = require("js/models/layerstructure"),
+        Shadow = require("js/models/shadow"),
+        Stroke = require("js/models/stroke");
+
+    /**
+     * Construct a solid color fill with the given red value, to tell fills apart.
+     *
+     * @private
+     * @param {number} red
+     * @return {Fill}
+     */
+    var _fill = function (red) {
+        return new Fill({
+            type: "solidColorLayer",
+            color: new Color({ r: red, g: 0, b: 0 })
+        });
+    };
+
+    /**
+     * Construct a stroke with the given width, to tell strokes apart.
+     *
+     * @private
+     * @param {number} width
+     * @return {Stroke}
+     */
+    var _stroke = function (width) {
+        return new Stroke({ width: width });
+    };
+
+    /**
+     * Construct a shadow with the given blur, to tell shadows apart.
+     *
+     * @private
+     * @param {number} blur
+     * @return {Shadow}
+     */
+    var _shadow = function (blur) {
+        return new Shadow({ blur: blur });
+    };
+
+    /**
+     * Construct a layer structure from the given layer properties.
+     *
+     * @private
+     * @param {Array.<object>} layerProperties
+     * @return {LayerStructure}
+     */
+    var _layerStructure = function (layerProperties) {
+        var layers = layerProperties.map(function (properties) {
+            return new Layer(properties);
+        });
+
+        return new LayerStructure({
+            layers: Immutable.Map(layers.map(function (layer) {
+                return [layer.id, layer];
+            })),
+            index: Immutable.List(layers.map(function (layer) {
+                return layer.id;
+            }))
+        });
+    };
+
+    /**
+     * Get the red values of the fills of the given layer.
+     *
+     * @private
+     * @param {LayerStructure} layerStructure
+     * @param {number} layerID
+     * @return {Array.<number>}
+     */
+    var _fillReds = function (layerStructure, layerID) {
+        return layerStructure.byID(layerID).fills.map(function (fill) {
+            return fill.color.r;
+        }).toArray();
+    };
+
+    /**
+     * Get the widths of the strokes of the given layer.
+     *
+     * @private
+     * @param {LayerStructure} layerStructure
+     * @param {number} layerID
+     * @return {Array.<number>}
+     */
+    var _strokeWidths = function (layerStructure, layerID) {
+        return layerStructure.byID(layerID).strokes.map(function (stroke) {
+            return stroke.width;
+        }).toArray();
+    };
+
+    /**
+     * Get the blurs of the layer effects of the given type of the given layer.
+     *
+     * @private
+     * @param {LayerStructure} layerStructure
+     * @param {number} layerID
+     * @param {string} layerEffectType
+     * @return {Array.<number>}
+     */
+    var _shadowBlurs = function (layerStructure, layerID, layerEffectType) {
+        return layerStructure.byID(layerID).getLayerEffectsByType(layerEffectType).map(function (shadow) {
+            return shadow.blur;
+        }).toArray();
+    };
+
+    module("models/layerstructure");
+
+    test("Appends, removes and reorders fills", function () {
+        var layerStructure = _layerStructure([
+                { id: 1, fills: Immutable.List.of(_fill(1), _fill(2)) },
+                { id: 2, fills: Immutable.List.of(_fill(3)) },
+                { id: 3, fills: Immutable.List.of(_fill(4)) }
+            ]),
+            layerIDs = Immutable.List.of(1, 2);
+
+        var appended = layerStructure.appendFill(layerIDs, _fill(9));
+        deepEqual(_fillReds(appended, 1), [1, 2, 9], "Fill is appended to the first layer");
+        deepEqual(_fillReds(appended, 2), [3, 9], "Fill is appended to the second layer");
+        deepEqual(_fillReds(appended, 3), [4], "Other layers are unchanged");
+
+        var removed = appended.removeFill(layerIDs, 0);
+        deepEqual(_fillReds(removed, 1), [2, 9], "First fill is removed from the first layer");
+        deepEqual(_fillReds(removed, 2), [9], "First fill is removed from the second layer");
+
+        var reordered = appended.reorderFill(layerIDs, 1, 0);
+        deepEqual(_fillReds(reordered, 1), [2, 1, 9], "Fill is moved in the first layer");
+        deepEqual(_fillReds(reordered, 2), [9, 3], "Fill is moved in the second layer");
+
+        throws(function () {
+            layerStructure.removeFill(layerIDs, 1);
+        }, "Removing a missing fill throws");
+        throws(function () {
+            layerStructure.reorderFill(layerIDs, 0, 1);
+        }, "Moving a fill out of range throws");
+    });
+
+    test("Appends, removes and reorders strokes", function () {
+        var layerStructure = _layerStructure([
+                { id: 1, strokes: Immutable.List.of(_stroke(1), _stroke(2)) },
+                { id: 2 }
+            ]),
+            layerIDs = Immutable.List.of(1, 2);
+
+        var appended = layerStructure.appendStroke(layerIDs, _stroke(9));
+        deepEqual(_strokeWidths(appended, 1), [1, 2, 9], "Stroke is appended to a layer with strokes");
+        deepEqual(_strokeWidths(appended, 2), [9], "Stroke is appended to a layer without strokes");
+
+        var removed = appended.removeStroke(Immutable.List.of(1), 1);
+        deepEqual(_strokeWidths(removed, 1), [1, 9], "Stroke is removed");
+        ok(Immutable.is(removed.byID(2), appended.byID(2)), "Other layers are unchanged");
+
+        var reordered = appended.reorderStroke(Immutable.List.of(1), 2, 0);
+        deepEqual(_strokeWidths(reordered, 1), [9, 1, 2], "Stroke is moved");
+
+        throws(function () {
+            appended.removeStroke(layerIDs, 1);
+        }, "Removing a stroke that is missing from any layer throws");
+        equal(layerStructure.byID(1).strokes.size, 2, "Original layer structure is unchanged");
+    });
+
+    test("Removes, reorders and duplicates shadows of layers with different shadow lists", function () {
+        var layerStructure = _layerStructure([
+                {
+                    id: 1,
+                    dropShadows: Immutable.List.of(_shadow(1), _shadow(2)),
+                    innerShadows: Immutable.List.of(_shadow(5))
+                },
+                { id: 2, dropShadows: Immutable.List.of(_shadow(3)) },
+                { id: 3 }
+            ]),
+            layerIDs = Immutable.List.of(1, 2);
+
+        var duplicated = layerStructure.duplicateLayerEffect(layerIDs, "dropShadow", 0);
+        deepEqual(_shadowBlurs(duplicated, 1, "dropShadow"), [1, 1, 2], "Shadow is copied after itself");
+        deepEqual(_shadowBlurs(duplicated, 2, "dropShadow"), [3, 3], "Shadow of a shorter list is copied");
+        deepEqual(_shadowBlurs(duplicated, 1, "innerShadow"), [5], "Shadows of other types are unchanged");
+        ok(Immutable.is(duplicated.byID(3), layerStructure.byID(3)), "Other layers are unchanged");
+
+        var removed = layerStructure.removeLayerEffect(layerIDs, "dropShadow", 0);
+        deepEqual(_shadowBlurs(removed, 1, "dropShadow"), [2], "First shadow is removed from the longer list");
+        deepEqual(_shadowBlurs(removed, 2, "dropShadow"), [], "Only shadow is removed from the shorter list");
+
+        var reordered = layerStructure.reorderLayerEffect(Immutable.List.of(1), "dropShadow", 1, 0);
+        deepEqual(_shadowBlurs(reordered, 1, "dropShadow"), [2, 1], "Shadow is moved");
+        deepEqual(_shadowBlurs(reordered, 2, "dropShadow"), [3], "Unlisted layers are unchanged");
+
+        var innerRemoved = layerStructure.removeLayerEffect(Immutable.List.of(1), "innerShadow", 0);
+        deepEqual(_shadowBlurs(innerRemoved, 1, "innerShadow"), [], "Inner shadow is removed");
+        deepEqual(_shadowBlurs(innerRemoved, 1, "dropShadow"), [1, 2], "Drop shadows are unchanged");
+
+        throws(function () {
+            layerStructure.removeLayerEffect(layerIDs, "dropShadow", 1);
+        }, "Removing a shadow that is missing from any layer throws");
+        throws(function () {
+            layerStructure.duplicateLayerEffect(Immutable.List.of(3), "dropShadow", 0);
+        }, "Duplicating a shadow of a layer without shadows throws");
+        throws(function () {
+            layerStructure.reorderLayerEffect(layerIDs, "dropShadow", 1, 0);
+        }, "Moving a shadow out of range of any layer throws");
+        throws(function () {
+            layerStructure.removeLayerEffect(layerIDs, "bogus", 0);
+        }, "Unknown layer effect types throw");
+    });
+
+    test("Zips values with the selected layers that have bounds", function () {
+        var bounds = function (width) {
+                return new Bounds({ top: 0, left: 0, bottom: 10, right: width });
+            },
+            layerStructure = _layerStructure([
+                { id: 1, selected: true, bounds: bounds(10) },
+                { id: 2, selected: true, bounds: bounds(0) },
+                { id: 3, selected: false, bounds: bounds(30) },
+                { id: 4, selected: true, bounds: bounds(40) }
+            ]);
+
+        deepEqual(layerStructure.selectedChildBoundsByID.keySeq().toArray(), [1, 4],
+            "Selected layers with empty bounds are omitted");
+        deepEqual(layerStructure.selectedChildBounds.map(function (childBounds) {
+            return childBounds.width;
+        }).toArray(), [10, 40], "Child bounds are parallel to the layers with bounds");
+        deepEqual(layerStructure.zipSelectedChildBounds(Immutable.List.of(15, 45)).toObject(), { 1: 15, 4: 45 },
+            "Values are zipped with the layers that have bounds");
+        equal(layerStructure.zipSelectedChildBounds(20), 20, "Single values are unchanged");
+    });
+});
@@ -0,0 +1,149 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/* global module, test, equal, deepEqual, throws */
+
+define(function (require) {
+    "use strict";
+
+    var ParagraphStyle = require("js/models/paragraphstyle");
+
+    module("models/paragraphstyle");
+
+    /**
+     * Parse a paragraph style from the given Photoshop paragraph style at 144
+     * pixels per inch.
+     *
+     * @private
+     * @param {object} paragraphStyle
+     * @return {ParagraphStyle}
+     */
+    var _parse = function (paragraphStyle) {
+        return ParagraphStyle.fromParagraphStyleDescriptor(144, { opacity: 255 },
+            { paragraphStyle: paragraphStyle });
+    };
+
+    test("Parses default paragraph styles", function () {
+        var paragraphStyle = _parse({});
+
+        equal(paragraphStyle.alignment, null, "Alignment is unknown");
+        equal(paragraphStyle.spaceBefore, 0, "No space before");
+        equal(paragraphStyle.spaceAfter, 0, "No space after");
+        equal(paragraphStyle.firstLineIndent, 0, "First line is not indented");
+        equal(paragraphStyle.leftIndent, 0, "Left side is not indented");
+        equal(paragraphStyle.rightIndent, 0, "Right side is not indented");
+        equal(paragraphStyle.hyphenate, false, "Words are not hyphenated");
+        equal(paragraphStyle.wordSpacingDesired, 100, "Desired word spacing is a normal space");
+    });
+
+    test("Parses spacing, indents and hyphenation", function () {
+        var paragraphStyle = _parse({
+            align: { _value: "center" },
+            spaceBefore: { _unit: "pointsUnit", _value: 6 },
+            spaceAfter: { _unit: "pointsUnit", _value: 12 },
+            firstLineIndent: { _unit: "pointsUnit", _value: -3 },
+            startIndent: { _unit: "pixelsUnit", _value: 10 },
+            endIndent: { _unit: "rulerInches", _value: 0.5 },
+            hyphenate: true
+        });
+
+        equal(paragraphStyle.alignment, "center", "Alignment is parsed");
+        equal(paragraphStyle.spaceBefore, 12, "Space before is converted to pixels");
+        equal(paragraphStyle.spaceAfter, 24, "Space after is converted to pixels");
+        equal(paragraphStyle.firstLineIndent, -6, "First line indent may be negative");
+        equal(paragraphStyle.leftIndent, 10, "Left indent is parsed from the start indent");
+        equal(paragraphStyle.rightIndent, 72, "Right indent is parsed from the end indent");
+        equal(paragraphStyle.hyphenate, true, "Hyphenation is parsed");
+    });
+
+    test("Parses justification as percentages", function () {
+        var paragraphStyle = _parse({
+            justificationWordMinimum: 0.7,
+            justificationWordDesired: 0.95,
+            justificationWordMaximum: 1.5,
+            justificationLetterMinimum: -0.05,
+            justificationLetterDesired: 0,
+            justificationLetterMaximum: 0.104
+        });
+
+        equal(paragraphStyle.wordSpacingMin, 70, "Minimum word spacing is parsed");
+        equal(paragraphStyle.wordSpacingDesired, 95, "Desired word spacing is parsed");
+        equal(paragraphStyle.wordSpacingMax, 150, "Maximum word spacing is parsed");
+        equal(paragraphStyle.letterSpacingMin, -5, "Minimum letter spacing is parsed");
+        equal(paragraphStyle.letterSpacingDesired, 0, "Desired letter spacing is parsed");
+        equal(paragraphStyle.letterSpacingMax, 10, "Percentages are rounded");
+    });
+
+    test("Ignores invalid values", function () {
+        var paragraphStyle = _parse({
+            spaceBefore: { _unit: "bogusUnit", _value: 6 },
+            hyphenate: "yes",
+            justificationWordMinimum: "tight"
+        });
+
+        equal(paragraphStyle.spaceBefore, 0, "Lengths in unknown units are ignored");
+        equal(paragraphStyle.hyphenate, false, "Non-boolean hyphenation is ignored");
+        equal(paragraphStyle.wordSpacingMin, 80, "Non-numeric justification is ignored");
+    });
+
+    test("Parses a paragraph style for each paragraph style range", function () {
+        var paragraphStyles = ParagraphStyle.fromTextDescriptor(72, { opacity: 255 }, {
+            paragraphStyleRange: [
+                { paragraphStyle: { align: { _value: "left" } } },
+                { paragraphStyle: { align: { _value: "justifyAll" } } }
+            ]
+        });
+
+        equal(paragraphStyles.size, 2, "Each range is parsed");
+        equal(paragraphStyles.get(0).alignment, "left", "First range is parsed");
+        equal(paragraphStyles.get(1).alignment, "justifyAll", "Second range is parsed");
+    });
+
+    test("Converts properties to Photoshop paragraph style properties", function () {
+        var properties = {
+                spaceBefore: 12,
+                leftIndent: 10,
+                hyphenate: true,
+                wordSpacingMin: 70,
+                letterSpacingMax: 10
+            },
+            paragraphStyle = ParagraphStyle.toParagraphStyleProperties(properties);
+
+        deepEqual(paragraphStyle, {
+            spaceBefore: { _unit: "pixelsUnit", _value: 12 },
+            startIndent: { _unit: "pixelsUnit", _value: 10 },
+            hyphenate: true,
+            justificationWordMinimum: 0.7,
+            justificationLetterMaximum: 0.1
+        }, "Lengths are pixels and justification limits are fractions");
+
+        var parsed = _parse(paragraphStyle);
+
+        deepEqual([parsed.spaceBefore, parsed.leftIndent, parsed.hyphenate, parsed.wordSpacingMin,
+            parsed.letterSpacingMax], [12, 10, true, 70, 10], "Properties survive a round trip");
+        throws(function () {
+            ParagraphStyle.toParagraphStyleProperties({ alignment: "center" });
+        }, "Unknown properties are rejected");
+    });
+});
@@ -0,0 +1,224 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/* global module, test, equal, deepEqual, ok, throws */
+
+define(function (require) {
+    "use strict";
+
+    var Immutable = require("immutable"),
+        _ = require("lodash");
+
+    var contentLayerLib = require("adapter/lib/contentLayer");
+
+    var Stroke = require("js/models/stroke");
+
+    module("models/stroke");
+
+    /**
+     * Construct a solid color stroke style descriptor with the given properties.
+     *
+     * @private
+     * @param {object=} properties
+     * @return {object}
+     */
+    var _strokeStyleDescriptor = function (properties) {
+        return _.assign({
+            strokeEnabled: true,
+            strokeStyleContent: {
+                _obj: "solidColorLayer",
+                color: { red: 0, grain: 0, blue: 0 }
+            },
+            strokeStyleOpacity: { _value: 100 },
+            strokeStyleLineWidth: { _unit: "pixelsUnit", _value: 2 },
+            strokeStyleResolution: 72
+        }, properties);
+    };
+
+    test("Parses strokes from stroke layer effect descriptors", function () {
+        var strokes = Stroke.fromStrokeEffectDescriptors({
+                layerFXVisible: true,
+                layerEffects: {
+                    frameFXMulti: [
+                        {
+                            present: true,
+                            enabled: true,
+                            color: { red: 255, grain: 0, blue: 0 },
+                            opacity: { _value: 50 },
+                            size: { _value: 4 },
+                            style: { _value: "insetFrame" }
+                        },
+                        {
+                            present: false,
+                            enabled: true,
+                            color: { red: 0, grain: 255, blue: 0 },
+                            opacity: { _value: 100 },
+                            size: { _value: 2 },
+                            style: { _value: "outsetFrame" }
+                        },
+                        {
+                            present: true,
+                            enabled: false,
+                            color: { red: 0, grain: 0, blue: 255 },
+                            opacity: { _value: 100 },
+                            size: { _value: 8 },
+                            style: { _value: "centeredFrame" }
+                        }
+                    ]
+                }
+            });
+
+        equal(strokes.size, 2, "Only present stroke effects are parsed");
+        strokes.forEach(function (stroke) {
+            equal(stroke.type, contentLayerLib.contentTypes.SOLID_COLOR, "Stroke effects are solid color strokes");
+        });
+        deepEqual(strokes.map(function (stroke) {
+            return stroke.alignment;
+        }).toArray(), ["INSIDE", "CENTER"], "Frame styles are converted to alignments");
+        deepEqual(strokes.map(function (stroke) {
+            return stroke.width;
+        }).toArray(), [4, 8], "Widths are parsed");
+        deepEqual(strokes.map(function (stroke) {
+            return stroke.enabled;
+        }).toArray(), [true, false], "Enabled states are parsed");
+        equal(strokes.first().color.r, 255, "Colors are parsed");
+        equal(strokes.first().color.opacity, 50, "Opacities are parsed");
+    });
+
+    test("Parses strokes from single stroke layer effect descriptors", function () {
+        var layerDescriptor = {
+                layerFXVisible: false,
+                layerEffects: {
+                    frameFX: {
+                        present: true,
+                        enabled: true,
+                        color: { red: 0, grain: 0, blue: 0 },
+                        opacity: { _value: 100 },
+                        size: { _value: 1 },
+                        style: { _value: "outsetFrame" }
+                    }
+                }
+            },
+            strokes = Stroke.fromStrokeEffectDescriptors(layerDescriptor);
+
+        equal(strokes.size, 1, "A single stroke effect is parsed");
+        equal(strokes.first().alignment, "OUTSIDE", "Frame style is converted to an alignment");
+        equal(strokes.first().enabled, false, "Stroke effects are disabled if layer effects are hidden");
+        equal(Stroke.fromStrokeEffectDescriptors({}).size, 0, "Layers without stroke effects have no strokes");
+    });
+
+    test("Parses dash patterns, caps and joins from stroke style descriptors", function () {
+        var stroke = Stroke.fromStrokeStyleDescriptor(_strokeStyleDescriptor({
+            strokeStyleLineDashSet: [
+                { _unit: "noneUnit", _value: 4 },
+                { _unit: "noneUnit", _value: 2 }
+            ],
+            strokeStyleLineCapType: { _value: "strokeStyleRoundCap" },
+            strokeStyleLineJoinType: { _value: "strokeStyleBevelJoin" },
+            strokeStyleMiterLimit: 10
+        }));
+
+        deepEqual(stroke.dashes.toArray(), [4, 2], "Dashes are parsed from unit values");
+        equal(stroke.cap, "ROUND", "Cap is parsed");
+        equal(stroke.join, "BEVEL", "Join is parsed");
+        equal(stroke.miterLimit, 10, "Miter limit is parsed");
+        equal(stroke.getDashPreset(), "DASHED", "Dash preset is recognized");
+
+        var plainDashes = Stroke.fromStrokeStyleDescriptor(_strokeStyleDescriptor({
+            strokeStyleLineDashSet: [0, 2],
+            strokeStyleLineCapType: { _value: "strokeStyleSquareCap" },
+            strokeStyleLineJoinType: { _value: "strokeStyleMiterJoin" }
+        }));
+
+        deepEqual(plainDashes.dashes.toArray(), [0, 2], "Dashes are parsed from plain numbers");
+        equal(plainDashes.cap, "SQUARE", "Square cap is parsed");
+        equal(plainDashes.join, "MITER", "Miter join is parsed");
+        equal(plainDashes.getDashPreset(), "DOTTED", "Dotted preset is recognized");
+    });
+
+    test("Defaults to solid strokes with butt caps and miter joins", function () {
+        var stroke = Stroke.fromStrokeStyleDescriptor(_strokeStyleDescriptor()),
+            unknown = Stroke.fromStrokeStyleDescriptor(_strokeStyleDescriptor({
+                strokeStyleLineDashSet: [],
+                strokeStyleLineCapType: { _value: "bogusCap" },
+                strokeStyleLineJoinType: { _value: "bogusJoin" }
+            }));
+
+        ok(stroke.dashes.isEmpty(), "Strokes without a dash set are solid");
+        equal(stroke.getDashPreset(), "SOLID", "Solid preset is recognized");
+        equal(stroke.cap, "BUTT", "Cap defaults to butt");
+        equal(stroke.join, "MITER", "Join defaults to miter");
+        equal(stroke.miterLimit, 4, "Miter limit has its default");
+        equal(unknown.cap, "BUTT", "Unknown caps are ignored");
+        equal(unknown.join, "MITER", "Unknown joins are ignored");
+        equal(unknown.getDashPreset(), "SOLID", "Empty dash sets are solid");
+        equal(stroke.set("dashes", Immutable.List.of(3, 1)).getDashPreset(), null,
+            "Custom dash patterns have no preset");
+    });
+
+    test("Sets dash patterns, caps and joins", function () {
+        var stroke = new Stroke().setStrokeProperties({
+            dashes: [4, 2],
+            cap: "ROUND",
+            join: "ROUND",
+            miterLimit: 2
+        });
+
+        ok(Immutable.List.isList(stroke.dashes), "Dashes are converted to a list");
+        deepEqual(stroke.dashes.toArray(), [4, 2], "Dashes are set");
+        equal(stroke.cap, "ROUND", "Cap is set");
+        equal(stroke.join, "ROUND", "Join is set");
+        equal(stroke.miterLimit, 2, "Miter limit is set");
+
+        var widened = stroke.setStrokeProperties({ width: 5 });
+
+        ok(Immutable.is(widened.dashes, stroke.dashes), "Dashes are unchanged by other properties");
+        equal(widened.cap, "ROUND", "Cap is unchanged by other properties");
+    });
+
+    test("Builds line style descriptors", function () {
+        var stroke = new Stroke().setStrokeProperties({
+                dashes: [0, 2],
+                cap: "ROUND",
+                join: "BEVEL",
+                miterLimit: 3
+            }),
+            lineStyle = Stroke.toLineStyleDescriptor(stroke),
+            parsed = Stroke.fromStrokeStyleDescriptor(_strokeStyleDescriptor(lineStyle));
+
+        deepEqual(lineStyle.strokeStyleLineCapType, { _enum: "strokeStyleLineCapType", _value: "strokeStyleRoundCap" },
+            "Cap is converted");
+        deepEqual(lineStyle.strokeStyleLineJoinType,
+            { _enum: "strokeStyleLineJoinType", _value: "strokeStyleBevelJoin" }, "Join is converted");
+        deepEqual([parsed.dashes.toArray(), parsed.cap, parsed.join, parsed.miterLimit], [[0, 2], "ROUND", "BEVEL", 3],
+            "Line styles survive a round trip");
+
+        deepEqual(Object.keys(Stroke.toLineStyleDescriptor({ cap: "SQUARE" })).sort(),
+            ["_obj", "strokeEnabled", "strokeStyleLineCapType", "strokeStyleVersion"],
+            "Only the given properties are set");
+        throws(function () {
+            Stroke.toLineStyleDescriptor({ join: "CURVY" });
+        }, "Unknown types are rejected");
+    });
+});
@@ -0,0 +1,96 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/* global module, test, equal, deepEqual */
+
+define(function (require) {
+    "use strict";
+
+    var StrokeEffect = require("js/models/strokeeffect"),
+        Color = require("js/models/color");
+
+    module("models/strokeeffect");
+
+    test("Parses stroke effects from layer descriptors", function () {
+        var strokeEffects = StrokeEffect.fromLayerDescriptor({
+                layerFXVisible: true,
+                layerEffects: {
+                    frameFXMulti: [
+                        {
+                            present: true,
+                            enabled: true,
+                            color: { red: 255, grain: 0, blue: 0 },
+                            opacity: { _value: 50 },
+                            size: { _value: 4 },
+                            style: { _value: "insetFrame" },
+                            mode: { _value: "darken" }
+                        },
+                        {
+                            present: true,
+                            enabled: true,
+                            color: { red: 0, grain: 0, blue: 255 },
+                            opacity: { _value: 100 },
+                            size: { _value: 8 },
+                            style: { _value: "centeredFrame" }
+                        },
+                        {
+                            present: true,
+                            enabled: true,
+                            color: { red: 0, grain: 255, blue: 0 },
+                            opacity: { _value: 100 },
+                            size: { _value: 2 },
+                            style: { _value: "bogusFrame" }
+                        }
+                    ]
+                }
+            }),
+            strokeEffect = strokeEffects.first();
+
+        equal(strokeEffects.size, 3, "Present stroke effects are parsed");
+        deepEqual([strokeEffect.color.r, strokeEffect.color.g, strokeEffect.color.b, strokeEffect.color.a],
+            [255, 0, 0, 0.5], "Color includes the opacity");
+        equal(strokeEffect.width, 4, "Width is parsed from the size");
+        equal(strokeEffect.position, "INSIDE", "Inset frames are inside");
+        equal(strokeEffect.blendMode, "darken", "Blend mode is parsed");
+        equal(strokeEffects.get(1).position, "CENTER", "Centered frames are centered");
+        equal(strokeEffects.get(1).blendMode, "normal", "Blend mode defaults to normal");
+        equal(strokeEffects.get(2).position, "OUTSIDE", "Unknown frame styles are outside");
+    });
+
+    test("Converts stroke effects to adapter objects", function () {
+        var color = new Color({ r: 0, g: 255, b: 0, a: 0.75 }),
+            strokeEffect = new StrokeEffect({ color: color, width: 6, position: "CENTER" }),
+            adapterObject = strokeEffect.toAdapterObject();
+
+        equal(adapterObject.enabled, true, "Enabled state is converted");
+        equal(adapterObject.color, color, "Color is converted");
+        equal(adapterObject.opacity, 75, "Opacity is converted to a percentage");
+        equal(adapterObject.size, 6, "Width is converted to the size");
+        equal(adapterObject.style, "centeredFrame", "Position is converted to the frame style");
+        equal(strokeEffect.set("position", "INSIDE").toAdapterObject().style, "insetFrame",
+            "Inside strokes are inset frames");
+        equal(strokeEffect.set("position", "bogus").toAdapterObject().style, "outsetFrame",
+            "Unknown positions are outset frames");
+    });
+});
@@ -21,14 +21,20 @@
  * 
  */
 
-/* global module, ok, test, equal */
+/* global module, ok, test, equal, deepEqual */
 
 define(function (require) {
     "use strict";
 
+    var Immutable = require("immutable"),
+        _ = require("lodash");
+
     var fluxxorTestHelper = require("../util/fluxxor-test-helper"),
         events = require("js/events"),
-        Document = require("js/models/document");
+        Document = require("js/models/document"),
+        Layer = require("js/models/layer"),
+        LayerStructure = require("js/models/layerstructure"),
+        Shadow = require("js/models/shadow");
 
     var documentDescriptorJSON = require("text!../static/document.json"),
         layersDescriptorJSON = require("text!../static/layers.json");
@@ -61,4 +67,98 @@ define(function (require) {
         equal(doc.layerTree.layerArray.length, 3, "LayerTree has two layers");
         ok(!doc.layerTree.layerArray[0], "First entry in the layer array is null");
     });
+
+    test("Shadows removed, reordered and duplicated", function () {
+        var documentStore = this.flux.store("document"),
+            shadows = function (blurs) {
+                return Immutable.List(blurs.map(function (blur) {
+                    return new Shadow({ blur: blur });
+                }));
+            },
+            blurs = function (layerID) {
+                return documentStore.getDocument(1).layers.byID(layerID).dropShadows.map(function (shadow) {
+                    return shadow.blur;
+                }).toArray();
+            },
+            payload = function (properties) {
+                return _.assign({
+                    documentID: 1,
+                    layerIDs: Immutable.List.of(1, 2),
+                    layerEffectType: "dropShadow"
+                }, properties);
+            };
+
+        documentStore.setDocument(new Document({
+            id: 1,
+            layers: new LayerStructure({
+                layers: Immutable.Map([
+                    [1, new Layer({ id: 1, dropShadows: shadows([1, 2]) })],
+                    [2, new Layer({ id: 2, dropShadows: shadows([3]) })]
+                ]),
+                index: Immutable.List.of(1, 2)
+            })
+        }));
+
+        this.dispatch(events.document.history.optimistic.LAYER_EFFECT_DUPLICATED,
+            payload({ layerEffectIndex: 0 }));
+        deepEqual([blurs(1), blurs(2)], [[1, 1, 2], [3, 3]], "Shadows are duplicated");
+
+        this.dispatch(events.document.history.optimistic.LAYER_EFFECT_REORDERED,
+            payload({ layerIDs: Immutable.List.of(1), layerEffectIndex: 2, targetIndex: 0 }));
+        deepEqual([blurs(1), blurs(2)], [[2, 1, 1], [3, 3]], "Shadows are moved");
+
+        this.dispatch(events.document.history.optimistic.LAYER_EFFECT_REMOVED,
+            payload({ layerEffectIndex: 0 }));
+        deepEqual([blurs(1), blurs(2)], [[1, 1], [3]], "Shadows are removed");
+    });
+
+    test("Layers reset with and without history", function () {
+        var documentStore = this.flux.store("document"),
+            historyStore = this.flux.store("history"),
+            payload = function (name) {
+                return {
+                    documentID: 1,
+                    layers: Immutable.List.of({
+                        layerID: 2,
+                        descriptor: {
+                            name: name,
+                            layerKind: 1,
+                            visible: true,
+                            opacity: 255,
+                            layerLocking: {},
+                            boundsNoEffects: {
+                                top: { _value: 0 },
+                                left: { _value: 0 },
+                                bottom: { _value: 10 },
+                                right: { _value: 20 }
+                            }
+                        }
+                    })
+                };
+            },
+            current = function () {
+                return historyStore.getSnapshot().current.get(1);
+            };
+
+        documentStore.setDocument(new Document({
+            id: 1,
+            resolution: 72,
+            layers: new LayerStructure({
+                layers: Immutable.Map([
+                    [2, new Layer({ id: 2, name: "Before" })]
+                ]),
+                index: Immutable.List.of(2)
+            })
+        }));
+
+        this.dispatch(events.document.RESET_LAYERS, payload("Reset"));
+        equal(documentStore.getDocument(1).layers.byID(2).name, "Reset", "Layer is reset");
+        equal(current(), undefined, "No history state is pushed");
+
+        this.dispatch(events.document.history.nonOptimistic.RESET_LAYERS, payload("Reset with history"));
+        equal(documentStore.getDocument(1).layers.byID(2).name, "Reset with history", "Layer is reset");
+        equal(current(), 0, "History state is pushed");
+        equal(historyStore.getSnapshot().history.getIn([1, 0, "document", "layers"]).byID(2).name,
+            "Reset with history", "History state holds the reset layer");
+    });
 });
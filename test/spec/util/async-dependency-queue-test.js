@@ -0,0 +1,169 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+/* global module, asyncTest, deepEqual, equal, ok, start, expect */
+
+define(function (require) {
+    "use strict";
+
+    var Promise = require("bluebird");
+
+    var AsyncDependencyQueue = require("js/util/async-dependency-queue");
+
+    module("util/async-dependency-queue");
+
+    asyncTest("Executes pending jobs in priority order", function () {
+        var queue = new AsyncDependencyQueue(1),
+            order = [],
+            makeJob = function (name) {
+                return function () {
+                    order.push(name);
+                    return Promise.resolve();
+                };
+            };
+
+        expect(1);
+
+        queue.pause();
+
+        Promise.join(
+            queue.push(makeJob("low"), [], ["a"], { priority: -1 }),
+            queue.push(makeJob("normal1"), [], ["a"]),
+            queue.push(makeJob("high"), [], ["a"], { priority: 1 }),
+            queue.push(makeJob("normal2"), [], ["a"]))
+            .then(function () {
+                deepEqual(order, ["high", "normal1", "normal2", "low"], "Jobs are executed by priority, then FIFO");
+                start();
+            });
+
+        queue.unpause();
+    });
+
+    asyncTest("Newer jobs supersede pending jobs with the same key", function () {
+        var queue = new AsyncDependencyQueue(1),
+            executed = [],
+            makeJob = function (value) {
+                return function () {
+                    executed.push(value);
+                    return Promise.resolve(value);
+                };
+            };
+
+        expect(3);
+
+        queue.pause();
+
+        Promise.join(
+            queue.push(makeJob(1), [], ["a"], { supersede: "drag" }),
+            queue.push(makeJob(2), [], ["a"], { supersede: "drag" }),
+            queue.push(makeJob(3), [], ["a"], { supersede: "drag" }))
+            .then(function (results) {
+                deepEqual(executed, [3], "Only the newest job is executed");
+                deepEqual(results, [3, 3, 3], "Superseded jobs settle with the newest job");
+                deepEqual(queue.superseded(), { drag: 2 }, "Dropped jobs are counted by key");
+                start();
+            });
+
+        queue.unpause();
+    });
+
+    asyncTest("Earlier low-priority jobs are canceled instead of executing after a later commit", function () {
+        var queue = new AsyncDependencyQueue(1),
+            executed = [],
+            makeJob = function (value) {
+                return function () {
+                    executed.push(value);
+                    return Promise.resolve(value);
+                };
+            };
+
+        expect(3);
+
+        queue.pause();
+
+        Promise.join(
+            queue.push(makeJob("drag"), [], ["a"], { priority: -1, supersede: "drag" }),
+            queue.push(makeJob("commit"), [], ["a"], { cancels: ["drag"] }),
+            queue.push(makeJob("other"), [], ["a"], { priority: -1 }))
+            .then(function (results) {
+                deepEqual(executed, ["commit", "other"], "The earlier low-priority job is not executed");
+                deepEqual(results, ["commit", "commit", "other"], "The canceled job settles with the commit");
+                deepEqual(queue.superseded(), { drag: 1 }, "Canceled jobs are counted by key");
+                start();
+            });
+
+        queue.unpause();
+    });
+
+    asyncTest("Reports lock waits when contention tracking is enabled", function () {
+        var queue = new AsyncDependencyQueue(2),
+            contention = [];
+
+        expect(6);
+
+        queue.setContentionTracking(true);
+        queue.on("contention", function (name, waits) {
+            contention.push({ name: name, waits: waits });
+        });
+
+        Promise.join(
+            queue.push(function () {
+                return Promise.delay(10);
+            }, [], ["a"], { name: "first" }),
+            queue.push(function () {
+                return Promise.resolve();
+            }, ["a"], [], { name: "second" }))
+            .then(function () {
+                equal(contention.length, 1, "Only the blocked job reports contention");
+                equal(contention[0].name, "second", "Contention is reported for the waiting job");
+                equal(contention[0].waits.length, 1, "One lock wait is reported");
+                equal(contention[0].waits[0].lock, "a", "The wait names the contended lock");
+                equal(contention[0].waits[0].holder, "first", "The wait names the job holding the lock");
+                ok(contention[0].waits[0].duration >= 0, "The wait has a duration");
+                start();
+            });
+    });
+
+    asyncTest("Does not report lock waits when contention tracking is disabled", function () {
+        var queue = new AsyncDependencyQueue(2),
+            contention = [];
+
+        expect(1);
+
+        queue.on("contention", function (name, waits) {
+            contention.push({ name: name, waits: waits });
+        });
+
+        Promise.join(
+            queue.push(function () {
+                return Promise.delay(10);
+            }, [], ["a"], { name: "first" }),
+            queue.push(function () {
+                return Promise.resolve();
+            }, ["a"], [], { name: "second" }))
+            .then(function () {
+                deepEqual(contention, [], "No contention is reported");
+                start();
+            });
+    });
+});
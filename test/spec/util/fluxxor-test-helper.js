@@ -36,6 +36,23 @@ define(function (require, exports) {
         this.bindActions.apply(this, arguments);
     };
 
+    /**
+     * Register the given raw actions under the "test" namespace, so that they
+     * are synchronized like the built-in actions and available as
+     * flux.actions.test.
+     *
+     * @param {Object.<string, Action>} actions
+     * @return {Promise}
+     */
+    var _registerTestActions = function (actions) {
+        return this.registerPlugin({
+            id: "test",
+            actions: {
+                test: actions
+            }
+        });
+    };
+
     var TestStore = Fluxxor.createStore({});
 
     var setup = function () {
@@ -44,9 +61,14 @@ define(function (require, exports) {
             controller = new FluxController(testStores),
             flux = controller.flux;
 
+        // Fail tests on lock violations instead of only logging them
+        controller.setStrictLockVerification(true);
+
+        this.controller = controller;
         this.flux = flux;
         this.dispatch = _dispatch.bind(flux);
         this.bindTestAction = this.bindTestActions = _bindTestActions.bind(testStore);
+        this.registerTestActions = _registerTestActions.bind(controller);
     };
 
     exports.setup = setup;
@@ -0,0 +1,80 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/* global module, test, equal, ok, deepEqual */
+
+define(function (require) {
+    "use strict";
+
+    var glyphUtil = require("js/util/glyphs");
+
+    /**
+     * Get the code points of the given glyphs.
+     *
+     * @private
+     * @param {Immutable.Iterable.<Glyph>} glyphs
+     * @return {Array.<number>}
+     */
+    var _codePoints = function (glyphs) {
+        return glyphs.map(function (glyph) {
+            return glyph.codePoint;
+        }).toArray();
+    };
+
+    module("util/glyphs");
+
+    test("Formats code points in U+ notation", function () {
+        equal(glyphUtil.formatCodePoint(0xA9), "U+00A9", "Short code points are padded to four digits");
+        equal(glyphUtil.formatCodePoint(0x20AC), "U+20AC", "Four-digit code points are not padded");
+        equal(glyphUtil.formatCodePoint(0x2b50), "U+2B50", "Hexadecimal digits are upper case");
+        equal(glyphUtil.formatCodePoint(0x1F600), "U+1F600", "Long code points are not truncated");
+    });
+
+    test("Searches glyphs by name, code point and character", function () {
+        var glyphs = glyphUtil.glyphs;
+
+        deepEqual(_codePoints(glyphUtil.search(glyphs, "copyright sign")), [0xA9],
+            "Names match case-insensitively");
+        ok(glyphUtil.search(glyphs, "arrow").every(function (glyph) {
+            return glyph.name.indexOf("ARROW") !== -1;
+        }), "Partial names match");
+        ok(glyphUtil.search(glyphs, "arrow").size > 1, "Partial names match several glyphs");
+        deepEqual(_codePoints(glyphUtil.search(glyphs, "U+20AC")), [0x20AC], "Code points match with a U+ prefix");
+        deepEqual(_codePoints(glyphUtil.search(glyphs, "0x20ac")), [0x20AC], "Code points match with a 0x prefix");
+        ok(_codePoints(glyphUtil.search(glyphs, "20ac")).indexOf(0x20AC) !== -1,
+            "Code points match without a prefix");
+        deepEqual(_codePoints(glyphUtil.search(glyphs, " © ")), [0xA9], "Glyphs match themselves");
+        equal(glyphUtil.search(glyphs, "  ").size, glyphs.size, "Empty queries match all glyphs");
+        equal(glyphUtil.search(glyphs, "no such glyph").size, 0, "Unmatched queries match no glyphs");
+    });
+
+    test("Finds glyphs by character", function () {
+        var glyph = glyphUtil.fromCharacter("€");
+
+        equal(glyph.codePoint, 0x20AC, "Glyph is found");
+        equal(glyph.character, "€", "Glyph has its character");
+        equal(glyph.category, "currency", "Glyph has its category");
+        equal(glyphUtil.fromCharacter("a"), null, "Glyphs that are not offered are not found");
+    });
+});
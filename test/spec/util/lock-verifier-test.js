@@ -0,0 +1,116 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+/* global module, test, deepEqual, ok, throws, expect */
+
+define(function (require) {
+    "use strict";
+
+    var Fluxxor = require("fluxxor");
+
+    var LockVerifier = require("js/util/lock-verifier"),
+        events = require("js/events"),
+        locks = require("js/locks");
+
+    var noop = function () {};
+
+    var DocumentStore = Fluxxor.createStore({
+            initialize: function () {
+                this.bindActions(events.document.DOCUMENT_UPDATED, noop);
+            }
+        }),
+        HistoryStore = Fluxxor.createStore({
+            initialize: function () {
+                this.bindActions(events.document.DOCUMENT_UPDATED, noop);
+            }
+        }),
+        TestStore = Fluxxor.createStore({
+            initialize: function () {
+                this.bindActions(events.example.SYNC_ACTION, noop);
+            }
+        });
+
+    module("util/lock-verifier", {
+        setup: function () {
+            this.verifier = new LockVerifier({
+                document: new DocumentStore(),
+                history: new HistoryStore(),
+                test: new TestStore()
+            });
+            this.verifier.strict = true;
+        }
+    });
+
+    test("Maps events to the locks of the stores that handle them", function () {
+        expect(2);
+
+        deepEqual(this.verifier.getEventLocks(events.document.DOCUMENT_UPDATED).sort(),
+            [locks.JS_DOC, locks.JS_HISTORY].sort(), "Locks of all handling stores");
+        deepEqual(this.verifier.getEventLocks(events.example.SYNC_ACTION), [], "Unguarded stores have no locks");
+    });
+
+    test("Verifies dispatches against write locks", function () {
+        var verifier = this.verifier;
+
+        expect(2);
+
+        verifier.verifyDispatch("test.ok", events.document.DOCUMENT_UPDATED, [locks.JS_DOC, locks.JS_HISTORY]);
+        ok(true, "Dispatch with all write locks is allowed");
+
+        throws(function () {
+            verifier.verifyDispatch("test.bad", events.document.DOCUMENT_UPDATED, [locks.JS_DOC]);
+        }, "Dispatch without all write locks fails");
+    });
+
+    test("Verifies store access against read locks", function () {
+        var verifier = this.verifier;
+
+        expect(2);
+
+        verifier.verifyStoreAccess("test.ok", "test", []);
+        ok(true, "Access to unguarded store is allowed");
+
+        throws(function () {
+            verifier.verifyStoreAccess("test.bad", "document", [locks.JS_APP]);
+        }, "Access without read lock fails");
+    });
+
+    test("Verifies stores added at runtime until they are removed", function () {
+        var verifier = this.verifier;
+
+        expect(4);
+
+        verifier.addStore("plugin", new TestStore(), locks.JS_APP);
+        deepEqual(verifier.getEventLocks(events.example.SYNC_ACTION), [locks.JS_APP], "Added store is guarded");
+
+        throws(function () {
+            verifier.verifyStoreAccess("test.bad", "plugin", []);
+        }, "Access to added store without read lock fails");
+
+        verifier.removeStore("plugin");
+        deepEqual(verifier.getEventLocks(events.example.SYNC_ACTION), [], "Removed store is no longer guarded");
+
+        verifier.verifyStoreAccess("test.ok", "plugin", []);
+        ok(true, "Access to removed store is not verified");
+    });
+});
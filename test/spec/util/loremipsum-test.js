@@ -0,0 +1,83 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/* global module, test, equal, deepEqual, ok, throws */
+
+define(function (require) {
+    "use strict";
+
+    var loremipsum = require("js/util/loremipsum");
+
+    var MODES = loremipsum.MODES;
+
+    module("util/loremipsum");
+
+    test("Estimates how much text fits in a box", function () {
+        deepEqual(loremipsum.estimateFit(200, 100, 10, 12), { charactersPerLine: 40, lines: 8 },
+            "Characters are half as wide as the type size, and lines are as tall as the leading");
+        deepEqual(loremipsum.estimateFit(1, 1, 10, 12), { charactersPerLine: 1, lines: 1 },
+            "At least one character and one line fit");
+    });
+
+    test("Generates a default amount of text without a box", function () {
+        var paragraphs = loremipsum.generate(MODES.PARAGRAPHS),
+            list = loremipsum.generate(MODES.LIST).split("\r");
+
+        equal(loremipsum.generate(MODES.WORDS), "Lorem ipsum dolor", "Three words are generated");
+        equal(loremipsum.generate(MODES.SENTENCES),
+            "Lorem ipsum dolor sit amet, consectetur adipiscing elit. " +
+            "Sed do eiusmod tempor incididunt ut labore et dolore magna aliqua.",
+            "Two sentences are generated");
+        equal(paragraphs.indexOf("\r"), -1, "One paragraph is generated");
+        equal(paragraphs.match(/\./g).length, 4, "Paragraphs have four sentences");
+        equal(list.length, 3, "Three list items are generated");
+        ok(list.every(function (item) {
+            return /^• [A-Z]\S* \S+ \S+$/.test(item);
+        }), "List items are bulleted and have three words");
+        throws(function () {
+            loremipsum.generate("bogus");
+        }, "Unknown modes are rejected");
+    });
+
+    test("Generates as much text as fits", function () {
+        equal(loremipsum.generate(MODES.WORDS, { charactersPerLine: 11, lines: 1 }), "Lorem ipsum",
+            "Words that fit on the line are generated");
+        equal(loremipsum.generate(MODES.WORDS, { charactersPerLine: 11, lines: 2 }), "Lorem ipsum dolor sit",
+            "Words wrap onto further lines");
+        equal(loremipsum.generate(MODES.WORDS, { charactersPerLine: 1, lines: 1 }), "Lorem",
+            "At least one word is generated");
+        equal(loremipsum.generate(MODES.LIST, { charactersPerLine: 100, lines: 2 }).split("\r").length, 2,
+            "Each list item takes a line");
+
+        var fewer = loremipsum.generate(MODES.SENTENCES, { charactersPerLine: 40, lines: 4 }),
+            more = loremipsum.generate(MODES.SENTENCES, { charactersPerLine: 40, lines: 40 });
+
+        ok(more.length > fewer.length, "Taller boxes fit more sentences");
+        equal(more.indexOf(fewer), 0, "Sentences are generated in order");
+
+        var paragraphs = loremipsum.generate(MODES.PARAGRAPHS, { charactersPerLine: 80, lines: 200 });
+
+        ok(paragraphs.split("\r").length > 1, "Several paragraphs fit in a large box");
+    });
+});
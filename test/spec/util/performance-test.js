@@ -0,0 +1,68 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/* global module, test, equal, deepEqual */
+
+define(function (require) {
+    "use strict";
+
+    var _ = require("lodash");
+
+    var performance = require("js/util/performance");
+
+    module("util/performance");
+
+    test("Summarizes lock contention by lock, waiting and holding action", function () {
+        performance.recordLockWait("test.waiter", "lockA", "test.holder", 10, false);
+        performance.recordLockWait("test.waiter", "lockA", "test.holder", 30, false);
+        performance.recordLockWait("test.waiter", "lockB", "test.implicit", 50, true);
+
+        var report = performance.getLockContentionReport().filter(function (row) {
+                return row.waiting === "test.waiter";
+            });
+
+        equal(report.length, 2, "Waits are grouped by lock, waiting and holding action");
+        deepEqual(_.pluck(report, "lock"), ["lockB", "lockA"], "Rows are ordered by descending total wait");
+        deepEqual(report[0], {
+            lock: "lockB",
+            waiting: "test.waiter",
+            holding: "test.implicit",
+            implicit: true,
+            count: 1,
+            total: 50,
+            max: 50,
+            avg: 50
+        }, "Waits on implicitly locking actions are flagged");
+        deepEqual(report[1], {
+            lock: "lockA",
+            waiting: "test.waiter",
+            holding: "test.holder",
+            implicit: false,
+            count: 2,
+            total: 40,
+            max: 30,
+            avg: 20
+        }, "Repeated waits are aggregated");
+    });
+});
@@ -0,0 +1,73 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+/* global module, test, equal, ok, expect */
+
+define(function (require) {
+    "use strict";
+
+    var Immutable = require("immutable");
+
+    var schema = require("js/util/schema"),
+        Layer = require("js/models/layer");
+
+    var params = [
+        { name: "layers", type: schema.iterableOf(schema.Layer) },
+        { name: "opacity", type: schema.range(0, 100), description: "Opacity as a percentage" },
+        { name: "mode", type: schema.optional(schema.oneOf(["a", "b"])) }
+    ];
+
+    module("util/schema");
+
+    test("Validates parameters against their declared types", function () {
+        expect(5);
+
+        var layer = new Layer({ id: 1 }),
+            layers = Immutable.List.of(layer);
+
+        equal(schema.validate(params, [layers, 50]), null, "Valid without optional parameter");
+        equal(schema.validate(params, [layers, 50, "b"]), null, "Valid with optional parameter");
+        equal(schema.validate(params, [layer, 50]),
+            "parameter layers: expected Immutable.Iterable.<Layer> but got Layer", "Layer instead of list");
+        equal(schema.validate(params, [layers, 150]),
+            "parameter opacity: expected number >= 0 and <= 100 but got number 150", "Out of range");
+        ok(schema.validate(params, [layers, 50, "c"]), "Value outside of enumeration");
+    });
+
+    test("Generates documentation from declared parameters", function () {
+        expect(3);
+
+        var docs = schema.generateDocs({
+            example: {
+                setOpacity: { command: function () {}, params: params, reads: [], writes: ["jsDoc"] },
+                undeclared: { command: function () {}, reads: [], writes: [] },
+                afterStartup: { command: function () {}, reads: [], writes: [] }
+            }
+        });
+
+        ok(docs.indexOf("- `opacity` {number >= 0 and <= 100} Opacity as a percentage") >= 0,
+            "Documents parameter types and descriptions");
+        ok(docs.indexOf("### example.undeclared") >= 0, "Documents actions without declared parameters");
+        ok(docs.indexOf("afterStartup") < 0, "Omits lifecycle methods");
+    });
+});
@@ -0,0 +1,112 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+/* global module, test, equal, ok, strictEqual, deepEqual, expect */
+
+define(function (require) {
+    "use strict";
+
+    var Transaction = require("js/util/transaction"),
+        events = require("js/events");
+
+    var _makeSnapshot = function () {
+        return {
+            documents: {},
+            history: null,
+            documentIDs: new Set()
+        };
+    };
+
+    module("util/transaction", {
+        setup: function () {
+            this.transaction = new Transaction(_makeSnapshot());
+        }
+    });
+
+    test("Coalesces HistoryStore entries after the first per document", function () {
+        var transaction = this.transaction,
+            historyEvent = events.document.history.optimistic.RENAME_LAYER;
+
+        expect(5);
+
+        var first = transaction.preparePayload(historyEvent, { documentID: 1 }),
+            second = transaction.preparePayload(historyEvent, { documentID: 1 }),
+            other = transaction.preparePayload(historyEvent, { documentID: 2 }),
+            nonHistory = transaction.preparePayload(events.document.RESET_LAYERS, { documentID: 3 });
+
+        ok(!first.coalesce, "First entry for a document is not coalesced");
+        ok(second.coalesce, "Later entries for the document are coalesced");
+        ok(!other.coalesce, "First entry for another document is not coalesced");
+        ok(!nonHistory.coalesce, "Non-history events are not coalesced");
+        equal(transaction.snapshot.documentIDs.size, 3, "All documents are recorded as affected");
+    });
+
+    test("Coalesces Photoshop history states after the first per document", function () {
+        var transaction = this.transaction,
+            makeOptions = function (documentID) {
+                return {
+                    historyStateInfo: {
+                        name: "Test",
+                        target: { _ref: "document", _id: documentID }
+                    }
+                };
+            };
+
+        expect(6);
+
+        var firstOptions = makeOptions(1),
+            secondOptions = makeOptions(1),
+            first = transaction.prepareOptions(firstOptions),
+            second = transaction.prepareOptions(secondOptions),
+            other = transaction.prepareOptions(makeOptions(2));
+
+        strictEqual(first, firstOptions, "First state for a document is unchanged");
+        ok(second.historyStateInfo.coalesce, "Later states for the document are coalesced");
+        ok(second.historyStateInfo.suppressHistoryStateNotification, "Later states are not notified");
+        ok(!secondOptions.historyStateInfo.coalesce, "Coalesced options are copied");
+        ok(!other.historyStateInfo.coalesce, "First state for another document is unchanged");
+        strictEqual(transaction.prepareOptions(undefined), undefined, "Options without history are unchanged");
+    });
+
+    test("Reports the documents affected by events and Photoshop commands", function () {
+        var transaction = this.transaction;
+
+        expect(1);
+
+        transaction.preparePayload(events.document.RESET_LAYERS, { documentID: 1 });
+        transaction.prepareOptions({
+            historyStateInfo: {
+                name: "Test",
+                target: { _ref: "document", _id: 1 }
+            }
+        });
+        transaction.prepareOptions({
+            historyStateInfo: {
+                name: "Test",
+                target: { _ref: "document", _id: 2 }
+            }
+        });
+
+        deepEqual(transaction.getDocumentIDs().sort(), [1, 2], "Each affected document is reported once");
+    });
+});
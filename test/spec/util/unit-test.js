@@ -0,0 +1,74 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/* global module, test, equal, deepEqual */
+
+define(function (require) {
+    "use strict";
+
+    var unitUtil = require("js/util/unit");
+
+    module("util/unit");
+
+    test("Splits unit suffixes from entered values", function () {
+        deepEqual(unitUtil.splitSuffix("12mm"), { expression: "12", unit: "mm" }, "Suffix is split");
+        deepEqual(unitUtil.splitSuffix(" 1.5 IN "), { expression: " 1.5", unit: "in" }, "Suffix is lower case");
+        deepEqual(unitUtil.splitSuffix("10 + 5 %"), { expression: "10 + 5", unit: "%" }, "Percent is split");
+        deepEqual(unitUtil.splitSuffix("(1 + 2)pt"), { expression: "(1 + 2)", unit: "pt" },
+            "Suffix follows an expression");
+        deepEqual(unitUtil.splitSuffix("cm"), { expression: "", unit: "cm" }, "Suffix alone is split");
+        deepEqual(unitUtil.splitSuffix("12"), { expression: "12", unit: null }, "Values without suffix are unchanged");
+        deepEqual(unitUtil.splitSuffix("min(1, 2)"), { expression: "min(1, 2)", unit: null },
+            "Suffixes must be at the end");
+        deepEqual(unitUtil.splitSuffix("min"), { expression: "min", unit: null },
+            "Suffixes that directly follow a letter are not split");
+        deepEqual(unitUtil.splitSuffix("2 + pi in"), { expression: "2 + pi ", unit: "in" },
+            "Suffixes separated from a letter are split");
+    });
+
+    test("Converts between display units and pixels", function () {
+        equal(unitUtil.displayToPixels(1, "in", 72), 72, "Inches are converted at the resolution");
+        equal(unitUtil.displayToPixels(1, "in", 300), 300, "Resolution is respected");
+        equal(unitUtil.displayToPixels(36, "pt", 144), 72, "Points are converted");
+        equal(unitUtil.displayToPixels(2.54, "cm", 72), 72, "Centimeters are converted");
+        equal(Math.round(unitUtil.displayToPixels(25.4, "mm", 72)), 72, "Millimeters are converted");
+        equal(unitUtil.displayToPixels(5, "px", 300), 5, "Pixels are unchanged");
+        equal(unitUtil.displayToPixels(5, "em", 72), null, "Unknown units are invalid");
+
+        equal(unitUtil.fromPixels(150, "in", 300), 0.5, "Pixels are converted to inches");
+        equal(unitUtil.fromPixels(72, "pt", 72), 72, "Pixels are converted to points");
+        equal(unitUtil.fromPixels(72, "mm", 72).toFixed(1), "25.4", "Pixels are converted to millimeters");
+        equal(unitUtil.fromPixels(5, "px", 300), 5, "Pixels are unchanged");
+        equal(unitUtil.fromPixels(5, "em", 72), null, "Unknown units are invalid");
+    });
+
+    test("Reports the display precision of each unit", function () {
+        equal(unitUtil.displayPrecision("px"), 0, "Pixels are whole");
+        equal(unitUtil.displayPrecision("pt"), 1, "Points have one decimal place");
+        equal(unitUtil.displayPrecision("mm"), 1, "Millimeters have one decimal place");
+        equal(unitUtil.displayPrecision("cm"), 2, "Centimeters have two decimal places");
+        equal(unitUtil.displayPrecision("in"), 3, "Inches have three decimal places");
+        equal(unitUtil.displayPrecision("em"), 0, "Unknown units are whole");
+    });
+});
@@ -32,9 +32,32 @@ define(function (require, exports) {
             "test/spec/actions/application-test",
             "test/spec/actions/document-test",
             "test/spec/actions/example-test",
+            "test/spec/actions/journal-test",
+            "test/spec/actions/plugin-test",
+            "test/spec/actions/resync-test",
+            "test/spec/actions/rollback-test",
+            "test/spec/actions/transaction-test",
+            "test/spec/actions/type-test",
+            "test/spec/actions/watchdog-test",
+            "test/spec/models/characterstyle-test",
+            "test/spec/models/coloroverlay-test",
+            "test/spec/models/fill-test",
+            "test/spec/models/glow-test",
+            "test/spec/models/layerstructure-test",
+            "test/spec/models/paragraphstyle-test",
+            "test/spec/models/stroke-test",
+            "test/spec/models/strokeeffect-test",
             "test/spec/stores/document-test",
             "test/spec/stores/stroke-test",
             "test/spec/stores/example-test",
+            "test/spec/util/async-dependency-queue-test",
+            "test/spec/util/glyphs-test",
+            "test/spec/util/lock-verifier-test",
+            "test/spec/util/loremipsum-test",
+            "test/spec/util/performance-test",
+            "test/spec/util/schema-test",
+            "test/spec/util/transaction-test",
+            "test/spec/util/unit-test",
             "jsx!test/spec/jsx/NumberInput-test",
             "jsx!test/spec/jsx/SplitButton-test"
         ],